@@ -0,0 +1,18 @@
+-- Event registrations, waitlist and attendance per occurrence
+CREATE TABLE IF NOT EXISTS eventregistrations (
+    eventregistrationid SERIAL PRIMARY KEY,
+    eventoccurrenceid   INTEGER NOT NULL REFERENCES eventoccurrences (eventoccurrenceid) ON DELETE CASCADE,
+    participantid       INTEGER NOT NULL REFERENCES participants (participantid) ON DELETE CASCADE,
+    registrationstatus  VARCHAR(20) NOT NULL DEFAULT 'Registered'
+        CHECK (registrationstatus IN ('Registered', 'Waitlisted', 'Cancelled')),
+    registrationdate    TIMESTAMP NOT NULL DEFAULT NOW(),
+    registrationattended BOOLEAN NOT NULL DEFAULT FALSE,
+    registrationcheckedinat TIMESTAMP,
+    UNIQUE (eventoccurrenceid, participantid)
+);
+
+CREATE INDEX IF NOT EXISTS eventregistrations_occurrence_status_idx
+    ON eventregistrations (eventoccurrenceid, registrationstatus, registrationdate);
+
+-- Set when staff save the check-in screen; surveys for the occurrence are then limited to attendees
+ALTER TABLE eventoccurrences ADD COLUMN IF NOT EXISTS eventattendancetakenat TIMESTAMP;
@@ -0,0 +1,7 @@
+-- Recurrence rules expand into one eventoccurrences row per date
+ALTER TABLE events ADD COLUMN IF NOT EXISTS eventrecurrenceuntil DATE;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS eventrecurrencecount INTEGER;
+
+-- A single occurrence can be cancelled without deleting the event or its other dates
+ALTER TABLE eventoccurrences ADD COLUMN IF NOT EXISTS eventoccurrencecancelled BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE eventoccurrences ADD COLUMN IF NOT EXISTS eventoccurrencecancelledat TIMESTAMP;
@@ -0,0 +1,3 @@
+-- iCalendar sync: SEQUENCE/LAST-MODIFIED for each occurrence's stable UID
+ALTER TABLE eventoccurrences ADD COLUMN IF NOT EXISTS eventoccurrencesequence INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE eventoccurrences ADD COLUMN IF NOT EXISTS eventoccurrenceupdatedat TIMESTAMP NOT NULL DEFAULT NOW();
@@ -0,0 +1,9 @@
+-- Pairs a manager has reviewed and marked "not a duplicate"; the finder skips them.
+-- Stored with the lower participantid first.
+CREATE TABLE IF NOT EXISTS participantnotduplicates (
+    participantid1 INTEGER NOT NULL REFERENCES participants (participantid) ON DELETE CASCADE,
+    participantid2 INTEGER NOT NULL REFERENCES participants (participantid) ON DELETE CASCADE,
+    dismissedat    TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (participantid1, participantid2),
+    CHECK (participantid1 < participantid2)
+);
@@ -0,0 +1,18 @@
+-- Audit trail: one row per created, updated or deleted record, with the acting user
+-- and full before/after snapshots. audituserid is not a foreign key so history
+-- survives the user being deleted.
+CREATE TABLE IF NOT EXISTS auditlog (
+    auditid       BIGSERIAL PRIMARY KEY,
+    audittable    VARCHAR(50) NOT NULL,
+    auditrecordid VARCHAR(50) NOT NULL,
+    auditaction   VARCHAR(10) NOT NULL CHECK (auditaction IN ('create', 'update', 'delete')),
+    audituserid   INTEGER,
+    auditusername VARCHAR(100),
+    auditat       TIMESTAMP NOT NULL DEFAULT NOW(),
+    auditbefore   JSONB,
+    auditafter    JSONB
+);
+
+CREATE INDEX IF NOT EXISTS auditlog_record_idx ON auditlog (audittable, auditrecordid, auditat DESC);
+CREATE INDEX IF NOT EXISTS auditlog_at_idx ON auditlog (auditat DESC);
+CREATE INDEX IF NOT EXISTS auditlog_user_idx ON auditlog (audituserid, auditat DESC);
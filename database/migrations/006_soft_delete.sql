@@ -0,0 +1,15 @@
+-- Soft delete: a deleted record keeps its row with a deletion time and is hidden
+-- everywhere until a manager restores or purges it from the recycle bin.
+-- Dependents deleted along with a parent share its timestamp, so restoring the
+-- parent brings back exactly those rows.
+ALTER TABLE participants ADD COLUMN IF NOT EXISTS participantdeletedat TIMESTAMP;
+ALTER TABLE events ADD COLUMN IF NOT EXISTS eventdeletedat TIMESTAMP;
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS donationdeletedat TIMESTAMP;
+ALTER TABLE surveys ADD COLUMN IF NOT EXISTS surveydeletedat TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS userdeletedat TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS participants_deleted_idx ON participants (participantdeletedat) WHERE participantdeletedat IS NOT NULL;
+CREATE INDEX IF NOT EXISTS events_deleted_idx ON events (eventdeletedat) WHERE eventdeletedat IS NOT NULL;
+CREATE INDEX IF NOT EXISTS donations_deleted_idx ON donations (donationdeletedat) WHERE donationdeletedat IS NOT NULL;
+CREATE INDEX IF NOT EXISTS surveys_deleted_idx ON surveys (surveydeletedat) WHERE surveydeletedat IS NOT NULL;
+CREATE INDEX IF NOT EXISTS users_deleted_idx ON users (userdeletedat) WHERE userdeletedat IS NOT NULL;
@@ -0,0 +1,20 @@
+-- Catalog of canonical milestone titles. Awards still store the title text
+-- (milestones.milestonetitle) so existing grouping keeps working; forms only
+-- offer active catalog titles, and variants can be merged into a canonical one.
+CREATE TABLE IF NOT EXISTS milestonetitles (
+    milestonetitleid          SERIAL PRIMARY KEY,
+    milestonetitle            VARCHAR(255) NOT NULL,
+    milestonetitledescription TEXT,
+    milestonetitleactive      BOOLEAN NOT NULL DEFAULT TRUE,
+    milestonetitlecreatedat   TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS milestonetitles_title_idx ON milestonetitles (LOWER(milestonetitle));
+
+-- Seed the catalog with the titles already in use (first spelling seen wins)
+INSERT INTO milestonetitles (milestonetitle)
+SELECT DISTINCT ON (LOWER(TRIM(milestonetitle))) TRIM(milestonetitle)
+FROM milestones
+WHERE milestonetitle IS NOT NULL AND TRIM(milestonetitle) <> ''
+ORDER BY LOWER(TRIM(milestonetitle)), milestoneid
+ON CONFLICT DO NOTHING;
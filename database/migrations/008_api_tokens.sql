@@ -0,0 +1,22 @@
+-- API tokens for scripts and scheduled exports, sent as "Authorization: Bearer <token>".
+-- Only a SHA-256 hash of each token is stored; the token itself is shown once when
+-- it is created. Personal tokens act as their user (and stop working if the user
+-- is deleted); service tokens belong to no one and act as a manager. Either kind
+-- is limited to the resources in apitokenscopes, e.g. {"participants": "read"}.
+CREATE TABLE IF NOT EXISTS apitokens (
+    apitokenid         SERIAL PRIMARY KEY,
+    apitokenname       VARCHAR(100) NOT NULL,
+    apitokenkind       VARCHAR(10) NOT NULL CHECK (apitokenkind IN ('Personal', 'Service')),
+    apitokenuserid     INTEGER REFERENCES users (id) ON DELETE CASCADE,
+    apitokenprefix     VARCHAR(20) NOT NULL,
+    apitokenhash       CHAR(64) NOT NULL UNIQUE,
+    apitokenscopes     JSONB NOT NULL DEFAULT '{}',
+    apitokenexpiresat  TIMESTAMP,
+    apitokenlastusedat TIMESTAMP,
+    apitokencreatedby  INTEGER,
+    apitokencreatedat  TIMESTAMP NOT NULL DEFAULT NOW(),
+    apitokenrevokedat  TIMESTAMP,
+    CHECK ((apitokenkind = 'Personal') = (apitokenuserid IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS apitokens_user_idx ON apitokens (apitokenuserid);
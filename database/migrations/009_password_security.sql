@@ -0,0 +1,31 @@
+-- Password reset, login throttling and account email.
+-- Reset links carry a random token; only its SHA-256 hash is stored, each link
+-- works once, and requesting a new one or using one voids the others.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS useremail VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS userpasswordchangedat TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_email_idx ON users (LOWER(useremail)) WHERE useremail IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS passwordresets (
+    passwordresetid        SERIAL PRIMARY KEY,
+    userid                 INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    passwordresethash      CHAR(64) NOT NULL UNIQUE,
+    passwordresetexpiresat TIMESTAMP NOT NULL,
+    passwordresetusedat    TIMESTAMP,
+    passwordresetcreatedat TIMESTAMP NOT NULL DEFAULT NOW(),
+    passwordresetrequestip VARCHAR(64)
+);
+
+CREATE INDEX IF NOT EXISTS passwordresets_user_idx ON passwordresets (userid, passwordresetcreatedat DESC);
+
+-- Every login attempt, for lockout by username and by IP address
+CREATE TABLE IF NOT EXISTS loginattempts (
+    loginattemptid        BIGSERIAL PRIMARY KEY,
+    loginattemptusername  VARCHAR(255),
+    loginattemptip        VARCHAR(64),
+    loginattemptsucceeded BOOLEAN NOT NULL,
+    loginattemptat        TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS loginattempts_username_idx ON loginattempts (LOWER(loginattemptusername), loginattemptat DESC);
+CREATE INDEX IF NOT EXISTS loginattempts_ip_idx ON loginattempts (loginattemptip, loginattemptat DESC);
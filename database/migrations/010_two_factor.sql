@@ -0,0 +1,22 @@
+-- TOTP two-factor authentication and organisation-wide settings.
+-- The TOTP secret is redacted from the audit log; recovery codes are stored
+-- only as SHA-256 hashes and each works once.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS usertotpsecret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS usertotpenabledat TIMESTAMP;
+-- Last 30-second step accepted, so a code can't be replayed
+ALTER TABLE users ADD COLUMN IF NOT EXISTS usertotplaststep BIGINT;
+
+CREATE TABLE IF NOT EXISTS userrecoverycodes (
+    recoverycodeid     SERIAL PRIMARY KEY,
+    userid             INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    recoverycodehash   CHAR(64) NOT NULL,
+    recoverycodeusedat TIMESTAMP,
+    UNIQUE (userid, recoverycodehash)
+);
+
+-- Key/value settings changed from the app, e.g. require_manager_2fa
+CREATE TABLE IF NOT EXISTS appsettings (
+    appsettingkey       VARCHAR(100) PRIMARY KEY,
+    appsettingvalue     JSONB NOT NULL,
+    appsettingupdatedat TIMESTAMP NOT NULL DEFAULT NOW()
+);
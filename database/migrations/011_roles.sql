@@ -0,0 +1,54 @@
+-- Configurable roles with per-resource permissions, replacing users.level.
+-- rolepermissions maps a resource to the actions the role may take on it,
+-- e.g. {"participants": ["view", "edit"], "donations": ["view", "export"]}.
+-- The two built-in roles are identified by rolekey: "admin" always has every
+-- permission, and "member" (public sign-ups) has none.
+CREATE TABLE IF NOT EXISTS roles (
+    roleid          SERIAL PRIMARY KEY,
+    rolekey         VARCHAR(20) UNIQUE,
+    rolename        VARCHAR(100) NOT NULL,
+    roledescription VARCHAR(255),
+    rolepermissions JSONB NOT NULL DEFAULT '{}',
+    rolecreatedat   TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS roles_name_idx ON roles (LOWER(rolename));
+
+INSERT INTO roles (rolekey, rolename, roledescription, rolepermissions) VALUES
+    ('admin', 'Admin', 'Full access, including users, roles and security settings', '{}'),
+    ('member', 'Member', 'Public account: events, donations and surveys only', '{}')
+ON CONFLICT (rolekey) DO NOTHING;
+
+INSERT INTO roles (rolename, roledescription, rolepermissions)
+SELECT v.rolename, v.roledescription, v.rolepermissions::jsonb
+FROM (VALUES
+    ('Program Staff', 'Runs programs: participants, events, check-in, surveys and milestones',
+     '{"participants": ["view", "create", "edit", "export"], "events": ["create", "edit", "delete"], "attendance": ["view", "edit"], "surveys": ["view", "create", "edit", "export"], "milestones": ["view", "create", "edit", "delete", "export"]}'),
+    ('Donor Relations', 'Records and reports on donations',
+     '{"participants": ["view", "edit"], "donations": ["view", "create", "edit", "delete", "export"]}'),
+    ('Volunteer', 'Checks people in at events',
+     '{"attendance": ["view", "edit"]}'),
+    ('Board Member', 'Read-only access to program and donation records',
+     '{"participants": ["view"], "donations": ["view", "export"], "surveys": ["view", "export"], "milestones": ["view", "export"]}')
+) AS v (rolename, roledescription, rolepermissions)
+WHERE NOT EXISTS (SELECT 1 FROM roles r WHERE LOWER(r.rolename) = LOWER(v.rolename));
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS roleid INTEGER REFERENCES roles (roleid);
+
+-- Managers become admins and everyone else a member
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'level') THEN
+        UPDATE users SET roleid = (SELECT roleid FROM roles WHERE rolekey = CASE WHEN users.level = 'M' THEN 'admin' ELSE 'member' END)
+        WHERE roleid IS NULL;
+        ALTER TABLE users DROP COLUMN level;
+    END IF;
+END $$;
+
+UPDATE users SET roleid = (SELECT roleid FROM roles WHERE rolekey = 'member') WHERE roleid IS NULL;
+ALTER TABLE users ALTER COLUMN roleid SET NOT NULL;
+
+-- The two-factor requirement now covers every staff role, not just managers
+UPDATE appsettings SET appsettingkey = 'require_staff_2fa'
+WHERE appsettingkey = 'require_manager_2fa'
+  AND NOT EXISTS (SELECT 1 FROM appsettings WHERE appsettingkey = 'require_staff_2fa');
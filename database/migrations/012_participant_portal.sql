@@ -0,0 +1,23 @@
+-- Participant portal: a user account can be linked to one participant record.
+-- Links are made from a one-time emailed link, either an invitation sent by
+-- staff or a verification a signed-in user asks for; as with password resets,
+-- only the token's SHA-256 hash is stored.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS participantid INTEGER REFERENCES participants (participantid);
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_participant_idx ON users (participantid)
+    WHERE participantid IS NOT NULL AND userdeletedat IS NULL;
+
+CREATE TABLE IF NOT EXISTS portalinvites (
+    portalinviteid        SERIAL PRIMARY KEY,
+    participantid         INTEGER NOT NULL REFERENCES participants (participantid) ON DELETE CASCADE,
+    -- Set for a verification a user asked for; only that user can use it
+    userid                INTEGER REFERENCES users (id) ON DELETE CASCADE,
+    portalinvitehash      CHAR(64) NOT NULL UNIQUE,
+    portalinviteemail     VARCHAR(255) NOT NULL,
+    portalinvitecreatedby INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    portalinvitecreatedat TIMESTAMP NOT NULL DEFAULT NOW(),
+    portalinviteexpiresat TIMESTAMP NOT NULL,
+    portalinviteusedat    TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS portalinvites_participant_idx ON portalinvites (participantid, portalinvitecreatedat DESC);
@@ -0,0 +1,34 @@
+-- Survey links: the public survey form is only reachable through a link staff
+-- make for one occurrence, either shared with everyone there (shown as a QR
+-- code) or sent to one attendee. Unlike password resets the token is kept in
+-- the clear, since staff reopen the page to show the QR code again; a link
+-- only lets someone answer one event's survey as an attendee.
+CREATE TABLE IF NOT EXISTS surveylinks (
+    surveylinkid        SERIAL PRIMARY KEY,
+    eventoccurrenceid   INTEGER NOT NULL REFERENCES eventoccurrences (eventoccurrenceid) ON DELETE CASCADE,
+    -- Set for a link made for one attendee
+    participantid       INTEGER REFERENCES participants (participantid) ON DELETE CASCADE,
+    surveylinktoken     VARCHAR(64) NOT NULL UNIQUE,
+    surveylinkcreatedby INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    surveylinkcreatedat TIMESTAMP NOT NULL DEFAULT NOW(),
+    surveylinkexpiresat TIMESTAMP NOT NULL,
+    surveylinkrevokedat TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS surveylinks_occurrence_idx ON surveylinks (eventoccurrenceid);
+
+-- One survey per participant per occurrence. Later duplicates already on file
+-- go to the recycle bin, oldest response kept.
+UPDATE surveys s
+SET surveydeletedat = NOW()
+WHERE s.surveydeletedat IS NULL
+  AND EXISTS (
+      SELECT 1 FROM surveys earlier
+      WHERE earlier.participantid = s.participantid
+        AND earlier.eventoccurrenceid = s.eventoccurrenceid
+        AND earlier.surveydeletedat IS NULL
+        AND earlier.surveyid < s.surveyid
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS surveys_participant_occurrence_idx ON surveys (participantid, eventoccurrenceid)
+    WHERE surveydeletedat IS NULL;
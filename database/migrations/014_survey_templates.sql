@@ -0,0 +1,115 @@
+-- Survey builder: questionnaires (templates) made of ordered questions. An
+-- event uses the template attached to it, else the active template for its
+-- event type, else the Standard template. Each response keeps its answers in
+-- surveyanswers plus the overall score and NPS bucket on the survey row.
+CREATE TABLE IF NOT EXISTS surveytemplates (
+    surveytemplateid          SERIAL PRIMARY KEY,
+    surveytemplatename        VARCHAR(100) NOT NULL,
+    surveytemplatedescription TEXT,
+    -- Used for events of this type that have no template of their own
+    surveytemplateeventtype   VARCHAR(50),
+    -- The Standard template: the fallback, and the format the API and CSV import use
+    surveytemplateisdefault   BOOLEAN NOT NULL DEFAULT FALSE,
+    surveytemplateactive      BOOLEAN NOT NULL DEFAULT TRUE,
+    surveytemplatecreatedat   TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS surveytemplates_name_idx ON surveytemplates (LOWER(surveytemplatename));
+CREATE UNIQUE INDEX IF NOT EXISTS surveytemplates_default_idx ON surveytemplates (surveytemplateisdefault)
+    WHERE surveytemplateisdefault;
+CREATE UNIQUE INDEX IF NOT EXISTS surveytemplates_eventtype_idx ON surveytemplates (LOWER(surveytemplateeventtype))
+    WHERE surveytemplateactive AND surveytemplateeventtype IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS surveyquestions (
+    surveyquestionid       SERIAL PRIMARY KEY,
+    surveytemplateid       INTEGER NOT NULL REFERENCES surveytemplates (surveytemplateid) ON DELETE CASCADE,
+    surveyquestionorder    INTEGER NOT NULL,
+    surveyquestiontext     VARCHAR(500) NOT NULL,
+    surveyquestiontype     VARCHAR(10) NOT NULL CHECK (surveyquestiontype IN ('scale', 'choice', 'yesno', 'text')),
+    -- Choices for a multiple choice question
+    surveyquestionoptions  JSONB,
+    -- Top of a rating scale (1 to 5 or 1 to 10)
+    surveyquestionscalemax INTEGER CHECK (surveyquestionscalemax IN (5, 10)),
+    surveyquestionrequired BOOLEAN NOT NULL DEFAULT TRUE,
+    -- Rating counts toward the overall score
+    surveyquestionscored   BOOLEAN NOT NULL DEFAULT FALSE,
+    -- The "would you recommend" rating the NPS bucket comes from
+    surveyquestionnps      BOOLEAN NOT NULL DEFAULT FALSE,
+    -- Standard template only: the surveys column the answer is also copied to
+    surveyquestionkey      VARCHAR(40)
+);
+
+CREATE INDEX IF NOT EXISTS surveyquestions_template_idx ON surveyquestions (surveytemplateid, surveyquestionorder);
+CREATE UNIQUE INDEX IF NOT EXISTS surveyquestions_nps_idx ON surveyquestions (surveytemplateid) WHERE surveyquestionnps;
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS surveytemplateid INTEGER REFERENCES surveytemplates (surveytemplateid) ON DELETE SET NULL;
+ALTER TABLE surveys ADD COLUMN IF NOT EXISTS surveytemplateid INTEGER REFERENCES surveytemplates (surveytemplateid);
+
+-- Responses to other templates leave the four original score columns empty
+ALTER TABLE surveys ALTER COLUMN surveysatisfactionscore DROP NOT NULL;
+ALTER TABLE surveys ALTER COLUMN surveyusefulnessscore DROP NOT NULL;
+ALTER TABLE surveys ALTER COLUMN surveyinstructorscore DROP NOT NULL;
+ALTER TABLE surveys ALTER COLUMN surveyrecommendationscore DROP NOT NULL;
+-- and a questionnaire without ratings has no overall score or NPS bucket
+ALTER TABLE surveys ALTER COLUMN surveyoverallscore DROP NOT NULL;
+ALTER TABLE surveys ALTER COLUMN surveynpsbucket DROP NOT NULL;
+
+CREATE TABLE IF NOT EXISTS surveyanswers (
+    surveyanswerid     SERIAL PRIMARY KEY,
+    surveyid           INTEGER NOT NULL REFERENCES surveys (surveyid) ON DELETE CASCADE,
+    surveyquestionid   INTEGER NOT NULL REFERENCES surveyquestions (surveyquestionid),
+    surveyanswervalue  TEXT NOT NULL,
+    -- The rating, or 1/0 for yes/no, so answers can be averaged
+    surveyanswernumber NUMERIC,
+    UNIQUE (surveyid, surveyquestionid)
+);
+
+CREATE INDEX IF NOT EXISTS surveyanswers_question_idx ON surveyanswers (surveyquestionid);
+
+-- The Standard template asks the original questions
+INSERT INTO surveytemplates (surveytemplatename, surveytemplatedescription, surveytemplateisdefault)
+SELECT 'Standard', 'The original four ratings and comments. Used for any event without a questionnaire of its own.', TRUE
+WHERE NOT EXISTS (SELECT 1 FROM surveytemplates WHERE surveytemplateisdefault);
+
+INSERT INTO surveyquestions (surveytemplateid, surveyquestionorder, surveyquestiontext, surveyquestiontype,
+                             surveyquestionscalemax, surveyquestionrequired, surveyquestionscored, surveyquestionnps, surveyquestionkey)
+SELECT t.surveytemplateid, q.questionorder, q.questiontext, q.questiontype, q.scalemax, q.required, q.scored, q.nps, q.questionkey
+FROM surveytemplates t
+CROSS JOIN (VALUES
+    (1, 'Satisfaction', 'scale', 5, TRUE, TRUE, FALSE, 'surveysatisfactionscore'),
+    (2, 'Usefulness', 'scale', 5, TRUE, TRUE, FALSE, 'surveyusefulnessscore'),
+    (3, 'Instructor', 'scale', 5, TRUE, TRUE, FALSE, 'surveyinstructorscore'),
+    (4, 'Likely to Recommend?', 'scale', 5, TRUE, TRUE, TRUE, 'surveyrecommendationscore'),
+    (5, 'Comments & Feedback', 'text', NULL, FALSE, FALSE, FALSE, 'surveycomments')
+) AS q (questionorder, questiontext, questiontype, scalemax, required, scored, nps, questionkey)
+WHERE t.surveytemplateisdefault
+  AND NOT EXISTS (SELECT 1 FROM surveyquestions sq WHERE sq.surveytemplateid = t.surveytemplateid);
+
+-- Every existing response becomes a Standard response with the same answers
+UPDATE surveys
+SET surveytemplateid = (SELECT surveytemplateid FROM surveytemplates WHERE surveytemplateisdefault)
+WHERE surveytemplateid IS NULL;
+
+INSERT INTO surveyanswers (surveyid, surveyquestionid, surveyanswervalue, surveyanswernumber)
+SELECT s.surveyid, q.surveyquestionid, a.value::TEXT, a.value
+FROM surveys s
+JOIN surveyquestions q ON q.surveytemplateid = s.surveytemplateid AND q.surveyquestiontype = 'scale'
+CROSS JOIN LATERAL (
+    SELECT CASE q.surveyquestionkey
+        WHEN 'surveysatisfactionscore' THEN s.surveysatisfactionscore
+        WHEN 'surveyusefulnessscore' THEN s.surveyusefulnessscore
+        WHEN 'surveyinstructorscore' THEN s.surveyinstructorscore
+        WHEN 'surveyrecommendationscore' THEN s.surveyrecommendationscore
+    END AS value
+) a
+WHERE a.value IS NOT NULL
+ON CONFLICT (surveyid, surveyquestionid) DO NOTHING;
+
+INSERT INTO surveyanswers (surveyid, surveyquestionid, surveyanswervalue)
+SELECT s.surveyid, q.surveyquestionid, TRIM(s.surveycomments)
+FROM surveys s
+JOIN surveyquestions q ON q.surveytemplateid = s.surveytemplateid AND q.surveyquestionkey = 'surveycomments'
+WHERE TRIM(COALESCE(s.surveycomments, '')) <> ''
+ON CONFLICT (surveyid, surveyquestionid) DO NOTHING;
+
+ALTER TABLE surveys ALTER COLUMN surveytemplateid SET NOT NULL;
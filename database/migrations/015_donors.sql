@@ -0,0 +1,88 @@
+-- Donor records: gifts belong to a donor (a person or an organization) with
+-- their own contact details, instead of to a participant row made up from the
+-- donor's name. A donor who is also a participant is linked to that record.
+CREATE TABLE IF NOT EXISTS donors (
+    donorid           SERIAL PRIMARY KEY,
+    donortype         VARCHAR(20) NOT NULL DEFAULT 'Individual' CHECK (donortype IN ('Individual', 'Organization')),
+    -- An organization's contact person goes in the first and last name
+    donorfirstname    VARCHAR(255),
+    donorlastname     VARCHAR(255),
+    donororganization VARCHAR(255),
+    donoremail        VARCHAR(255),
+    donorphone        VARCHAR(50),
+    donoraddress      VARCHAR(255),
+    donorcity         VARCHAR(100),
+    donorstate        VARCHAR(50),
+    donorzip          VARCHAR(20),
+    -- What lists show and sort by: the organization, or the person's full name
+    donorname         VARCHAR(511) GENERATED ALWAYS AS (
+        CASE WHEN donortype = 'Organization' THEN donororganization ELSE donorfirstname || ' ' || donorlastname END
+    ) STORED,
+    donornotes        TEXT,
+    participantid     INTEGER REFERENCES participants (participantid) ON DELETE SET NULL,
+    donorcreatedat    TIMESTAMP NOT NULL DEFAULT NOW(),
+    donordeletedat    TIMESTAMP,
+    CHECK (donororganization IS NOT NULL OR (donorfirstname IS NOT NULL AND donorlastname IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS donors_email_idx ON donors (LOWER(donoremail));
+CREATE INDEX IF NOT EXISTS donors_participant_idx ON donors (participantid);
+CREATE INDEX IF NOT EXISTS donors_deleted_idx ON donors (donordeletedat) WHERE donordeletedat IS NOT NULL;
+
+-- A recurring commitment: pledgeamount every period from the start date until
+-- the end date (open-ended without one). Gifts recorded against the pledge
+-- count as received.
+CREATE TABLE IF NOT EXISTS pledges (
+    pledgeid          SERIAL PRIMARY KEY,
+    donorid           INTEGER NOT NULL REFERENCES donors (donorid) ON DELETE CASCADE,
+    pledgeamount      NUMERIC(10, 2) NOT NULL CHECK (pledgeamount > 0),
+    pledgefrequency   VARCHAR(20) NOT NULL CHECK (pledgefrequency IN ('Monthly', 'Quarterly', 'Annually')),
+    pledgestartdate   DATE NOT NULL,
+    pledgeenddate     DATE,
+    pledgedesignation VARCHAR(100),
+    pledgenotes       TEXT,
+    pledgecreatedat   TIMESTAMP NOT NULL DEFAULT NOW(),
+    CHECK (pledgeenddate IS NULL OR pledgeenddate >= pledgestartdate)
+);
+
+CREATE INDEX IF NOT EXISTS pledges_donor_idx ON pledges (donorid);
+
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS donorid INTEGER REFERENCES donors (donorid);
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS donationmethod VARCHAR(30);
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS donationdesignation VARCHAR(100);
+-- Check number or payment reference
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS donationreference VARCHAR(100);
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS donationnotes TEXT;
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS pledgeid INTEGER REFERENCES pledges (pledgeid) ON DELETE SET NULL;
+
+-- One donor per participant who has given, copying their contact details.
+-- Donors of deleted participants start out in the recycle bin too, so their
+-- gifts stay hidden as before.
+INSERT INTO donors (donortype, donorfirstname, donorlastname, donoremail, donorphone, donorcity, donorstate, donorzip,
+                    participantid, donordeletedat)
+SELECT 'Individual', COALESCE(p.participantfirstname, 'Unknown'), COALESCE(p.participantlastname, 'Donor'),
+       p.participantemail, p.participantphone, p.participantcity, p.participantstate, p.participantzip,
+       p.participantid, p.participantdeletedat
+FROM participants p
+WHERE EXISTS (SELECT 1 FROM donations d WHERE d.participantid = p.participantid)
+  AND NOT EXISTS (SELECT 1 FROM donors dn WHERE dn.participantid = p.participantid);
+
+UPDATE donations d
+SET donorid = dn.donorid
+FROM donors dn
+WHERE d.donorid IS NULL AND dn.participantid = d.participantid;
+
+-- Gifts with no donor on file go to a single anonymous donor
+INSERT INTO donors (donortype, donorfirstname, donorlastname, donornotes)
+SELECT 'Individual', 'Anonymous', 'Donor', 'Gifts recorded without a donor'
+WHERE EXISTS (SELECT 1 FROM donations WHERE donorid IS NULL);
+
+UPDATE donations
+SET donorid = (SELECT MAX(donorid) FROM donors WHERE donorfirstname = 'Anonymous' AND donorlastname = 'Donor')
+WHERE donorid IS NULL;
+
+ALTER TABLE donations ALTER COLUMN donorid SET NOT NULL;
+ALTER TABLE donations DROP COLUMN IF EXISTS participantid;
+
+CREATE INDEX IF NOT EXISTS donations_donor_idx ON donations (donorid);
+CREATE INDEX IF NOT EXISTS donations_pledge_idx ON donations (pledgeid);
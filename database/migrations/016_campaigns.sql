@@ -0,0 +1,21 @@
+-- Fundraising campaigns (appeals such as the spring gala or Giving Tuesday):
+-- a goal and a date window. Gifts attributed to a campaign count toward it.
+CREATE TABLE IF NOT EXISTS campaigns (
+    campaignid          SERIAL PRIMARY KEY,
+    campaignname        VARCHAR(255) NOT NULL,
+    campaigndescription TEXT,
+    campaigngoal        NUMERIC(12, 2) NOT NULL CHECK (campaigngoal > 0),
+    campaignstartdate   DATE NOT NULL,
+    -- Open-ended without one
+    campaignenddate     DATE,
+    -- Shown with its progress on the public home page while it is running
+    campaignfeatured    BOOLEAN NOT NULL DEFAULT FALSE,
+    campaigncreatedat   TIMESTAMP NOT NULL DEFAULT NOW(),
+    CHECK (campaignenddate IS NULL OR campaignenddate >= campaignstartdate)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS campaigns_name_idx ON campaigns (LOWER(campaignname));
+
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS campaignid INTEGER REFERENCES campaigns (campaignid) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS donations_campaign_idx ON donations (campaignid);
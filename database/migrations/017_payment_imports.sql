@@ -0,0 +1,26 @@
+-- Gifts imported from payment processor exports (Stripe, PayPal). Each file
+-- imported is recorded with its totals per payout batch, which the
+-- reconciliation report compares against the gifts on file.
+CREATE TABLE IF NOT EXISTS paymentimports (
+    paymentimportid        SERIAL PRIMARY KEY,
+    paymentimportprocessor VARCHAR(20) NOT NULL,
+    paymentimportfilename  VARCHAR(255),
+    -- Per payout: the file's gross, refunds, fees and net, and the transaction IDs in it
+    paymentimportbatches   JSONB NOT NULL DEFAULT '[]',
+    paymentimportuserid    INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    paymentimportcreatedat TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS donationprocessor VARCHAR(20);
+-- The processor's ID for the transaction; importing it again is a no-op
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS donationtransactionid VARCHAR(255);
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS donationpayoutid VARCHAR(255);
+-- What the processor kept: gross minus net. Negative when a refund returned fees.
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS donationfee NUMERIC(10, 2);
+-- Refunds are negative gifts pointing at the gift they reverse
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS donationrefundof INTEGER REFERENCES donations (donationid) ON DELETE SET NULL;
+ALTER TABLE donations ADD COLUMN IF NOT EXISTS paymentimportid INTEGER REFERENCES paymentimports (paymentimportid) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS donations_transaction_idx ON donations (donationprocessor, donationtransactionid)
+    WHERE donationtransactionid IS NOT NULL;
+CREATE INDEX IF NOT EXISTS donations_payout_idx ON donations (donationprocessor, donationpayoutid);
@@ -0,0 +1,11 @@
+-- Staff notes on a participant (a check-in call, a goal they set, a mentor's
+-- observation), shown on the participant's engagement timeline
+CREATE TABLE IF NOT EXISTS participantnotes (
+    participantnoteid        SERIAL PRIMARY KEY,
+    participantid            INTEGER NOT NULL REFERENCES participants (participantid) ON DELETE CASCADE,
+    participantnotetext      TEXT NOT NULL,
+    participantnoteuserid    INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    participantnotecreatedat TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS participantnotes_participant_idx ON participantnotes (participantid, participantnotecreatedat);
@@ -0,0 +1,22 @@
+-- Sensitive case notes (family circumstances, health, safeguarding) are only
+-- shown to roles with the Sensitive Case Notes permission. Their text is kept
+-- out of the activity log.
+ALTER TABLE participantnotes ADD COLUMN IF NOT EXISTS participantnotesensitive BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Follow-up tasks on a participant, assigned to a staff account
+CREATE TABLE IF NOT EXISTS participanttasks (
+    participanttaskid          SERIAL PRIMARY KEY,
+    participantid              INTEGER NOT NULL REFERENCES participants (participantid) ON DELETE CASCADE,
+    participanttasktitle       VARCHAR(255) NOT NULL,
+    participanttaskdetails     TEXT,
+    participanttaskduedate     DATE,
+    participanttaskassigneeid  INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    participanttaskcreatedby   INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    participanttaskcreatedat   TIMESTAMP NOT NULL DEFAULT NOW(),
+    participanttaskcompletedat TIMESTAMP,
+    participanttaskcompletedby INTEGER REFERENCES users (id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS participanttasks_participant_idx ON participanttasks (participantid);
+CREATE INDEX IF NOT EXISTS participanttasks_open_idx ON participanttasks (participanttaskassigneeid, participanttaskduedate)
+    WHERE participanttaskcompletedat IS NULL;
@@ -0,0 +1,68 @@
+// Password policy, login lockout and reset settings, all overridable from .env
+const intSetting = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const flagSetting = (name, fallback) =>
+    process.env[name] === undefined ? fallback : process.env[name] === "true";
+
+const passwordPolicy = {
+    minLength: intSetting("PASSWORD_MIN_LENGTH", 10),
+    requireNumber: flagSetting("PASSWORD_REQUIRE_NUMBER", true),
+    requireMixedCase: flagSetting("PASSWORD_REQUIRE_MIXED_CASE", true),
+    requireSymbol: flagSetting("PASSWORD_REQUIRE_SYMBOL", false),
+};
+
+// After `threshold` failures in a row the account is locked (or, for an IP
+// address, `ipThreshold` failures in the window whatever succeeded between
+// them) for `baseSeconds`, doubling with each further failure up to `maxSeconds`
+const loginLockout = {
+    threshold: intSetting("LOGIN_LOCKOUT_THRESHOLD", 5),
+    ipThreshold: intSetting("LOGIN_IP_LOCKOUT_THRESHOLD", 20),
+    baseSeconds: intSetting("LOGIN_LOCKOUT_BASE_SECONDS", 60),
+    maxSeconds: intSetting("LOGIN_LOCKOUT_MAX_SECONDS", 3600),
+    windowHours: intSetting("LOGIN_LOCKOUT_WINDOW_HOURS", 24),
+};
+
+const passwordReset = {
+    ttlMinutes: intSetting("PASSWORD_RESET_TTL_MINUTES", 60),
+    baseUrl: process.env.APP_BASE_URL || "",
+};
+
+// Participant portal links: staff invitations last longer than the
+// verification link someone requests for themselves
+const portalInvite = {
+    inviteTtlHours: intSetting("PORTAL_INVITE_TTL_HOURS", 168),
+    verifyTtlMinutes: intSetting("PORTAL_VERIFY_TTL_MINUTES", 60),
+};
+
+// Survey links stop working this many days after their event starts (or after
+// they are made, for a link made once the event is over)
+const surveyLinks = {
+    ttlDays: intSetting("SURVEY_LINK_TTL_DAYS", 14),
+};
+
+// Printed on year-end tax receipts
+const taxReceipts = {
+    organization: process.env.RECEIPT_ORG_NAME || "Ella Rises",
+    ein: process.env.RECEIPT_ORG_EIN || "",
+    address: process.env.RECEIPT_ORG_ADDRESS || "",
+    signer: process.env.RECEIPT_SIGNER || "",
+};
+
+// "outbox" writes each message to a file so development needs no mail server
+const mail = {
+    transport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "smtp" : "outbox"),
+    outboxDir: process.env.MAIL_OUTBOX_DIR || "outbox",
+    from: process.env.MAIL_FROM || "Ella Rises <no-reply@ellarises.org>",
+    smtp: {
+        host: process.env.SMTP_HOST,
+        port: intSetting("SMTP_PORT", 587),
+        secure: process.env.SMTP_SECURE === "true",
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD,
+    },
+};
+
+module.exports = { passwordPolicy, loginLockout, passwordReset, portalInvite, surveyLinks, taxReceipts, mail };
@@ -13,4 +13,4 @@ const sessionMiddleware = session({
     },
 });
 
-module.exports = { sessionMiddleware };
+module.exports = { SESSION_SECRET, sessionMiddleware };
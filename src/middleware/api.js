@@ -0,0 +1,71 @@
+const { RegistrationError } = require("../services/registrations");
+const { MilestoneError } = require("../services/milestones");
+const { RecycleError } = require("../services/recycleBin");
+const { MergeError } = require("../services/duplicates");
+
+// Raised inside API handlers for errors with a specific status and code
+class ApiError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Every API error response has this shape
+const apiErrorBody = (status, code, message, details) => ({
+    error: { status, code, message, ...(details ? { details } : {}) },
+});
+
+// API requests get JSON errors instead of redirects to the login page
+const isApiRequest = (req) => req.originalUrl.startsWith("/api/");
+
+// Service errors whose message is meant for the user
+const USER_ERRORS = [RegistrationError, MilestoneError, RecycleError, MergeError];
+
+// Postgres error classes that mean the request was bad, not the server
+const pgStatus = (err) => {
+    if (err.code === "23505") {
+        return [409, "conflict", "A record with that value already exists."];
+    }
+    if (err.code === "23503") {
+        return [409, "conflict", "A referenced record does not exist, or the record is still in use."];
+    }
+    if (typeof err.code === "string" && (err.code.startsWith("22") || err.code.startsWith("23"))) {
+        return [400, "invalid_value", "One of the values is not valid for its field."];
+    }
+    return null;
+};
+
+// Last handler on the API router: turn any thrown error into a JSON body.
+// Express only treats it as an error handler because it takes four arguments.
+const apiErrorHandler = (err, req, res, next) => {
+    if (err instanceof ApiError) {
+        return res.status(err.status).json(apiErrorBody(err.status, err.code, err.message, err.details));
+    }
+    if (USER_ERRORS.some((type) => err instanceof type)) {
+        return res.status(422).json(apiErrorBody(422, "unprocessable", err.message));
+    }
+    if (err.type === "entity.parse.failed") {
+        return res.status(400).json(apiErrorBody(400, "invalid_json", "The request body is not valid JSON."));
+    }
+    const known = pgStatus(err);
+    if (known) {
+        return res.status(known[0]).json(apiErrorBody(known[0], known[1], known[2]));
+    }
+    console.error(`API error on ${req.method} ${req.originalUrl}:`, err);
+    res.status(500).json(apiErrorBody(500, "server_error", "Something went wrong on our side."));
+};
+
+const apiNotFound = (req, res) => {
+    res.status(404).json(apiErrorBody(404, "not_found", `No API endpoint at ${req.method} ${req.originalUrl}.`));
+};
+
+module.exports = {
+    ApiError,
+    apiErrorBody,
+    isApiRequest,
+    apiErrorHandler,
+    apiNotFound,
+};
@@ -1,26 +1,121 @@
-// Require a user to be authenticated with any account
-const requireAuth = (req, res, next) => {
-    if (!req.session.user) {
-        return res.redirect("/login");
+const { apiErrorBody, isApiRequest } = require("./api");
+const { findActiveToken, tokenAllows } = require("../services/apiTokens");
+const { can, sessionUser, loadAccount } = require("../services/permissions");
+
+const requestPath = (req) => req.originalUrl.split("?")[0];
+
+// Bearer tokens are for scripts: they work on the JSON API and the list
+// exports, never on the pages themselves
+const acceptsToken = (req) => isApiRequest(req) || requestPath(req).endsWith("/export");
+
+const bearerToken = (req) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+    return match ? match[1] : null;
+};
+
+// The signed-in user, or the user an API token acts as
+const currentUser = (req) => (req.apiToken ? req.apiToken.user : req.session.user) || null;
+
+const denyToken = (req, res, status, code, message) => {
+    if (isApiRequest(req)) {
+        return res.status(status).json(apiErrorBody(status, code, message));
     }
-    next();
+    res.status(status).send(message);
 };
 
-// Require specific user level(s); manager = "M", user = "U"
-const requireRole = (levels) => {
-    const allowed = Array.isArray(levels) ? levels : [levels];
-    return (req, res, next) => {
-        if (!req.session.user) {
-            return res.redirect("/login");
-        }
-        if (!allowed.includes(req.session.user.level)) {
-            return res.status(403).render("auth/login", {
-                layout: false,
-                error_message: "You are not authorized to view that page.",
-            });
-        }
-        next();
-    };
+// Check a bearer token, if one was sent, and attach it as req.apiToken.
+// Answers 401 for an unknown, expired or revoked token and 403 when its
+// scopes don't cover the request; returns false when it has responded.
+const resolveToken = async (req, res) => {
+    const secret = req.apiToken === undefined && acceptsToken(req) ? bearerToken(req) : null;
+    if (!secret) {
+        return true;
+    }
+
+    const token = await findActiveToken(secret);
+    if (!token) {
+        denyToken(req, res, 401, "invalid_token", "The API token is invalid, expired or revoked.");
+        return false;
+    }
+    if (!tokenAllows(token, req.method, requestPath(req))) {
+        denyToken(req, res, 403, "insufficient_scope", "The API token's scopes don't cover this request.");
+        return false;
+    }
+    req.apiToken = token;
+    return true;
+};
+
+// Accept a bearer token on routes open to everyone, so a token's user counts
+// where a route does more for some roles
+const acceptToken = (req, res, next) => {
+    resolveToken(req, res)
+        .then((ok) => ok && next())
+        .catch(next);
+};
+
+// Require a user to be authenticated with any account (session or API token)
+const requireAuth = (req, res, next) => {
+    resolveToken(req, res)
+        .then((ok) => {
+            if (!ok) {
+                return;
+            }
+            if (!currentUser(req)) {
+                if (isApiRequest(req)) {
+                    return res.status(401).json(apiErrorBody(401, "unauthorized", "Sign in to use this endpoint."));
+                }
+                return res.redirect("/login");
+            }
+            next();
+        })
+        .catch(next);
+};
+
+// Require a permission, e.g. requirePermission("donations", "edit"). The
+// signed-in user's role (or, for an API token, the role it acts as) must grant it.
+const requirePermission = (resource, action) => (req, res, next) => {
+    resolveToken(req, res)
+        .then((ok) => {
+            if (!ok) {
+                return;
+            }
+            const user = currentUser(req);
+            if (!user) {
+                if (isApiRequest(req)) {
+                    return res.status(401).json(apiErrorBody(401, "unauthorized", "Sign in to use this endpoint."));
+                }
+                return res.redirect("/login");
+            }
+            if (!can(user, resource, action)) {
+                if (isApiRequest(req)) {
+                    return res.status(403).json(apiErrorBody(403, "forbidden", "Your role doesn't allow this."));
+                }
+                return res.status(403).render("auth/login", {
+                    layout: false,
+                    error_message: "You are not authorized to view that page.",
+                });
+            }
+            next();
+        })
+        .catch(next);
+};
+
+// Reload the signed-in user's role on every request, so role changes and
+// deleted accounts take effect immediately rather than at next sign-in
+const refreshSessionUser = (req, res, next) => {
+    if (!req.session || !req.session.user) {
+        return next();
+    }
+    loadAccount(req.session.user.id)
+        .then((account) => {
+            if (account) {
+                req.session.user = sessionUser(account);
+            } else {
+                delete req.session.user;
+            }
+            next();
+        })
+        .catch(next);
 };
 
-module.exports = { requireAuth, requireRole };
+module.exports = { requireAuth, requirePermission, acceptToken, refreshSessionUser, currentUser };
@@ -0,0 +1,46 @@
+const crypto = require("crypto");
+
+const { apiErrorBody, isApiRequest } = require("./api");
+
+// Requests that only read; everything else needs the session's CSRF token
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// One token per session, made the first time a page needs it
+const csrfToken = (req) => {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString("hex");
+    }
+    return req.session.csrfToken;
+};
+
+// Forms send it as a hidden _csrf field. Multipart forms (the import upload)
+// put it in the query string, since their body isn't parsed until the route.
+const sentToken = (req) => (req.body && req.body._csrf) || req.query._csrf || req.get("X-CSRF-Token") || "";
+
+const tokensMatch = (expected, sent) => {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(sent));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// A cross-site form can't set an Authorization header or send a JSON body, so
+// bearer-token calls and JSON API calls don't need the token
+const exempt = (req) =>
+    SAFE_METHODS.includes(req.method) || Boolean(req.get("Authorization")) || (isApiRequest(req) && req.is("application/json"));
+
+// Reject state-changing requests without the session's token, and expose the
+// token to page views as csrfToken
+const csrfProtection = (req, res, next) => {
+    if (!exempt(req) && !(req.session.csrfToken && tokensMatch(req.session.csrfToken, sentToken(req)))) {
+        if (isApiRequest(req)) {
+            return res.status(403).json(apiErrorBody(403, "csrf_failed", "Missing or invalid CSRF token."));
+        }
+        return res.status(403).send("This form has expired. Go back, reload the page and try again.");
+    }
+    if (!isApiRequest(req)) {
+        res.locals.csrfToken = csrfToken(req);
+    }
+    next();
+};
+
+module.exports = { csrfProtection, csrfToken };
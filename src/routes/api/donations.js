@@ -0,0 +1,163 @@
+const express = require("express");
+
+const db = require("../../config/db");
+const { requirePermission } = require("../../middleware/auth");
+const { ApiError } = require("../../middleware/api");
+const { donationSortMap, donationQuery } = require("../../services/listQueries");
+const { auditActor, auditInsert, auditUpdate } = require("../../services/audit");
+const { softDelete } = require("../../services/recycleBin");
+const { DonorError, checkGiftOwner, createDonor, donorForParticipant } = require("../../services/donors");
+const { CampaignError, checkCampaign } = require("../../services/campaigns");
+const schemas = require("./schemas");
+const { route, readPaging, readSort, paginate, notFound, readBody, userCan } = require("./helpers");
+
+const router = express.Router();
+
+const donationSelect = [
+    "d.donationid",
+    "d.donorid",
+    "dn.donorname",
+    "dn.participantid",
+    "d.donationdate",
+    "d.donationamount",
+    "d.donationmethod",
+    "d.donationdesignation",
+    "d.donationreference",
+    "d.donationnotes",
+    "d.pledgeid",
+    "d.campaignid",
+    "c.campaignname",
+    "d.donationprocessor",
+    "d.donationtransactionid",
+    "d.donationpayoutid",
+    "d.donationfee",
+    "d.donationrefundof",
+];
+
+// Donor and campaign problems are the caller's to fix
+const asBadRequest = (field) => (err) => {
+    if (err instanceof DonorError || err instanceof CampaignError) {
+        throw new ApiError(400, "invalid_body", err.message, [{ field, message: err.message }]);
+    }
+    throw err;
+};
+
+const findDonation = (id) => donationQuery("").where("d.donationid", id).select(donationSelect).first();
+
+// Same ?search= and sort keys as /donations. Donor names are personal data,
+// so the JSON list needs donations view like the page.
+router.get("/donations", requirePermission("donations", "view"), route(async (req, res) => {
+    const paging = readPaging(req.query);
+    const sort = readSort(req.query, donationSortMap, { sortBy: "date", sortOrder: "desc" });
+
+    const base = donationQuery((req.query.search || "").trim());
+    res.json(await paginate(base, paging, (query) =>
+        query.select(donationSelect).orderBy(sort.column, sort.sortOrder).orderBy("d.donationid", "asc")
+    ));
+}));
+
+router.get("/donations/:id", requirePermission("donations", "view"), route(async (req, res) => {
+    const donation = await findDonation(req.params.id);
+    if (!donation) {
+        throw notFound("donation");
+    }
+    res.json({ data: donation });
+}));
+
+// Record a gift (Public Access, like /addDonation). Staff who can record gifts may give it
+// to an existing donor, or to a participant's donor profile; otherwise a donor is created
+// from the name. Only staff set how it was paid or the pledge it counts toward.
+router.post("/donations", route(async (req, res) => {
+    const values = readBody(req.body, schemas.donationCreate);
+    const staff = userCan(req, "donations", "create");
+    const staffOnly = ["donorid", "participantid", "donationmethod", "donationreference", "donationnotes", "pledgeid"];
+
+    const forbidden = staffOnly.filter((name) => values[name] !== undefined && values[name] !== null);
+    if (!staff && forbidden.length > 0) {
+        throw new ApiError(403, "forbidden", `Your role can't set ${forbidden.join(", ")} on a donation.`);
+    }
+    if (values.participantid && !userCan(req, "participants", "view")) {
+        throw new ApiError(403, "forbidden", "Your role can't attach a donation to an existing participant.");
+    }
+    if (values.donorid && values.participantid) {
+        throw new ApiError(400, "invalid_body", "Send either donorid or participantid, not both.", [
+            { field: "participantid", message: "can't be combined with donorid" },
+        ]);
+    }
+    if (values.pledgeid && !values.donorid) {
+        throw new ApiError(400, "invalid_body", "A pledge can only be given with the donorid it belongs to.", [
+            { field: "pledgeid", message: "requires donorid" },
+        ]);
+    }
+    if (!values.donorid && !values.participantid && !values.organization && (!values.firstname || !values.lastname)) {
+        throw new ApiError(400, "invalid_body", "Enter the donor's first and last name.", [
+            { field: "firstname", message: "and lastname (or organization) are required without a donorid or participantid" },
+        ]);
+    }
+
+    const created = await db.transaction(async (trx) => {
+        const actor = auditActor(req);
+        await checkCampaign(trx, values.campaignid, { runningOnly: !staff }).catch(asBadRequest("campaignid"));
+        let donor;
+        if (values.donorid) {
+            donor = await checkGiftOwner(trx, values.donorid, values.pledgeid).catch(asBadRequest("donorid"));
+        } else if (values.participantid) {
+            donor = await donorForParticipant(trx, actor, values.participantid).catch(asBadRequest("participantid"));
+        } else {
+            donor = await createDonor(trx, actor, values).catch(asBadRequest("firstname"));
+        }
+
+        const [row] = await auditInsert(trx, actor, "donations", {
+            donorid: donor.donorid,
+            donationdate: values.donationdate,
+            donationamount: values.donationamount,
+            donationdesignation: values.donationdesignation || null,
+            donationmethod: values.donationmethod || null,
+            donationreference: values.donationreference || null,
+            donationnotes: values.donationnotes || null,
+            pledgeid: values.pledgeid || null,
+            campaignid: values.campaignid || null,
+        });
+        return row;
+    });
+
+    // Visitors only get the new id back, not the stored donor record
+    if (!userCan(req, "donations", "view")) {
+        return res.status(201).json({ data: { donationid: created.donationid } });
+    }
+    res.status(201).json({ data: await findDonation(created.donationid) });
+}));
+
+router.patch("/donations/:id", requirePermission("donations", "edit"), route(async (req, res) => {
+    const values = readBody(req.body, schemas.donation, { partial: true });
+    const [updated] = await db.transaction(async (trx) => {
+        const current = await trx("donations").where({ donationid: req.params.id }).whereNull("donationdeletedat").first();
+        if (!current) {
+            return [];
+        }
+        if (Number(current.donationamount) < 0) {
+            throw new ApiError(409, "conflict", "Refunds imported from a payment processor can't be changed; delete the refund instead.");
+        }
+        if (values.pledgeid) {
+            await checkGiftOwner(trx, current.donorid, values.pledgeid).catch(asBadRequest("pledgeid"));
+        }
+        if (values.campaignid) {
+            await checkCampaign(trx, values.campaignid).catch(asBadRequest("campaignid"));
+        }
+        return auditUpdate(trx, auditActor(req), "donations", { donationid: current.donationid }, values);
+    });
+    if (!updated) {
+        throw notFound("donation");
+    }
+    res.json({ data: await findDonation(updated.donationid) });
+}));
+
+router.delete("/donations/:id", requirePermission("donations", "delete"), route(async (req, res) => {
+    if (!(await findDonation(req.params.id))) {
+        throw notFound("donation");
+    }
+    await db.transaction((trx) => softDelete(trx, auditActor(req), "donations", req.params.id));
+    res.json({ data: { donationid: Number(req.params.id) } });
+}));
+
+module.exports = router;
@@ -0,0 +1,362 @@
+const express = require("express");
+
+const db = require("../../config/db");
+const { requirePermission } = require("../../middleware/auth");
+const { ApiError } = require("../../middleware/api");
+const { promoteWaitlist } = require("../../services/registrations");
+const { describeRecurrence } = require("../../services/recurrence");
+const {
+    createOccurrences,
+    applyOccurrenceEdit,
+    cancelOccurrence,
+    restoreOccurrence,
+    touchOccurrences,
+} = require("../../services/occurrences");
+const { eventFilters } = require("../../services/listQueries");
+const { auditActor, auditInsert, auditUpdate } = require("../../services/audit");
+const { softDelete } = require("../../services/recycleBin");
+const schemas = require("./schemas");
+const { route, readPaging, paginate, notFound, readBody } = require("./helpers");
+
+const router = express.Router();
+
+const eventColumns = [
+    "eventid",
+    "eventname",
+    "eventtype",
+    "eventdescription",
+    "eventdefaultcapacity",
+    "eventrecurrencepattern",
+    "eventrecurrenceuntil",
+    "eventrecurrencecount",
+];
+
+const withRecurrenceText = (row) => ({
+    ...row,
+    recurrencetext: describeRecurrence({
+        frequency: row.eventrecurrencepattern,
+        start: row.eventdatetimestart,
+        until: row.eventrecurrenceuntil,
+        count: row.eventrecurrencecount,
+    }),
+});
+
+const occurrenceSelect = () => [
+    "eventoccurrences.eventoccurrenceid",
+    "events.eventid",
+    "events.eventname",
+    "events.eventtype",
+    "eventoccurrences.eventdatetimestart",
+    "eventoccurrences.eventdatetimeend",
+    "eventoccurrences.eventlocation",
+    "eventoccurrences.eventcapacity",
+    "eventoccurrences.eventregistrationdeadline",
+    "eventoccurrences.eventoccurrencecancelled",
+    db.raw("COALESCE(eventoccurrences.eventcapacity, events.eventdefaultcapacity) as capacity"),
+    db.raw(
+        "(SELECT COUNT(*) FROM eventregistrations r WHERE r.eventoccurrenceid = eventoccurrences.eventoccurrenceid AND r.registrationstatus = 'Registered')::int as registeredcount"
+    ),
+    db.raw(
+        "(SELECT COUNT(*) FROM eventregistrations r WHERE r.eventoccurrenceid = eventoccurrences.eventoccurrenceid AND r.registrationattended)::int as attendedcount"
+    ),
+];
+
+// Occurrences of non-deleted events, with the /events filters (?search=, ?type=, ?start=, ?end=)
+const occurrenceQuery = (query) => {
+    const { type, start, end } = query;
+    const searchTerm = (query.search || "").trim();
+    for (const [name, value] of Object.entries({ start, end })) {
+        if (value && (typeof value !== "string" || Number.isNaN(Date.parse(value)))) {
+            throw new ApiError(400, "invalid_query", `${name} must be a date.`);
+        }
+    }
+    return db("events")
+        .join("eventoccurrences", "events.eventid", "eventoccurrences.eventid")
+        .modify(eventFilters({ type, searchTerm, start, end }));
+};
+
+const findEvent = (id) =>
+    db("events").select(eventColumns).where({ eventid: id }).whereNull("eventdeletedat").first();
+
+const findOccurrence = (id) =>
+    occurrenceQuery({})
+        .where("eventoccurrences.eventoccurrenceid", id)
+        .select(occurrenceSelect())
+        .first();
+
+// ==============================================
+// Events (Public Access to read, like /events)
+// ==============================================
+
+router.get("/events", route(async (req, res) => {
+    const paging = readPaging(req.query);
+    const { type } = req.query;
+    const searchTerm = (req.query.search || "").trim();
+
+    const base = db("events")
+        .whereNull("eventdeletedat")
+        .modify((builder) => {
+            if (type) {
+                builder.where("eventtype", type);
+            }
+            if (searchTerm) {
+                const term = `%${searchTerm.toLowerCase()}%`;
+                builder.where(function() {
+                    this.whereRaw("LOWER(eventname) LIKE ?", [term])
+                        .orWhereRaw("LOWER(eventdescription) LIKE ?", [term])
+                        .orWhereRaw("LOWER(eventtype) LIKE ?", [term]);
+                });
+            }
+        });
+
+    const page = await paginate(base, paging, (query) =>
+        query
+            .select(
+                ...eventColumns,
+                db.raw("(SELECT MIN(eo.eventdatetimestart) FROM eventoccurrences eo WHERE eo.eventid = events.eventid) as eventdatetimestart")
+            )
+            .orderBy("eventname", "asc")
+            .orderBy("eventid", "asc")
+    );
+    res.json({ ...page, data: page.data.map(withRecurrenceText) });
+}));
+
+router.get("/events/:id", route(async (req, res) => {
+    const event = await findEvent(req.params.id);
+    if (!event) {
+        throw notFound("event");
+    }
+    const occurrences = await occurrenceQuery({})
+        .where("events.eventid", event.eventid)
+        .select(occurrenceSelect())
+        .orderBy("eventoccurrences.eventdatetimestart", "asc");
+
+    res.json({
+        data: {
+            ...withRecurrenceText({ ...event, eventdatetimestart: occurrences[0] && occurrences[0].eventdatetimestart }),
+            occurrences,
+        },
+    });
+}));
+
+// Create an event; a recurrence rule expands into one occurrence per date, like /addEvent
+router.post("/events", requirePermission("events", "create"), route(async (req, res) => {
+    const values = readBody(req.body, schemas.eventCreate);
+    const rule = {
+        frequency: values.eventrecurrencepattern || "None",
+        start: values.eventdatetimestart,
+        end: values.eventdatetimeend,
+        until: values.eventrecurrenceuntil || null,
+        count: values.eventrecurrencecount || null,
+    };
+
+    if (rule.frequency !== "None" && !rule.until && !rule.count) {
+        throw new ApiError(400, "invalid_body", "Recurring events need an end date or a number of occurrences.", [
+            { field: "eventrecurrenceuntil", message: "or eventrecurrencecount is required for a recurring event" },
+        ]);
+    }
+
+    const eventid = await db.transaction(async (trx) => {
+        const [newEvent] = await auditInsert(trx, auditActor(req), "events", {
+            eventname: values.eventname,
+            eventtype: values.eventtype,
+            eventdescription: values.eventdescription,
+            eventrecurrencepattern: rule.frequency,
+            eventrecurrenceuntil: rule.until,
+            eventrecurrencecount: rule.count,
+            eventdefaultcapacity: values.eventdefaultcapacity,
+        });
+
+        const created = await createOccurrences(
+            trx,
+            newEvent.eventid,
+            rule,
+            {
+                location: values.eventlocation,
+                capacity: values.eventdefaultcapacity,
+                deadline: values.eventregistrationdeadline || null,
+            },
+            auditActor(req)
+        );
+        if (created === 0) {
+            throw new ApiError(400, "invalid_body", "Recurrence produced no occurrences; check the start and end times.");
+        }
+        return newEvent.eventid;
+    });
+
+    res.status(201).json({ data: await findEvent(eventid) });
+}));
+
+// Event details (name, type, description, default capacity) apply to every occurrence
+router.patch("/events/:id", requirePermission("events", "edit"), route(async (req, res) => {
+    const values = readBody(req.body, schemas.event, { partial: true });
+
+    const updated = await db.transaction(async (trx) => {
+        const [row] = await auditUpdate(
+            trx,
+            auditActor(req),
+            "events",
+            (qb) => qb.where({ eventid: req.params.id }).whereNull("eventdeletedat"),
+            values
+        );
+        if (!row) {
+            return null;
+        }
+        await touchOccurrences(trx, { eventid: row.eventid });
+
+        // A larger default capacity frees seats for anyone on the waitlist
+        if (values.eventdefaultcapacity !== undefined) {
+            const occurrenceIds = await trx("eventoccurrences").where({ eventid: row.eventid }).pluck("eventoccurrenceid");
+            for (const occurrenceId of occurrenceIds) {
+                await promoteWaitlist(trx, occurrenceId, auditActor(req));
+            }
+        }
+        return row;
+    });
+    if (!updated) {
+        throw notFound("event");
+    }
+    res.json({ data: await findEvent(updated.eventid) });
+}));
+
+// Moves the event and all of its dates to the recycle bin
+router.delete("/events/:id", requirePermission("events", "delete"), route(async (req, res) => {
+    if (!(await findEvent(req.params.id))) {
+        throw notFound("event");
+    }
+    await db.transaction((trx) => softDelete(trx, auditActor(req), "events", req.params.id));
+    res.json({ data: { eventid: Number(req.params.id) } });
+}));
+
+// ==============================================
+// Occurrences
+// ==============================================
+
+// ?when=upcoming (default, soonest first), past (latest first) or all
+router.get("/occurrences", route(async (req, res) => {
+    const paging = readPaging(req.query);
+    const when = req.query.when || "upcoming";
+    if (!["upcoming", "past", "all"].includes(when)) {
+        throw new ApiError(400, "invalid_query", "when must be upcoming, past or all.");
+    }
+
+    const now = new Date();
+    const base = occurrenceQuery(req.query).modify((builder) => {
+        if (when === "upcoming") {
+            builder.where("eventoccurrences.eventdatetimestart", ">=", now);
+        } else if (when === "past") {
+            builder.where("eventoccurrences.eventdatetimestart", "<", now);
+        }
+    });
+
+    res.json(await paginate(base, paging, (query) =>
+        query
+            .select(occurrenceSelect())
+            .orderBy("eventoccurrences.eventdatetimestart", when === "upcoming" ? "asc" : "desc")
+            .orderBy("eventoccurrences.eventoccurrenceid", "asc")
+    ));
+}));
+
+router.get("/occurrences/:id", route(async (req, res) => {
+    const occurrence = await findOccurrence(req.params.id);
+    if (!occurrence) {
+        throw notFound("occurrence");
+    }
+    res.json({ data: occurrence });
+}));
+
+// Change one occurrence only (the "this occurrence" scope of the edit form),
+// or cancel / restore it with eventoccurrencecancelled
+router.patch("/occurrences/:id", requirePermission("events", "edit"), route(async (req, res) => {
+    const values = readBody(req.body, schemas.occurrence, { partial: true });
+
+    const occurrenceid = await db.transaction(async (trx) => {
+        const occurrence = await trx("eventoccurrences as eo")
+            .join("events as e", "eo.eventid", "e.eventid")
+            .where("eo.eventoccurrenceid", req.params.id)
+            .whereNull("e.eventdeletedat")
+            .select("eo.*")
+            .first();
+        if (!occurrence) {
+            return null;
+        }
+
+        const merged = { ...occurrence, ...values };
+        if (new Date(merged.eventdatetimeend) < new Date(merged.eventdatetimestart)) {
+            throw new ApiError(400, "invalid_body", "An occurrence can't end before it starts.");
+        }
+
+        const { eventoccurrencecancelled, ...schedule } = values;
+        if (Object.keys(schedule).length > 0) {
+            await applyOccurrenceEdit(trx, {
+                eventid: occurrence.eventid,
+                occurrence,
+                scope: "this",
+                rule: {},
+                actor: auditActor(req),
+                values: {
+                    start: merged.eventdatetimestart,
+                    end: merged.eventdatetimeend,
+                    location: merged.eventlocation,
+                    capacity: merged.eventcapacity,
+                    deadline: merged.eventregistrationdeadline,
+                },
+            });
+            await touchOccurrences(trx, { eventoccurrenceid: occurrence.eventoccurrenceid });
+        }
+
+        if (eventoccurrencecancelled === true && !occurrence.eventoccurrencecancelled) {
+            await cancelOccurrence(trx, occurrence.eventoccurrenceid, auditActor(req));
+        } else if (eventoccurrencecancelled === false && occurrence.eventoccurrencecancelled) {
+            await restoreOccurrence(trx, occurrence.eventoccurrenceid, auditActor(req));
+        }
+
+        await promoteWaitlist(trx, occurrence.eventoccurrenceid, auditActor(req));
+        return occurrence.eventoccurrenceid;
+    });
+    if (!occurrenceid) {
+        throw notFound("occurrence");
+    }
+    res.json({ data: await findOccurrence(occurrenceid) });
+}));
+
+// Sign-ups and attendance for one occurrence, like the check-in screen
+router.get("/occurrences/:id/registrations", requirePermission("attendance", "view"), route(async (req, res) => {
+    const occurrence = await findOccurrence(req.params.id);
+    if (!occurrence) {
+        throw notFound("occurrence");
+    }
+    const { status } = req.query;
+    if (status && !schemas.registration.registrationstatus.enum.includes(status)) {
+        throw new ApiError(400, "invalid_query", "status must be Registered, Waitlisted or Cancelled.");
+    }
+
+    const registrations = await db("eventregistrations as r")
+        .join("participants as p", "r.participantid", "p.participantid")
+        .where("r.eventoccurrenceid", occurrence.eventoccurrenceid)
+        .whereNull("p.participantdeletedat")
+        .modify((builder) => {
+            if (status) {
+                builder.where("r.registrationstatus", status);
+            }
+        })
+        .select(
+            "r.eventregistrationid",
+            "r.eventoccurrenceid",
+            "r.participantid",
+            "p.participantfirstname",
+            "p.participantlastname",
+            "p.participantemail",
+            "r.registrationstatus",
+            "r.registrationdate",
+            "r.registrationattended",
+            "r.registrationcheckedinat"
+        )
+        .orderBy([
+            { column: "r.registrationstatus", order: "asc" },
+            { column: "r.registrationdate", order: "asc" },
+        ]);
+    res.json({ data: registrations });
+}));
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const { ApiError } = require("../../middleware/api");
+const { currentUser } = require("../../middleware/auth");
+const { can } = require("../../services/permissions");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Pass errors from async handlers to the API error handler
+const route = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+const badQuery = (message) => new ApiError(400, "invalid_query", message);
+
+// ?page= and ?pageSize= (1-based, at most 200 rows a page)
+const readPaging = (query) => {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+
+    if (!Number.isInteger(page) || page < 1) {
+        throw badQuery("page must be a positive integer.");
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw badQuery(`pageSize must be an integer from 1 to ${MAX_PAGE_SIZE}.`);
+    }
+    return { page, pageSize };
+};
+
+// ?sortBy= and ?sortOrder=, using the same sort keys as the HTML lists
+const readSort = (query, sortMap, defaults) => {
+    const sortBy = query.sortBy || defaults.sortBy;
+    const sortOrder = query.sortOrder || defaults.sortOrder;
+
+    if (!sortMap[sortBy]) {
+        throw badQuery(`sortBy must be one of: ${Object.keys(sortMap).join(", ")}.`);
+    }
+    if (!["asc", "desc"].includes(sortOrder)) {
+        throw badQuery("sortOrder must be asc or desc.");
+    }
+    return { sortBy, sortOrder, column: sortMap[sortBy] };
+};
+
+// A query-string filter that must be a whole number when present
+const readIntegerParam = (query, name) => {
+    if (query[name] === undefined || query[name] === "") {
+        return undefined;
+    }
+    const value = Number(query[name]);
+    if (!Number.isInteger(value)) {
+        throw badQuery(`${name} must be an integer.`);
+    }
+    return value;
+};
+
+// Fetch one page of a filtered list. `base` holds the joins and filters only;
+// `select` adds the columns and ordering to a copy of it.
+const paginate = async (base, { page, pageSize }, select) => {
+    const [{ count }] = await base.clone().count("* as count");
+    const data = await select(base.clone())
+        .limit(pageSize)
+        .offset((page - 1) * pageSize);
+
+    const total = parseInt(count, 10) || 0;
+    return {
+        data,
+        meta: { page, pageSize, total, totalPages: Math.max(Math.ceil(total / pageSize), 1) },
+    };
+};
+
+const notFound = (noun) => new ApiError(404, "not_found", `That ${noun} does not exist.`);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Check one value against its field definition; returns an error message or null
+const checkValue = (field, value) => {
+    switch (field.type) {
+        case "string":
+            if (typeof value !== "string") {
+                return "must be a string";
+            }
+            if (field.maxLength && value.length > field.maxLength) {
+                return `must be at most ${field.maxLength} characters`;
+            }
+            break;
+        case "integer":
+            if (!Number.isInteger(value)) {
+                return "must be an integer";
+            }
+            break;
+        case "number":
+            if (typeof value !== "number" || !Number.isFinite(value)) {
+                return "must be a number";
+            }
+            break;
+        case "boolean":
+            if (typeof value !== "boolean") {
+                return "must be true or false";
+            }
+            break;
+        case "date":
+            if (typeof value !== "string" || !DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+                return "must be a date (YYYY-MM-DD)";
+            }
+            break;
+        case "datetime":
+            if (typeof value !== "string" || Number.isNaN(Date.parse(value))) {
+                return "must be an ISO 8601 date-time";
+            }
+            break;
+        case "array":
+            if (!Array.isArray(value)) {
+                return "must be an array";
+            }
+            for (const item of value) {
+                const problem = checkValue(field.items, item);
+                if (problem) {
+                    return `items ${problem}`;
+                }
+            }
+            return null;
+    }
+    if (field.enum && !field.enum.includes(value)) {
+        return `must be one of: ${field.enum.join(", ")}`;
+    }
+    if (field.minimum !== undefined && value < field.minimum) {
+        return `must be at least ${field.minimum}`;
+    }
+    if (field.maximum !== undefined && value > field.maximum) {
+        return `must be at most ${field.maximum}`;
+    }
+    return null;
+};
+
+// Validate a JSON body against a resource's fields (see schemas.js) and return
+// only the writable values. `partial` is for PATCH, where required fields may
+// be left out. Every problem is reported at once in error.details.
+const readBody = (body, fields, { partial = false } = {}) => {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        throw new ApiError(400, "invalid_body", "The request body must be a JSON object.");
+    }
+
+    const values = {};
+    const details = [];
+
+    for (const name of Object.keys(body)) {
+        if (!fields[name]) {
+            details.push({ field: name, message: "is not a field of this resource" });
+        } else if (fields[name].readOnly) {
+            details.push({ field: name, message: "is read-only" });
+        }
+    }
+
+    for (const [name, field] of Object.entries(fields)) {
+        if (field.readOnly) {
+            continue;
+        }
+        const value = body[name];
+        if (value === undefined || value === null || value === "") {
+            if (field.required && (!partial || value !== undefined)) {
+                details.push({ field: name, message: "is required" });
+            } else if (value !== undefined) {
+                values[name] = null;
+            }
+            continue;
+        }
+        const problem = checkValue(field, value);
+        if (problem) {
+            details.push({ field: name, message: problem });
+        } else {
+            values[name] = typeof value === "string" ? value.trim() : value;
+        }
+    }
+
+    if (details.length > 0) {
+        throw new ApiError(400, "invalid_body", "Some fields are missing or invalid.", details);
+    }
+    if (partial && Object.keys(values).length === 0) {
+        throw new ApiError(400, "invalid_body", "Send at least one field to change.");
+    }
+    return values;
+};
+
+// For endpoints open to any account or the public that do more for some roles
+const userCan = (req, resource, action) => can(currentUser(req), resource, action);
+
+module.exports = {
+    route,
+    readPaging,
+    readSort,
+    readIntegerParam,
+    paginate,
+    notFound,
+    readBody,
+    userCan,
+};
@@ -0,0 +1,37 @@
+const express = require("express");
+
+const { apiErrorHandler, apiNotFound } = require("../../middleware/api");
+const { acceptToken } = require("../../middleware/auth");
+const { buildSpec } = require("./openapi");
+
+const participantRoutes = require("./participants");
+const eventRoutes = require("./events");
+const surveyRoutes = require("./surveys");
+const milestoneRoutes = require("./milestones");
+const donationRoutes = require("./donations");
+const userRoutes = require("./users");
+
+// Versioned JSON API, mounted at /api/v1. Uses the session from /login or a
+// bearer API token, and the same role rules as the pages; every error comes
+// back as { error: {...} }.
+const router = express.Router();
+
+router.use(express.json());
+
+router.get("/openapi.json", (req, res) => {
+    res.json(buildSpec());
+});
+
+router.use(acceptToken);
+
+router.use(participantRoutes);
+router.use(eventRoutes);
+router.use(surveyRoutes);
+router.use(milestoneRoutes);
+router.use(donationRoutes);
+router.use(userRoutes);
+
+router.use(apiNotFound);
+router.use(apiErrorHandler);
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require("express");
+
+const db = require("../../config/db");
+const { requirePermission } = require("../../middleware/auth");
+const { auditActor } = require("../../services/audit");
+const {
+    listCatalog,
+    awardMilestone,
+    updateMilestone,
+    deleteMilestone,
+    addTitle,
+    updateTitle,
+    deleteTitle,
+} = require("../../services/milestones");
+const schemas = require("./schemas");
+const { route, readPaging, readIntegerParam, paginate, notFound, readBody } = require("./helpers");
+
+const router = express.Router();
+
+const milestoneSelect = [
+    "m.milestoneid",
+    "m.participantid",
+    "m.milestonetitle",
+    "m.milestonedate",
+    "p.participantfirstname",
+    "p.participantlastname",
+];
+
+const milestoneQuery = () =>
+    db("milestones as m")
+        .join("participants as p", "m.participantid", "p.participantid")
+        .whereNull("p.participantdeletedat");
+
+const findMilestone = (id) => milestoneQuery().where("m.milestoneid", id).select(milestoneSelect).first();
+
+// ==============================================
+// Awards
+// ==============================================
+
+// ?search= matches the title like /milestones; ?title= is an exact title and
+// ?participant= one participant's awards
+router.get("/milestones", requirePermission("milestones", "view"), route(async (req, res) => {
+    const paging = readPaging(req.query);
+    const search = (req.query.search || "").trim();
+    const participant = readIntegerParam(req.query, "participant");
+
+    const base = milestoneQuery().modify((qb) => {
+        if (search) {
+            qb.whereRaw("LOWER(m.milestonetitle) LIKE ?", [`%${search.toLowerCase()}%`]);
+        }
+        if (req.query.title) {
+            qb.where("m.milestonetitle", req.query.title);
+        }
+        if (participant !== undefined) {
+            qb.where("m.participantid", participant);
+        }
+    });
+    res.json(await paginate(base, paging, (query) =>
+        query
+            .select(milestoneSelect)
+            .orderBy("m.milestonetitle", "asc")
+            .orderBy("m.milestonedate", "desc")
+            .orderBy("m.milestoneid", "asc")
+    ));
+}));
+
+router.get("/milestones/:id", requirePermission("milestones", "view"), route(async (req, res) => {
+    const milestone = await findMilestone(req.params.id);
+    if (!milestone) {
+        throw notFound("milestone");
+    }
+    res.json({ data: milestone });
+}));
+
+// Award one catalog title to several participants; people who already hold it are skipped
+router.post("/milestones", requirePermission("milestones", "create"), route(async (req, res) => {
+    const values = readBody(req.body, schemas.milestoneAward);
+    const result = await db.transaction((trx) =>
+        awardMilestone(trx, auditActor(req), {
+            participantIds: values.participantids,
+            title: values.milestonetitle,
+            date: values.milestonedate,
+        })
+    );
+    res.status(201).json({ data: result });
+}));
+
+router.patch("/milestones/:id", requirePermission("milestones", "edit"), route(async (req, res) => {
+    const values = readBody(req.body, schemas.milestone, { partial: true });
+    const existing = await findMilestone(req.params.id);
+    if (!existing) {
+        throw notFound("milestone");
+    }
+    await db.transaction((trx) =>
+        updateMilestone(trx, auditActor(req), existing.milestoneid, {
+            title: values.milestonetitle || existing.milestonetitle,
+            date: values.milestonedate || existing.milestonedate,
+        })
+    );
+    res.json({ data: await findMilestone(existing.milestoneid) });
+}));
+
+router.delete("/milestones/:id", requirePermission("milestones", "delete"), route(async (req, res) => {
+    if (!(await findMilestone(req.params.id))) {
+        throw notFound("milestone");
+    }
+    const deleted = await db.transaction((trx) => deleteMilestone(trx, auditActor(req), req.params.id));
+    res.json({ data: { milestoneid: deleted.milestoneid } });
+}));
+
+// ==============================================
+// Title catalog
+// ==============================================
+
+router.get("/milestone-titles", requirePermission("milestones", "view"), route(async (req, res) => {
+    res.json({ data: await listCatalog() });
+}));
+
+const findTitle = async (id) => {
+    const titles = await listCatalog().where("t.milestonetitleid", id);
+    return titles[0];
+};
+
+router.post("/milestone-titles", requirePermission("milestones", "edit"), route(async (req, res) => {
+    const values = readBody(req.body, schemas.milestoneTitle);
+    const created = await db.transaction(async (trx) => {
+        const row = await addTitle(trx, auditActor(req), {
+            title: values.milestonetitle,
+            description: values.milestonetitledescription,
+        });
+        // New titles start active; a client may add one already retired
+        if (values.milestonetitleactive === false) {
+            await updateTitle(trx, auditActor(req), row.milestonetitleid, {
+                title: row.milestonetitle,
+                description: row.milestonetitledescription,
+                active: false,
+            });
+        }
+        return row;
+    });
+    res.status(201).json({ data: await findTitle(created.milestonetitleid) });
+}));
+
+// Renaming a title renames every award that uses it
+router.patch("/milestone-titles/:id", requirePermission("milestones", "edit"), route(async (req, res) => {
+    const values = readBody(req.body, schemas.milestoneTitle, { partial: true });
+    const existing = await findTitle(req.params.id);
+    if (!existing) {
+        throw notFound("milestone title");
+    }
+    await db.transaction((trx) =>
+        updateTitle(trx, auditActor(req), existing.milestonetitleid, {
+            title: values.milestonetitle !== undefined ? values.milestonetitle : existing.milestonetitle,
+            description:
+                values.milestonetitledescription !== undefined
+                    ? values.milestonetitledescription
+                    : existing.milestonetitledescription,
+            active:
+                values.milestonetitleactive !== undefined ? values.milestonetitleactive : existing.milestonetitleactive,
+        })
+    );
+    res.json({ data: await findTitle(existing.milestonetitleid) });
+}));
+
+// Only titles with no awards can be removed
+router.delete("/milestone-titles/:id", requirePermission("milestones", "edit"), route(async (req, res) => {
+    if (!(await findTitle(req.params.id))) {
+        throw notFound("milestone title");
+    }
+    await db.transaction((trx) => deleteTitle(trx, auditActor(req), req.params.id));
+    res.json({ data: { milestonetitleid: Number(req.params.id) } });
+}));
+
+module.exports = router;
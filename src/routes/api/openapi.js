@@ -0,0 +1,428 @@
+const { PERMISSION_RESOURCES, PERMISSION_ACTIONS } = require("../../services/permissions");
+const schemas = require("./schemas");
+
+// OpenAPI 3 description of /api/v1, built from the same field definitions the
+// endpoints validate against so the two can't drift apart.
+
+const FORMATS = {
+    date: { type: "string", format: "date" },
+    datetime: { type: "string", format: "date-time" },
+};
+
+const toProperty = (field) => {
+    const property = FORMATS[field.type] ? { ...FORMATS[field.type] } : { type: field.type };
+    if (field.type === "array") {
+        property.items = toProperty(field.items);
+    }
+    for (const key of ["enum", "minimum", "maximum", "maxLength", "description", "readOnly", "writeOnly"]) {
+        if (field[key] !== undefined) {
+            property[key] = field[key];
+        }
+    }
+    if (!field.required) {
+        property.nullable = true;
+    }
+    return property;
+};
+
+const toSchema = (fields, { forWrite = false } = {}) => {
+    const entries = Object.entries(fields).filter(([, field]) => !forWrite || !field.readOnly);
+    const required = entries.filter(([, field]) => field.required).map(([name]) => name);
+    return {
+        type: "object",
+        properties: Object.fromEntries(entries.map(([name, field]) => [name, toProperty(field)])),
+        ...(required.length > 0 ? { required } : {}),
+    };
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const errorResponse = (description) => ({
+    description,
+    content: { "application/json": { schema: ref("Error") } },
+});
+
+const ERRORS = {
+    400: errorResponse("Invalid query string or body"),
+    401: errorResponse("Not signed in, or the API token is invalid, expired or revoked"),
+    403: errorResponse("Without the required role, or outside the API token's scopes"),
+    404: errorResponse("No such record"),
+    409: errorResponse("Conflicts with an existing record"),
+    422: errorResponse("The request can't be carried out (the message explains why)"),
+};
+
+const json = (schema) => ({ content: { "application/json": { schema } } });
+
+const one = (name) => json({ type: "object", properties: { data: ref(name) } });
+const many = (name) => json({ type: "object", properties: { data: { type: "array", items: ref(name) } } });
+const page = (name) =>
+    json({ type: "object", properties: { data: { type: "array", items: ref(name) }, meta: ref("PageMeta") } });
+
+const query = (name, description, schema = { type: "string" }) => ({ name, in: "query", description, schema });
+const idParam = { name: "id", in: "path", required: true, schema: { type: "integer" } };
+
+const paging = [
+    query("page", "Page number, starting at 1", { type: "integer", minimum: 1, default: 1 }),
+    query("pageSize", "Rows per page", { type: "integer", minimum: 1, maximum: 200, default: 50 }),
+];
+const sorting = (keys, sortBy, sortOrder) => [
+    query("sortBy", "Sort key", { type: "string", enum: keys, default: sortBy }),
+    query("sortOrder", "Sort direction", { type: "string", enum: ["asc", "desc"], default: sortOrder }),
+];
+const search = query("search", "Case-insensitive text search");
+
+// Who may call an endpoint, shown in its description: "public" or the
+// permission it needs, as "resource:action"
+const describeAccess = (access) => {
+    if (access === "public") {
+        return "Public.";
+    }
+    const [resource, action] = access.split(":");
+    return `Needs the ${PERMISSION_ACTIONS[action]} permission on ${PERMISSION_RESOURCES[resource].label}.`;
+};
+
+const operation = (access, summary, { parameters = [], body, ok, status = 200, errors = [] }) => ({
+    summary,
+    description: describeAccess(access),
+    ...(access === "public" ? { security: [] } : {}),
+    ...(parameters.length > 0 ? { parameters } : {}),
+    ...(body ? { requestBody: { required: true, ...json(body) } } : {}),
+    responses: {
+        [status]: { description: "Success", ...ok },
+        ...Object.fromEntries(
+            [...(access === "public" ? [] : [401, 403]), ...errors]
+                .filter(Boolean)
+                .map((code) => [code, ERRORS[code]])
+        ),
+    },
+});
+
+const deleted = (key) => json({ type: "object", properties: { data: { type: "object", properties: { [key]: { type: "integer" } } } } });
+
+const buildSpec = () => ({
+    openapi: "3.0.3",
+    info: {
+        title: "Ella Rises API",
+        version: "1.0.0",
+        description:
+            "JSON access to the Ella Rises data. Lists take the same search, filter and sort parameters as the " +
+            "matching pages of the site. Authenticate with the session cookie from /login, or send an API token " +
+            "(created by an admin on the Users page) as \"Authorization: Bearer <token>\"; a token only reaches " +
+            "the resources it is scoped to. " +
+            "Deleting a record moves it to the recycle bin.",
+    },
+    servers: [{ url: "/api/v1" }],
+    security: [{ session: [] }, { bearer: [] }],
+    paths: {
+        "/participants": {
+            get: operation("participants:view", "List participants", {
+                parameters: [search, ...sorting(["lastname", "firstname", "email"], "lastname", "asc"), ...paging],
+                ok: page("Participant"),
+                errors: [400],
+            }),
+            post: operation("participants:create", "Add a participant", {
+                body: ref("ParticipantInput"),
+                ok: one("Participant"),
+                status: 201,
+                errors: [400, 409],
+            }),
+        },
+        "/participants/{id}": {
+            get: operation("participants:view", "A participant with their milestones and registrations", {
+                parameters: [idParam],
+                ok: one("Participant"),
+                errors: [404],
+            }),
+            patch: operation("participants:edit", "Update a participant", {
+                parameters: [idParam],
+                body: ref("ParticipantInput"),
+                ok: one("Participant"),
+                errors: [400, 404, 409],
+            }),
+            delete: operation("participants:delete", "Delete a participant and cancel their upcoming registrations", {
+                parameters: [idParam],
+                ok: deleted("participantid"),
+                errors: [404],
+            }),
+        },
+        "/events": {
+            get: operation("public", "List events", {
+                parameters: [search, query("type", "Event type"), ...paging],
+                ok: page("Event"),
+                errors: [400],
+            }),
+            post: operation("events:create", "Add an event; a recurrence rule creates one occurrence per date", {
+                body: ref("EventInput"),
+                ok: one("Event"),
+                status: 201,
+                errors: [400],
+            }),
+        },
+        "/events/{id}": {
+            get: operation("public", "An event with its occurrences", {
+                parameters: [idParam],
+                ok: one("Event"),
+                errors: [404],
+            }),
+            patch: operation("events:edit", "Update event details shared by every occurrence", {
+                parameters: [idParam],
+                body: ref("EventUpdate"),
+                ok: one("Event"),
+                errors: [400, 404],
+            }),
+            delete: operation("events:delete", "Delete an event and all of its dates", {
+                parameters: [idParam],
+                ok: deleted("eventid"),
+                errors: [404],
+            }),
+        },
+        "/occurrences": {
+            get: operation("public", "List event occurrences", {
+                parameters: [
+                    query("when", "Which dates to list", { type: "string", enum: ["upcoming", "past", "all"], default: "upcoming" }),
+                    search,
+                    query("type", "Event type"),
+                    query("start", "Starting on or after", { type: "string", format: "date" }),
+                    query("end", "Starting on or before", { type: "string", format: "date" }),
+                    ...paging,
+                ],
+                ok: page("Occurrence"),
+                errors: [400],
+            }),
+        },
+        "/occurrences/{id}": {
+            get: operation("public", "An event occurrence", {
+                parameters: [idParam],
+                ok: one("Occurrence"),
+                errors: [404],
+            }),
+            patch: operation("events:edit", "Reschedule, cancel or restore one occurrence", {
+                parameters: [idParam],
+                body: ref("OccurrenceInput"),
+                ok: one("Occurrence"),
+                errors: [400, 404],
+            }),
+        },
+        "/occurrences/{id}/registrations": {
+            get: operation("attendance:view", "Sign-ups and attendance for an occurrence", {
+                parameters: [idParam, query("status", "Registration status", toProperty(schemas.registration.registrationstatus))],
+                ok: many("Registration"),
+                errors: [400, 404],
+            }),
+        },
+        "/surveys": {
+            get: operation("surveys:view", "List surveys", {
+                parameters: [
+                    search,
+                    query("date", "Event date", { type: "string", format: "date" }),
+                    query("event", "Event id", { type: "integer" }),
+                    query("score", "Minimum overall score", { type: "integer" }),
+                    query("nps", "NPS bucket", toProperty(schemas.survey.surveynpsbucket)),
+                    ...paging,
+                ],
+                ok: page("Survey"),
+                errors: [400],
+            }),
+            post: operation("surveys:create", "Record a Standard questionnaire survey; the overall score and NPS bucket are calculated", {
+                body: ref("SurveyInput"),
+                ok: one("Survey"),
+                status: 201,
+                errors: [400, 409],
+            }),
+        },
+        "/surveys/{id}": {
+            get: operation("surveys:view", "A survey", { parameters: [idParam], ok: one("Survey"), errors: [404] }),
+            patch: operation("surveys:edit", "Update a survey", {
+                parameters: [idParam],
+                body: ref("SurveyInput"),
+                ok: one("Survey"),
+                errors: [400, 404, 409],
+            }),
+            delete: operation("surveys:delete", "Delete a survey", {
+                parameters: [idParam],
+                ok: deleted("surveyid"),
+                errors: [404],
+            }),
+        },
+        "/milestones": {
+            get: operation("milestones:view", "List milestone awards", {
+                parameters: [
+                    search,
+                    query("title", "Exact milestone title"),
+                    query("participant", "Participant id", { type: "integer" }),
+                    ...paging,
+                ],
+                ok: page("Milestone"),
+                errors: [400],
+            }),
+            post: operation("milestones:create", "Award a catalog title to participants; current holders are skipped", {
+                body: ref("MilestoneAward"),
+                ok: json({
+                    type: "object",
+                    properties: {
+                        data: {
+                            type: "object",
+                            properties: {
+                                title: { type: "string" },
+                                awarded: { type: "integer" },
+                                skipped: { type: "integer" },
+                            },
+                        },
+                    },
+                }),
+                status: 201,
+                errors: [400, 422],
+            }),
+        },
+        "/milestones/{id}": {
+            get: operation("milestones:view", "A milestone award", { parameters: [idParam], ok: one("Milestone"), errors: [404] }),
+            patch: operation("milestones:edit", "Change an award's title or date", {
+                parameters: [idParam],
+                body: ref("MilestoneInput"),
+                ok: one("Milestone"),
+                errors: [400, 404, 422],
+            }),
+            delete: operation("milestones:delete", "Remove a milestone award", {
+                parameters: [idParam],
+                ok: deleted("milestoneid"),
+                errors: [404],
+            }),
+        },
+        "/milestone-titles": {
+            get: operation("milestones:view", "The milestone title catalog", { ok: many("MilestoneTitle") }),
+            post: operation("milestones:edit", "Add a catalog title", {
+                body: ref("MilestoneTitleInput"),
+                ok: one("MilestoneTitle"),
+                status: 201,
+                errors: [400, 422],
+            }),
+        },
+        "/milestone-titles/{id}": {
+            patch: operation("milestones:edit", "Rename, describe or retire a title; a rename carries over to its awards", {
+                parameters: [idParam],
+                body: ref("MilestoneTitleInput"),
+                ok: one("MilestoneTitle"),
+                errors: [400, 404, 422],
+            }),
+            delete: operation("milestones:edit", "Remove a title nobody holds", {
+                parameters: [idParam],
+                ok: deleted("milestonetitleid"),
+                errors: [404, 422],
+            }),
+        },
+        "/donations": {
+            get: operation("donations:view", "List donations", {
+                parameters: [search, ...sorting(["donor", "date", "amount"], "date", "desc"), ...paging],
+                ok: page("Donation"),
+                errors: [400],
+            }),
+            post: operation("public", "Record a donation; donorid and the payment fields need the Create permission on Donations, participantid also View on Participants", {
+                body: ref("DonationInput"),
+                ok: one("Donation"),
+                status: 201,
+                errors: [400, 403],
+            }),
+        },
+        "/donations/{id}": {
+            get: operation("donations:view", "A donation", { parameters: [idParam], ok: one("Donation"), errors: [404] }),
+            patch: operation("donations:edit", "Update a donation", {
+                parameters: [idParam],
+                body: ref("DonationUpdate"),
+                ok: one("Donation"),
+                errors: [400, 404],
+            }),
+            delete: operation("donations:delete", "Delete a donation", {
+                parameters: [idParam],
+                ok: deleted("donationid"),
+                errors: [404],
+            }),
+        },
+        "/users": {
+            get: operation("users:view", "List user accounts", {
+                parameters: [search, ...sorting(["username", "role"], "username", "asc"), ...paging],
+                ok: page("User"),
+                errors: [400],
+            }),
+            post: operation("users:create", "Add a user account", {
+                body: ref("UserInput"),
+                ok: one("User"),
+                status: 201,
+                errors: [400, 409],
+            }),
+        },
+        "/users/{id}": {
+            get: operation("users:view", "A user account", { parameters: [idParam], ok: one("User"), errors: [404] }),
+            patch: operation("users:edit", "Update a user account", {
+                parameters: [idParam],
+                body: ref("UserInput"),
+                ok: one("User"),
+                errors: [400, 404, 409],
+            }),
+            delete: operation("users:delete", "Delete a user account (not your own)", {
+                parameters: [idParam],
+                ok: deleted("id"),
+                errors: [404, 422],
+            }),
+        },
+    },
+    components: {
+        securitySchemes: {
+            session: { type: "apiKey", in: "cookie", name: "connect.sid" },
+            bearer: { type: "http", scheme: "bearer", description: "API token" },
+        },
+        schemas: {
+            Error: {
+                type: "object",
+                properties: {
+                    error: {
+                        type: "object",
+                        required: ["status", "code", "message"],
+                        properties: {
+                            status: { type: "integer" },
+                            code: { type: "string" },
+                            message: { type: "string" },
+                            details: {
+                                type: "array",
+                                items: {
+                                    type: "object",
+                                    properties: { field: { type: "string" }, message: { type: "string" } },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+            PageMeta: {
+                type: "object",
+                properties: {
+                    page: { type: "integer" },
+                    pageSize: { type: "integer" },
+                    total: { type: "integer" },
+                    totalPages: { type: "integer" },
+                },
+            },
+            Participant: toSchema(schemas.participant),
+            ParticipantInput: toSchema(schemas.participant, { forWrite: true }),
+            Event: toSchema(schemas.event),
+            EventInput: toSchema(schemas.eventCreate, { forWrite: true }),
+            EventUpdate: toSchema(schemas.event, { forWrite: true }),
+            Occurrence: toSchema(schemas.occurrence),
+            OccurrenceInput: toSchema(schemas.occurrence, { forWrite: true }),
+            Registration: toSchema(schemas.registration),
+            Survey: toSchema(schemas.survey),
+            SurveyInput: toSchema(schemas.survey, { forWrite: true }),
+            Milestone: toSchema(schemas.milestone),
+            MilestoneInput: toSchema(schemas.milestone, { forWrite: true }),
+            MilestoneAward: toSchema(schemas.milestoneAward, { forWrite: true }),
+            MilestoneTitle: toSchema(schemas.milestoneTitle),
+            MilestoneTitleInput: toSchema(schemas.milestoneTitle, { forWrite: true }),
+            Donation: toSchema(schemas.donation),
+            DonationInput: toSchema(schemas.donationCreate, { forWrite: true }),
+            DonationUpdate: toSchema(schemas.donation, { forWrite: true }),
+            User: toSchema(schemas.user),
+            UserInput: toSchema(schemas.userWrite, { forWrite: true }),
+        },
+    },
+});
+
+module.exports = { buildSpec };
@@ -0,0 +1,93 @@
+const express = require("express");
+
+const db = require("../../config/db");
+const { requirePermission } = require("../../middleware/auth");
+const { participantSortMap, participantSearch } = require("../../services/listQueries");
+const { auditActor, auditInsert, auditUpdate } = require("../../services/audit");
+const { softDelete } = require("../../services/recycleBin");
+const schemas = require("./schemas");
+const { route, readPaging, readSort, paginate, notFound, readBody } = require("./helpers");
+
+const router = express.Router();
+
+const columns = Object.keys(schemas.participant);
+
+const findParticipant = (id) =>
+    db("participants").select(columns).where({ participantid: id }).whereNull("participantdeletedat").first();
+
+// Same ?search= and sort keys as /participants
+router.get("/participants", requirePermission("participants", "view"), route(async (req, res) => {
+    const paging = readPaging(req.query);
+    const sort = readSort(req.query, participantSortMap, { sortBy: "lastname", sortOrder: "asc" });
+
+    const base = db("participants").where(participantSearch((req.query.search || "").trim()));
+    res.json(await paginate(base, paging, (query) =>
+        query.select(columns).orderBy(sort.column, sort.sortOrder).orderBy("participantid", "asc")
+    ));
+}));
+
+router.get("/participants/:id", requirePermission("participants", "view"), route(async (req, res) => {
+    const participant = await findParticipant(req.params.id);
+    if (!participant) {
+        throw notFound("participant");
+    }
+
+    const [milestones, registrations] = await Promise.all([
+        db("milestones")
+            .where({ participantid: participant.participantid })
+            .select("milestoneid", "milestonetitle", "milestonedate")
+            .orderBy("milestonedate", "desc"),
+        db("eventregistrations as r")
+            .join("eventoccurrences as eo", "r.eventoccurrenceid", "eo.eventoccurrenceid")
+            .join("events as e", "eo.eventid", "e.eventid")
+            .where("r.participantid", participant.participantid)
+            .whereNull("e.eventdeletedat")
+            .select(
+                "r.eventregistrationid",
+                "r.eventoccurrenceid",
+                "r.registrationstatus",
+                "r.registrationdate",
+                "r.registrationattended",
+                "e.eventname",
+                "eo.eventdatetimestart"
+            )
+            .orderBy("eo.eventdatetimestart", "desc"),
+    ]);
+    res.json({ data: { ...participant, milestones, registrations } });
+}));
+
+router.post("/participants", requirePermission("participants", "create"), route(async (req, res) => {
+    const values = readBody(req.body, schemas.participant);
+    const [created] = await db.transaction((trx) => auditInsert(trx, auditActor(req), "participants", values));
+    res.status(201).json({ data: await findParticipant(created.participantid) });
+}));
+
+router.patch("/participants/:id", requirePermission("participants", "edit"), route(async (req, res) => {
+    const values = readBody(req.body, schemas.participant, { partial: true });
+    const [updated] = await db.transaction((trx) =>
+        auditUpdate(
+            trx,
+            auditActor(req),
+            "participants",
+            (qb) => qb.where({ participantid: req.params.id }).whereNull("participantdeletedat"),
+            values
+        )
+    );
+    if (!updated) {
+        throw notFound("participant");
+    }
+    res.json({ data: await findParticipant(updated.participantid) });
+}));
+
+// Moves the participant to the recycle bin and cancels their upcoming registrations
+router.delete("/participants/:id", requirePermission("participants", "delete"), route(async (req, res) => {
+    if (!(await findParticipant(req.params.id))) {
+        throw notFound("participant");
+    }
+    const cancelledRegistrations = await db.transaction((trx) =>
+        softDelete(trx, auditActor(req), "participants", req.params.id)
+    );
+    res.json({ data: { participantid: Number(req.params.id), cancelledRegistrations } });
+}));
+
+module.exports = router;
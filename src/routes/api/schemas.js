@@ -0,0 +1,202 @@
+const { FREQUENCIES } = require("../../services/recurrence");
+const { PAYMENT_METHODS } = require("../../services/donors");
+
+// Field definitions for each API resource. Property names are the database
+// column names, as in the HTML forms and the CSV exports. readBody() checks
+// request bodies against them and openapi.js documents them; readOnly fields
+// appear in responses but can't be written.
+
+const participant = {
+    participantid: { type: "integer", readOnly: true },
+    participantfirstname: { type: "string", required: true, maxLength: 255 },
+    participantlastname: { type: "string", required: true, maxLength: 255 },
+    participantemail: { type: "string", required: true, maxLength: 255 },
+    participantphone: { type: "string", maxLength: 50 },
+    participantdob: { type: "date" },
+    participantrole: { type: "string", maxLength: 100 },
+    participantcity: { type: "string", maxLength: 100 },
+    participantstate: { type: "string", maxLength: 50 },
+    participantzip: { type: "string", maxLength: 20 },
+    participantschooloremployer: { type: "string", maxLength: 255 },
+    participantfieldofinterest: { type: "string", maxLength: 255 },
+};
+
+// Event details shared by every occurrence
+const event = {
+    eventid: { type: "integer", readOnly: true },
+    eventname: { type: "string", required: true, maxLength: 255 },
+    eventtype: { type: "string", required: true, maxLength: 100 },
+    eventdescription: { type: "string" },
+    eventdefaultcapacity: { type: "integer", minimum: 0 },
+    eventrecurrencepattern: { type: "string", enum: Object.keys(FREQUENCIES), readOnly: true },
+    eventrecurrenceuntil: { type: "date", readOnly: true },
+    eventrecurrencecount: { type: "integer", readOnly: true },
+    recurrencetext: { type: "string", readOnly: true, description: "Readable recurrence rule" },
+};
+
+// A new event: its details, the first occurrence, and an optional recurrence
+// rule that expands into one occurrence per date
+const eventCreate = {
+    eventname: event.eventname,
+    eventtype: event.eventtype,
+    eventdescription: event.eventdescription,
+    eventdefaultcapacity: event.eventdefaultcapacity,
+    eventrecurrencepattern: { type: "string", enum: Object.keys(FREQUENCIES) },
+    eventrecurrenceuntil: { type: "date", description: "Last date of a recurring event" },
+    eventrecurrencecount: { type: "integer", minimum: 1, description: "Number of occurrences of a recurring event" },
+    eventdatetimestart: { type: "datetime", required: true, description: "Start of the first occurrence" },
+    eventdatetimeend: { type: "datetime", required: true, description: "End of the first occurrence" },
+    eventlocation: { type: "string", maxLength: 255 },
+    eventregistrationdeadline: { type: "datetime", description: "Registration deadline of the first occurrence" },
+};
+
+const occurrence = {
+    eventoccurrenceid: { type: "integer", readOnly: true },
+    eventid: { type: "integer", readOnly: true },
+    eventname: { type: "string", readOnly: true },
+    eventtype: { type: "string", readOnly: true },
+    eventdatetimestart: { type: "datetime", required: true },
+    eventdatetimeend: { type: "datetime", required: true },
+    eventlocation: { type: "string", maxLength: 255 },
+    eventcapacity: { type: "integer", minimum: 0, description: "Overrides the event's default capacity" },
+    eventregistrationdeadline: { type: "datetime" },
+    eventoccurrencecancelled: { type: "boolean" },
+    capacity: { type: "integer", readOnly: true, description: "Effective capacity" },
+    registeredcount: { type: "integer", readOnly: true },
+    attendedcount: { type: "integer", readOnly: true },
+};
+
+const registration = {
+    eventregistrationid: { type: "integer", readOnly: true },
+    eventoccurrenceid: { type: "integer", readOnly: true },
+    participantid: { type: "integer", readOnly: true },
+    participantfirstname: { type: "string", readOnly: true },
+    participantlastname: { type: "string", readOnly: true },
+    participantemail: { type: "string", readOnly: true },
+    registrationstatus: { type: "string", enum: ["Registered", "Waitlisted", "Cancelled"], readOnly: true },
+    registrationdate: { type: "datetime", readOnly: true },
+    registrationattended: { type: "boolean", readOnly: true },
+    registrationcheckedinat: { type: "datetime", readOnly: true },
+};
+
+const score = { type: "integer", required: true, minimum: 1, maximum: 5 };
+
+const survey = {
+    surveyid: { type: "integer", readOnly: true },
+    participantid: { type: "integer", required: true },
+    eventoccurrenceid: { type: "integer", required: true },
+    surveytemplateid: {
+        type: "integer",
+        readOnly: true,
+        description: "The questionnaire answered. The score and comment fields hold Standard questionnaire answers and are empty for other questionnaires.",
+    },
+    surveysatisfactionscore: score,
+    surveyusefulnessscore: score,
+    surveyinstructorscore: score,
+    surveyrecommendationscore: score,
+    surveycomments: { type: "string" },
+    surveyoverallscore: { type: "number", readOnly: true },
+    surveynpsbucket: { type: "string", enum: ["Promoter", "Passive", "Detractor"], readOnly: true },
+    participantfirstname: { type: "string", readOnly: true },
+    participantlastname: { type: "string", readOnly: true },
+    eventid: { type: "integer", readOnly: true },
+    eventname: { type: "string", readOnly: true },
+    eventdatetimestart: { type: "datetime", readOnly: true },
+};
+
+const milestone = {
+    milestoneid: { type: "integer", readOnly: true },
+    participantid: { type: "integer", readOnly: true },
+    milestonetitle: { type: "string", required: true, description: "A title from the milestone catalog" },
+    milestonedate: { type: "date", required: true },
+    participantfirstname: { type: "string", readOnly: true },
+    participantlastname: { type: "string", readOnly: true },
+};
+
+// Awarding one catalog title to several participants at once
+const milestoneAward = {
+    participantids: { type: "array", items: { type: "integer" }, required: true },
+    milestonetitle: milestone.milestonetitle,
+    milestonedate: milestone.milestonedate,
+};
+
+const milestoneTitle = {
+    milestonetitleid: { type: "integer", readOnly: true },
+    milestonetitle: { type: "string", required: true, maxLength: 255 },
+    milestonetitledescription: { type: "string" },
+    milestonetitleactive: { type: "boolean" },
+    awardcount: { type: "integer", readOnly: true },
+};
+
+const donation = {
+    donationid: { type: "integer", readOnly: true },
+    donorid: { type: "integer", readOnly: true },
+    donorname: { type: "string", readOnly: true },
+    participantid: { type: "integer", readOnly: true, description: "The participant linked to the donor, if any" },
+    donationdate: { type: "date", required: true },
+    donationamount: { type: "number", required: true, minimum: 0.01 },
+    donationmethod: { type: "string", enum: PAYMENT_METHODS },
+    donationdesignation: { type: "string", maxLength: 100, description: "Program or campaign the gift is for" },
+    donationreference: { type: "string", maxLength: 100, description: "Check number or payment reference" },
+    donationnotes: { type: "string" },
+    pledgeid: { type: "integer", description: "A pledge of the same donor this gift pays toward" },
+    campaignid: { type: "integer", description: "The fundraising campaign the gift is attributed to" },
+    campaignname: { type: "string", readOnly: true },
+    donationprocessor: { type: "string", readOnly: true, description: "Stripe or PayPal, for gifts imported from a payment export" },
+    donationtransactionid: { type: "string", readOnly: true },
+    donationpayoutid: { type: "string", readOnly: true },
+    donationfee: { type: "number", readOnly: true, description: "What the processor kept (gross minus net)" },
+    donationrefundof: { type: "integer", readOnly: true, description: "For a refund (a negative amount), the gift it reverses" },
+};
+
+// A new donation goes to an existing donor (staff only), to the donor profile
+// of an existing participant (staff only), or to a new donor made from the
+// name, like the Add Donation form
+const donationCreate = {
+    donorid: { type: "integer", description: "Existing donor (staff only)" },
+    participantid: { type: "integer", description: "Existing participant whose donor profile gets the gift (staff only)" },
+    firstname: { type: "string", maxLength: 255, description: "Donor first name when no donorid or participantid is given" },
+    lastname: { type: "string", maxLength: 255, description: "Donor last name when no donorid or participantid is given" },
+    organization: { type: "string", maxLength: 255, description: "Makes the new donor an organization" },
+    email: { type: "string", maxLength: 255, description: "New donor's email, for their receipt" },
+    donationdate: donation.donationdate,
+    donationamount: donation.donationamount,
+    donationdesignation: donation.donationdesignation,
+    donationmethod: { ...donation.donationmethod, description: "Staff only" },
+    donationreference: { ...donation.donationreference, description: "Staff only" },
+    donationnotes: { ...donation.donationnotes, description: "Staff only" },
+    pledgeid: { ...donation.pledgeid, description: "A pledge of the chosen donor (staff only)" },
+    campaignid: { ...donation.campaignid, description: "A campaign; without the Create permission on Donations, one that is running" },
+};
+
+// Passwords are write-only: they are hashed on the way in and never returned
+const user = {
+    id: { type: "integer", readOnly: true },
+    username: { type: "string", required: true, maxLength: 255 },
+    useremail: { type: "string", maxLength: 255, description: "Where password reset links are sent" },
+    roleid: { type: "integer", required: true, description: "The user's role; see the Roles page" },
+    rolename: { type: "string", readOnly: true },
+};
+
+const userWrite = {
+    username: user.username,
+    useremail: user.useremail,
+    roleid: user.roleid,
+    password: { type: "string", required: true, writeOnly: true, description: "Must meet the password policy" },
+};
+
+module.exports = {
+    participant,
+    event,
+    eventCreate,
+    occurrence,
+    registration,
+    survey,
+    milestone,
+    milestoneAward,
+    milestoneTitle,
+    donation,
+    donationCreate,
+    user,
+    userWrite,
+};
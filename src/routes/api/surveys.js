@@ -0,0 +1,152 @@
+const express = require("express");
+
+const db = require("../../config/db");
+const { requirePermission } = require("../../middleware/auth");
+const { ApiError } = require("../../middleware/api");
+const { canSubmitSurvey, hasSurvey } = require("../../services/registrations");
+const { LEGACY_COLUMNS, standardTemplate, saveStandardResponse } = require("../../services/surveyTemplates");
+const { surveyBaseQuery, surveyFilters } = require("../../services/listQueries");
+const { auditActor, auditUpdate } = require("../../services/audit");
+const { softDelete } = require("../../services/recycleBin");
+const schemas = require("./schemas");
+const { route, readPaging, readIntegerParam, paginate, notFound, readBody } = require("./helpers");
+
+const router = express.Router();
+
+const surveySelect = [
+    "surveys.surveyid",
+    "surveys.participantid",
+    "surveys.eventoccurrenceid",
+    "surveys.surveytemplateid",
+    "surveys.surveysatisfactionscore",
+    "surveys.surveyusefulnessscore",
+    "surveys.surveyinstructorscore",
+    "surveys.surveyrecommendationscore",
+    "surveys.surveycomments",
+    "surveys.surveyoverallscore",
+    "surveys.surveynpsbucket",
+    "participants.participantfirstname",
+    "participants.participantlastname",
+    "events.eventid",
+    "events.eventname",
+    "eventoccurrences.eventdatetimestart",
+];
+
+const findSurvey = (id) =>
+    surveyBaseQuery().where("surveys.surveyid", id).select(surveySelect).first();
+
+// The participant and occurrence a survey points at must exist and not be deleted
+const checkReferences = async ({ participantid, eventoccurrenceid }) => {
+    const details = [];
+    if (participantid !== undefined) {
+        const participant = await db("participants")
+            .where({ participantid })
+            .whereNull("participantdeletedat")
+            .first();
+        if (!participant) {
+            details.push({ field: "participantid", message: "does not match a participant" });
+        }
+    }
+    if (eventoccurrenceid !== undefined) {
+        const occurrence = await db("eventoccurrences as eo")
+            .join("events as e", "eo.eventid", "e.eventid")
+            .where("eo.eventoccurrenceid", eventoccurrenceid)
+            .whereNull("e.eventdeletedat")
+            .first();
+        if (!occurrence) {
+            details.push({ field: "eventoccurrenceid", message: "does not match an event occurrence" });
+        }
+    }
+    if (details.length > 0) {
+        throw new ApiError(400, "invalid_body", "Some fields are missing or invalid.", details);
+    }
+};
+
+// Same filters as /surveys: ?date=, ?event=, ?score= (minimum), ?nps= and ?search=
+router.get("/surveys", requirePermission("surveys", "view"), route(async (req, res) => {
+    const paging = readPaging(req.query);
+    const { date, nps } = req.query;
+    const event = readIntegerParam(req.query, "event");
+    const score = readIntegerParam(req.query, "score");
+    const searchTerm = (req.query.search || "").trim();
+
+    if (date && Number.isNaN(Date.parse(date))) {
+        throw new ApiError(400, "invalid_query", "date must be a date (YYYY-MM-DD).");
+    }
+    if (nps && !schemas.survey.surveynpsbucket.enum.includes(nps)) {
+        throw new ApiError(400, "invalid_query", "nps must be Promoter, Passive or Detractor.");
+    }
+
+    const base = surveyBaseQuery().modify(surveyFilters({ date, event, score, nps, searchTerm }));
+    res.json(await paginate(base, paging, (query) =>
+        query.select(surveySelect).orderBy("surveys.surveyid", "desc")
+    ));
+}));
+
+router.get("/surveys/:id", requirePermission("surveys", "view"), route(async (req, res) => {
+    const survey = await findSurvey(req.params.id);
+    if (!survey) {
+        throw notFound("survey");
+    }
+    res.json({ data: survey });
+}));
+
+// Record a survey (like /addSurvey; respondents use survey links). The API
+// speaks the Standard questionnaire; the overall score and NPS bucket are
+// calculated, not sent.
+router.post("/surveys", requirePermission("surveys", "create"), route(async (req, res) => {
+    const values = readBody(req.body, schemas.survey);
+    await checkReferences(values);
+
+    if (!(await canSubmitSurvey(values.participantid, values.eventoccurrenceid))) {
+        throw new ApiError(403, "forbidden", "Surveys for this event are limited to people who attended it.");
+    }
+    if (await hasSurvey(db, values.participantid, values.eventoccurrenceid)) {
+        throw new ApiError(409, "conflict", "That participant already has a survey for this occurrence.");
+    }
+
+    const created = await db.transaction((trx) => saveStandardResponse(trx, auditActor(req), values));
+    res.status(201).json({ data: await findSurvey(created.surveyid) });
+}));
+
+router.patch("/surveys/:id", requirePermission("surveys", "edit"), route(async (req, res) => {
+    const values = readBody(req.body, schemas.survey, { partial: true });
+    await checkReferences(values);
+
+    const updated = await db.transaction(async (trx) => {
+        const existing = await trx("surveys").where({ surveyid: req.params.id }).whereNull("surveydeletedat").first();
+        if (!existing) {
+            return null;
+        }
+        const merged = { ...existing, ...values };
+        if (await hasSurvey(trx, merged.participantid, merged.eventoccurrenceid, existing.surveyid)) {
+            throw new ApiError(409, "conflict", "That participant already has a survey for this occurrence.");
+        }
+        if (!LEGACY_COLUMNS.some((column) => values[column] !== undefined)) {
+            const [row] = await auditUpdate(trx, auditActor(req), "surveys", { surveyid: existing.surveyid }, values);
+            return row;
+        }
+
+        // Answers only exist as these fields on Standard responses
+        const standard = await standardTemplate(trx);
+        if (existing.surveytemplateid !== standard.surveytemplateid) {
+            throw new ApiError(409, "conflict", "This survey used a custom questionnaire; change its answers in the app.");
+        }
+        // Re-score from the saved answers plus whatever changed
+        return saveStandardResponse(trx, auditActor(req), merged);
+    });
+    if (!updated) {
+        throw notFound("survey");
+    }
+    res.json({ data: await findSurvey(updated.surveyid) });
+}));
+
+router.delete("/surveys/:id", requirePermission("surveys", "delete"), route(async (req, res) => {
+    if (!(await db("surveys").where({ surveyid: req.params.id }).whereNull("surveydeletedat").first())) {
+        throw notFound("survey");
+    }
+    await db.transaction((trx) => softDelete(trx, auditActor(req), "surveys", req.params.id));
+    res.json({ data: { surveyid: Number(req.params.id) } });
+}));
+
+module.exports = router;
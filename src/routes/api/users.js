@@ -0,0 +1,126 @@
+const express = require("express");
+const bcrypt = require("bcrypt");
+
+const db = require("../../config/db");
+const { requirePermission, currentUser } = require("../../middleware/auth");
+const { ApiError } = require("../../middleware/api");
+const { userSortMap, userSearch, usersWithRoles } = require("../../services/listQueries");
+const { auditActor, auditInsert, auditUpdate } = require("../../services/audit");
+const { softDelete } = require("../../services/recycleBin");
+const { checkPassword } = require("../../services/passwordPolicy");
+const { RoleError, assignableRole, assertCanManage, reassignRole } = require("../../services/roles");
+const schemas = require("./schemas");
+const { route, readPaging, readSort, paginate, notFound, readBody } = require("./helpers");
+
+const router = express.Router();
+
+// Password hashes are never sent back
+const userColumns = ["users.id", "users.username", "users.useremail", "users.roleid", "roles.rolename"];
+
+const findUser = (id) => usersWithRoles().select(userColumns).where("users.id", id).whereNull("users.userdeletedat").first();
+
+const saltRounds = 10;
+
+// Deleted users keep their username and email until purged
+const usernameTaken = (err) =>
+    err.code === "23505"
+        ? new ApiError(409, "conflict", "Username or email is already in use (check the recycle bin).")
+        : err;
+
+// Role rules (assigning more access than you have etc.) come back as 403s
+const roleRefused = (err) => (err instanceof RoleError ? new ApiError(403, "forbidden", err.message) : err);
+
+// Same password policy as the account forms
+const assertPasswordPolicy = (password, username) => {
+    const problems = checkPassword(password, { username });
+    if (problems.length > 0) {
+        throw new ApiError(400, "invalid_body", "Some fields are missing or invalid.",
+            problems.map((message) => ({ field: "password", message })));
+    }
+};
+
+// Same ?search= and sort keys as /users
+router.get("/users", requirePermission("users", "view"), route(async (req, res) => {
+    const paging = readPaging(req.query);
+    const sort = readSort(req.query, userSortMap, { sortBy: "username", sortOrder: "asc" });
+
+    const base = usersWithRoles().where(userSearch((req.query.search || "").trim()));
+    res.json(await paginate(base, paging, (query) =>
+        query.select(userColumns).orderBy(sort.column, sort.sortOrder).orderBy("users.id", "asc")
+    ));
+}));
+
+router.get("/users/:id", requirePermission("users", "view"), route(async (req, res) => {
+    const user = await findUser(req.params.id);
+    if (!user) {
+        throw notFound("user");
+    }
+    res.json({ data: user });
+}));
+
+router.post("/users", requirePermission("users", "create"), route(async (req, res) => {
+    const values = readBody(req.body, schemas.userWrite);
+    assertPasswordPolicy(values.password, values.username);
+    values.password = await bcrypt.hash(values.password, saltRounds);
+
+    const [created] = await db
+        .transaction(async (trx) => {
+            await assignableRole(trx, currentUser(req), values.roleid);
+            return auditInsert(trx, auditActor(req), "users", values);
+        })
+        .catch((err) => {
+            throw roleRefused(usernameTaken(err));
+        });
+    res.status(201).json({ data: await findUser(created.id) });
+}));
+
+router.patch("/users/:id", requirePermission("users", "edit"), route(async (req, res) => {
+    const values = readBody(req.body, schemas.userWrite, { partial: true });
+    if (values.password) {
+        const existing = values.username ? null : await findUser(req.params.id);
+        assertPasswordPolicy(values.password, values.username || (existing && existing.username));
+        values.password = await bcrypt.hash(values.password, saltRounds);
+        values.userpasswordchangedat = db.fn.now();
+    }
+
+    const [updated] = await db
+        .transaction(async (trx) => {
+            const target = await trx("users").where({ id: req.params.id }).whereNull("userdeletedat").first();
+            if (!target) {
+                return [];
+            }
+            await assertCanManage(trx, currentUser(req), target);
+            if (values.roleid) {
+                values.roleid = await reassignRole(trx, currentUser(req), target, values.roleid);
+            }
+            return auditUpdate(trx, auditActor(req), "users", { id: target.id }, values);
+        })
+        .catch((err) => {
+            throw roleRefused(usernameTaken(err));
+        });
+    if (!updated) {
+        throw notFound("user");
+    }
+    res.json({ data: await findUser(updated.id) });
+}));
+
+router.delete("/users/:id", requirePermission("users", "delete"), route(async (req, res) => {
+    if (String(req.params.id) === String(currentUser(req).id)) {
+        throw new ApiError(422, "unprocessable", "You can't delete your own account.");
+    }
+    const target = await db("users").where({ id: req.params.id }).whereNull("userdeletedat").first();
+    if (!target) {
+        throw notFound("user");
+    }
+    await db
+        .transaction(async (trx) => {
+            await assertCanManage(trx, currentUser(req), target);
+            await softDelete(trx, auditActor(req), "users", req.params.id);
+        })
+        .catch((err) => {
+            throw roleRefused(err);
+        });
+    res.json({ data: { id: Number(req.params.id) } });
+}));
+
+module.exports = router;
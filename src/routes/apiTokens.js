@@ -0,0 +1,114 @@
+const express = require("express");
+
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const { auditActor } = require("../services/audit");
+const {
+    ApiTokenError,
+    TOKEN_RESOURCES,
+    TOKEN_ACCESS,
+    TOKEN_EXPIRY,
+    listTokens,
+    createToken,
+    revokeToken,
+} = require("../services/apiTokens");
+const { allPermissions, permissionsWithin } = require("../services/permissions");
+const { RoleError, assertCanManage } = require("../services/roles");
+
+const router = express.Router();
+
+// A token can't reach more than the person creating it could: a service token
+// acts as an admin, and a personal one as its owner
+const assertCanIssue = async (trx, user, { kind, userid }) => {
+    if (kind === "Service" && !permissionsWithin(allPermissions(), user.permissions)) {
+        throw new RoleError("Only admins can create service tokens, since they act as an admin.");
+    }
+    const owner = kind === "Personal" && userid ? await trx("users").where({ id: userid }).first() : null;
+    if (owner) {
+        await assertCanManage(trx, user, owner);
+    }
+};
+
+// Back to the token list, keeping the ?user= filter
+const tokensPage = (userid) => (userid ? `/apiTokens?user=${encodeURIComponent(userid)}` : "/apiTokens");
+
+// Personal and service tokens; ?user= shows one user's personal tokens
+router.get("/apiTokens", requirePermission("users", "edit"), async (req, res) => {
+    const userid = parseInt(req.query.user, 10) || null;
+
+    try {
+        const [tokens, users] = await Promise.all([
+            listTokens({ userid }),
+            db("users as u")
+                .join("roles as r", "u.roleid", "r.roleid")
+                .select("u.id", "u.username", "r.rolename")
+                .whereNull("u.userdeletedat")
+                .orderBy("u.username"),
+        ]);
+
+        // A new token is shown once, right after it is created
+        const newToken = req.session.newApiToken || null;
+        delete req.session.newApiToken;
+
+        res.render("users/apiTokens", {
+            tokens,
+            users,
+            filterUser: users.find((u) => u.id === userid) || null,
+            newToken,
+            resources: TOKEN_RESOURCES,
+            access: TOKEN_ACCESS,
+            expiry: TOKEN_EXPIRY,
+            now: new Date(),
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading API tokens:", err);
+        res.status(500).send("Error loading API tokens");
+    }
+});
+
+router.post("/apiTokens", requirePermission("users", "edit"), async (req, res) => {
+    const scopes = {};
+    for (const resource of Object.keys(TOKEN_RESOURCES)) {
+        scopes[resource] = req.body[`scope_${resource}`];
+    }
+
+    try {
+        const { token, secret } = await db.transaction(async (trx) => {
+            await assertCanIssue(trx, req.session.user, req.body);
+            return createToken(trx, auditActor(req), {
+                name: req.body.name,
+                kind: req.body.kind,
+                userid: req.body.userid,
+                scopes,
+                expiresIn: req.body.expires,
+            });
+        });
+        req.session.newApiToken = { name: token.apitokenname, secret };
+    } catch (err) {
+        if (err instanceof ApiTokenError || err instanceof RoleError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error creating API token:", err);
+            req.flash("error", "Unable to create API token.");
+        }
+    }
+    res.redirect(tokensPage(req.body.returnUser));
+});
+
+router.post("/apiTokens/:id/revoke", requirePermission("users", "edit"), async (req, res) => {
+    try {
+        const revoked = await db.transaction((trx) => revokeToken(trx, auditActor(req), req.params.id));
+        req.flash("success", `Token "${revoked.apitokenname}" revoked.`);
+    } catch (err) {
+        if (err instanceof ApiTokenError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error revoking API token:", err);
+            req.flash("error", "Unable to revoke API token.");
+        }
+    }
+    res.redirect(tokensPage(req.body.returnUser));
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require("express");
+
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const { AUDITED_TABLES, changedColumns, applyAuditFilters, recordHistory } = require("../services/audit");
+
+const router = express.Router();
+
+// A real calendar date as YYYY-MM-DD (2024-02-30 is not one)
+const isDate = (value) => {
+    if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Field-level changes for one log entry: what changed on update, the full
+// record on create/delete
+const withChanges = (entry) => {
+    const before = entry.auditbefore || {};
+    const after = entry.auditafter || {};
+    let columns;
+    if (entry.auditaction === "update") {
+        columns = changedColumns(before, after);
+    } else {
+        const snapshot = entry.auditaction === "create" ? after : before;
+        columns = Object.keys(snapshot).filter((column) => snapshot[column] !== null && snapshot[column] !== "");
+    }
+    return {
+        ...entry,
+        tablelabel: AUDITED_TABLES[entry.audittable] ? AUDITED_TABLES[entry.audittable].label : entry.audittable,
+        changes: columns.map((column) => ({ column, before: before[column], after: after[column] })),
+    };
+};
+
+// Global activity log with filters by user, table, action and date range.
+// Dates that aren't YYYY-MM-DD are ignored rather than sent to Postgres.
+router.get("/audit", requirePermission("audit", "view"), async (req, res) => {
+    const { userid, table, action, start, end } = req.query;
+    const filters = {
+        userid: parseInt(userid, 10) || "",
+        table: AUDITED_TABLES[table] ? table : "",
+        action: ["create", "update", "delete"].includes(action) ? action : "",
+        start: isDate(start) ? start : "",
+        end: isDate(end) ? end : "",
+    };
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const pageSize = 50;
+
+    try {
+        const base = db("auditlog").modify(applyAuditFilters, filters);
+
+        const [{ count }] = await base.clone().count("* as count");
+        const entries = await base
+            .clone()
+            .select("*")
+            .orderBy([
+                { column: "auditat", order: "desc" },
+                { column: "auditid", order: "desc" },
+            ])
+            .limit(pageSize)
+            .offset((page - 1) * pageSize);
+
+        const actors = await db("auditlog")
+            .distinct("audituserid", "auditusername")
+            .whereNotNull("audituserid")
+            .orderBy("auditusername");
+
+        const total = parseInt(count, 10) || 0;
+        res.render("audit/activity", {
+            entries: entries.map(withChanges),
+            actors,
+            tables: AUDITED_TABLES,
+            filters,
+            page,
+            totalPages: Math.max(Math.ceil(total / pageSize), 1),
+            total,
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading activity log:", err);
+        res.status(500).send("Error loading activity log");
+    }
+});
+
+// History of one record (and its child records), newest first
+router.get("/audit/:table/:id", requirePermission("audit", "view"), async (req, res) => {
+    const { table, id } = req.params;
+    if (!AUDITED_TABLES[table]) {
+        return res.status(404).send("Unknown record type");
+    }
+
+    try {
+        const entries = await recordHistory(table, id);
+        res.render("audit/history", {
+            entries: entries.map(withChanges),
+            table,
+            tableLabel: AUDITED_TABLES[table].label,
+            recordid: id,
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading record history:", err);
+        res.status(500).send("Error loading record history");
+    }
+});
+
+module.exports = router;
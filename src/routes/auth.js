@@ -2,13 +2,82 @@ const express = require("express");
 const bcrypt = require("bcrypt");
 
 const db = require("../config/db");
+const { passwordReset } = require("../config/auth");
+const { auditInsert } = require("../services/audit");
+const { memberRoleId } = require("../services/roles");
+const { checkPassword, passwordRules } = require("../services/passwordPolicy");
+const { checkLockout, recordAttempt, describeWait } = require("../services/loginThrottle");
+const { featuredCampaigns } = require("../services/campaigns");
+const {
+    TwoFactorError,
+    generateSecret,
+    otpauthUrl,
+    isEnrolled,
+    isRequiredFor,
+    enable,
+    verify,
+    remainingRecoveryCodes,
+} = require("../services/twoFactor");
+const {
+    PasswordResetError,
+    requestReset,
+    findValidReset,
+    completeReset,
+} = require("../services/passwordReset");
 
 const router = express.Router();
 
+// How long a correct password waits for its second factor
+const PENDING_LOGIN_MS = 10 * 60 * 1000;
+
+// The account whose password was accepted but still needs its second
+// factor; req.session.user isn't set until that's done
+const pendingLogin = (req) => {
+    const pending = req.session.pendingLogin;
+    if (!pending || Date.now() - pending.startedAt > PENDING_LOGIN_MS) {
+        delete req.session.pendingLogin;
+        return null;
+    }
+    return pending;
+};
+
+// The role and permissions are filled in by refreshSessionUser on the next request
+const signIn = (req, user) => {
+    delete req.session.pendingLogin;
+    delete req.session.pendingTotpSecret;
+    req.session.user = {
+        id: user.id,
+        username: user.username,
+    };
+};
+
+// Where to go after signing in: back to the page that sent the user to log
+// in (e.g. a portal invitation), else the landing page
+const afterSignIn = (req) => {
+    const returnTo = req.session.returnTo;
+    delete req.session.returnTo;
+    return typeof returnTo === "string" && returnTo.startsWith("/") && !returnTo.startsWith("//") ? returnTo : "/landing";
+};
+
+const loginExpired = (req, res) => {
+    req.flash("error", "Your sign-in timed out. Please enter your password again.");
+    res.redirect("/login");
+};
+
+// The landing page with the progress of any featured campaigns. A database
+// problem only hides the campaigns, not the page.
+const renderLanding = async (req, res) => {
+    let campaigns = [];
+    try {
+        campaigns = await featuredCampaigns();
+    } catch (err) {
+        console.error("Error loading featured campaigns:", err.message);
+    }
+    res.render("landing", { error_message: "", featuredCampaigns: campaigns });
+};
+
 // Default route → landing page
-router.get("/", (req, res) => {
-    res.render("landing", { error_message: "" });
-});
+router.get("/", renderLanding);
 
 // Optional login route (same page)
 router.get("/login", (req, res) => {
@@ -21,18 +90,24 @@ router.get("/register", (req, res) => {
 });
 
 // Public landing page
-router.get("/landing", (req, res) => {
-    res.render("landing");
-});
+router.get("/landing", renderLanding);
 
 // Process login form
 router.post("/login", async (req, res) => {
     const { username, password } = req.body;
 
     try {
-        const user = await db("users").where({ username }).first();
+        // Locked attempts aren't checked or counted, so waiting it out works
+        const lockout = await checkLockout(username, req.ip);
+        if (lockout.locked) {
+            req.flash("error", `Too many failed sign-in attempts. Try again in ${describeWait(lockout.retryAfter)}, or reset your password.`);
+            return res.redirect("/login");
+        }
+
+        const user = await db("users").where({ username }).whereNull("userdeletedat").first();
 
         if (!user) {
+            await recordAttempt(username, req.ip, false);
             req.flash("error", "Invalid username or password.");
             return res.redirect("/login");
         }
@@ -51,24 +126,114 @@ router.post("/login", async (req, res) => {
         }
 
         if (!isValidPassword) {
+            await recordAttempt(username, req.ip, false);
             req.flash("error", "Invalid username or password.");
             return res.redirect("/login");
         }
 
-        // Save user in session
-        req.session.user = {
-            id: user.id,
-            username: user.username,
-            level: user.level,
-        };
+        // Two-factor accounts (and staff, when it's required) finish at a
+        // second step. The success isn't recorded until then, so a known
+        // password can't be used to reset the lockout on code guesses.
+        const enrolled = isEnrolled(user);
+        if (enrolled || (await isRequiredFor(user))) {
+            req.session.pendingLogin = { id: user.id, username: user.username, startedAt: Date.now() };
+            return res.redirect(enrolled ? "/login/verify" : "/login/setup-2fa");
+        }
 
-        res.redirect("/landing");
+        await recordAttempt(username, req.ip, true);
+        signIn(req, user);
+        res.redirect(afterSignIn(req));
     } catch (err) {
         console.error(err);
         res.send("Login error");
     }
 });
 
+// Second step: a code from the authenticator app, or a recovery code
+router.get("/login/verify", (req, res) => {
+    const pending = pendingLogin(req);
+    if (!pending) {
+        return loginExpired(req, res);
+    }
+    res.render("auth/verify-2fa", { layout: false, username: pending.username });
+});
+
+router.post("/login/verify", async (req, res) => {
+    const pending = pendingLogin(req);
+    if (!pending) {
+        return loginExpired(req, res);
+    }
+
+    try {
+        const lockout = await checkLockout(pending.username, req.ip);
+        if (lockout.locked) {
+            req.flash("error", `Too many failed sign-in attempts. Try again in ${describeWait(lockout.retryAfter)}.`);
+            return res.redirect("/login/verify");
+        }
+
+        const method = await db.transaction((trx) => verify(trx, pending.id, req.body.code));
+        if (!method) {
+            await recordAttempt(pending.username, req.ip, false);
+            req.flash("error", "That code didn't work. Try the current code from your app, or a recovery code.");
+            return res.redirect("/login/verify");
+        }
+
+        await recordAttempt(pending.username, req.ip, true);
+        signIn(req, pending);
+        if (method === "recovery") {
+            const remaining = await remainingRecoveryCodes(pending.id);
+            req.flash("warning", `You signed in with a recovery code; ${remaining} left. Generate new ones from Account settings if you're running low.`);
+        }
+        res.redirect(afterSignIn(req));
+    } catch (err) {
+        console.error("Error verifying two-factor code:", err);
+        res.send("Login error");
+    }
+});
+
+// Staff who are required to use two-factor set it up before signing in
+router.get("/login/setup-2fa", (req, res) => {
+    const pending = pendingLogin(req);
+    if (!pending) {
+        return loginExpired(req, res);
+    }
+    if (!req.session.pendingTotpSecret) {
+        req.session.pendingTotpSecret = generateSecret();
+    }
+    res.render("auth/setup-2fa", {
+        layout: false,
+        username: pending.username,
+        secret: req.session.pendingTotpSecret,
+        otpauthUrl: otpauthUrl(pending.username, req.session.pendingTotpSecret),
+    });
+});
+
+router.post("/login/setup-2fa", async (req, res) => {
+    const pending = pendingLogin(req);
+    if (!pending || !req.session.pendingTotpSecret) {
+        return loginExpired(req, res);
+    }
+
+    try {
+        const actor = { userid: pending.id, username: pending.username };
+        const codes = await db.transaction((trx) =>
+            enable(trx, actor, pending.id, req.session.pendingTotpSecret, req.body.code)
+        );
+        await recordAttempt(pending.username, req.ip, true);
+        signIn(req, pending);
+        req.session.newRecoveryCodes = codes;
+        req.flash("success", "Two-factor authentication is on. Save your recovery codes somewhere safe.");
+        res.redirect("/account/security");
+    } catch (err) {
+        if (err instanceof TwoFactorError) {
+            req.flash("error", err.message);
+            return res.redirect("/login/setup-2fa");
+        }
+        console.error("Error enabling two-factor:", err);
+        res.send("Login error");
+    }
+});
+
 // LOGOUT
 router.get("/logout", (req, res) => {
     req.session.destroy(() => {
@@ -78,18 +243,28 @@ router.get("/logout", (req, res) => {
 
 // Route for getting the create account view
 router.get("/create-account", (req, res) => {
-    res.render("auth/create-account", { layout: false, error_message: "" });
+    res.render("auth/create-account", { layout: false, error_message: "", passwordHint: passwordRules() });
 });
 
 // Handles form submission from creating an account
 router.post("/create-account", async (req, res) => {
     const { username, password } = req.body;
-    const level = "U";
-
+    const email = (req.body.email || "").trim();
     if (!username || !password) {
         return res.status(400).render("auth/create-account", {
             layout: false,
             error_message: "Username and password are required.",
+            passwordHint: passwordRules(),
+            user: null,
+        });
+    }
+
+    const problems = checkPassword(password, { username });
+    if (problems.length > 0) {
+        return res.status(400).render("auth/create-account", {
+            layout: false,
+            error_message: problems.join(" "),
+            passwordHint: passwordRules(),
             user: null,
         });
     }
@@ -99,17 +274,19 @@ router.post("/create-account", async (req, res) => {
 
         const newUser = {
             username,
+            useremail: email || null,
             password: hashedPassword,
-            level,
+            roleid: await memberRoleId(),
         };
 
-        await db("users").insert(newUser);
+        // Self sign-up has no session yet; log it under the new username
+        await db.transaction((trx) => auditInsert(trx, { userid: null, username }, "users", newUser));
 
         res.redirect("/login");
     } catch (dbErr) {
         console.error("Error inserting user:", dbErr.message);
         if (dbErr.code === "23505") {
-            req.flash("error", "Username is already taken.");
+            req.flash("error", "That username or email address is already in use.");
             return res.redirect("/create-account");
         }
         req.flash("error", "Unable to save user. Please try again.");
@@ -117,4 +294,83 @@ router.post("/create-account", async (req, res) => {
     }
 });
 
+// Links in reset emails point here. APP_BASE_URL should be set in production
+// so the link never depends on the request's Host header.
+const resetBaseUrl = (req) => passwordReset.baseUrl || `${req.protocol}://${req.get("host")}`;
+
+// Forgot password: ask for a username or email address
+router.get("/forgot-password", (req, res) => {
+    res.render("auth/forgot-password", { layout: false });
+});
+
+router.post("/forgot-password", async (req, res) => {
+    try {
+        await requestReset(req.body.identifier, { ip: req.ip, baseUrl: resetBaseUrl(req) });
+    } catch (err) {
+        // Still give the generic answer; a failure here mustn't reveal whether the account exists
+        console.error("Error sending password reset:", err);
+    }
+    req.flash("info", "If that account has an email address on file, a reset link is on its way. It expires in " +
+        `${passwordReset.ttlMinutes} minutes.`);
+    res.redirect("/login");
+});
+
+// Reset password: choose a new password using the emailed link
+router.get("/reset-password/:token", async (req, res) => {
+    try {
+        const reset = await findValidReset(db, req.params.token);
+        if (!reset) {
+            req.flash("error", "This reset link is invalid or has expired. Please request a new one.");
+            return res.redirect("/forgot-password");
+        }
+        res.render("auth/reset-password", {
+            layout: false,
+            token: req.params.token,
+            username: reset.username,
+            passwordHint: passwordRules(),
+        });
+    } catch (err) {
+        console.error("Error loading password reset:", err);
+        res.status(500).send("Error loading password reset");
+    }
+});
+
+router.post("/reset-password/:token", async (req, res) => {
+    const { password, confirmPassword } = req.body;
+    const retry = `/reset-password/${encodeURIComponent(req.params.token)}`;
+
+    try {
+        const reset = await findValidReset(db, req.params.token);
+        if (!reset) {
+            req.flash("error", "This reset link is invalid or has expired. Please request a new one.");
+            return res.redirect("/forgot-password");
+        }
+        if (password !== confirmPassword) {
+            req.flash("error", "Passwords do not match.");
+            return res.redirect(retry);
+        }
+        const problems = checkPassword(password, { username: reset.username });
+        if (problems.length > 0) {
+            req.flash("error", problems.join(" "));
+            return res.redirect(retry);
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const account = await db.transaction((trx) => completeReset(trx, req.params.token, hashedPassword));
+
+        // Proving control of the mailbox clears any lockout on the account
+        await recordAttempt(account.username, req.ip, true);
+        req.flash("success", "Your password has been reset. Please sign in.");
+        res.redirect("/login");
+    } catch (err) {
+        if (err instanceof PasswordResetError) {
+            req.flash("error", err.message);
+            return res.redirect("/forgot-password");
+        }
+        console.error("Error resetting password:", err);
+        req.flash("error", "Unable to reset password. Please try again.");
+        res.redirect(retry);
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,139 @@
+const express = require("express");
+
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const { auditActor } = require("../services/audit");
+const { dateInput } = require("../services/donors");
+const {
+    CampaignError,
+    readCampaign,
+    listCampaigns,
+    campaignReport,
+    findCampaign,
+    createCampaign,
+    updateCampaign,
+    deleteCampaign,
+} = require("../services/campaigns");
+
+const router = express.Router();
+
+const renderCampaignForm = (req, res, campaign, { status = 200, error_message = null } = {}) =>
+    res.status(status).render("campaigns/campaignForm", {
+        campaign,
+        dateInput,
+        user: req.session.user,
+        error_message,
+    });
+
+// The form values as posted, so a failed save can be shown again
+const submittedCampaign = (body, campaignid) => ({
+    ...body,
+    campaignid,
+    campaignfeatured: body.campaignfeatured === "on",
+});
+
+// ==============================================
+// Campaign list
+// ==============================================
+
+router.get("/campaigns", requirePermission("donations", "view"), async (req, res) => {
+    try {
+        res.render("campaigns/campaigns", { campaigns: await listCampaigns(), user: req.session.user });
+    } catch (err) {
+        console.error("Error loading campaigns:", err);
+        res.status(500).send("Error loading campaigns");
+    }
+});
+
+// ==============================================
+// Add, edit and delete campaigns
+// ==============================================
+
+router.get("/campaigns/new", requirePermission("donations", "create"), (req, res) => {
+    renderCampaignForm(req, res, { campaignstartdate: dateInput(new Date()) });
+});
+
+router.post("/campaigns/new", requirePermission("donations", "create"), async (req, res) => {
+    try {
+        const values = readCampaign(req.body);
+        const campaign = await db.transaction((trx) => createCampaign(trx, auditActor(req), values));
+        req.flash("success", `Campaign "${campaign.campaignname}" added.`);
+        res.redirect(`/campaigns/${campaign.campaignid}`);
+    } catch (err) {
+        if (err instanceof CampaignError) {
+            return renderCampaignForm(req, res, submittedCampaign(req.body), { status: 400, error_message: err.message });
+        }
+        console.error("Error adding campaign:", err);
+        req.flash("error", "Error adding campaign.");
+        res.redirect("/campaigns");
+    }
+});
+
+router.get("/campaigns/:id/edit", requirePermission("donations", "edit"), async (req, res) => {
+    try {
+        const campaign = await findCampaign(req.params.id);
+        if (!campaign) {
+            return res.status(404).send("Campaign not found");
+        }
+        renderCampaignForm(req, res, campaign);
+    } catch (err) {
+        console.error("Error loading campaign:", err);
+        res.status(500).send("Error loading campaign");
+    }
+});
+
+router.post("/campaigns/:id/edit", requirePermission("donations", "edit"), async (req, res) => {
+    const campaignid = req.params.id;
+
+    try {
+        const values = readCampaign(req.body);
+        await db.transaction((trx) => updateCampaign(trx, auditActor(req), campaignid, values));
+        req.flash("success", "Campaign updated.");
+        res.redirect(`/campaigns/${campaignid}`);
+    } catch (err) {
+        if (err instanceof CampaignError) {
+            return renderCampaignForm(req, res, submittedCampaign(req.body, campaignid), {
+                status: 400,
+                error_message: err.message,
+            });
+        }
+        console.error("Error updating campaign:", err);
+        req.flash("error", "Error updating campaign.");
+        res.redirect(`/campaigns/${campaignid}/edit`);
+    }
+});
+
+router.post("/campaigns/:id/delete", requirePermission("donations", "delete"), async (req, res) => {
+    try {
+        const campaign = await db.transaction((trx) => deleteCampaign(trx, auditActor(req), req.params.id));
+        req.flash("success", `Campaign "${campaign.campaignname}" deleted.`);
+        res.redirect("/campaigns");
+    } catch (err) {
+        if (err instanceof CampaignError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error deleting campaign:", err);
+            req.flash("error", "Error deleting campaign.");
+        }
+        res.redirect(`/campaigns/${req.params.id}`);
+    }
+});
+
+// ==============================================
+// Campaign page: progress, donors, daily totals
+// ==============================================
+
+router.get("/campaigns/:id", requirePermission("donations", "view"), async (req, res) => {
+    try {
+        const report = await campaignReport(req.params.id);
+        if (!report) {
+            return res.status(404).send("Campaign not found");
+        }
+        res.render("campaigns/campaign", { ...report, user: req.session.user });
+    } catch (err) {
+        console.error("Error loading campaign:", err);
+        res.status(500).send("Error loading campaign");
+    }
+});
+
+module.exports = router;
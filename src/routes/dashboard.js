@@ -1,13 +1,25 @@
 const express = require("express");
 const { requireAuth } = require("../middleware/auth");
+const { parseDashboardFilters, getDashboardData } = require("../services/analytics");
 
 const router = express.Router();
 
 // PUBLIC IMPACT DASHBOARD (No Login Required)
-router.get("/dashboard", (req, res) => {
-    res.render("dashboard/dashboard", {
-        user: req.session.user || null, // Pass user so navbar works correctly
-    });
+router.get("/dashboard", async (req, res) => {
+    const filters = parseDashboardFilters(req.query);
+
+    try {
+        const stats = await getDashboardData(filters);
+
+        res.render("dashboard/dashboard", {
+            stats,
+            filters,
+            user: req.session.user || null, // Pass user so navbar works correctly
+        });
+    } catch (err) {
+        console.error("Error loading dashboard:", err);
+        res.status(500).send("Error loading dashboard");
+    }
 });
 ///
 // Private Dashboard (Keep your existing one)
@@ -19,4 +31,4 @@ router.get("/dashboard", (req, res) => {
 //    });
 //});
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,11 +1,43 @@
 const express = require("express");
 
 const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const { sendExport } = require("../services/exporter");
+const { donationSortMap, donationQuery, donorQuery } = require("../services/listQueries");
+const { auditActor, auditInsert, auditUpdate } = require("../services/audit");
+const { RecycleError, softDelete } = require("../services/recycleBin");
+const { can } = require("../services/permissions");
+const {
+    DonorError,
+    DONOR_TYPES,
+    PAYMENT_METHODS,
+    DESIGNATIONS,
+    dateInput,
+    readGift,
+    findDonor,
+    donorPledges,
+    checkGiftOwner,
+    createDonor,
+} = require("../services/donors");
+const { CampaignError, campaignChoices, checkCampaign } = require("../services/campaigns");
 
 const router = express.Router();
 
+// Staff who record gifts can attach them to an existing donor and fill in the
+// payment details; the public form always creates a new donor record
+const canPickDonor = (req) => can(req.session.user, "donations", "create");
+
+// Choices shared by the add and edit forms
+const giftOptions = { paymentMethods: PAYMENT_METHODS, designations: DESIGNATIONS, donorTypes: DONOR_TYPES };
+
+// Problems with the chosen donor, pledge or campaign are shown to the user
+const isFormError = (err) => err instanceof DonorError || err instanceof CampaignError;
+
+// Refunds come from payment processor imports and are reconciled against them
+const REFUND_EDIT_MESSAGE = "Refunds imported from a payment processor can't be edited. Delete the refund instead.";
+
 // Display Donations with Search, Sort, and Pagination
-router.get("/donations", async (req, res) => {
+router.get("/donations", requirePermission("donations", "view"), async (req, res) => {
     try {
         const { search, sortBy = "date", sortOrder = "desc", page = 1 } = req.query;
         const searchTerm = (search || "").trim();
@@ -13,40 +45,27 @@ router.get("/donations", async (req, res) => {
         const pageSize = 50;
         const offset = (currentPage - 1) * pageSize;
 
-        // Base Query
-        const base = db("donations as d")
-            .leftJoin("participants as p", "d.participantid", "p.participantid");
-
-        // Apply Search
-        if (searchTerm) {
-            const term = `%${searchTerm.toLowerCase()}%`;
-            base.where(function() {
-                this.whereRaw("LOWER(p.participantfirstname) LIKE ?", [term])
-                    .orWhereRaw("LOWER(p.participantlastname) LIKE ?", [term])
-                    .orWhereRaw("LOWER(CONCAT(p.participantfirstname, ' ', p.participantlastname)) LIKE ?", [term])
-                    .orWhereRaw("CAST(d.donationamount AS TEXT) LIKE ?", [`%${searchTerm}%`]);
-            });
-        }
+        // Base Query with Search applied
+        const base = donationQuery(searchTerm);
 
         // Get Total Count
         const [{ count }] = await base.clone().count("* as count");
 
         // Map sort keys to DB columns
-        const sortMap = {
-            "donor": "p.participantlastname",
-            "date": "d.donationdate",
-            "amount": "d.donationamount"
-        };
-        const dbColumn = sortMap[sortBy] || "d.donationdate";
+        const dbColumn = donationSortMap[sortBy] || "d.donationdate";
 
         // Fetch Data with Sort and Pagination
         const donations = await base
             .select(
                 "d.donationid",
-                "p.participantfirstname",
-                "p.participantlastname",
+                "dn.donorid",
+                "dn.donorname",
                 "d.donationdate",
-                "d.donationamount"
+                "d.donationamount",
+                "d.donationmethod",
+                "d.donationdesignation",
+                "c.campaignid",
+                "c.campaignname"
             )
             .orderBy(dbColumn, sortOrder) // Apply Sort
             .limit(pageSize)
@@ -71,34 +90,92 @@ router.get("/donations", async (req, res) => {
     }
 });
 
-// Delete Donations
-router.get("/deleteDonation/:donationid", async (req, res) => {
+// Download every donation matching the current search and sort (?format=csv|xlsx).
+// Includes donor names, so it needs the donations export permission.
+router.get("/donations/export", requirePermission("donations", "export"), (req, res) => {
+    const searchTerm = (req.query.search || "").trim();
+    const dbColumn = donationSortMap[req.query.sortBy] || "d.donationdate";
+    const sortOrder = req.query.sortOrder === "asc" ? "asc" : "desc";
+
+    return sendExport(req, res, {
+        filename: "donations",
+        sheetName: "Donations",
+        columns: [
+            { key: "donationid", header: "Donation ID", type: "number" },
+            { key: "donorid", header: "Donor ID", type: "number" },
+            { key: "donorname", header: "Donor", width: 30 },
+            { key: "donortype", header: "Donor Type" },
+            { key: "donoremail", header: "Email", width: 30 },
+            { key: "donationdate", header: "Date", type: "date" },
+            { key: "donationamount", header: "Amount", type: "number" },
+            { key: "donationmethod", header: "Method" },
+            { key: "donationdesignation", header: "Designation", width: 20 },
+            { key: "campaignname", header: "Campaign", width: 25 },
+            { key: "donationreference", header: "Reference" },
+            { key: "pledgeid", header: "Pledge ID", type: "number" },
+        ],
+        query: donationQuery(searchTerm)
+            .select(
+                "d.donationid",
+                "dn.donorid",
+                "dn.donorname",
+                "dn.donortype",
+                "dn.donoremail",
+                "d.donationdate",
+                "d.donationamount",
+                "d.donationmethod",
+                "d.donationdesignation",
+                "c.campaignname",
+                "d.donationreference",
+                "d.pledgeid"
+            )
+            .orderBy(dbColumn, sortOrder)
+            .orderBy("d.donationid", "asc"),
+    });
+});
+
+// Delete Donations (moves it to the recycle bin)
+router.post("/deleteDonation/:donationid", requirePermission("donations", "delete"), async (req, res) => {
     const donationid = req.params.donationid;
 
     try {
-        await db("donations").where("donationid", donationid).del();
-        req.flash("error", "Donation deleted.");
+        await db.transaction((trx) => softDelete(trx, auditActor(req), "donations", donationid));
+        req.flash("error", "Donation moved to the recycle bin.");
         res.redirect("/donations");
     } catch (err) {
+        if (err instanceof RecycleError) {
+            req.flash("error", err.message);
+            return res.redirect("/donations");
+        }
         console.error(err);
         req.flash("error", "Error deleting donation.");
-        res.send("Error deleting donation");
+        res.redirect("/donations");
     }
 });
 
-// Edit Donation (Show Form)
-router.get("/editDonation/:donationid", async (req, res) => {
-    const donationid = req.params.donationid;
+// The gift with its donor, or undefined if either is deleted
+const findGift = (donationid) =>
+    donationQuery("").where("d.donationid", donationid).select("d.*", "dn.donorname").first();
 
+// Edit Donation (Show Form)
+router.get("/editDonation/:donationid", requirePermission("donations", "edit"), async (req, res) => {
     try {
-        const donation = await db("donations").where("donationid", donationid).first();
-
+        const donation = await findGift(req.params.donationid);
         if (!donation) {
-            return res.send("Donation not found");
+            return res.status(404).send("Donation not found");
+        }
+        if (Number(donation.donationamount) < 0) {
+            req.flash("error", REFUND_EDIT_MESSAGE);
+            return res.redirect(`/donors/${donation.donorid}`);
         }
 
+        const [pledges, campaigns] = await Promise.all([donorPledges(donation.donorid), campaignChoices(false)]);
         res.render("donations/editDonation", {
             donation,
+            pledges,
+            campaigns,
+            dateInput,
+            ...giftOptions,
             user: req.session.user || null,
         });
     } catch (err) {
@@ -108,32 +185,80 @@ router.get("/editDonation/:donationid", async (req, res) => {
 });
 
 // Edit Donation (Submit Form)
-router.post("/editDonation/:donationid", async (req, res) => {
+router.post("/editDonation/:donationid", requirePermission("donations", "edit"), async (req, res) => {
     const donationid = req.params.donationid;
-    const { donationdate, donationamount } = req.body;
 
     try {
-        await db("donations")
-            .where("donationid", donationid)
-            .update({
-                donationdate,
-                donationamount,
-            });
+        const values = readGift(req.body);
+        const pledgeid = parseInt(req.body.pledgeid, 10) || null;
+        const campaignid = parseInt(req.body.campaignid, 10) || null;
+
+        const updated = await db.transaction(async (trx) => {
+            const donation = await trx("donations").where({ donationid }).whereNull("donationdeletedat").first();
+            if (!donation) {
+                return null;
+            }
+            if (Number(donation.donationamount) < 0) {
+                throw new DonorError(REFUND_EDIT_MESSAGE);
+            }
+            await checkGiftOwner(trx, donation.donorid, pledgeid);
+            await checkCampaign(trx, campaignid);
+            return auditUpdate(trx, auditActor(req), "donations", { donationid }, { ...values, pledgeid, campaignid });
+        });
+        if (!updated) {
+            req.flash("error", "That donation no longer exists.");
+            return res.redirect("/donations");
+        }
 
         req.flash("success", "Donation updated.");
-        res.redirect("/donations");
+        res.redirect(req.body.from === "donor" ? `/donors/${updated[0].donorid}` : "/donations");
     } catch (err) {
-        console.error(err);
-        req.flash("error", "Error updating donation.");
+        if (isFormError(err)) {
+            req.flash("error", err.message);
+        } else {
+            console.error(err);
+            req.flash("error", "Error updating donation.");
+        }
         res.redirect(`/editDonation/${donationid}`);
     }
 });
 
-// Add Donation (Form View)
+// Add Donation (Form View). Staff can search for an existing donor
+// (?donorsearch=) or come from a donor's page (?donor=) to record the gift
+// against them instead of creating a new donor. ?campaign= preselects the
+// campaign, e.g. from the home page.
 router.get("/addDonation", async (req, res) => {
+    const pickDonor = canPickDonor(req);
+    const donorSearch = pickDonor ? (req.query.donorsearch || "").trim() : "";
+    const campaignid = parseInt(req.query.campaign, 10) || null;
+
     try {
+        let donorMatches = [];
+        let chosenDonor = null;
+        let pledges = [];
+        if (pickDonor && req.query.donor) {
+            chosenDonor = (await findDonor(req.query.donor)) || null;
+            if (chosenDonor) {
+                pledges = (await donorPledges(chosenDonor.donorid)).filter((pledge) => pledge.status !== "Ended");
+            }
+        } else if (donorSearch) {
+            donorMatches = await donorQuery(donorSearch)
+                .select("dn.donorid", "dn.donorname", "dn.donortype", "dn.donoremail", "dn.donorcity", "dn.donorstate")
+                .orderBy("dn.donorname")
+                .limit(20);
+        }
+
         res.render("donations/addDonation", {
             user: req.session.user || null,
+            canPickDonor: pickDonor,
+            donorSearch,
+            donorMatches,
+            chosenDonor,
+            pledges,
+            campaigns: await campaignChoices(!pickDonor),
+            campaignid,
+            today: dateInput(new Date()),
+            ...giftOptions,
         });
     } catch (err) {
         console.error(err);
@@ -141,32 +266,54 @@ router.get("/addDonation", async (req, res) => {
     }
 });
 
-// Add Donation (Submit)
+// Add Donation (Submit). Records the gift against the chosen donor, or a new
+// donor made from the name entered.
 router.post("/addDonation", async (req, res) => {
-    const { firstname, lastname, donationdate, donationamount } = req.body;
+    const pickDonor = canPickDonor(req);
+    const chosenId = pickDonor && req.body.donorid !== "new" ? parseInt(req.body.donorid, 10) || null : null;
+    const campaignid = parseInt(req.body.campaignid, 10) || null;
 
     try {
-        const [newParticipant] = await db("participants")
-            .insert({
-                participantfirstname: firstname,
-                participantlastname: lastname,
-            })
-            .returning(["participantid"]);
-
-        const participantid = newParticipant.participantid;
-
-        await db("donations").insert({
-            participantid,
-            donationdate,
-            donationamount,
+        const gift = readGift(req.body);
+        if (!pickDonor) {
+            // Visitors can say what the gift is for, but not how it was paid
+            Object.assign(gift, { donationmethod: null, donationreference: null, donationnotes: null });
+        }
+        const pledgeid = chosenId ? parseInt(req.body.pledgeid, 10) || null : null;
+
+        const donorid = await db.transaction(async (trx) => {
+            // The public form can only give to a campaign that is running
+            await checkCampaign(trx, campaignid, { runningOnly: !pickDonor });
+            const donor = chosenId
+                ? await checkGiftOwner(trx, chosenId, pledgeid)
+                : await createDonor(trx, auditActor(req), req.body);
+
+            await auditInsert(trx, auditActor(req), "donations", {
+                ...gift,
+                donorid: donor.donorid,
+                pledgeid,
+                campaignid,
+            });
+            return donor.donorid;
         });
 
         req.flash("success", "Donation added.");
-        res.redirect("/donations");
+        res.redirect(pickDonor && can(req.session.user, "donations", "view") ? `/donors/${donorid}` : "/donations");
     } catch (err) {
-        console.error(err);
-        req.flash("error", "Error adding donation.");
-        res.redirect("/addDonation");
+        if (isFormError(err)) {
+            req.flash("error", err.message);
+        } else {
+            console.error(err);
+            req.flash("error", "Error adding donation.");
+        }
+        const retry = new URLSearchParams();
+        if (chosenId) {
+            retry.set("donor", chosenId);
+        }
+        if (campaignid) {
+            retry.set("campaign", campaignid);
+        }
+        res.redirect(retry.toString() ? `/addDonation?${retry}` : "/addDonation");
     }
 });
 
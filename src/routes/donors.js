@@ -0,0 +1,411 @@
+const express = require("express");
+
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const { donorSortMap, donorQuery } = require("../services/listQueries");
+const { auditActor, auditInsert, auditUpdate, auditDelete } = require("../services/audit");
+const { RecycleError, softDelete } = require("../services/recycleBin");
+const { can } = require("../services/permissions");
+const {
+    DonorError,
+    DONOR_TYPES,
+    DESIGNATIONS,
+    PLEDGE_FREQUENCIES,
+    dateInput,
+    donorName,
+    readDonor,
+    readPledge,
+    findDonor,
+    donorProfile,
+    participantDonorValues,
+    receiptGifts,
+    receiptDonors,
+    receiptYears,
+} = require("../services/donors");
+const { writeReceipts } = require("../services/receipts");
+
+const router = express.Router();
+
+// Linking a donor to a participant record shows who that participant is
+const canLinkParticipant = (req) => can(req.session.user, "participants", "view");
+
+const renderDonorForm = (req, res, donor, { participant = null, status = 200, error_message = null } = {}) =>
+    res.status(status).render("donors/donorForm", {
+        donor,
+        participant,
+        donorTypes: DONOR_TYPES,
+        user: req.session.user,
+        error_message,
+    });
+
+// A year from the URL, or null
+const readYear = (value) => {
+    const year = parseInt(value, 10);
+    return year >= 1900 && year <= 9999 ? year : null;
+};
+
+const sendReceipts = (res, filename, receipts) => {
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+    writeReceipts(res, receipts);
+};
+
+// ==============================================
+// Donor list
+// ==============================================
+
+router.get("/donors", requirePermission("donations", "view"), async (req, res) => {
+    try {
+        const { search, type, sortBy = "name", sortOrder = "asc", page = 1 } = req.query;
+        const searchTerm = (search || "").trim();
+        const donorType = DONOR_TYPES.includes(type) ? type : "";
+        const order = sortOrder === "desc" ? "desc" : "asc";
+        const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+        const pageSize = 50;
+
+        const base = donorQuery(searchTerm, donorType);
+        const [{ count }] = await db.from(base.clone().select("dn.donorid").as("matches")).count("* as count");
+
+        const donors = await base
+            .select(
+                "dn.donorid",
+                "dn.donorname",
+                "dn.donortype",
+                "dn.donoremail",
+                "dn.donorcity",
+                "dn.donorstate",
+                db.raw("COUNT(d.donationid)::int AS giftcount"),
+                db.raw("COALESCE(SUM(d.donationamount), 0) AS lifetimetotal"),
+                db.raw("MAX(d.donationdate) AS lastgift")
+            )
+            .orderByRaw(`${donorSortMap[sortBy] || "dn.donorname"} ${order} NULLS LAST`)
+            .orderBy("dn.donorid")
+            .limit(pageSize)
+            .offset((currentPage - 1) * pageSize);
+
+        const total = parseInt(count, 10) || 0;
+        res.render("donors/donors", {
+            donors,
+            searchTerm,
+            donorType,
+            donorTypes: DONOR_TYPES,
+            sortBy,
+            sortOrder: order,
+            page: currentPage,
+            totalPages: Math.max(Math.ceil(total / pageSize), 1),
+            total,
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading donors:", err);
+        res.status(500).send("Error loading donors");
+    }
+});
+
+// ==============================================
+// Add and edit donors
+// ==============================================
+
+// ?participant= starts the form from a participant's contact details and links them
+router.get("/donors/new", requirePermission("donations", "create"), async (req, res) => {
+    try {
+        let participant = null;
+        if (req.query.participant && canLinkParticipant(req)) {
+            participant = await db("participants")
+                .where({ participantid: req.query.participant })
+                .whereNull("participantdeletedat")
+                .first();
+        }
+        renderDonorForm(req, res, participant ? participantDonorValues(participant) : { donortype: "Individual" }, {
+            participant,
+        });
+    } catch (err) {
+        console.error("Error loading donor form:", err);
+        res.status(500).send("Error loading the donor form");
+    }
+});
+
+router.post("/donors/new", requirePermission("donations", "create"), async (req, res) => {
+    try {
+        const values = readDonor(req.body);
+        const participantid = canLinkParticipant(req) ? parseInt(req.body.participantid, 10) || null : null;
+
+        const donor = await db.transaction(async (trx) => {
+            if (participantid) {
+                const participant = await trx("participants").where({ participantid }).whereNull("participantdeletedat").first();
+                if (!participant) {
+                    throw new DonorError("That participant no longer exists.");
+                }
+            }
+            const [row] = await auditInsert(trx, auditActor(req), "donors", { ...values, participantid });
+            return row;
+        });
+
+        req.flash("success", `Donor "${donorName(donor)}" added.`);
+        res.redirect(`/donors/${donor.donorid}`);
+    } catch (err) {
+        if (err instanceof DonorError) {
+            return renderDonorForm(req, res, req.body, { status: 400, error_message: err.message });
+        }
+        console.error("Error adding donor:", err);
+        req.flash("error", "Error adding donor.");
+        res.redirect("/donors");
+    }
+});
+
+router.get("/donors/:id/edit", requirePermission("donations", "edit"), async (req, res) => {
+    try {
+        const donor = await findDonor(req.params.id);
+        if (!donor) {
+            return res.status(404).send("Donor not found");
+        }
+        const participant =
+            donor.participantid && canLinkParticipant(req)
+                ? await db("participants").where({ participantid: donor.participantid }).first()
+                : null;
+        renderDonorForm(req, res, donor, { participant });
+    } catch (err) {
+        console.error("Error loading donor:", err);
+        res.status(500).send("Error loading donor");
+    }
+});
+
+router.post("/donors/:id/edit", requirePermission("donations", "edit"), async (req, res) => {
+    const donorid = req.params.id;
+
+    try {
+        const values = readDonor(req.body);
+        if (req.body.unlinkparticipant === "on" && canLinkParticipant(req)) {
+            values.participantid = null;
+        }
+
+        const [updated] = await db.transaction((trx) =>
+            auditUpdate(trx, auditActor(req), "donors", (qb) => qb.where({ donorid }).whereNull("donordeletedat"), values)
+        );
+        if (!updated) {
+            req.flash("error", "That donor no longer exists.");
+            return res.redirect("/donors");
+        }
+
+        req.flash("success", "Donor updated.");
+        res.redirect(`/donors/${donorid}`);
+    } catch (err) {
+        if (err instanceof DonorError) {
+            return renderDonorForm(req, res, { ...req.body, donorid }, { status: 400, error_message: err.message });
+        }
+        console.error("Error updating donor:", err);
+        req.flash("error", "Error updating donor.");
+        res.redirect(`/donors/${donorid}/edit`);
+    }
+});
+
+// Moves the donor, with their gifts and pledges, to the recycle bin
+router.post("/donors/:id/delete", requirePermission("donations", "delete"), async (req, res) => {
+    try {
+        await db.transaction((trx) => softDelete(trx, auditActor(req), "donors", req.params.id));
+        req.flash("success", "Donor moved to the recycle bin.");
+        res.redirect("/donors");
+    } catch (err) {
+        if (err instanceof RecycleError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error deleting donor:", err);
+            req.flash("error", "Error deleting donor.");
+        }
+        res.redirect(`/donors/${req.params.id}`);
+    }
+});
+
+// ==============================================
+// Donor profile: contact details, gifts, pledges, receipts
+// ==============================================
+
+router.get("/donors/:id", requirePermission("donations", "view"), async (req, res) => {
+    try {
+        const profile = await donorProfile(req.params.id);
+        if (!profile) {
+            return res.status(404).send("Donor not found");
+        }
+        res.render("donors/donor", {
+            ...profile,
+            name: donorName(profile.donor),
+            designations: DESIGNATIONS,
+            frequencies: Object.keys(PLEDGE_FREQUENCIES),
+            dateInput,
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading donor:", err);
+        res.status(500).send("Error loading donor");
+    }
+});
+
+// Year-end tax receipt for one donor's gifts in a calendar year
+router.get("/donors/:id/receipts/:year", requirePermission("donations", "view"), async (req, res) => {
+    const year = readYear(req.params.year);
+
+    try {
+        const donor = await findDonor(req.params.id);
+        if (!donor || !year) {
+            return res.status(404).send("Donor not found");
+        }
+        const gifts = await receiptGifts(donor.donorid, year);
+        if (gifts.length === 0) {
+            req.flash("error", `${donorName(donor)} has no gifts in ${year}.`);
+            return res.redirect(`/donors/${donor.donorid}`);
+        }
+        sendReceipts(res, `receipt-${year}-donor-${donor.donorid}`, [{ donor, year, gifts }]);
+    } catch (err) {
+        console.error("Error creating receipt:", err);
+        res.status(500).send("Error creating the receipt");
+    }
+});
+
+// ==============================================
+// Pledges
+// ==============================================
+
+router.post("/donors/:id/pledges", requirePermission("donations", "create"), async (req, res) => {
+    const donorid = req.params.id;
+
+    try {
+        const values = readPledge(req.body);
+        await db.transaction(async (trx) => {
+            if (!(await findDonor(donorid, trx))) {
+                throw new DonorError("That donor no longer exists.");
+            }
+            await auditInsert(trx, auditActor(req), "pledges", { ...values, donorid });
+        });
+        req.flash("success", "Pledge added.");
+    } catch (err) {
+        if (err instanceof DonorError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error adding pledge:", err);
+            req.flash("error", "Error adding pledge.");
+        }
+    }
+    res.redirect(`/donors/${donorid}#pledges`);
+});
+
+const findPledge = (donorid, pledgeid) =>
+    db("pledges as pl")
+        .join("donors as dn", "pl.donorid", "dn.donorid")
+        .where({ "pl.pledgeid": pledgeid, "pl.donorid": donorid })
+        .whereNull("dn.donordeletedat")
+        .select("pl.*", "dn.donorname")
+        .first();
+
+router.get("/donors/:id/pledges/:pledgeid", requirePermission("donations", "edit"), async (req, res) => {
+    try {
+        const pledge = await findPledge(req.params.id, req.params.pledgeid);
+        if (!pledge) {
+            return res.status(404).send("Pledge not found");
+        }
+        res.render("donors/editPledge", {
+            pledge,
+            designations: DESIGNATIONS,
+            frequencies: Object.keys(PLEDGE_FREQUENCIES),
+            dateInput,
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading pledge:", err);
+        res.status(500).send("Error loading pledge");
+    }
+});
+
+router.post("/donors/:id/pledges/:pledgeid", requirePermission("donations", "edit"), async (req, res) => {
+    const { id: donorid, pledgeid } = req.params;
+
+    try {
+        const values = readPledge(req.body);
+        const [updated] = await db.transaction((trx) =>
+            auditUpdate(trx, auditActor(req), "pledges", { pledgeid, donorid }, values)
+        );
+        if (!updated) {
+            req.flash("error", "That pledge no longer exists.");
+        } else {
+            req.flash("success", "Pledge updated.");
+        }
+        res.redirect(`/donors/${donorid}#pledges`);
+    } catch (err) {
+        if (err instanceof DonorError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error updating pledge:", err);
+            req.flash("error", "Error updating pledge.");
+        }
+        res.redirect(`/donors/${donorid}/pledges/${pledgeid}`);
+    }
+});
+
+// Gifts already paid toward the pledge stay on file, no longer attached to it
+router.post("/donors/:id/pledges/:pledgeid/delete", requirePermission("donations", "delete"), async (req, res) => {
+    const { id: donorid, pledgeid } = req.params;
+
+    try {
+        await db.transaction(async (trx) => {
+            await auditUpdate(trx, auditActor(req), "donations", { pledgeid }, { pledgeid: null });
+            await auditDelete(trx, auditActor(req), "pledges", { pledgeid, donorid });
+        });
+        req.flash("success", "Pledge removed.");
+    } catch (err) {
+        console.error("Error deleting pledge:", err);
+        req.flash("error", "Error deleting pledge.");
+    }
+    res.redirect(`/donors/${donorid}#pledges`);
+});
+
+// ==============================================
+// Year-end receipts for every donor
+// ==============================================
+
+router.get("/donations/receipts", requirePermission("donations", "view"), async (req, res) => {
+    try {
+        const years = await receiptYears();
+        const lastYear = new Date().getFullYear() - 1;
+        const year = readYear(req.query.year) || (years.includes(lastYear) ? lastYear : years[0] || lastYear);
+
+        res.render("donors/receipts", {
+            year,
+            years,
+            donors: await receiptDonors(year),
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading receipts:", err);
+        res.status(500).send("Error loading receipts");
+    }
+});
+
+// Every donor's receipt for the year in one PDF, ready to print and mail
+router.get("/donations/receipts/:year", requirePermission("donations", "view"), async (req, res) => {
+    const year = readYear(req.params.year);
+
+    try {
+        const donors = year ? await receiptDonors(year) : [];
+        if (donors.length === 0) {
+            req.flash("error", year ? `No gifts were recorded in ${year}.` : "Choose a year.");
+            return res.redirect("/donations/receipts");
+        }
+
+        const donorids = donors.map((d) => d.donorid);
+        const [profiles, gifts] = await Promise.all([db("donors").whereIn("donorid", donorids), receiptGifts(donorids, year)]);
+        const byId = new Map(profiles.map((donor) => [donor.donorid, donor]));
+        sendReceipts(
+            res,
+            `receipts-${year}`,
+            donorids.map((donorid) => ({
+                donor: byId.get(donorid),
+                year,
+                gifts: gifts.filter((gift) => gift.donorid === donorid),
+            }))
+        );
+    } catch (err) {
+        console.error("Error creating receipts:", err);
+        res.status(500).send("Error creating the receipts");
+    }
+});
+
+module.exports = router;
@@ -1,10 +1,47 @@
 const express = require("express");
 
 const db = require("../config/db");
-const { requireAuth } = require("../middleware/auth");
+const { passwordReset } = require("../config/auth");
+const { requirePermission } = require("../middleware/auth");
+const {
+    RegistrationError,
+    getOccurrence,
+    promoteWaitlist,
+    registerParticipant,
+    findCancellable,
+    emailConfirmation,
+    cancelRegistration,
+    recordAttendance,
+    recordWalkIn,
+} = require("../services/registrations");
+const { FREQUENCIES, describeRecurrence } = require("../services/recurrence");
+const {
+    createOccurrences,
+    applyOccurrenceEdit,
+    cancelOccurrence,
+    restoreOccurrence,
+    touchOccurrences,
+} = require("../services/occurrences");
+const { buildCalendar } = require("../services/ical");
+const { sendExport } = require("../services/exporter");
+const { eventFilters } = require("../services/listQueries");
+const { auditActor, auditInsert, auditUpdate } = require("../services/audit");
+const { RecycleError, softDelete } = require("../services/recycleBin");
+const { activeTemplates } = require("../services/surveyTemplates");
 
 const router = express.Router();
 
+// Adds a readable recurrence rule ("Monthly on the 2nd Tuesday, 6 times") to a listing row
+const withRecurrenceText = (row) => ({
+    ...row,
+    recurrencetext: describeRecurrence({
+        frequency: row.eventrecurrencepattern,
+        start: row.eventdatetimestart,
+        until: row.eventrecurrenceuntil,
+        count: row.eventrecurrencecount,
+    }),
+});
+
 // View events
 router.get("/events", async (req, res) => {
     try {
@@ -18,31 +55,21 @@ router.get("/events", async (req, res) => {
             "events.eventtype",
             "events.eventdescription",
             "events.eventrecurrencepattern",
+            "events.eventrecurrenceuntil",
+            "events.eventrecurrencecount",
+            "eventoccurrences.eventoccurrenceid",
+            "eventoccurrences.eventoccurrencecancelled",
             "eventoccurrences.eventdatetimestart",
             "eventoccurrences.eventdatetimeend",
             "eventoccurrences.eventlocation",
+            "eventoccurrences.eventregistrationdeadline",
+            db.raw("COALESCE(eventoccurrences.eventcapacity, events.eventdefaultcapacity) as capacity"),
+            db.raw(
+                "(SELECT COUNT(*) FROM eventregistrations r WHERE r.eventoccurrenceid = eventoccurrences.eventoccurrenceid AND r.registrationstatus = 'Registered') as registeredcount"
+            ),
         ];
 
-        const applyFilters = (builder) => {
-            if (type) {
-                builder.where("events.eventtype", type);
-            }
-            if (searchTerm) {
-                const term = `%${searchTerm.toLowerCase()}%`;
-                builder.where(function() {
-                    this.whereRaw("LOWER(events.eventname) LIKE ?", [term])
-                        .orWhereRaw("LOWER(events.eventdescription) LIKE ?", [term])
-                        .orWhereRaw("LOWER(events.eventtype) LIKE ?", [term])
-                        .orWhereRaw("LOWER(eventoccurrences.eventlocation) LIKE ?", [term]);
-                });
-            }
-            if (start) {
-                builder.where("eventoccurrences.eventdatetimestart", ">=", new Date(start));
-            }
-            if (end) {
-                builder.where("eventoccurrences.eventdatetimestart", "<=", new Date(end));
-            }
-        };
+        const applyFilters = eventFilters({ type, searchTerm, start, end });
 
         const upcomingEvents = await db("events")
             .join("eventoccurrences", "events.eventid", "=", "eventoccurrences.eventid")
@@ -53,10 +80,11 @@ router.get("/events", async (req, res) => {
 
         const eventTypes = await db("events")
             .distinct("eventtype")
+            .whereNull("eventdeletedat")
             .orderBy("eventtype");
 
         res.render("events/events", {
-            upcomingEvents,
+            upcomingEvents: upcomingEvents.map(withRecurrenceText),
             eventTypes,
             filters: { search: searchTerm, type, start, end },
             user: req.session.user,
@@ -83,31 +111,19 @@ router.get("/events/past", async (req, res) => {
             "events.eventtype",
             "events.eventdescription",
             "events.eventrecurrencepattern",
+            "events.eventrecurrenceuntil",
+            "events.eventrecurrencecount",
+            "eventoccurrences.eventoccurrenceid",
+            "eventoccurrences.eventoccurrencecancelled",
             "eventoccurrences.eventdatetimestart",
             "eventoccurrences.eventdatetimeend",
             "eventoccurrences.eventlocation",
+            db.raw(
+                "(SELECT COUNT(*) FROM eventregistrations r WHERE r.eventoccurrenceid = eventoccurrences.eventoccurrenceid AND r.registrationattended) as attendedcount"
+            ),
         ];
 
-        const applyFilters = (builder) => {
-            if (type) {
-                builder.where("events.eventtype", type);
-            }
-            if (searchTerm) {
-                const term = `%${searchTerm.toLowerCase()}%`;
-                builder.where(function() {
-                    this.whereRaw("LOWER(events.eventname) LIKE ?", [term])
-                        .orWhereRaw("LOWER(events.eventdescription) LIKE ?", [term])
-                        .orWhereRaw("LOWER(events.eventtype) LIKE ?", [term])
-                        .orWhereRaw("LOWER(eventoccurrences.eventlocation) LIKE ?", [term]);
-                });
-            }
-            if (start) {
-                builder.where("eventoccurrences.eventdatetimestart", ">=", new Date(start));
-            }
-            if (end) {
-                builder.where("eventoccurrences.eventdatetimestart", "<=", new Date(end));
-            }
-        };
+        const applyFilters = eventFilters({ type, searchTerm, start, end });
 
         const pastBase = db("events")
             .join("eventoccurrences", "events.eventid", "=", "eventoccurrences.eventid")
@@ -127,10 +143,11 @@ router.get("/events/past", async (req, res) => {
 
         const eventTypes = await db("events")
             .distinct("eventtype")
+            .whereNull("eventdeletedat")
             .orderBy("eventtype");
 
         res.render("events/pastEvents", {
-            pastEvents,
+            pastEvents: pastEvents.map(withRecurrenceText),
             pastPage,
             pastTotalPages,
             pastTotal,
@@ -144,33 +161,161 @@ router.get("/events/past", async (req, res) => {
     }
 });
 
-// Add event form
-router.get("/addEvent", requireAuth, (req, res) => {
-    res.render("events/addEvent", {
-        user: req.session.user,
-    });
-});
-
-// Edit event form
-router.get("/editEvent/:id", requireAuth, async (req, res) => {
-    const targetId = req.params.id;
-
-    try {
-        const eventToEdit = await db("events")
+// Download every past occurrence matching the current filters (?format=csv|xlsx)
+router.get("/events/past/export", (req, res) => {
+    const { search, type, start, end } = req.query;
+    const searchTerm = (search || "").trim();
+
+    return sendExport(req, res, {
+        filename: "past-events",
+        sheetName: "Past Events",
+        columns: [
+            { key: "eventid", header: "Event ID", type: "number" },
+            { key: "eventoccurrenceid", header: "Occurrence ID", type: "number" },
+            { key: "eventname", header: "Event", width: 30 },
+            { key: "eventtype", header: "Type" },
+            { key: "eventdatetimestart", header: "Start", type: "datetime" },
+            { key: "eventdatetimeend", header: "End", type: "datetime" },
+            { key: "eventlocation", header: "Location", width: 30 },
+            { key: "eventoccurrencecancelled", header: "Cancelled", type: "boolean" },
+            { key: "attendedcount", header: "Attended", type: "number" },
+            { key: "eventdescription", header: "Description", width: 50 },
+        ],
+        query: db("events")
             .join("eventoccurrences", "events.eventid", "=", "eventoccurrences.eventid")
-            .where("events.eventid", targetId)
+            .where("eventoccurrences.eventdatetimestart", "<", new Date())
+            .modify(eventFilters({ type, searchTerm, start, end }))
             .select(
                 "events.eventid",
                 "events.eventname",
                 "events.eventtype",
                 "events.eventdescription",
-                "events.eventrecurrencepattern",
-                "events.eventdefaultcapacity",
+                "eventoccurrences.eventoccurrenceid",
+                "eventoccurrences.eventoccurrencecancelled",
                 "eventoccurrences.eventdatetimestart",
                 "eventoccurrences.eventdatetimeend",
                 "eventoccurrences.eventlocation",
-                "eventoccurrences.eventregistrationdeadline",
-                "eventoccurrences.eventcapacity"
+                db.raw(
+                    "(SELECT COUNT(*) FROM eventregistrations r WHERE r.eventoccurrenceid = eventoccurrences.eventoccurrenceid AND r.registrationattended) as attendedcount"
+                )
+            )
+            .orderBy("eventoccurrences.eventdatetimestart", "desc")
+            .orderBy("eventoccurrences.eventoccurrenceid", "asc"),
+    });
+});
+
+// ==============================================
+// Calendar (.ics) feeds
+// ==============================================
+
+const calendarSelect = [
+    "events.eventname",
+    "events.eventtype",
+    "events.eventdescription",
+    "eventoccurrences.eventoccurrenceid",
+    "eventoccurrences.eventdatetimestart",
+    "eventoccurrences.eventdatetimeend",
+    "eventoccurrences.eventlocation",
+    // A deleted event's dates go out as cancelled so subscribers drop them
+    db.raw("(eventoccurrences.eventoccurrencecancelled OR events.eventdeletedat IS NOT NULL) as eventoccurrencecancelled"),
+    "eventoccurrences.eventoccurrencesequence",
+    "eventoccurrences.eventoccurrenceupdatedat",
+];
+
+const sendCalendar = (res, filename, body) => {
+    res.set({
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+    });
+    res.send(body);
+};
+
+// Subscribable feed of upcoming occurrences; ?type= filters like /events.
+// Cancelled dates stay in the feed as STATUS:CANCELLED so subscribers remove them.
+router.get("/events/calendar.ics", async (req, res) => {
+    try {
+        const { type } = req.query;
+        const occurrences = await db("events")
+            .join("eventoccurrences", "events.eventid", "=", "eventoccurrences.eventid")
+            .where("eventoccurrences.eventdatetimeend", ">=", new Date())
+            .modify((builder) => {
+                if (type) {
+                    builder.where("events.eventtype", type);
+                }
+            })
+            .select(calendarSelect)
+            .orderBy("eventoccurrences.eventdatetimestart", "asc");
+
+        const body = buildCalendar(occurrences, {
+            name: type ? `Ella Rises ${type} Events` : "Ella Rises Events",
+            baseUrl: `${req.protocol}://${req.get("host")}`,
+        });
+        sendCalendar(res, "ella-rises-events.ics", body);
+    } catch (err) {
+        console.error("Error building calendar feed:", err);
+        res.status(500).send("Error loading calendar");
+    }
+});
+
+// "Add to calendar" download for one occurrence
+router.get("/events/occurrences/:occurrenceid/calendar.ics", async (req, res) => {
+    try {
+        const occurrence = await db("events")
+            .join("eventoccurrences", "events.eventid", "=", "eventoccurrences.eventid")
+            .where("eventoccurrences.eventoccurrenceid", req.params.occurrenceid)
+            .whereNull("events.eventdeletedat")
+            .select(calendarSelect)
+            .first();
+
+        if (!occurrence) {
+            return res.status(404).send("Event not found");
+        }
+
+        const body = buildCalendar([occurrence], {
+            baseUrl: `${req.protocol}://${req.get("host")}`,
+        });
+        sendCalendar(res, `ella-rises-event-${occurrence.eventoccurrenceid}.ics`, body);
+    } catch (err) {
+        console.error("Error building calendar file:", err);
+        res.status(500).send("Error loading calendar");
+    }
+});
+
+// The questionnaire an event's surveys use, if not its type's default
+const readSurveyTemplate = (value) => parseInt(value, 10) || null;
+
+// Add event form
+router.get("/addEvent", requirePermission("events", "create"), async (req, res) => {
+    try {
+        res.render("events/addEvent", {
+            frequencies: FREQUENCIES,
+            surveyTemplates: await activeTemplates(),
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading add event page:", err);
+        res.status(500).send("Error loading page");
+    }
+});
+
+// Edit event form (one occurrence at a time; ?occurrence= picks which)
+router.get("/editEvent/:id", requirePermission("events", "edit"), async (req, res) => {
+    const targetId = req.params.id;
+
+    try {
+        const eventToEdit = await db("events")
+            .where("eventid", targetId)
+            .whereNull("eventdeletedat")
+            .select(
+                "eventid",
+                "eventname",
+                "eventtype",
+                "eventdescription",
+                "eventrecurrencepattern",
+                "eventrecurrenceuntil",
+                "eventrecurrencecount",
+                "eventdefaultcapacity",
+                "surveytemplateid"
             )
             .first();
 
@@ -178,8 +323,34 @@ router.get("/editEvent/:id", requireAuth, async (req, res) => {
             return res.status(404).send("Event not found");
         }
 
+        const occurrences = await db("eventoccurrences")
+            .where({ eventid: targetId })
+            .orderBy("eventdatetimestart", "asc");
+
+        if (occurrences.length === 0) {
+            return res.status(404).send("Event not found");
+        }
+
+        // Default to the next upcoming occurrence, else the last one
+        const now = new Date();
+        const selected =
+            occurrences.find((o) => String(o.eventoccurrenceid) === String(req.query.occurrence)) ||
+            occurrences.find((o) => new Date(o.eventdatetimestart) >= now) ||
+            occurrences[occurrences.length - 1];
+
+        // A retired questionnaire stays listed while the event still uses it
+        const surveyTemplates = await activeTemplates();
+        if (eventToEdit.surveytemplateid && !surveyTemplates.some((t) => t.surveytemplateid === eventToEdit.surveytemplateid)) {
+            surveyTemplates.push(
+                await db("surveytemplates").select("surveytemplateid", "surveytemplatename").where({ surveytemplateid: eventToEdit.surveytemplateid }).first()
+            );
+        }
+
         res.render("events/editEvent", {
-            event: eventToEdit,
+            event: { ...eventToEdit, ...selected },
+            occurrences,
+            surveyTemplates,
+            frequencies: FREQUENCIES,
             user: req.session.user,
         });
     } catch (err) {
@@ -188,33 +359,56 @@ router.get("/editEvent/:id", requireAuth, async (req, res) => {
     }
 });
 
-// Add event submit
-router.post("/addEvent", requireAuth, async (req, res) => {
-    const { name, type, description, recurrence, capacity, startTime, endTime, location, deadline } =
+// Add event submit: the recurrence rule expands into one occurrence per date
+router.post("/addEvent", requirePermission("events", "create"), async (req, res) => {
+    const { name, type, description, recurrence, until, count, capacity, startTime, endTime, location, deadline, surveytemplateid } =
         req.body;
+    const rule = {
+        frequency: FREQUENCIES[recurrence] ? recurrence : "None",
+        start: startTime,
+        end: endTime,
+        until: until || null,
+        count: parseInt(count, 10) || null,
+    };
+
+    if (rule.frequency !== "None" && !rule.until && !rule.count) {
+        req.flash("error", "Recurring events need an end date or a number of occurrences.");
+        return res.redirect("/addEvent");
+    }
 
     try {
+        let created = 0;
         await db.transaction(async (trx) => {
-            const [newEvent] = await trx("events")
-                .insert({
-                    eventname: name,
-                    eventtype: type,
-                    eventdescription: description,
-                    eventrecurrencepattern: recurrence || "None",
-                    eventdefaultcapacity: parseInt(capacity, 10),
-                })
-                .returning("eventid");
-
-            await trx("eventoccurrences").insert({
-                eventid: newEvent.eventid,
-                eventdatetimestart: startTime,
-                eventdatetimeend: endTime,
-                eventlocation: location,
-                eventcapacity: parseInt(capacity, 10),
-                eventregistrationdeadline: deadline,
+            const [newEvent] = await auditInsert(trx, auditActor(req), "events", {
+                eventname: name,
+                eventtype: type,
+                eventdescription: description,
+                eventrecurrencepattern: rule.frequency,
+                eventrecurrenceuntil: rule.until,
+                eventrecurrencecount: rule.count,
+                eventdefaultcapacity: parseInt(capacity, 10),
+                surveytemplateid: readSurveyTemplate(surveytemplateid),
             });
+
+            created = await createOccurrences(
+                trx,
+                newEvent.eventid,
+                rule,
+                {
+                    location,
+                    capacity: parseInt(capacity, 10),
+                    deadline: deadline || null,
+                },
+                auditActor(req)
+            );
+            if (created === 0) {
+                throw new Error("Recurrence produced no occurrences; check the start and end times");
+            }
         });
 
+        if (created > 1) {
+            req.flash("success", `Event created with ${created} occurrences.`);
+        }
         res.redirect("/events");
     } catch (err) {
         console.error("Error adding event:", err);
@@ -223,33 +417,88 @@ router.post("/addEvent", requireAuth, async (req, res) => {
     }
 });
 
-// Edit event submit
-router.post("/editEvent/:id", requireAuth, async (req, res) => {
+// Edit event submit. Event details always apply to the whole event; schedule
+// changes apply to this occurrence, this and following, or all occurrences.
+router.post("/editEvent/:id", requirePermission("events", "edit"), async (req, res) => {
     const targetEventId = req.params.id;
-    const { name, type, description, recurrence, capacity, startTime, endTime, location, deadline } =
-        req.body;
+    const {
+        occurrenceid,
+        scope,
+        name,
+        type,
+        description,
+        recurrence,
+        until,
+        count,
+        capacity,
+        startTime,
+        endTime,
+        location,
+        deadline,
+        surveytemplateid,
+    } = req.body;
+    const editScope = ["this", "following", "all"].includes(scope) ? scope : "this";
+    const rule = {
+        frequency: FREQUENCIES[recurrence] ? recurrence : "None",
+        until: until || null,
+        count: parseInt(count, 10) || null,
+    };
+    const redirectTo = `/editEvent/${targetEventId}?occurrence=${encodeURIComponent(occurrenceid || "")}`;
+
+    if (editScope !== "this" && rule.frequency !== "None" && !rule.until && !rule.count) {
+        req.flash("error", "Recurring events need an end date or a number of occurrences.");
+        return res.redirect(redirectTo);
+    }
 
     try {
         await db.transaction(async (trx) => {
-            await trx("events")
-                .where({ eventid: targetEventId })
-                .update({
-                    eventname: name,
-                    eventtype: type,
-                    eventdescription: description,
-                    eventrecurrencepattern: recurrence,
-                    eventdefaultcapacity: parseInt(capacity, 10),
-                });
-
-            await trx("eventoccurrences")
+            const occurrence = await trx("eventoccurrences")
+                .where({ eventid: targetEventId, eventoccurrenceid: occurrenceid })
+                .first();
+            if (!occurrence) {
+                throw new Error(`Occurrence ${occurrenceid} not found for event ${targetEventId}`);
+            }
+
+            const eventUpdate = {
+                eventname: name,
+                eventtype: type,
+                eventdescription: description,
+                eventdefaultcapacity: parseInt(capacity, 10),
+                surveytemplateid: readSurveyTemplate(surveytemplateid),
+            };
+            // A one-off change doesn't alter the series rule
+            if (editScope !== "this") {
+                eventUpdate.eventrecurrencepattern = rule.frequency;
+                eventUpdate.eventrecurrenceuntil = rule.until;
+                eventUpdate.eventrecurrencecount = rule.count;
+            }
+            await auditUpdate(trx, auditActor(req), "events", { eventid: targetEventId }, eventUpdate);
+
+            await applyOccurrenceEdit(trx, {
+                eventid: targetEventId,
+                occurrence,
+                scope: editScope,
+                rule,
+                actor: auditActor(req),
+                values: {
+                    start: startTime,
+                    end: endTime,
+                    location,
+                    capacity: parseInt(capacity, 10),
+                    deadline: deadline || null,
+                },
+            });
+
+            // Event details show on every occurrence, so every calendar entry is re-sent
+            await touchOccurrences(trx, { eventid: targetEventId });
+
+            // A larger capacity frees seats for anyone on the waitlist
+            const occurrenceIds = await trx("eventoccurrences")
                 .where({ eventid: targetEventId })
-                .update({
-                    eventdatetimestart: startTime,
-                    eventdatetimeend: endTime,
-                    eventlocation: location,
-                    eventcapacity: parseInt(capacity, 10),
-                    eventregistrationdeadline: deadline,
-                });
+                .pluck("eventoccurrenceid");
+            for (const occurrenceId of occurrenceIds) {
+                await promoteWaitlist(trx, occurrenceId, auditActor(req));
+            }
         });
 
         req.flash("success", "Event updated.");
@@ -257,27 +506,263 @@ router.post("/editEvent/:id", requireAuth, async (req, res) => {
     } catch (err) {
         console.error("Error editing event:", err);
         req.flash("error", "Failed to update event.");
-        res.redirect(`/editEvent/${targetEventId}`);
+        res.redirect(redirectTo);
     }
 });
 
-// Delete event
-router.post("/deleteEvent/:id", requireAuth, async (req, res) => {
-    const targetEventId = req.params.id;
+// Cancel a single occurrence; the event and its other dates are untouched
+router.post("/cancelOccurrence/:occurrenceid", requirePermission("events", "edit"), async (req, res) => {
+    try {
+        const occurrence = await db("eventoccurrences")
+            .where({ eventoccurrenceid: req.params.occurrenceid })
+            .first();
+        if (!occurrence) {
+            return res.status(404).send("Event not found");
+        }
+
+        await db.transaction((trx) => cancelOccurrence(trx, occurrence.eventoccurrenceid, auditActor(req)));
+        req.flash("success", "Occurrence cancelled.");
+        res.redirect(`/editEvent/${occurrence.eventid}?occurrence=${occurrence.eventoccurrenceid}`);
+    } catch (err) {
+        console.error("Error cancelling occurrence:", err);
+        req.flash("error", "Failed to cancel occurrence.");
+        res.redirect("/events");
+    }
+});
 
+// Undo a cancellation
+router.post("/restoreOccurrence/:occurrenceid", requirePermission("events", "edit"), async (req, res) => {
     try {
-        await db.transaction(async (trx) => {
-            await trx("eventoccurrences").where({ eventid: targetEventId }).del();
-            await trx("events").where({ eventid: targetEventId }).del();
-        });
+        const occurrence = await db("eventoccurrences")
+            .where({ eventoccurrenceid: req.params.occurrenceid })
+            .first();
+        if (!occurrence) {
+            return res.status(404).send("Event not found");
+        }
+
+        await db.transaction((trx) => restoreOccurrence(trx, occurrence.eventoccurrenceid, auditActor(req)));
+        req.flash("success", "Occurrence restored.");
+        res.redirect(`/editEvent/${occurrence.eventid}?occurrence=${occurrence.eventoccurrenceid}`);
+    } catch (err) {
+        console.error("Error restoring occurrence:", err);
+        req.flash("error", "Failed to restore occurrence.");
+        res.redirect("/events");
+    }
+});
 
-        req.flash("error", "Event deleted.");
+// Delete event (moves it and all of its dates to the recycle bin)
+router.post("/deleteEvent/:id", requirePermission("events", "delete"), async (req, res) => {
+    try {
+        await db.transaction((trx) => softDelete(trx, auditActor(req), "events", req.params.id));
+        req.flash("error", "Event moved to the recycle bin.");
         res.redirect("/events");
     } catch (err) {
+        if (err instanceof RecycleError) {
+            req.flash("error", err.message);
+            return res.redirect("/events");
+        }
         console.error("Error deleting event:", err);
         req.flash("error", "Failed to delete event.");
         res.status(500).send("Failed to delete event");
     }
 });
 
+// ==============================================
+// Registrations & attendance (per occurrence)
+// ==============================================
+
+// Sign-up form for one occurrence (Public Access)
+router.get("/events/occurrences/:occurrenceid/register", async (req, res) => {
+    try {
+        const occurrence = await getOccurrence(db, req.params.occurrenceid);
+        if (!occurrence) {
+            return res.status(404).send("Event not found");
+        }
+
+        const [{ count }] = await db("eventregistrations")
+            .where({ eventoccurrenceid: occurrence.eventoccurrenceid, registrationstatus: "Registered" })
+            .count("* as count");
+
+        res.render("events/register", {
+            occurrence,
+            registeredCount: parseInt(count, 10) || 0,
+            user: req.session.user || null,
+        });
+    } catch (err) {
+        console.error("Error loading registration form:", err);
+        res.status(500).send("Error loading registration form");
+    }
+});
+
+// Sign-up submit: seats are given out until capacity, then the waitlist fills
+router.post("/events/occurrences/:occurrenceid/register", async (req, res) => {
+    const occurrenceid = req.params.occurrenceid;
+    const firstname = (req.body.firstname || "").trim();
+    const lastname = (req.body.lastname || "").trim();
+    const email = (req.body.email || "").trim();
+
+    if (!firstname || !lastname || !email) {
+        req.flash("error", "First name, last name, and email are required.");
+        return res.redirect(`/events/occurrences/${occurrenceid}/register`);
+    }
+
+    try {
+        const registration = await registerParticipant(occurrenceid, { firstname, lastname, email }, auditActor(req));
+        try {
+            await emailConfirmation(registration, { firstname, email }, {
+                baseUrl: passwordReset.baseUrl || `${req.protocol}://${req.get("host")}`,
+            });
+        } catch (err) {
+            console.error("Error emailing registration confirmation:", err);
+        }
+
+        const cancelHint = "Your confirmation email has a link to cancel if your plans change.";
+        if (registration.registrationstatus === "Waitlisted") {
+            req.flash("success", `This event is full. You have been added to the waitlist. ${cancelHint}`);
+        } else {
+            req.flash("success", `You are registered! ${cancelHint}`);
+        }
+        res.redirect("/events");
+    } catch (err) {
+        if (err instanceof RegistrationError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error registering for event:", err);
+            req.flash("error", "Unable to register. Please try again.");
+        }
+        res.redirect(`/events/occurrences/${occurrenceid}/register`);
+    }
+});
+
+// Self-service cancellation from the link in the confirmation email (Public Access)
+router.get("/my-registration/:id/:token", async (req, res) => {
+    try {
+        const registration = await findCancellable(req.params.id, req.params.token);
+        if (!registration) {
+            req.flash("error", "This cancellation link is invalid, or the registration was already cancelled.");
+            return res.redirect("/events");
+        }
+        res.render("events/cancelRegistration", {
+            registration,
+            token: req.params.token,
+            user: req.session.user || null,
+        });
+    } catch (err) {
+        console.error("Error loading cancellation:", err);
+        res.status(500).send("Error loading cancellation");
+    }
+});
+
+router.post("/my-registration/:id/:token/cancel", async (req, res) => {
+    try {
+        const registration = await findCancellable(req.params.id, req.params.token);
+        if (!registration) {
+            throw new RegistrationError("This cancellation link is invalid, or the registration was already cancelled.");
+        }
+
+        await cancelRegistration({ eventregistrationid: registration.eventregistrationid }, auditActor(req));
+        req.flash("success", "Your registration has been cancelled.");
+    } catch (err) {
+        if (err instanceof RegistrationError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error cancelling registration:", err);
+            req.flash("error", "Unable to cancel registration.");
+        }
+    }
+    res.redirect("/events");
+});
+
+// Check-in screen for staff
+router.get("/events/occurrences/:occurrenceid/checkin", requirePermission("attendance", "view"), async (req, res) => {
+    try {
+        const occurrence = await getOccurrence(db, req.params.occurrenceid);
+        if (!occurrence) {
+            return res.status(404).send("Event not found");
+        }
+
+        const registrations = await db("eventregistrations as r")
+            .join("participants as p", "r.participantid", "p.participantid")
+            .where("r.eventoccurrenceid", occurrence.eventoccurrenceid)
+            .whereNot("r.registrationstatus", "Cancelled")
+            .whereNull("p.participantdeletedat")
+            .select(
+                "r.eventregistrationid",
+                "r.registrationstatus",
+                "r.registrationdate",
+                "r.registrationattended",
+                "p.participantid",
+                "p.participantfirstname",
+                "p.participantlastname",
+                "p.participantemail"
+            )
+            .orderBy([
+                { column: "r.registrationstatus", order: "asc" },
+                { column: "r.registrationdate", order: "asc" },
+            ]);
+
+        res.render("events/checkin", {
+            occurrence,
+            registered: registrations.filter((r) => r.registrationstatus === "Registered"),
+            waitlisted: registrations.filter((r) => r.registrationstatus === "Waitlisted"),
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading check-in:", err);
+        res.status(500).send("Error loading check-in");
+    }
+});
+
+// Save attendance from the check-in screen
+router.post("/events/occurrences/:occurrenceid/checkin", requirePermission("attendance", "edit"), async (req, res) => {
+    const occurrenceid = req.params.occurrenceid;
+    const attended = [].concat(req.body.attended || []);
+
+    try {
+        await recordAttendance(occurrenceid, attended, auditActor(req));
+        req.flash("success", "Attendance saved.");
+    } catch (err) {
+        console.error("Error saving attendance:", err);
+        req.flash("error", "Failed to save attendance.");
+    }
+    res.redirect(`/events/occurrences/${occurrenceid}/checkin`);
+});
+
+// Check in a walk-in who did not register ahead of time
+router.post("/events/occurrences/:occurrenceid/walkin", requirePermission("attendance", "edit"), async (req, res) => {
+    const occurrenceid = req.params.occurrenceid;
+    const firstname = (req.body.firstname || "").trim();
+    const lastname = (req.body.lastname || "").trim();
+    const email = (req.body.email || "").trim();
+
+    if (!firstname || !lastname || !email) {
+        req.flash("error", "First name, last name, and email are required.");
+        return res.redirect(`/events/occurrences/${occurrenceid}/checkin`);
+    }
+
+    try {
+        await recordWalkIn(occurrenceid, { firstname, lastname, email }, auditActor(req));
+        req.flash("success", `${firstname} ${lastname} checked in.`);
+    } catch (err) {
+        console.error("Error checking in walk-in:", err);
+        req.flash("error", "Failed to check in walk-in.");
+    }
+    res.redirect(`/events/occurrences/${occurrenceid}/checkin`);
+});
+
+// Staff cancellation from the check-in screen
+router.post("/registrations/:id/cancel", requirePermission("attendance", "edit"), async (req, res) => {
+    try {
+        const registration = await cancelRegistration({ eventregistrationid: req.params.id }, auditActor(req));
+        req.flash("success", "Registration cancelled.");
+        res.redirect(`/events/occurrences/${registration.eventoccurrenceid}/checkin`);
+    } catch (err) {
+        if (!(err instanceof RegistrationError)) {
+            console.error("Error cancelling registration:", err);
+        }
+        req.flash("error", "Unable to cancel registration.");
+        res.redirect("/events");
+    }
+});
+
 module.exports = router;
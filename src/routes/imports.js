@@ -0,0 +1,184 @@
+const express = require("express");
+const multer = require("multer");
+
+const { requirePermission } = require("../middleware/auth");
+const { auditActor } = require("../services/audit");
+const { can } = require("../services/permissions");
+const {
+    IMPORT_TYPES,
+    ImportError,
+    parseCsv,
+    suggestMapping,
+    validateRows,
+    commitImport,
+} = require("../services/importer");
+
+const router = express.Router();
+
+// CSV files are parsed straight from memory; nothing is written to disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+// Preview shows at most this many rows; errors are always listed in full
+const PREVIEW_ROWS = 200;
+
+// Importing also needs permission to create that kind of record
+const allowedTypes = (req) => {
+    const allowed = {};
+    for (const [type, config] of Object.entries(IMPORT_TYPES)) {
+        if (can(req.session.user, type, "create")) {
+            allowed[type] = config;
+        }
+    }
+    return allowed;
+};
+
+// The parsed file and mapping live in the session between wizard steps
+const getPendingImport = (req) => {
+    const pending = req.session.pendingImport;
+    return pending && allowedTypes(req)[pending.type] ? pending : null;
+};
+
+// Step 1: choose a record type and upload a CSV
+router.get("/import", requirePermission("imports", "create"), (req, res) => {
+    res.render("imports/upload", {
+        importTypes: allowedTypes(req),
+        selectedType: req.query.type || "",
+        user: req.session.user,
+    });
+});
+
+router.post("/import", requirePermission("imports", "create"), (req, res) => {
+    upload.single("csvfile")(req, res, (uploadErr) => {
+        const { type } = req.body || {};
+
+        if (uploadErr) {
+            req.flash("error", uploadErr.code === "LIMIT_FILE_SIZE" ? "CSV files must be under 5 MB." : "Upload failed.");
+            return res.redirect("/import");
+        }
+        if (!allowedTypes(req)[type]) {
+            req.flash("error", "Choose what kind of records you are importing.");
+            return res.redirect("/import");
+        }
+        if (!req.file) {
+            req.flash("error", "Choose a CSV file to upload.");
+            return res.redirect(`/import?type=${type}`);
+        }
+
+        try {
+            const { headers, rows } = parseCsv(req.file.buffer);
+            req.session.pendingImport = {
+                type,
+                filename: req.file.originalname,
+                headers,
+                rows,
+                mapping: suggestMapping(type, headers),
+            };
+            res.redirect("/import/map");
+        } catch (err) {
+            if (!(err instanceof ImportError)) {
+                console.error("Error reading import file:", err);
+            }
+            req.flash("error", err instanceof ImportError ? err.message : "Could not read the CSV file.");
+            res.redirect(`/import?type=${type}`);
+        }
+    });
+});
+
+// Step 2: map CSV columns to fields
+router.get("/import/map", requirePermission("imports", "create"), (req, res) => {
+    const pending = getPendingImport(req);
+    if (!pending) {
+        return res.redirect("/import");
+    }
+
+    res.render("imports/map", {
+        pending,
+        fields: IMPORT_TYPES[pending.type].fields,
+        typeLabel: IMPORT_TYPES[pending.type].label,
+        sampleRows: pending.rows.slice(0, 3),
+        user: req.session.user,
+    });
+});
+
+// Step 3: save the mapping, then preview every row validated against it
+router.post("/import/map", requirePermission("imports", "create"), (req, res) => {
+    const pending = getPendingImport(req);
+    if (!pending) {
+        return res.redirect("/import");
+    }
+
+    const mapping = {};
+    IMPORT_TYPES[pending.type].fields.forEach((field) => {
+        const column = req.body[`map_${field.name}`];
+        mapping[field.name] = pending.headers.includes(column) ? column : "";
+    });
+    pending.mapping = mapping;
+
+    const missing = IMPORT_TYPES[pending.type].fields.filter((field) => field.required && !mapping[field.name]);
+    if (missing.length > 0) {
+        req.flash("error", `Map a column for: ${missing.map((field) => field.label).join(", ")}.`);
+        return res.redirect("/import/map");
+    }
+
+    res.redirect("/import/preview");
+});
+
+router.get("/import/preview", requirePermission("imports", "create"), async (req, res) => {
+    const pending = getPendingImport(req);
+    if (!pending) {
+        return res.redirect("/import");
+    }
+
+    try {
+        const results = await validateRows(pending.type, pending.rows, pending.mapping);
+        const errorRows = results.filter((result) => result.errors.length > 0);
+
+        res.render("imports/preview", {
+            pending,
+            fields: IMPORT_TYPES[pending.type].fields.filter((field) => pending.mapping[field.name]),
+            typeLabel: IMPORT_TYPES[pending.type].label,
+            previewRows: results.slice(0, PREVIEW_ROWS),
+            errorRows,
+            totalRows: results.length,
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error validating import:", err);
+        req.flash("error", "Could not validate the import.");
+        res.redirect("/import/map");
+    }
+});
+
+// Step 4: import everything in a single transaction
+router.post("/import/commit", requirePermission("imports", "create"), async (req, res) => {
+    const pending = getPendingImport(req);
+    if (!pending) {
+        return res.redirect("/import");
+    }
+
+    try {
+        const imported = await commitImport(pending.type, pending.rows, pending.mapping, auditActor(req));
+        delete req.session.pendingImport;
+        req.flash("success", `Imported ${imported} ${IMPORT_TYPES[pending.type].label.toLowerCase()}.`);
+        res.redirect(`/${pending.type}`);
+    } catch (err) {
+        if (err instanceof ImportError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error committing import:", err);
+            req.flash("error", "Import failed and was rolled back. Nothing was imported.");
+        }
+        res.redirect("/import/preview");
+    }
+});
+
+// Abandon the current import
+router.post("/import/cancel", requirePermission("imports", "create"), (req, res) => {
+    delete req.session.pendingImport;
+    res.redirect("/import");
+});
+
+module.exports = router;
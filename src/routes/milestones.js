@@ -1,25 +1,42 @@
 const express = require("express");
 
 const db = require("../config/db");
-const { requireRole } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const { sendExport } = require("../services/exporter");
+const { auditActor } = require("../services/audit");
+const {
+    MilestoneError,
+    listCatalog,
+    listUnlistedTitles,
+    activeTitles,
+    awardMilestone,
+    updateMilestone,
+    deleteMilestone,
+    addTitle,
+    updateTitle,
+    mergeTitle,
+    deleteTitle,
+} = require("../services/milestones");
 
 const router = express.Router();
 
-// Milestones grouped by title
-router.get("/milestones", requireRole(["M"]), async (req, res) => {
+// Milestones grouped by title (awards of deleted participants are left out)
+router.get("/milestones", requirePermission("milestones", "view"), async (req, res) => {
     const search = (req.query.search || "").trim();
     try {
-        const milestones = await db("milestones")
-            .select("milestonetitle")
+        const milestones = await db("milestones as m")
+            .leftJoin("participants as p", "m.participantid", "p.participantid")
+            .whereNull("p.participantdeletedat")
+            .select("m.milestonetitle")
             .count("* as milestonecount")
-            .countDistinct("participantid as participantcount")
-            .groupBy("milestonetitle")
+            .countDistinct("m.participantid as participantcount")
+            .groupBy("m.milestonetitle")
             .modify((qb) => {
                 if (search) {
-                    qb.whereRaw("LOWER(milestonetitle) LIKE ?", [`%${search.toLowerCase()}%`]);
+                    qb.whereRaw("LOWER(m.milestonetitle) LIKE ?", [`%${search.toLowerCase()}%`]);
                 }
             })
-            .orderBy("milestonetitle", "asc");
+            .orderBy("m.milestonetitle", "asc");
 
         res.render("milestones/milestones", {
             milestones,
@@ -32,12 +49,278 @@ router.get("/milestones", requireRole(["M"]), async (req, res) => {
     }
 });
 
+// Download every milestone award whose title matches the current search (?format=csv|xlsx).
+// Registered before /milestones/:title so "export" isn't read as a title.
+router.get("/milestones/export", requirePermission("milestones", "export"), (req, res) => {
+    const search = (req.query.search || "").trim();
+
+    return sendExport(req, res, {
+        filename: "milestones",
+        sheetName: "Milestones",
+        columns: [
+            { key: "milestoneid", header: "Milestone ID", type: "number" },
+            { key: "milestonetitle", header: "Milestone", width: 30 },
+            { key: "milestonedate", header: "Date", type: "date" },
+            { key: "participantid", header: "Participant ID", type: "number" },
+            { key: "participantfirstname", header: "First Name" },
+            { key: "participantlastname", header: "Last Name" },
+            { key: "participantemail", header: "Email", width: 30 },
+        ],
+        query: db("milestones as m")
+            .leftJoin("participants as p", "m.participantid", "p.participantid")
+            .whereNull("p.participantdeletedat")
+            .select(
+                "m.milestoneid",
+                "m.milestonetitle",
+                "m.milestonedate",
+                "p.participantid",
+                "p.participantfirstname",
+                "p.participantlastname",
+                "p.participantemail"
+            )
+            .modify((qb) => {
+                if (search) {
+                    qb.whereRaw("LOWER(m.milestonetitle) LIKE ?", [`%${search.toLowerCase()}%`]);
+                }
+            })
+            .orderBy("m.milestonetitle", "asc")
+            .orderBy("m.milestonedate", "desc"),
+    });
+});
+
+// Show a MilestoneError to the user, log anything else
+const flashMilestoneError = (req, err, fallback) => {
+    if (err instanceof MilestoneError) {
+        req.flash("error", err.message);
+    } else {
+        console.error(`${fallback}:`, err);
+        req.flash("error", `${fallback}.`);
+    }
+};
+
+// ==============================================
+// Title catalog
+// ==============================================
+
+router.get("/milestones/titles", requirePermission("milestones", "view"), async (req, res) => {
+    try {
+        const [titles, unlisted] = await Promise.all([listCatalog(), listUnlistedTitles()]);
+        res.render("milestones/titles", {
+            titles,
+            unlisted,
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading milestone titles:", err);
+        res.status(500).send("Error loading milestone titles");
+    }
+});
+
+router.post("/milestones/titles", requirePermission("milestones", "edit"), async (req, res) => {
+    try {
+        const created = await db.transaction((trx) =>
+            addTitle(trx, auditActor(req), { title: req.body.title, description: req.body.description })
+        );
+        req.flash("success", `Added "${created.milestonetitle}" to the catalog.`);
+    } catch (err) {
+        flashMilestoneError(req, err, "Unable to add milestone title");
+    }
+    res.redirect("/milestones/titles");
+});
+
+// Fold a variant spelling into a catalog title. Registered before /:id.
+router.post("/milestones/titles/merge", requirePermission("milestones", "edit"), async (req, res) => {
+    try {
+        const moved = await db.transaction((trx) =>
+            mergeTitle(trx, auditActor(req), { from: req.body.from, intoId: req.body.into })
+        );
+        req.flash("success", `Merged "${req.body.from}"; ${moved} award${moved === 1 ? "" : "s"} moved.`);
+    } catch (err) {
+        flashMilestoneError(req, err, "Unable to merge milestone titles");
+    }
+    res.redirect("/milestones/titles");
+});
+
+router.post("/milestones/titles/:id", requirePermission("milestones", "edit"), async (req, res) => {
+    try {
+        await db.transaction((trx) =>
+            updateTitle(trx, auditActor(req), req.params.id, {
+                title: req.body.title,
+                description: req.body.description,
+                active: req.body.active === "on",
+            })
+        );
+        req.flash("success", "Milestone title updated.");
+    } catch (err) {
+        flashMilestoneError(req, err, "Unable to update milestone title");
+    }
+    res.redirect("/milestones/titles");
+});
+
+router.post("/milestones/titles/:id/delete", requirePermission("milestones", "edit"), async (req, res) => {
+    try {
+        await db.transaction((trx) => deleteTitle(trx, auditActor(req), req.params.id));
+        req.flash("success", "Milestone title removed.");
+    } catch (err) {
+        flashMilestoneError(req, err, "Unable to remove milestone title");
+    }
+    res.redirect("/milestones/titles");
+});
+
+// ==============================================
+// Awarding, editing and removing milestones
+// ==============================================
+
+// Award form. Candidates come from a search (?search=) or from the attendees
+// of a past occurrence (?occurrence=), who start out checked.
+router.get("/milestones/award", requirePermission("milestones", "create"), async (req, res) => {
+    const search = (req.query.search || "").trim();
+    const occurrence = parseInt(req.query.occurrence, 10) || null;
+
+    try {
+        const [titles, occurrences] = await Promise.all([
+            activeTitles(),
+            db("eventoccurrences as eo")
+                .join("events as e", "eo.eventid", "e.eventid")
+                .whereNull("e.eventdeletedat")
+                .where("eo.eventdatetimestart", "<", new Date())
+                .select("eo.eventoccurrenceid", "eo.eventdatetimestart", "e.eventname")
+                .orderBy("eo.eventdatetimestart", "desc")
+                .limit(100),
+        ]);
+
+        let candidates = [];
+        if (occurrence) {
+            candidates = await db("eventregistrations as r")
+                .join("participants as p", "r.participantid", "p.participantid")
+                .where({ "r.eventoccurrenceid": occurrence, "r.registrationattended": true })
+                .whereNull("p.participantdeletedat")
+                .select("p.participantid", "p.participantfirstname", "p.participantlastname", "p.participantemail")
+                .orderBy(["p.participantlastname", "p.participantfirstname"]);
+        } else if (search) {
+            const term = `%${search.toLowerCase()}%`;
+            candidates = await db("participants as p")
+                .whereNull("p.participantdeletedat")
+                .where(function() {
+                    this.whereRaw("LOWER(p.participantfirstname) LIKE ?", [term])
+                        .orWhereRaw("LOWER(p.participantlastname) LIKE ?", [term])
+                        .orWhereRaw("LOWER(CONCAT(p.participantfirstname, ' ', p.participantlastname)) LIKE ?", [term])
+                        .orWhereRaw("LOWER(p.participantemail) LIKE ?", [term]);
+                })
+                .select("p.participantid", "p.participantfirstname", "p.participantlastname", "p.participantemail")
+                .orderBy(["p.participantlastname", "p.participantfirstname"])
+                .limit(200);
+        }
+
+        res.render("milestones/award", {
+            titles,
+            occurrences,
+            candidates,
+            preselect: Boolean(occurrence),
+            filters: { search, occurrence, title: req.query.title || "" },
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading award form:", err);
+        res.status(500).send("Error loading award form");
+    }
+});
+
+// Award a title to the checked participants. The participant page posts one
+// participant with from=participant and is sent back there.
+router.post("/milestones/award", requirePermission("milestones", "create"), async (req, res) => {
+    const participantIds = [].concat(req.body.participantids || []);
+    const fromParticipant = req.body.from === "participant" && participantIds.length === 1;
+    const backTo = fromParticipant
+        ? `/displayParticipant/${encodeURIComponent(participantIds[0])}`
+        : `/milestones/award?title=${encodeURIComponent(req.body.title || "")}`;
+
+    try {
+        const { title, awarded, skipped } = await db.transaction((trx) =>
+            awardMilestone(trx, auditActor(req), {
+                participantIds,
+                title: req.body.title,
+                date: req.body.date,
+            })
+        );
+        const note = skipped > 0 ? ` (${skipped} already had it)` : "";
+        req.flash("success", `Awarded "${title}" to ${awarded} participant${awarded === 1 ? "" : "s"}${note}.`);
+        res.redirect(fromParticipant ? backTo : `/milestones/${encodeURIComponent(title)}`);
+    } catch (err) {
+        flashMilestoneError(req, err, "Unable to award milestone");
+        res.redirect(backTo);
+    }
+});
+
+// Where to go after editing or removing an award: the participant page when
+// that's where the manager came from, else the title's detail page
+const afterMilestoneChange = (req, milestone) =>
+    req.body.from === "participant"
+        ? `/displayParticipant/${milestone.participantid}`
+        : `/milestones/${encodeURIComponent(milestone.milestonetitle)}`;
+
+router.get("/editMilestone/:id", requirePermission("milestones", "edit"), async (req, res) => {
+    try {
+        const milestone = await db("milestones as m")
+            .leftJoin("participants as p", "m.participantid", "p.participantid")
+            .where("m.milestoneid", req.params.id)
+            .select("m.*", "p.participantfirstname", "p.participantlastname")
+            .first();
+        if (!milestone) {
+            return res.status(404).send("Milestone not found");
+        }
+
+        // Keep a retired or unlisted title selectable for the award that has it
+        const titles = await activeTitles();
+        if (!titles.includes(milestone.milestonetitle)) {
+            titles.unshift(milestone.milestonetitle);
+        }
+
+        res.render("milestones/editMilestone", {
+            milestone,
+            titles,
+            from: req.query.from === "participant" ? "participant" : "",
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading milestone for edit:", err);
+        res.status(500).send("Error loading milestone");
+    }
+});
+
+router.post("/editMilestone/:id", requirePermission("milestones", "edit"), async (req, res) => {
+    const milestoneid = req.params.id;
+    try {
+        const updated = await db.transaction((trx) =>
+            updateMilestone(trx, auditActor(req), milestoneid, { title: req.body.title, date: req.body.date })
+        );
+        req.flash("success", "Milestone updated.");
+        res.redirect(afterMilestoneChange(req, updated));
+    } catch (err) {
+        flashMilestoneError(req, err, "Unable to update milestone");
+        const from = req.body.from === "participant" ? "?from=participant" : "";
+        res.redirect(`/editMilestone/${encodeURIComponent(milestoneid)}${from}`);
+    }
+});
+
+router.post("/deleteMilestone/:id", requirePermission("milestones", "delete"), async (req, res) => {
+    try {
+        const deleted = await db.transaction((trx) => deleteMilestone(trx, auditActor(req), req.params.id));
+        req.flash("error", "Milestone removed.");
+        res.redirect(afterMilestoneChange(req, deleted));
+    } catch (err) {
+        flashMilestoneError(req, err, "Unable to remove milestone");
+        res.redirect("/milestones");
+    }
+});
+
 // Milestone detail
-router.get("/milestones/:title", requireRole(["M"]), async (req, res) => {
+router.get("/milestones/:title", requirePermission("milestones", "view"), async (req, res) => {
     const title = req.params.title;
     try {
         const milestoneRows = await db("milestones as m")
             .leftJoin("participants as p", "m.participantid", "p.participantid")
+            .whereNull("p.participantdeletedat")
             .select(
                 "m.milestoneid",
                 "m.milestonetitle",
@@ -50,8 +333,11 @@ router.get("/milestones/:title", requireRole(["M"]), async (req, res) => {
             .where("m.milestonetitle", title)
             .orderBy("m.milestonedate", "desc");
 
+        const catalogEntry = await db("milestonetitles").where("milestonetitle", title).first();
+
         res.render("milestones/milestoneDetail", {
             title,
+            catalogEntry,
             milestones: milestoneRows,
             participantCount: new Set(milestoneRows.map((m) => m.participantid)).size,
             user: req.session.user,
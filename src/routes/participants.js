@@ -1,12 +1,31 @@
 const express = require("express");
 
 const db = require("../config/db");
-const { requireRole } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const { sendExport } = require("../services/exporter");
+const { participantSortMap, participantSearch } = require("../services/listQueries");
+const { auditActor, auditInsert, auditUpdate } = require("../services/audit");
+const { RecycleError, softDelete } = require("../services/recycleBin");
+const { activeTitles } = require("../services/milestones");
+const { linkedAccount } = require("../services/portal");
+const { can } = require("../services/permissions");
+const { participantEngagement } = require("../services/engagement");
+const { NoteError, readNote, addNote, deleteNote } = require("../services/participantNotes");
+const { assignableUsers, dateInput } = require("../services/participantTasks");
+const {
+    MERGE_FIELDS,
+    MATCH_REASONS,
+    MergeError,
+    findDuplicateGroups,
+    loadComparison,
+    mergeParticipants,
+    dismissDuplicates,
+} = require("../services/duplicates");
 
 const router = express.Router();
 
 // Route for viewing all participants with Search, Sort, AND Pagination
-router.get("/participants", requireRole(["M"]), async (req, res) => {
+router.get("/participants", requirePermission("participants", "view"), async (req, res) => {
     try {
         // 1. Get Parameters
         const searchTerm = req.query.search || "";
@@ -19,16 +38,7 @@ router.get("/participants", requireRole(["M"]), async (req, res) => {
         const offset = (page - 1) * limit;
 
         // 2. Define Filter Logic (Used for both counting and fetching)
-        const modifyQuery = (queryBuilder) => {
-            if (searchTerm) {
-                queryBuilder.where((builder) => {
-                    builder.where("participantfirstname", "ilike", `%${searchTerm}%`)
-                           .orWhere("participantlastname", "ilike", `%${searchTerm}%`)
-                           .orWhere("participantemail", "ilike", `%${searchTerm}%`)
-                           .orWhere("participantphone", "ilike", `%${searchTerm}%`);
-                });
-            }
-        };
+        const modifyQuery = participantSearch(searchTerm);
 
         // 3. Get Total Count (Needed to calculate total pages)
         const countResult = await db("participants")
@@ -40,12 +50,7 @@ router.get("/participants", requireRole(["M"]), async (req, res) => {
         const totalPages = Math.ceil(totalCount / limit);
 
         // 4. Get Actual Data
-        const sortMap = {
-            "lastname": "participantlastname",
-            "firstname": "participantfirstname",
-            "email": "participantemail"
-        };
-        const dbColumn = sortMap[sortBy] || "participantlastname";
+        const dbColumn = participantSortMap[sortBy] || "participantlastname";
 
         const participants = await db.select(
                 "participantid",
@@ -64,7 +69,6 @@ router.get("/participants", requireRole(["M"]), async (req, res) => {
         // 5. Render View
         res.render("participants/participants", {
             participants: participants,
-            userLevel: req.session.user.level,
             user: req.session.user,
             
             // Search & Sort params (to keep UI state)
@@ -83,7 +87,6 @@ router.get("/participants", requireRole(["M"]), async (req, res) => {
         console.error("Database query error:", err.message);
         res.render("participants/participants", {
             participants: [],
-            userLevel: req.session.user ? req.session.user.level : null,
             user: req.session.user,
             error_message: `Database error: ${err.message}`,
             
@@ -99,51 +102,254 @@ router.get("/participants", requireRole(["M"]), async (req, res) => {
     }
 });
 
+// Download every participant matching the current search and sort (?format=csv|xlsx)
+router.get("/participants/export", requirePermission("participants", "export"), (req, res) => {
+    const searchTerm = req.query.search || "";
+    const dbColumn = participantSortMap[req.query.sortBy] || "participantlastname";
+    const sortOrder = req.query.sortOrder === "desc" ? "desc" : "asc";
+
+    return sendExport(req, res, {
+        filename: "participants",
+        sheetName: "Participants",
+        columns: [
+            { key: "participantid", header: "Participant ID", type: "number" },
+            { key: "participantfirstname", header: "First Name" },
+            { key: "participantlastname", header: "Last Name" },
+            { key: "participantemail", header: "Email", width: 30 },
+            { key: "participantphone", header: "Phone" },
+            { key: "participantdob", header: "Date of Birth", type: "date" },
+            { key: "participantrole", header: "Role" },
+            { key: "participantcity", header: "City" },
+            { key: "participantstate", header: "State" },
+            { key: "participantzip", header: "Zip" },
+            { key: "participantschooloremployer", header: "School / Employer", width: 30 },
+            { key: "participantfieldofinterest", header: "Field of Interest" },
+        ],
+        query: db("participants")
+            .select(
+                "participantid",
+                "participantfirstname",
+                "participantlastname",
+                "participantemail",
+                "participantphone",
+                "participantdob",
+                "participantrole",
+                "participantcity",
+                "participantstate",
+                "participantzip",
+                "participantschooloremployer",
+                "participantfieldofinterest"
+            )
+            .where(participantSearch(searchTerm))
+            .orderBy(dbColumn, sortOrder)
+            .orderBy("participantid", "asc"),
+    });
+});
+
+// ==============================================
+// Duplicate detection and merge
+// ==============================================
+
+// Parse "?ids=3,7" / repeated ids fields into unique participant ids
+const parseIds = (value) =>
+    Array.from(
+        new Set(
+            (Array.isArray(value) ? value : String(value || "").split(","))
+                .map((id) => parseInt(id, 10))
+                .filter((id) => id > 0)
+        )
+    );
+
+// Groups of likely duplicate participants
+router.get("/participants/duplicates", requirePermission("participants", "edit"), async (req, res) => {
+    try {
+        const groups = await findDuplicateGroups();
+        res.render("participants/duplicates", {
+            groups,
+            matchReasons: MATCH_REASONS,
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error finding duplicate participants:", err);
+        res.status(500).send("Error finding duplicate participants");
+    }
+});
+
+// Side-by-side comparison with a value picker for each field
+router.get("/participants/duplicates/compare", requirePermission("participants", "edit"), async (req, res) => {
+    const ids = parseIds(req.query.ids);
+    if (ids.length < 2) {
+        req.flash("error", "Choose at least two participants to compare.");
+        return res.redirect("/participants/duplicates");
+    }
+
+    try {
+        const participants = await loadComparison(ids);
+        if (participants.length < 2) {
+            req.flash("error", "Those participants no longer exist.");
+            return res.redirect("/participants/duplicates");
+        }
+        res.render("participants/mergeParticipants", {
+            participants,
+            fields: MERGE_FIELDS,
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading participants to compare:", err);
+        res.status(500).send("Error loading participants");
+    }
+});
+
+router.post("/participants/merge", requirePermission("participants", "delete"), async (req, res) => {
+    const ids = parseIds(req.body.ids);
+    const survivorId = parseInt(req.body.survivorid, 10);
+
+    if (!ids.includes(survivorId)) {
+        req.flash("error", "Choose which record to keep.");
+        return res.redirect(`/participants/duplicates/compare?ids=${ids.join(",")}`);
+    }
+
+    const choices = {};
+    MERGE_FIELDS.forEach(({ name }) => {
+        choices[name] = req.body[`field_${name}`];
+    });
+
+    try {
+        const merged = await mergeParticipants({ survivorId, mergedIds: ids, choices, actor: auditActor(req) });
+        req.flash("success", `Merged ${merged} duplicate record${merged === 1 ? "" : "s"} into this participant.`);
+        res.redirect(`/displayParticipant/${survivorId}`);
+    } catch (err) {
+        if (err instanceof MergeError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error merging participants:", err);
+            req.flash("error", "Merge failed; nothing was changed.");
+        }
+        res.redirect(`/participants/duplicates/compare?ids=${ids.join(",")}`);
+    }
+});
+
+// Mark a suggested group as different people
+router.post("/participants/duplicates/dismiss", requirePermission("participants", "edit"), async (req, res) => {
+    try {
+        await dismissDuplicates(parseIds(req.body.ids));
+        req.flash("success", "Marked as not duplicates.");
+    } catch (err) {
+        console.error("Error dismissing duplicates:", err);
+        req.flash("error", "Could not update duplicate suggestions.");
+    }
+    res.redirect("/participants/duplicates");
+});
+
+// The participant's profile: their details, summary stats and a timeline of
+// milestones, attended events, surveys, gifts, case notes and completed tasks
+const loadProfile = async (req, participantid) => {
+    const participant = await db("participants").where({ participantid }).whereNull("participantdeletedat").first();
+    if (!participant) {
+        return null;
+    }
+    const user = req.session.user;
+    const [engagement, milestoneTitles, portalAccount, donor, assignees] = await Promise.all([
+        participantEngagement(participantid, {
+            surveys: can(user, "surveys", "view"),
+            donations: can(user, "donations", "view"),
+            sensitiveNotes: can(user, "sensitiveNotes", "view"),
+        }),
+        activeTitles(),
+        linkedAccount(participantid),
+        db("donors").select("donorid").where({ participantid }).whereNull("donordeletedat").orderBy("donorid").first(),
+        assignableUsers(),
+    ]);
+    return {
+        participant,
+        ...engagement,
+        milestoneTitles,
+        portalAccount: portalAccount || null,
+        donor: donor || null,
+        assignees,
+        today: dateInput(new Date()),
+    };
+};
+
 // Route to view the full info for a specific participant (read-only)
-router.get("/displayParticipant/:id", requireRole(["M"]), (req, res) => {
+router.get("/displayParticipant/:id", requirePermission("participants", "view"), async (req, res) => {
+    try {
+        const profile = await loadProfile(req, req.params.id);
+        if (!profile) {
+            return res.status(404).render("participants/participants", {
+                participants: [],
+                error_message: "Participant not found.",
+            });
+        }
+        res.render("participants/displayParticipant", {
+            ...profile,
+            user: req.session.user,
+            backLink: "/participants",
+        });
+    } catch (err) {
+        console.error("Error fetching participant details:", err.message);
+        res.status(500).send("Server Error");
+    }
+});
+
+// One printable page for mentors: stats, milestones, recent events, survey
+// feedback and the latest notes
+router.get("/displayParticipant/:id/summary", requirePermission("participants", "view"), async (req, res) => {
+    try {
+        const profile = await loadProfile(req, req.params.id);
+        if (!profile) {
+            return res.status(404).send("Participant not found");
+        }
+        res.render("participants/participantSummary", { ...profile, layout: false, printedAt: new Date() });
+    } catch (err) {
+        console.error("Error building participant summary:", err.message);
+        res.status(500).send("Server Error");
+    }
+});
+
+// Case notes on the timeline; only roles allowed to write sensitive notes can mark one sensitive
+router.post("/participants/:id/notes", requirePermission("participants", "edit"), async (req, res) => {
     const participantid = req.params.id;
+    try {
+        const values = readNote(req.body, { sensitive: can(req.session.user, "sensitiveNotes", "create") });
+        await db.transaction((trx) => addNote(trx, auditActor(req), participantid, values));
+        req.flash("success", "Note added.");
+    } catch (err) {
+        if (err instanceof NoteError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error adding note:", err);
+            req.flash("error", "Error adding note.");
+        }
+    }
+    res.redirect(`/displayParticipant/${participantid}#timeline`);
+});
 
-    db("participants")
-        .select("*")
-        .where({ participantid })
-        .first()
-        .then((participant) => {
-            if (!participant) {
-                return res.status(404).render("participants/participants", {
-                    participants: [],
-                    userLevel: req.session.user.level,
-                    error_message: "Participant not found.",
-                });
-            }
-            return db("milestones")
-                .select("milestonetitle", "milestonedate", "milestoneid")
-                .where({ participantid })
-                .orderBy("milestonedate", "desc")
-                .then((milestones) => {
-                    res.render("participants/displayParticipant", {
-                        participant,
-                        milestones,
-                        userLevel: req.session.user.level,
-                        user: req.session.user,
-                        backLink: "/participants",
-                    });
-                });
-        })
-        .catch((err) => {
-            console.error("Error fetching participant details:", err.message);
-            res.status(500).send("Server Error");
-        });
+router.post("/participants/:id/notes/:noteid/delete", requirePermission("participants", "edit"), async (req, res) => {
+    const participantid = req.params.id;
+    try {
+        const sensitive = can(req.session.user, "sensitiveNotes", "view");
+        await db.transaction((trx) => deleteNote(trx, auditActor(req), participantid, req.params.noteid, { sensitive }));
+        req.flash("success", "Note deleted.");
+    } catch (err) {
+        if (err instanceof NoteError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error deleting note:", err);
+            req.flash("error", "Error deleting note.");
+        }
+    }
+    res.redirect(`/displayParticipant/${participantid}#timeline`);
 });
 
 // Routes for adding a new participant
-router.get("/addParticipant", requireRole(["M"]), (req, res) => {
+router.get("/addParticipant", requirePermission("participants", "create"), (req, res) => {
     res.render("participants/addParticipant", {
-        userLevel: req.session.user.level,
         user: req.session.user,
     });
 });
 
-router.post("/addParticipant", requireRole(["M"]), (req, res) => {
+router.post("/addParticipant", requirePermission("participants", "create"), (req, res) => {
     const {
         participantfirstname,
         participantlastname,
@@ -163,8 +369,8 @@ router.post("/addParticipant", requireRole(["M"]), (req, res) => {
         return res.redirect("/addParticipant");
     }
 
-    db("participants")
-        .insert({
+    db.transaction((trx) =>
+        auditInsert(trx, auditActor(req), "participants", {
             participantfirstname,
             participantlastname,
             participantemail,
@@ -177,6 +383,7 @@ router.post("/addParticipant", requireRole(["M"]), (req, res) => {
             participantschooloremployer,
             participantfieldofinterest,
         })
+    )
         .then(() => {
             req.flash("success", "Participant added.");
             res.redirect("/participants");
@@ -189,12 +396,13 @@ router.post("/addParticipant", requireRole(["M"]), (req, res) => {
 });
 
 // Routes for editing an existing participant
-router.get("/editParticipant/:id", requireRole(["M"]), (req, res) => {
+router.get("/editParticipant/:id", requirePermission("participants", "edit"), (req, res) => {
     const participantid = req.params.id;
 
     db("participants")
         .select("*")
         .where({ participantid })
+        .whereNull("participantdeletedat")
         .first()
         .then((participant) => {
             if (!participant) {
@@ -202,7 +410,6 @@ router.get("/editParticipant/:id", requireRole(["M"]), (req, res) => {
             }
             res.render("participants/editParticipant", {
                 participant,
-                userLevel: req.session.user.level,
                 user: req.session.user,
             });
         })
@@ -213,7 +420,7 @@ router.get("/editParticipant/:id", requireRole(["M"]), (req, res) => {
 });
 
 // Update participant
-router.post("/editParticipant/:id", requireRole(["M"]), (req, res) => {
+router.post("/editParticipant/:id", requirePermission("participants", "edit"), (req, res) => {
     const participantid = req.params.id;
     const {
         participantfirstname,
@@ -229,9 +436,8 @@ router.post("/editParticipant/:id", requireRole(["M"]), (req, res) => {
         participantfieldofinterest,
     } = req.body;
 
-    db("participants")
-        .where({ participantid })
-        .update({
+    db.transaction((trx) =>
+        auditUpdate(trx, auditActor(req), "participants", { participantid }, {
             participantfirstname,
             participantlastname,
             participantemail,
@@ -244,6 +450,7 @@ router.post("/editParticipant/:id", requireRole(["M"]), (req, res) => {
             participantschooloremployer,
             participantfieldofinterest,
         })
+    )
         .then(() => {
             req.flash("success", "Participant updated.");
             res.redirect("/participants");
@@ -255,16 +462,25 @@ router.post("/editParticipant/:id", requireRole(["M"]), (req, res) => {
         });
 });
 
-// Delete participant
-router.post("/deleteParticipant/:id", requireRole(["M"]), (req, res) => {
-    db("participants")
-        .where("participantid", req.params.id)
-        .del()
-        .then(() => {
-            req.flash("error", "Participant deleted.");
+// Delete participant (moves it to the recycle bin)
+router.post("/deleteParticipant/:id", requirePermission("participants", "delete"), (req, res) => {
+    const participantid = req.params.id;
+
+    db.transaction((trx) => softDelete(trx, auditActor(req), "participants", participantid))
+        .then((cancelled) => {
+            req.flash(
+                "error",
+                cancelled > 0
+                    ? `Participant moved to the recycle bin; ${cancelled} upcoming registration${cancelled === 1 ? " was" : "s were"} cancelled.`
+                    : "Participant moved to the recycle bin."
+            );
             res.redirect("/participants");
         })
         .catch((err) => {
+            if (err instanceof RecycleError) {
+                req.flash("error", err.message);
+                return res.redirect("/participants");
+            }
             console.log(err);
             req.flash("error", "Unable to delete participant.");
             res.status(500).json({ err });
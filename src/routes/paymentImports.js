@@ -0,0 +1,152 @@
+const express = require("express");
+const multer = require("multer");
+
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const { auditActor } = require("../services/audit");
+const { can } = require("../services/permissions");
+const { ImportError, parseCsv } = require("../services/importer");
+const {
+    PROCESSORS,
+    detectProcessor,
+    planImport,
+    commitPaymentImport,
+    recentPaymentImports,
+    reconciliationReport,
+} = require("../services/paymentImports");
+
+const router = express.Router();
+
+// Same limits as the CSV import wizard; nothing is written to disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+// Preview shows at most this many rows; errors are always listed in full
+const PREVIEW_ROWS = 200;
+
+// Importing gifts also needs permission to add donations
+const canImportGifts = (req) => can(req.session.user, "donations", "create");
+
+// The parsed export lives in the session between upload and import
+const getPendingPayments = (req) => (canImportGifts(req) ? req.session.pendingPayments || null : null);
+
+// Upload an export, and the files imported so far
+router.get("/import/payments", requirePermission("imports", "create"), async (req, res) => {
+    try {
+        res.render("imports/payments", {
+            processors: PROCESSORS,
+            imports: await recentPaymentImports(),
+            allowed: canImportGifts(req),
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading payment imports:", err);
+        res.status(500).send("Error loading payment imports");
+    }
+});
+
+router.post("/import/payments", requirePermission("imports", "create"), (req, res) => {
+    upload.single("csvfile")(req, res, (uploadErr) => {
+        if (uploadErr) {
+            req.flash("error", uploadErr.code === "LIMIT_FILE_SIZE" ? "CSV files must be under 5 MB." : "Upload failed.");
+            return res.redirect("/import/payments");
+        }
+        if (!canImportGifts(req)) {
+            req.flash("error", "Importing payments needs permission to add donations.");
+            return res.redirect("/import/payments");
+        }
+        if (!req.file) {
+            req.flash("error", "Choose a CSV file to upload.");
+            return res.redirect("/import/payments");
+        }
+
+        try {
+            const { headers, rows } = parseCsv(req.file.buffer);
+            req.session.pendingPayments = {
+                processor: detectProcessor(headers),
+                filename: req.file.originalname,
+                headers,
+                rows,
+            };
+            res.redirect("/import/payments/preview");
+        } catch (err) {
+            if (!(err instanceof ImportError)) {
+                console.error("Error reading payment export:", err);
+            }
+            req.flash("error", err instanceof ImportError ? err.message : "Could not read the CSV file.");
+            res.redirect("/import/payments");
+        }
+    });
+});
+
+// Every row with what will happen to it: new gift or refund and for which
+// donor, already imported, skipped, or an error
+router.get("/import/payments/preview", requirePermission("imports", "create"), async (req, res) => {
+    const pending = getPendingPayments(req);
+    if (!pending) {
+        return res.redirect("/import/payments");
+    }
+
+    try {
+        const plan = await planImport(db, pending);
+        res.render("imports/paymentsPreview", {
+            pending,
+            plan,
+            previewRows: plan.transactions.slice(0, PREVIEW_ROWS),
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error checking payment export:", err);
+        req.flash("error", "Could not check the payment export.");
+        res.redirect("/import/payments");
+    }
+});
+
+router.post("/import/payments/commit", requirePermission("imports", "create"), async (req, res) => {
+    const pending = getPendingPayments(req);
+    if (!pending) {
+        return res.redirect("/import/payments");
+    }
+
+    try {
+        const { record, imported, newDonors } = await commitPaymentImport(pending, auditActor(req));
+        delete req.session.pendingPayments;
+        req.flash(
+            "success",
+            `Imported ${imported} transaction${imported === 1 ? "" : "s"}` +
+                (newDonors ? ` and added ${newDonors} donor${newDonors === 1 ? "" : "s"}.` : ".")
+        );
+        res.redirect(`/import/payments/${record.paymentimportid}`);
+    } catch (err) {
+        if (err instanceof ImportError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error importing payments:", err);
+            req.flash("error", "Import failed and was rolled back. Nothing was imported.");
+        }
+        res.redirect("/import/payments/preview");
+    }
+});
+
+router.post("/import/payments/cancel", requirePermission("imports", "create"), (req, res) => {
+    delete req.session.pendingPayments;
+    res.redirect("/import/payments");
+});
+
+// Reconciliation: each payout batch in the file against the gifts on file
+router.get("/import/payments/:id", requirePermission("donations", "view"), async (req, res) => {
+    try {
+        const report = await reconciliationReport(req.params.id);
+        if (!report) {
+            return res.status(404).send("Payment import not found");
+        }
+        res.render("imports/reconciliation", { ...report, user: req.session.user });
+    } catch (err) {
+        console.error("Error loading reconciliation report:", err);
+        res.status(500).send("Error loading reconciliation report");
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,238 @@
+const express = require("express");
+
+const db = require("../config/db");
+const { passwordReset } = require("../config/auth");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const { auditActor } = require("../services/audit");
+const { RegistrationError, registerParticipant, cancelRegistration } = require("../services/registrations");
+const { SurveyLinkError, submitSurvey } = require("../services/surveyLinks");
+const { SurveyTemplateError, templateForOccurrence } = require("../services/surveyTemplates");
+const {
+    PortalError,
+    CONTACT_FIELDS,
+    inviteParticipant,
+    requestVerification,
+    findValidInvite,
+    linkAccount,
+    unlinkAccount,
+    portalSummary,
+    surveyableOccurrence,
+    updateContactInfo,
+} = require("../services/portal");
+
+const router = express.Router();
+
+// Links in portal emails point here
+const linkBaseUrl = (req) => passwordReset.baseUrl || `${req.protocol}://${req.get("host")}`;
+
+// Portal pages need an account linked to a participant record
+const requireParticipant = (req, res, next) => {
+    if (!req.session.user.participantid) {
+        req.flash("error", "Connect your account to your participant record first.");
+        return res.redirect("/portal");
+    }
+    next();
+};
+
+// Flash a portal, registration or survey error's message, or log anything else
+const flashFailure = (req, err, fallback) => {
+    if (
+        err instanceof PortalError ||
+        err instanceof RegistrationError ||
+        err instanceof SurveyLinkError ||
+        err instanceof SurveyTemplateError
+    ) {
+        req.flash("error", err.message);
+    } else {
+        console.error(`${fallback}:`, err);
+        req.flash("error", `${fallback}.`);
+    }
+};
+
+// ==============================================
+// Portal home, or how to connect an account
+// ==============================================
+
+router.get("/portal", requireAuth, async (req, res) => {
+    const participantid = req.session.user.participantid;
+    if (!participantid) {
+        return res.render("portal/connect", { user: req.session.user });
+    }
+
+    try {
+        const summary = await portalSummary(participantid);
+        res.render("portal/portal", { ...summary, user: req.session.user });
+    } catch (err) {
+        console.error("Error loading participant portal:", err);
+        res.status(500).send("Error loading your portal");
+    }
+});
+
+// Email a confirmation link to the participant record with this address
+router.post("/portal/verify", requireAuth, async (req, res) => {
+    try {
+        await requestVerification(req.session.user, req.body.email, { baseUrl: linkBaseUrl(req) });
+        req.flash("success", "If that address belongs to an Ella Rises participant, we've emailed it a link to confirm. Open it while signed in.");
+    } catch (err) {
+        flashFailure(req, err, "Unable to send a confirmation link");
+    }
+    res.redirect("/portal");
+});
+
+// ==============================================
+// Invitation and confirmation links
+// ==============================================
+
+// Open to everyone: visitors are asked to sign in or create an account and
+// are brought back here afterwards
+router.get("/portal/link/:token", async (req, res) => {
+    try {
+        const invite = await findValidInvite(db, req.params.token);
+        if (invite && !req.session.user) {
+            req.session.returnTo = req.originalUrl;
+        }
+        res.render("portal/link", { invite, token: req.params.token, user: req.session.user || null });
+    } catch (err) {
+        console.error("Error loading portal link:", err);
+        res.status(500).send("Error loading this link");
+    }
+});
+
+router.post("/portal/link/:token", requireAuth, async (req, res) => {
+    try {
+        const invite = await db.transaction((trx) =>
+            linkAccount(trx, auditActor(req), req.params.token, req.session.user)
+        );
+        req.flash("success", `Welcome, ${invite.participantfirstname}! Your account is connected to your participant record.`);
+        res.redirect("/portal");
+    } catch (err) {
+        flashFailure(req, err, "Unable to connect your account");
+        res.redirect(`/portal/link/${encodeURIComponent(req.params.token)}`);
+    }
+});
+
+// ==============================================
+// Contact details
+// ==============================================
+
+router.get("/portal/profile", requireAuth, requireParticipant, async (req, res) => {
+    try {
+        const participant = await db("participants")
+            .where({ participantid: req.session.user.participantid })
+            .whereNull("participantdeletedat")
+            .first();
+        if (!participant) {
+            return res.status(404).send("Participant record not found");
+        }
+        res.render("portal/profile", { participant, fields: CONTACT_FIELDS, user: req.session.user });
+    } catch (err) {
+        console.error("Error loading portal profile:", err);
+        res.status(500).send("Error loading your details");
+    }
+});
+
+router.post("/portal/profile", requireAuth, requireParticipant, async (req, res) => {
+    try {
+        await db.transaction((trx) =>
+            updateContactInfo(trx, auditActor(req), req.session.user.participantid, req.body)
+        );
+        req.flash("success", "Your details have been updated.");
+        res.redirect("/portal");
+    } catch (err) {
+        flashFailure(req, err, "Unable to update your details");
+        res.redirect("/portal/profile");
+    }
+});
+
+// ==============================================
+// Event sign-ups
+// ==============================================
+
+router.post("/portal/events/:occurrenceid/register", requireAuth, requireParticipant, async (req, res) => {
+    try {
+        const registration = await registerParticipant(req.params.occurrenceid, req.session.user.participantid, auditActor(req));
+        req.flash("success", registration.registrationstatus === "Waitlisted"
+            ? "This event is full. You have been added to the waitlist."
+            : "You are registered!");
+    } catch (err) {
+        flashFailure(req, err, "Unable to register");
+    }
+    res.redirect("/portal");
+});
+
+router.post("/portal/events/:occurrenceid/cancel", requireAuth, requireParticipant, async (req, res) => {
+    try {
+        await cancelRegistration(
+            { eventoccurrenceid: req.params.occurrenceid, participantid: req.session.user.participantid },
+            auditActor(req)
+        );
+        req.flash("success", "Your registration has been cancelled.");
+    } catch (err) {
+        flashFailure(req, err, "Unable to cancel your registration");
+    }
+    res.redirect("/portal");
+});
+
+// ==============================================
+// Surveys for events the participant attended
+// ==============================================
+
+router.get("/portal/surveys/:occurrenceid", requireAuth, requireParticipant, async (req, res) => {
+    try {
+        const occurrence = await surveyableOccurrence(req.session.user.participantid, req.params.occurrenceid);
+        if (!occurrence) {
+            req.flash("error", "You can only review events you attended, once each.");
+            return res.redirect("/portal");
+        }
+        const template = await templateForOccurrence(db, occurrence.eventoccurrenceid);
+        res.render("portal/survey", { occurrence, template, user: req.session.user });
+    } catch (err) {
+        console.error("Error loading portal survey:", err);
+        res.status(500).send("Error loading the survey");
+    }
+});
+
+router.post("/portal/surveys/:occurrenceid", requireAuth, requireParticipant, async (req, res) => {
+    const participantid = req.session.user.participantid;
+
+    try {
+        const occurrence = await surveyableOccurrence(participantid, req.params.occurrenceid);
+        if (!occurrence) {
+            req.flash("error", "You can only review events you attended, once each.");
+            return res.redirect("/portal");
+        }
+
+        await db.transaction((trx) => submitSurvey(trx, auditActor(req), occurrence, participantid, req.body));
+        req.flash("success", "Thank you for your feedback!");
+        res.redirect("/portal");
+    } catch (err) {
+        flashFailure(req, err, "Unable to save your survey");
+        res.redirect(`/portal/surveys/${encodeURIComponent(req.params.occurrenceid)}`);
+    }
+});
+
+// ==============================================
+// Staff: invitations and links from a participant's page
+// ==============================================
+
+router.post("/participants/:id/portal/invite", requirePermission("participants", "edit"), async (req, res) => {
+    try {
+        const participant = await inviteParticipant(auditActor(req), req.params.id, { baseUrl: linkBaseUrl(req) });
+        req.flash("success", `Portal invitation emailed to ${participant.participantemail}.`);
+    } catch (err) {
+        flashFailure(req, err, "Unable to send the invitation");
+    }
+    res.redirect(`/displayParticipant/${req.params.id}`);
+});
+
+router.post("/participants/:id/portal/unlink", requirePermission("participants", "edit"), async (req, res) => {
+    try {
+        const account = await db.transaction((trx) => unlinkAccount(trx, auditActor(req), req.params.id));
+        req.flash("success", `Account "${account.username}" is no longer linked to this participant.`);
+    } catch (err) {
+        flashFailure(req, err, "Unable to unlink the account");
+    }
+    res.redirect(`/displayParticipant/${req.params.id}`);
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require("express");
+
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const { auditActor } = require("../services/audit");
+const { RECYCLABLE, RecycleError, restoreRecord, purgeRecord, listDeleted } = require("../services/recycleBin");
+
+const router = express.Router();
+
+// Deleted participants, events, donors, donations, surveys and users
+router.get("/recycle-bin", requirePermission("recycleBin", "view"), async (req, res) => {
+    try {
+        const deleted = await listDeleted();
+        res.render("recycleBin/recycleBin", {
+            deleted,
+            tables: RECYCLABLE,
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading recycle bin:", err);
+        res.status(500).send("Error loading recycle bin");
+    }
+});
+
+// Restore or purge one item; `action` is the function that does the work
+const binAction = (action, successMessage, failureMessage) => async (req, res) => {
+    const { table, id } = req.params;
+    if (!RECYCLABLE[table]) {
+        return res.status(404).send("Unknown record type");
+    }
+
+    try {
+        await db.transaction((trx) => action(trx, auditActor(req), table, id));
+        req.flash("success", successMessage(RECYCLABLE[table].noun));
+    } catch (err) {
+        if (err instanceof RecycleError) {
+            req.flash("error", err.message);
+        } else {
+            console.error(`Error updating recycle bin (${table} ${id}):`, err);
+            req.flash("error", failureMessage);
+        }
+    }
+    res.redirect("/recycle-bin");
+};
+
+router.post(
+    "/recycle-bin/:table/:id/restore",
+    requirePermission("recycleBin", "edit"),
+    binAction(restoreRecord, (noun) => `Restored the ${noun}.`, "Unable to restore that item.")
+);
+
+router.post(
+    "/recycle-bin/:table/:id/purge",
+    requirePermission("recycleBin", "delete"),
+    binAction(purgeRecord, (noun) => `Permanently deleted the ${noun}.`, "Unable to delete that item.")
+);
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require("express");
+
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const { auditActor } = require("../services/audit");
+const { PERMISSION_RESOURCES, PERMISSION_ACTIONS, rolePermissions } = require("../services/permissions");
+const { RoleError, listRoles, createRole, updateRole, deleteRole } = require("../services/roles");
+
+const router = express.Router();
+
+// Flash a RoleError's message, or log anything else
+const flashRoleError = (req, err, fallback) => {
+    if (err instanceof RoleError) {
+        req.flash("error", err.message);
+    } else {
+        console.error(`${fallback}:`, err);
+        req.flash("error", `${fallback}.`);
+    }
+};
+
+const renderRoleForm = (req, res, role) =>
+    res.render("users/editRole", {
+        role,
+        granted: role ? rolePermissions(role) : {},
+        resources: PERMISSION_RESOURCES,
+        actions: PERMISSION_ACTIONS,
+        user: req.session.user,
+    });
+
+// Every role with what it grants and how many users have it
+router.get("/roles", requirePermission("users", "view"), async (req, res) => {
+    try {
+        const roles = await listRoles();
+        for (const role of roles) {
+            role.granted = rolePermissions(role);
+        }
+        res.render("users/roles", {
+            roles,
+            resources: PERMISSION_RESOURCES,
+            actions: PERMISSION_ACTIONS,
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading roles:", err);
+        res.status(500).send("Error loading roles");
+    }
+});
+
+// Registered before /roles/:id
+router.get("/roles/new", requirePermission("users", "edit"), (req, res) => {
+    renderRoleForm(req, res, null);
+});
+
+router.post("/roles/new", requirePermission("users", "edit"), async (req, res) => {
+    try {
+        const role = await db.transaction((trx) => createRole(trx, auditActor(req), req.session.user, req.body));
+        req.flash("success", `Role "${role.rolename}" created.`);
+        res.redirect("/roles");
+    } catch (err) {
+        flashRoleError(req, err, "Unable to create role");
+        res.redirect("/roles/new");
+    }
+});
+
+router.get("/roles/:id", requirePermission("users", "edit"), async (req, res) => {
+    try {
+        const role = await db("roles").where({ roleid: req.params.id }).first();
+        if (!role) {
+            req.flash("error", "Role not found.");
+            return res.redirect("/roles");
+        }
+        renderRoleForm(req, res, role);
+    } catch (err) {
+        console.error("Error loading role:", err);
+        res.status(500).send("Error loading role");
+    }
+});
+
+router.post("/roles/:id", requirePermission("users", "edit"), async (req, res) => {
+    try {
+        const role = await db.transaction((trx) =>
+            updateRole(trx, auditActor(req), req.session.user, req.params.id, req.body)
+        );
+        req.flash("success", `Role "${role.rolename}" updated.`);
+        res.redirect("/roles");
+    } catch (err) {
+        flashRoleError(req, err, "Unable to update role");
+        res.redirect(`/roles/${req.params.id}`);
+    }
+});
+
+router.post("/roles/:id/delete", requirePermission("users", "edit"), async (req, res) => {
+    try {
+        const role = await db.transaction((trx) => deleteRole(trx, auditActor(req), req.params.id));
+        req.flash("success", `Role "${role.rolename}" deleted.`);
+    } catch (err) {
+        flashRoleError(req, err, "Unable to delete role");
+    }
+    res.redirect("/roles");
+});
+
+module.exports = router;
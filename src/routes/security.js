@@ -0,0 +1,189 @@
+const express = require("express");
+
+const db = require("../config/db");
+const { requireAuth, requirePermission } = require("../middleware/auth");
+const { auditActor } = require("../services/audit");
+const { getSetting, setSetting } = require("../services/settings");
+const { rolePermissions, isStaff, loadAccount } = require("../services/permissions");
+const { RoleError, assertCanManage } = require("../services/roles");
+const {
+    TwoFactorError,
+    generateSecret,
+    otpauthUrl,
+    isEnrolled,
+    isRequiredFor,
+    enable,
+    disable,
+    verify,
+    issueRecoveryCodes,
+    remainingRecoveryCodes,
+} = require("../services/twoFactor");
+
+const router = express.Router();
+
+// Flash a TwoFactorError's (or RoleError's) message, or log anything else
+const flashFailure = (req, err, fallback) => {
+    if (err instanceof TwoFactorError || err instanceof RoleError) {
+        req.flash("error", err.message);
+    } else {
+        console.error(`${fallback}:`, err);
+        req.flash("error", `${fallback}.`);
+    }
+};
+
+// The signed-in user's two-factor status, recovery codes and setup
+router.get("/account/security", requireAuth, async (req, res) => {
+    try {
+        const account = await loadAccount(req.session.user.id);
+        if (!account) {
+            return res.redirect("/logout");
+        }
+
+        // New recovery codes are shown once, right after they are issued
+        const newRecoveryCodes = req.session.newRecoveryCodes || null;
+        delete req.session.newRecoveryCodes;
+
+        res.render("account/security", {
+            account,
+            enrolled: isEnrolled(account),
+            required: await isRequiredFor(account),
+            remaining: isEnrolled(account) ? await remainingRecoveryCodes(account.id) : 0,
+            newRecoveryCodes,
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading account security:", err);
+        res.status(500).send("Error loading account security");
+    }
+});
+
+router.post("/account/security/2fa/setup", requireAuth, (req, res) => {
+    req.session.pendingTotpSecret = generateSecret();
+    res.redirect("/account/security/2fa/setup");
+});
+
+router.get("/account/security/2fa/setup", requireAuth, (req, res) => {
+    const secret = req.session.pendingTotpSecret;
+    if (!secret) {
+        return res.redirect("/account/security");
+    }
+    res.render("account/twoFactorSetup", {
+        secret,
+        otpauthUrl: otpauthUrl(req.session.user.username, secret),
+        user: req.session.user,
+    });
+});
+
+router.post("/account/security/2fa/enable", requireAuth, async (req, res) => {
+    const secret = req.session.pendingTotpSecret;
+    if (!secret) {
+        return res.redirect("/account/security");
+    }
+
+    try {
+        const codes = await db.transaction((trx) =>
+            enable(trx, auditActor(req), req.session.user.id, secret, req.body.code)
+        );
+        delete req.session.pendingTotpSecret;
+        req.session.newRecoveryCodes = codes;
+        req.flash("success", "Two-factor authentication is on. Save your recovery codes somewhere safe.");
+        res.redirect("/account/security");
+    } catch (err) {
+        flashFailure(req, err, "Unable to turn on two-factor authentication");
+        res.redirect("/account/security/2fa/setup");
+    }
+});
+
+// Replacing recovery codes or turning two-factor off needs a current code
+router.post("/account/security/2fa/recovery-codes", requireAuth, async (req, res) => {
+    try {
+        const codes = await db.transaction(async (trx) => {
+            if (!(await verify(trx, req.session.user.id, req.body.code))) {
+                throw new TwoFactorError("That code didn't work.");
+            }
+            return issueRecoveryCodes(trx, req.session.user.id);
+        });
+        req.session.newRecoveryCodes = codes;
+        req.flash("success", "New recovery codes issued; the old ones no longer work.");
+    } catch (err) {
+        flashFailure(req, err, "Unable to issue recovery codes");
+    }
+    res.redirect("/account/security");
+});
+
+router.post("/account/security/2fa/disable", requireAuth, async (req, res) => {
+    try {
+        const account = await loadAccount(req.session.user.id);
+        if (await isRequiredFor(account)) {
+            throw new TwoFactorError(`Two-factor authentication is required for the ${account.rolename} role.`);
+        }
+        await db.transaction(async (trx) => {
+            if (!(await verify(trx, account.id, req.body.code))) {
+                throw new TwoFactorError("That code didn't work.");
+            }
+            await disable(trx, auditActor(req), account.id);
+        });
+        req.flash("success", "Two-factor authentication is off.");
+    } catch (err) {
+        flashFailure(req, err, "Unable to turn off two-factor authentication");
+    }
+    res.redirect("/account/security");
+});
+
+// Admin view: the two-factor requirement and who has it on
+router.get("/security", requirePermission("users", "edit"), async (req, res) => {
+    try {
+        const [requireStaff2fa, users] = await Promise.all([
+            getSetting("require_staff_2fa"),
+            db("users as u")
+                .join("roles as r", "u.roleid", "r.roleid")
+                .select("u.id", "u.username", "u.usertotpenabledat", "r.rolekey", "r.rolename", "r.rolepermissions")
+                .whereNull("u.userdeletedat")
+                .orderBy("r.rolename")
+                .orderBy("u.username"),
+        ]);
+        for (const u of users) {
+            u.staff = isStaff({ permissions: rolePermissions(u) });
+        }
+        res.render("users/security", { requireStaff2fa, users, user: req.session.user });
+    } catch (err) {
+        console.error("Error loading security settings:", err);
+        res.status(500).send("Error loading security settings");
+    }
+});
+
+router.post("/security", requirePermission("users", "edit"), async (req, res) => {
+    const required = req.body.require_staff_2fa === "on";
+    try {
+        await db.transaction((trx) => setSetting(trx, auditActor(req), "require_staff_2fa", required));
+        req.flash("success", required
+            ? "Staff now need two-factor authentication. Anyone without it will set it up at their next sign-in."
+            : "Two-factor authentication is now optional for staff.");
+    } catch (err) {
+        console.error("Error saving security settings:", err);
+        req.flash("error", "Unable to save security settings.");
+    }
+    res.redirect("/security");
+});
+
+// For a user who lost their phone and recovery codes; they can sign in with
+// just a password (or set up again, if required) afterwards
+router.post("/users/:id/2fa/reset", requirePermission("users", "edit"), async (req, res) => {
+    try {
+        const account = await loadAccount(req.params.id);
+        if (!account) {
+            req.flash("error", "User not found.");
+            return res.redirect("/users");
+        }
+        await db.transaction(async (trx) => {
+            await assertCanManage(trx, req.session.user, account);
+            await disable(trx, auditActor(req), account.id);
+        });
+        req.flash("success", `Two-factor authentication reset for ${account.username}.`);
+    } catch (err) {
+        flashFailure(req, err, "Unable to reset two-factor authentication");
+    }
+    res.redirect(req.body.returnTo === "security" ? "/security" : `/editUser/${req.params.id}`);
+});
+
+module.exports = router;
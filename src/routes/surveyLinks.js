@@ -0,0 +1,164 @@
+const express = require("express");
+
+const db = require("../config/db");
+const { passwordReset, surveyLinks } = require("../config/auth");
+const { requirePermission } = require("../middleware/auth");
+const { auditActor } = require("../services/audit");
+const { getOccurrence } = require("../services/registrations");
+const { SurveyTemplateError, templateForOccurrence } = require("../services/surveyTemplates");
+const {
+    SurveyLinkError,
+    listLinks,
+    createEventLink,
+    createAttendeeLinks,
+    emailAttendeeLinks,
+    revokeLink,
+    findLink,
+    findRespondent,
+    submitSurvey,
+} = require("../services/surveyLinks");
+
+const router = express.Router();
+
+// Survey links (and their QR codes) point here
+const linkBaseUrl = (req) => passwordReset.baseUrl || `${req.protocol}://${req.get("host")}`;
+
+const linksPage = (occurrenceid) => `/events/occurrences/${occurrenceid}/survey-links`;
+
+// ==============================================
+// Staff: make, share and turn off links for one occurrence
+// ==============================================
+
+router.get("/events/occurrences/:occurrenceid/survey-links", requirePermission("surveys", "create"), async (req, res) => {
+    try {
+        const occurrence = await getOccurrence(db, req.params.occurrenceid);
+        if (!occurrence) {
+            return res.status(404).send("Event not found");
+        }
+        const { eventLink, attendeeLinks } = await listLinks(occurrence.eventoccurrenceid);
+
+        res.render("surveys/surveyLinks", {
+            occurrence,
+            eventLink,
+            attendeeLinks,
+            baseUrl: linkBaseUrl(req),
+            ttlDays: surveyLinks.ttlDays,
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading survey links:", err);
+        res.status(500).send("Error loading survey links");
+    }
+});
+
+// A new shared link (and QR code) for everyone at the event
+router.post("/events/occurrences/:occurrenceid/survey-links", requirePermission("surveys", "create"), async (req, res) => {
+    const occurrenceid = req.params.occurrenceid;
+
+    try {
+        const occurrence = await getOccurrence(db, occurrenceid);
+        if (!occurrence) {
+            return res.status(404).send("Event not found");
+        }
+        await db.transaction((trx) => createEventLink(trx, auditActor(req), occurrence.eventoccurrenceid));
+        req.flash("success", "New event survey link created. Any earlier event link no longer works.");
+    } catch (err) {
+        console.error("Error creating survey link:", err);
+        req.flash("error", "Unable to create a survey link.");
+    }
+    res.redirect(linksPage(occurrenceid));
+});
+
+// Personal links for the attendees, emailed to those with an address
+router.post("/events/occurrences/:occurrenceid/survey-links/attendees", requirePermission("surveys", "create"), async (req, res) => {
+    const occurrenceid = req.params.occurrenceid;
+
+    try {
+        const occurrence = await getOccurrence(db, occurrenceid);
+        if (!occurrence) {
+            return res.status(404).send("Event not found");
+        }
+        const links = await db.transaction((trx) => createAttendeeLinks(trx, auditActor(req), occurrence));
+        const sent = await emailAttendeeLinks(occurrence, links, { baseUrl: linkBaseUrl(req) });
+        req.flash("success", `Created ${links.length} attendee link${links.length === 1 ? "" : "s"} and emailed ${sent}.`);
+    } catch (err) {
+        if (err instanceof SurveyLinkError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error creating attendee survey links:", err);
+            req.flash("error", "Unable to create attendee links.");
+        }
+    }
+    res.redirect(linksPage(occurrenceid));
+});
+
+router.post("/survey-links/:id/revoke", requirePermission("surveys", "create"), async (req, res) => {
+    try {
+        const link = await db.transaction((trx) => revokeLink(trx, req.params.id));
+        req.flash("success", "Link turned off.");
+        return res.redirect(linksPage(link.eventoccurrenceid));
+    } catch (err) {
+        if (err instanceof SurveyLinkError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error revoking survey link:", err);
+            req.flash("error", "Unable to turn off the link.");
+        }
+        res.redirect("/surveys");
+    }
+});
+
+// ==============================================
+// Public: answer a survey through a link
+// ==============================================
+
+// A null link shows the "link doesn't work" page; otherwise the questions
+// come from the occurrence's questionnaire
+const renderForm = (req, res, link, { template = null, status = 200, error_message = null, values = {} } = {}) =>
+    res.status(status).render("surveys/respond", {
+        link,
+        template,
+        token: req.params.token,
+        values,
+        error_message,
+    });
+
+router.get("/survey/:token", async (req, res) => {
+    try {
+        const link = await findLink(req.params.token);
+        if (!link) {
+            return renderForm(req, res, null, { status: 404 });
+        }
+        renderForm(req, res, link, { template: await templateForOccurrence(db, link.eventoccurrenceid) });
+    } catch (err) {
+        console.error("Error loading survey link:", err);
+        res.status(500).send("Error loading the survey");
+    }
+});
+
+router.post("/survey/:token", async (req, res) => {
+    let link = null;
+    let template = null;
+
+    try {
+        link = await findLink(req.params.token);
+        if (!link) {
+            return renderForm(req, res, null, { status: 404 });
+        }
+        template = await templateForOccurrence(db, link.eventoccurrenceid);
+
+        const participantid = await findRespondent(link, req.body);
+        await db.transaction((trx) => submitSurvey(trx, auditActor(req), link, participantid, req.body));
+
+        req.flash("success", "Thank you for your feedback!");
+        res.redirect("/");
+    } catch (err) {
+        if (template && (err instanceof SurveyLinkError || err instanceof SurveyTemplateError)) {
+            return renderForm(req, res, link, { template, status: 400, error_message: err.message, values: req.body });
+        }
+        console.error("Error submitting survey:", err);
+        res.status(500).send("Error saving your survey");
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require("express");
+
+const { requirePermission } = require("../middleware/auth");
+const { SENTIMENTS } = require("../services/commentInsights");
+const { parseReportFilters, overviewReport, eventReport } = require("../services/surveyReports");
+
+const router = express.Router();
+
+// Event types side by side, every event's totals, and comment themes
+router.get("/surveys/reports", requirePermission("surveys", "view"), async (req, res) => {
+    const filters = parseReportFilters(req.query);
+
+    try {
+        res.render("surveys/reports", {
+            report: await overviewReport(filters),
+            filters,
+            sentiments: SENTIMENTS,
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading survey reports:", err);
+        res.status(500).send("Error loading survey reports");
+    }
+});
+
+// One event across its occurrences; ?occurrence= narrows the breakdown to one date
+router.get("/surveys/reports/events/:eventid", requirePermission("surveys", "view"), async (req, res) => {
+    const filters = parseReportFilters(req.query);
+
+    try {
+        const report = await eventReport(req.params.eventid, filters);
+        if (!report) {
+            return res.status(404).send("Event not found");
+        }
+        res.render("surveys/eventReport", {
+            report,
+            filters,
+            sentiments: SENTIMENTS,
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading event survey report:", err);
+        res.status(500).send("Error loading the survey report");
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require("express");
+
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const { auditActor } = require("../services/audit");
+const {
+    SurveyTemplateError,
+    QUESTION_TYPES,
+    listTemplates,
+    getTemplate,
+    questionsLocked,
+    createTemplate,
+    updateTemplate,
+    copyTemplate,
+    deleteTemplate,
+} = require("../services/surveyTemplates");
+
+const router = express.Router();
+
+// The event form's types plus any others already in use
+const eventTypes = async () => {
+    const used = await db("events").whereNull("eventdeletedat").whereNotNull("eventtype").distinct("eventtype").pluck("eventtype");
+    return Array.from(new Set(["Workshop", "Social", "Fundraiser", "Meeting", ...used])).sort();
+};
+
+const blankQuestion = { surveyquestiontype: "scale", surveyquestionscalemax: 5, surveyquestionrequired: true, surveyquestionscored: true };
+
+// A template as the builder form posts it, so a failed save can be shown again
+const submittedTemplate = (template, body) => {
+    const shown = {
+        ...template,
+        surveytemplatename: body.name,
+        surveytemplatedescription: body.description,
+        surveytemplateeventtype: body.eventtype,
+        surveytemplateactive: body.active === "on",
+        questions: template && questionsLocked(template)
+            ? template.questions
+            : (Array.isArray(body.questions) ? body.questions : Object.values(body.questions || {})).map((q) => ({
+                surveyquestiontext: q.text,
+                surveyquestiontype: q.type,
+                surveyquestionoptions: String(q.options || "").split(/\r?\n/),
+                surveyquestionscalemax: Number(q.scalemax) || 5,
+                surveyquestionrequired: q.required === "on",
+                surveyquestionscored: q.scored === "on",
+                surveyquestionnps: q.nps === "on",
+            })),
+    };
+    if (shown.questions.length === 0) {
+        shown.questions = [blankQuestion];
+    }
+    return shown;
+};
+
+const renderBuilder = async (req, res, template, { status = 200, error_message = null } = {}) =>
+    res.status(status).render("surveys/templateBuilder", {
+        template,
+        locked: Boolean(template.surveytemplateid) && questionsLocked(template),
+        questionTypes: QUESTION_TYPES,
+        eventTypes: await eventTypes(),
+        user: req.session.user,
+        error_message,
+    });
+
+// ==============================================
+// Questionnaire list
+// ==============================================
+
+router.get("/surveys/templates", requirePermission("surveys", "view"), async (req, res) => {
+    try {
+        res.render("surveys/templates", { templates: await listTemplates(), user: req.session.user });
+    } catch (err) {
+        console.error("Error loading survey templates:", err);
+        res.status(500).send("Error loading questionnaires");
+    }
+});
+
+// ==============================================
+// Builder: new and existing questionnaires
+// ==============================================
+
+router.get("/surveys/templates/new", requirePermission("surveys", "edit"), async (req, res) => {
+    try {
+        await renderBuilder(req, res, {
+            surveytemplateactive: true,
+            questions: [blankQuestion],
+        });
+    } catch (err) {
+        console.error("Error loading survey builder:", err);
+        res.status(500).send("Error loading the survey builder");
+    }
+});
+
+router.post("/surveys/templates/new", requirePermission("surveys", "edit"), async (req, res) => {
+    try {
+        const template = await db.transaction((trx) => createTemplate(trx, auditActor(req), req.body));
+        req.flash("success", `Questionnaire "${template.surveytemplatename}" created.`);
+        res.redirect("/surveys/templates");
+    } catch (err) {
+        if (err instanceof SurveyTemplateError) {
+            return renderBuilder(req, res, submittedTemplate(null, req.body), { status: 400, error_message: err.message });
+        }
+        console.error("Error creating survey template:", err);
+        res.status(500).send("Error saving the questionnaire");
+    }
+});
+
+router.get("/surveys/templates/:id", requirePermission("surveys", "edit"), async (req, res) => {
+    try {
+        const template = await getTemplate(req.params.id);
+        if (!template) {
+            return res.status(404).send("Questionnaire not found");
+        }
+        await renderBuilder(req, res, template);
+    } catch (err) {
+        console.error("Error loading survey template:", err);
+        res.status(500).send("Error loading the questionnaire");
+    }
+});
+
+router.post("/surveys/templates/:id", requirePermission("surveys", "edit"), async (req, res) => {
+    try {
+        await db.transaction((trx) => updateTemplate(trx, auditActor(req), req.params.id, req.body));
+        req.flash("success", "Questionnaire saved.");
+        res.redirect("/surveys/templates");
+    } catch (err) {
+        if (err instanceof SurveyTemplateError) {
+            const template = await getTemplate(req.params.id);
+            if (!template) {
+                req.flash("error", err.message);
+                return res.redirect("/surveys/templates");
+            }
+            return renderBuilder(req, res, submittedTemplate(template, req.body), { status: 400, error_message: err.message });
+        }
+        console.error("Error saving survey template:", err);
+        res.status(500).send("Error saving the questionnaire");
+    }
+});
+
+// A new editable version, e.g. of a questionnaire that already has responses
+router.post("/surveys/templates/:id/copy", requirePermission("surveys", "edit"), async (req, res) => {
+    try {
+        const copy = await db.transaction((trx) => copyTemplate(trx, auditActor(req), req.params.id));
+        req.flash("success", `Copied to "${copy.surveytemplatename}". Edit it, then attach it to events or an event type.`);
+        res.redirect(`/surveys/templates/${copy.surveytemplateid}`);
+    } catch (err) {
+        if (err instanceof SurveyTemplateError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error copying survey template:", err);
+            req.flash("error", "Unable to copy the questionnaire.");
+        }
+        res.redirect("/surveys/templates");
+    }
+});
+
+router.post("/surveys/templates/:id/delete", requirePermission("surveys", "delete"), async (req, res) => {
+    try {
+        const template = await db.transaction((trx) => deleteTemplate(trx, auditActor(req), req.params.id));
+        req.flash("success", `Questionnaire "${template.surveytemplatename}" deleted.`);
+    } catch (err) {
+        if (err instanceof SurveyTemplateError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error deleting survey template:", err);
+            req.flash("error", "Unable to delete the questionnaire.");
+        }
+    }
+    res.redirect("/surveys/templates");
+});
+
+module.exports = router;
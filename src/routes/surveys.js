@@ -1,13 +1,51 @@
 const express = require("express");
 const db = require("../config/db");
-const { requireRole } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const { canSubmitSurvey, hasSurvey } = require("../services/registrations");
+const {
+    SurveyTemplateError,
+    getTemplate,
+    templateForOccurrence,
+    readAnswers,
+    answerValues,
+    saveResponse,
+} = require("../services/surveyTemplates");
+
+const { sendExport } = require("../services/exporter");
+const { surveyBaseQuery, surveyFilters } = require("../services/listQueries");
+const { auditActor } = require("../services/audit");
+const { RecycleError, softDelete } = require("../services/recycleBin");
 
 const router = express.Router();
 
+// Participant and occurrence dropdowns for the add/edit forms
+const surveyFormOptions = async () => {
+    const participants = await db("participants")
+        .select("participantid", "participantfirstname", "participantlastname")
+        .whereNull("participantdeletedat")
+        .orderBy("participantlastname");
+
+    const events = await db("eventoccurrences")
+        .join("events", "eventoccurrences.eventid", "events.eventid")
+        .select("eventoccurrences.eventoccurrenceid", "events.eventname", "eventoccurrences.eventdatetimestart")
+        .whereNull("events.eventdeletedat")
+        .orderBy("eventoccurrences.eventdatetimestart", "desc");
+
+    return { participants, events };
+};
+
+// The add form picks an occurrence first, then shows its questionnaire
+const addSurveyForm = async (occurrenceid) => {
+    const { participants, events } = await surveyFormOptions();
+    const occurrence = events.find((e) => String(e.eventoccurrenceid) === String(occurrenceid)) || null;
+    const template = occurrence ? await templateForOccurrence(db, occurrence.eventoccurrenceid) : null;
+    return { participants, events, occurrence, template };
+};
+
 // ==============================================
 // 1. READ: View All Surveys (With Filters)
 // ==============================================
-router.get("/surveys", requireRole(["M"]), async (req, res) => {
+router.get("/surveys", requirePermission("surveys", "view"), async (req, res) => {
     try {
         const { date, event, score, nps, search } = req.query;
         const searchTerm = (search || "").trim();
@@ -15,35 +53,8 @@ router.get("/surveys", requireRole(["M"]), async (req, res) => {
         const pageSize = 50;
         const offset = (page - 1) * pageSize;
 
-        const applyFilters = (builder) => {
-            if (date) {
-                builder.whereRaw("DATE(eventoccurrences.eventdatetimestart) = ?", [date]);
-            }
-            if (event) {
-                builder.where("events.eventid", event);
-            }
-            if (score) {
-                builder.where("surveys.surveyoverallscore", ">=", score);
-            }
-            if (nps) {
-                builder.where("surveys.surveynpsbucket", nps);
-            }
-            if (searchTerm) {
-                const term = `%${searchTerm.toLowerCase()}%`;
-                builder.where(function() {
-                    this.whereRaw("LOWER(events.eventname) LIKE ?", [term])
-                        .orWhereRaw("LOWER(participants.participantfirstname) LIKE ?", [term])
-                        .orWhereRaw("LOWER(participants.participantlastname) LIKE ?", [term])
-                        .orWhereRaw("LOWER(surveys.surveycomments) LIKE ?", [term])
-                        .orWhereRaw("LOWER(surveys.surveynpsbucket) LIKE ?", [term]);
-                });
-            }
-        };
-
-        const baseQuery = db("surveys")
-            .join("participants", "surveys.participantid", "participants.participantid")
-            .join("eventoccurrences", "surveys.eventoccurrenceid", "eventoccurrences.eventoccurrenceid")
-            .join("events", "eventoccurrences.eventid", "events.eventid");
+        const applyFilters = surveyFilters({ date, event, score, nps, searchTerm });
+        const baseQuery = surveyBaseQuery();
 
         const [{ count }] = await baseQuery.clone().modify(applyFilters).count("* as count");
 
@@ -54,12 +65,14 @@ router.get("/surveys", requireRole(["M"]), async (req, res) => {
                 "surveys.surveyid",
                 "surveys.surveyoverallscore",
                 "surveys.surveynpsbucket",
+                "surveytemplates.surveytemplatename",
                 "participants.participantfirstname",
                 "participants.participantlastname",
                 "events.eventname",
                 "events.eventid",
                 "eventoccurrences.eventdatetimestart"
             )
+            .leftJoin("surveytemplates", "surveys.surveytemplateid", "surveytemplates.surveytemplateid")
             .orderBy("surveys.surveyid", "desc")
             .limit(pageSize)
             .offset(offset);
@@ -67,14 +80,16 @@ router.get("/surveys", requireRole(["M"]), async (req, res) => {
         const total = parseInt(count, 10) || 0;
         const totalPages = Math.max(Math.ceil(total / pageSize), 1);
 
-        const eventsList = await db("events").select("eventid", "eventname").orderBy("eventname");
+        const eventsList = await db("events")
+            .select("eventid", "eventname")
+            .whereNull("eventdeletedat")
+            .orderBy("eventname");
 
         res.render("surveys/surveys", {
             surveys,
             eventsList,
             filters: { ...req.query, search: searchTerm },
             user: req.session.user,
-            userLevel: req.session.user.level,
             page,
             totalPages,
             total
@@ -85,32 +100,76 @@ router.get("/surveys", requireRole(["M"]), async (req, res) => {
     }
 });
 
+// Download every survey matching the current filters (?format=csv|xlsx)
+router.get("/surveys/export", requirePermission("surveys", "export"), (req, res) => {
+    const { date, event, score, nps, search } = req.query;
+    const searchTerm = (search || "").trim();
+
+    return sendExport(req, res, {
+        filename: "surveys",
+        sheetName: "Surveys",
+        columns: [
+            { key: "surveyid", header: "Survey ID", type: "number" },
+            { key: "participantid", header: "Participant ID", type: "number" },
+            { key: "participantfirstname", header: "First Name" },
+            { key: "participantlastname", header: "Last Name" },
+            { key: "eventname", header: "Event", width: 30 },
+            { key: "eventoccurrenceid", header: "Occurrence ID", type: "number" },
+            { key: "eventdatetimestart", header: "Event Date", type: "datetime" },
+            { key: "surveytemplatename", header: "Questionnaire" },
+            { key: "surveysatisfactionscore", header: "Satisfaction", type: "number" },
+            { key: "surveyusefulnessscore", header: "Usefulness", type: "number" },
+            { key: "surveyinstructorscore", header: "Instructor", type: "number" },
+            { key: "surveyrecommendationscore", header: "Recommendation", type: "number" },
+            { key: "surveyoverallscore", header: "Overall Score", type: "number" },
+            { key: "surveynpsbucket", header: "NPS Bucket" },
+            { key: "surveycomments", header: "Comments", width: 50 },
+            { key: "surveyanswers", header: "Answers", width: 80 },
+        ],
+        query: surveyBaseQuery()
+            .modify(surveyFilters({ date, event, score, nps, searchTerm }))
+            .select(
+                "surveys.surveyid",
+                "participants.participantid",
+                "participants.participantfirstname",
+                "participants.participantlastname",
+                "events.eventname",
+                "eventoccurrences.eventoccurrenceid",
+                "eventoccurrences.eventdatetimestart",
+                "surveytemplates.surveytemplatename",
+                "surveys.surveysatisfactionscore",
+                "surveys.surveyusefulnessscore",
+                "surveys.surveyinstructorscore",
+                "surveys.surveyrecommendationscore",
+                "surveys.surveyoverallscore",
+                "surveys.surveynpsbucket",
+                "surveys.surveycomments",
+                // Every answer as "Question: answer", in question order
+                db.raw(
+                    "(SELECT STRING_AGG(q.surveyquestiontext || ': ' || a.surveyanswervalue, '; ' ORDER BY q.surveyquestionorder) " +
+                    "FROM surveyanswers a JOIN surveyquestions q ON a.surveyquestionid = q.surveyquestionid " +
+                    "WHERE a.surveyid = surveys.surveyid) AS surveyanswers"
+                )
+            )
+            .leftJoin("surveytemplates", "surveys.surveytemplateid", "surveytemplates.surveytemplateid")
+            .orderBy("surveys.surveyid", "desc"),
+    });
+});
+
 // ==============================================
 // 2. CREATE: Add Survey
 // ==============================================
 
-// Display the Add Survey Form (Public Access)
-router.get("/addSurvey", async (req, res) => {
+// Display the Add Survey Form (staff entering responses). Respondents answer
+// through a survey link or the participant portal instead, so the roster
+// never reaches the public. ?occurrence= picks the event, whose questionnaire
+// decides the questions.
+router.get("/addSurvey", requirePermission("surveys", "create"), async (req, res) => {
     try {
-        // Fetch dropdown data
-        const participants = await db("participants")
-            .select("participantid", "participantfirstname", "participantlastname")
-            .orderBy("participantlastname");
-            
-        const events = await db("eventoccurrences")
-            .join("events", "eventoccurrences.eventid", "events.eventid")
-            .select("eventoccurrences.eventoccurrenceid", "events.eventname", "eventoccurrences.eventdatetimestart")
-            .orderBy("eventoccurrences.eventdatetimestart", "desc");
-
-        // Safely determine user level (visitor = null)
-        const user = req.session.user || null;
-        const userLevel = user ? user.level : null;
-
         res.render("surveys/addSurvey", {
-            participants,
-            events,
-            user: user,
-            userLevel: userLevel,
+            ...(await addSurveyForm(req.query.occurrence)),
+            values: {},
+            user: req.session.user,
             error_message: null
         });
     } catch (err) {
@@ -119,75 +178,47 @@ router.get("/addSurvey", async (req, res) => {
     }
 });
 
-// Handle the Add Survey POST (Public Access)
-router.post("/addSurvey", async (req, res) => {
-    const { 
-        participantid, 
-        eventoccurrenceid, 
-        surveysatisfactionscore, 
-        surveyusefulnessscore, 
-        surveyinstructorscore, 
-        surveyrecommendationscore,
-        surveycomments 
-    } = req.body;
-
-    // Safely determine user level
-    const user = req.session.user || null;
-    const userLevel = user ? user.level : null;
+// Handle the Add Survey POST
+router.post("/addSurvey", requirePermission("surveys", "create"), async (req, res) => {
+    const { participantid, eventoccurrenceid } = req.body;
 
-    try {
-        // Calculate Overall Score
-        const scores = [
-            parseInt(surveysatisfactionscore), 
-            parseInt(surveyusefulnessscore), 
-            parseInt(surveyinstructorscore), 
-            parseInt(surveyrecommendationscore)
-        ];
-        const overallScore = scores.reduce((a, b) => a + b, 0) / scores.length;
-
-        // Determine NPS Bucket
-        let npsBucket = "Detractor";
-        const recScore = parseInt(surveyrecommendationscore);
-        if (recScore === 5) npsBucket = "Promoter";
-        else if (recScore === 4) npsBucket = "Passive";
-
-        await db("surveys").insert({
-            participantid,
-            eventoccurrenceid,
-            surveysatisfactionscore,
-            surveyusefulnessscore,
-            surveyinstructorscore,
-            surveyrecommendationscore,
-            surveyoverallscore: overallScore,
-            surveynpsbucket: npsBucket,
-            surveycomments
+    const user = req.session.user;
+    const renderError = async (status, message) =>
+        res.status(status).render("surveys/addSurvey", {
+            ...(await addSurveyForm(eventoccurrenceid)),
+            values: req.body,
+            user: user,
+            error_message: message
         });
 
-        // Redirect with success flash
-        if (userLevel === 'M') {
-            req.flash("success", "Survey created.");
-            res.redirect("/addSurvey");
-        } else {
-            req.flash("success", "Thank you for your feedback!");
-            res.redirect("/addSurvey");
+    try {
+        // Once attendance is taken, only people checked in at the occurrence can respond
+        if (!(await canSubmitSurvey(participantid, eventoccurrenceid))) {
+            return renderError(403, "Surveys for this event are limited to people who attended it.");
         }
 
+        // One response per participant per occurrence
+        if (await hasSurvey(db, participantid, eventoccurrenceid)) {
+            return renderError(409, "That participant already has a survey for this event.");
+        }
+
+        const template = await templateForOccurrence(db, eventoccurrenceid);
+        const answers = readAnswers(template.questions, req.body);
+
+        await db.transaction((trx) =>
+            saveResponse(trx, auditActor(req), { participantid, eventoccurrenceid, template, answers })
+        );
+
+        // Stay on the same event so a stack of paper surveys goes quickly
+        req.flash("success", "Survey created.");
+        res.redirect(`/addSurvey?occurrence=${encodeURIComponent(eventoccurrenceid)}`);
+
     } catch (err) {
+        if (err instanceof SurveyTemplateError) {
+            return renderError(400, err.message);
+        }
         console.error("Error adding survey:", err);
-        
-        // Re-fetch data for the error view
-        const participants = await db("participants").select("*");
-        const events = await db("eventoccurrences")
-            .join("events", "eventoccurrences.eventid", "events.eventid")
-            .select("eventoccurrences.eventoccurrenceid", "events.eventname", "eventoccurrences.eventdatetimestart");
-
-        res.status(500).render("surveys/addSurvey", {
-            participants,
-            events,
-            user: user,
-            userLevel: userLevel,
-            error_message: "Failed to create survey. Please try again."
-        });
+        renderError(500, "Failed to create survey. Please try again.");
     }
 });
 
@@ -195,33 +226,28 @@ router.post("/addSurvey", async (req, res) => {
 // 3. UPDATE: Edit Survey
 // ==============================================
 
-// Display the Edit Survey Form
-router.get("/editSurvey/:id", requireRole(["M"]), async (req, res) => {
+// Display the Edit Survey Form. A response keeps the questionnaire it was
+// answered with, even if its event has since moved to another one.
+router.get("/editSurvey/:id", requirePermission("surveys", "edit"), async (req, res) => {
     const surveyId = req.params.id;
 
     try {
-        const survey = await db("surveys").where("surveyid", surveyId).first();
+        const survey = await db("surveys").where("surveyid", surveyId).whereNull("surveydeletedat").first();
 
         if (!survey) {
             return res.status(404).send("Survey not found");
         }
 
         // We also need the lists again in case they want to change the participant/event
-        const participants = await db("participants")
-            .select("participantid", "participantfirstname", "participantlastname")
-            .orderBy("participantlastname");
-            
-        const events = await db("eventoccurrences")
-            .join("events", "eventoccurrences.eventid", "events.eventid")
-            .select("eventoccurrences.eventoccurrenceid", "events.eventname", "eventoccurrences.eventdatetimestart")
-            .orderBy("eventoccurrences.eventdatetimestart", "desc");
+        const { participants, events } = await surveyFormOptions();
 
         res.render("surveys/editSurvey", {
             survey,
+            template: await getTemplate(survey.surveytemplateid),
+            values: await answerValues(survey.surveyid),
             participants,
             events,
             user: req.session.user,
-            userLevel: req.session.user.level,
             error_message: null
         });
     } catch (err) {
@@ -231,52 +257,44 @@ router.get("/editSurvey/:id", requireRole(["M"]), async (req, res) => {
 });
 
 // Handle the Edit Survey POST
-router.post("/editSurvey/:id", requireRole(["M"]), async (req, res) => {
+router.post("/editSurvey/:id", requirePermission("surveys", "edit"), async (req, res) => {
     const surveyId = req.params.id;
-    const { 
-        participantid, 
-        eventoccurrenceid, 
-        surveysatisfactionscore, 
-        surveyusefulnessscore, 
-        surveyinstructorscore, 
-        surveyrecommendationscore,
-        surveycomments 
-    } = req.body;
+    const { participantid, eventoccurrenceid } = req.body;
 
     try {
-        // RE-CALCULATION LOGIC:
-        const scores = [
-            parseInt(surveysatisfactionscore), 
-            parseInt(surveyusefulnessscore), 
-            parseInt(surveyinstructorscore), 
-            parseInt(surveyrecommendationscore)
-        ];
-        const overallScore = scores.reduce((a, b) => a + b, 0) / scores.length;
-
-        let npsBucket = "Detractor";
-        const recScore = parseInt(surveyrecommendationscore);
-        if (recScore === 5) npsBucket = "Promoter";
-        else if (recScore === 4) npsBucket = "Passive";
-
-        await db("surveys")
-            .where("surveyid", surveyId)
-            .update({
+        const survey = await db("surveys").where("surveyid", surveyId).whereNull("surveydeletedat").first();
+        if (!survey) {
+            return res.status(404).send("Survey not found");
+        }
+
+        if (await hasSurvey(db, participantid, eventoccurrenceid, surveyId)) {
+            req.flash("error", "That participant already has a survey for this event.");
+            return res.redirect(`/editSurvey/${surveyId}`);
+        }
+
+        // Answers are re-checked and the response re-scored against its questionnaire
+        const template = await getTemplate(survey.surveytemplateid);
+        const answers = readAnswers(template.questions, req.body);
+
+        await db.transaction((trx) =>
+            saveResponse(trx, auditActor(req), {
+                surveyid: survey.surveyid,
                 participantid,
                 eventoccurrenceid,
-                surveysatisfactionscore,
-                surveyusefulnessscore,
-                surveyinstructorscore,
-                surveyrecommendationscore,
-                surveyoverallscore: overallScore,
-                surveynpsbucket: npsBucket,
-                surveycomments
-            });
+                template,
+                answers
+            })
+        );
 
         req.flash("success", "Survey updated.");
         res.redirect("/surveys");
     } catch (err) {
-        console.error("Error updating survey:", err);
-        req.flash("error", "Failed to update survey.");
+        if (err instanceof SurveyTemplateError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error updating survey:", err);
+            req.flash("error", "Failed to update survey.");
+        }
         res.redirect(`/editSurvey/${surveyId}`);
     }
 });
@@ -284,16 +302,20 @@ router.post("/editSurvey/:id", requireRole(["M"]), async (req, res) => {
 // ==============================================
 // 4. DELETE: Remove Survey
 // ==============================================
-router.post("/deleteSurvey/:id", requireRole(["M"]), async (req, res) => {
+router.post("/deleteSurvey/:id", requirePermission("surveys", "delete"), async (req, res) => {
     const surveyId = req.params.id;
 
     try {
-        await db("surveys").where("surveyid", surveyId).del();
-        req.flash("error", "Survey deleted.");
+        await db.transaction((trx) => softDelete(trx, auditActor(req), "surveys", surveyId));
+        req.flash("error", "Survey moved to the recycle bin.");
         res.redirect("/surveys");
     } catch (err) {
-        console.error("Error deleting survey:", err);
-        req.flash("error", "Failed to delete survey.");
+        if (err instanceof RecycleError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error deleting survey:", err);
+            req.flash("error", "Failed to delete survey.");
+        }
         res.redirect("/surveys");
     }
 });
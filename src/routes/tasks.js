@@ -0,0 +1,115 @@
+const express = require("express");
+
+const db = require("../config/db");
+const { requirePermission } = require("../middleware/auth");
+const { auditActor } = require("../services/audit");
+const { can } = require("../services/permissions");
+const {
+    TaskError,
+    dateInput,
+    readTask,
+    taskList,
+    findTask,
+    createTask,
+    setTaskCompleted,
+    deleteTask,
+} = require("../services/participantTasks");
+
+const router = express.Router();
+
+// Back to the task list the form was posted from, or the participant's profile
+const returnTo = (req, participantid) => {
+    if (req.body.from === "tasks") {
+        return req.body.show === "all" ? "/tasks?show=all" : "/tasks";
+    }
+    return `/displayParticipant/${participantid}#tasks`;
+};
+
+// ==============================================
+// My Tasks
+// ==============================================
+
+// The signed-in user's open follow-ups by due date; ?show=all lists everyone's
+router.get("/tasks", requirePermission("participants", "view"), async (req, res) => {
+    const showAll = req.query.show === "all";
+    try {
+        const tasks = await taskList({ assigneeid: showAll ? null : req.session.user.id });
+        res.render("tasks/tasks", {
+            tasks,
+            showAll,
+            dateInput,
+            today: dateInput(new Date()),
+            user: req.session.user,
+        });
+    } catch (err) {
+        console.error("Error loading tasks:", err);
+        res.status(500).send("Error loading tasks");
+    }
+});
+
+// ==============================================
+// Follow-up tasks on a participant
+// ==============================================
+
+router.post("/participants/:id/tasks", requirePermission("participants", "edit"), async (req, res) => {
+    const participantid = req.params.id;
+    try {
+        const values = readTask(req.body);
+        await db.transaction((trx) => createTask(trx, auditActor(req), participantid, values));
+        req.flash("success", "Task added.");
+    } catch (err) {
+        if (err instanceof TaskError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error adding task:", err);
+            req.flash("error", "Error adding task.");
+        }
+    }
+    res.redirect(`/displayParticipant/${participantid}#tasks`);
+});
+
+// The assignee can tick off their own task; anyone else needs participants.edit
+const completeRoute = (completed) => async (req, res) => {
+    const { id: participantid, taskid } = req.params;
+    try {
+        const task = await findTask(participantid, taskid);
+        if (!task) {
+            throw new TaskError("That task was deleted.");
+        }
+        const user = req.session.user;
+        if (String(task.participanttaskassigneeid) !== String(user.id) && !can(user, "participants", "edit")) {
+            throw new TaskError("Only the person assigned can update this task.");
+        }
+        await db.transaction((trx) => setTaskCompleted(trx, auditActor(req), participantid, taskid, completed));
+        req.flash("success", completed ? `Marked "${task.participanttasktitle}" done.` : "Task reopened.");
+    } catch (err) {
+        if (err instanceof TaskError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error updating task:", err);
+            req.flash("error", "Error updating task.");
+        }
+    }
+    res.redirect(returnTo(req, participantid));
+};
+
+router.post("/participants/:id/tasks/:taskid/complete", requirePermission("participants", "view"), completeRoute(true));
+router.post("/participants/:id/tasks/:taskid/reopen", requirePermission("participants", "view"), completeRoute(false));
+
+router.post("/participants/:id/tasks/:taskid/delete", requirePermission("participants", "edit"), async (req, res) => {
+    const participantid = req.params.id;
+    try {
+        await db.transaction((trx) => deleteTask(trx, auditActor(req), participantid, req.params.taskid));
+        req.flash("success", "Task deleted.");
+    } catch (err) {
+        if (err instanceof TaskError) {
+            req.flash("error", err.message);
+        } else {
+            console.error("Error deleting task:", err);
+            req.flash("error", "Error deleting task.");
+        }
+    }
+    res.redirect(returnTo(req, participantid));
+});
+
+module.exports = router;
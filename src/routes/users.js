@@ -2,44 +2,37 @@ const express = require("express");
 const bcrypt = require("bcrypt");
 
 const db = require("../config/db");
-const { requireRole } = require("../middleware/auth");
+const { requirePermission } = require("../middleware/auth");
+const { auditActor, auditInsert, auditUpdate } = require("../services/audit");
+const { RecycleError, softDelete } = require("../services/recycleBin");
+const { userSortMap, usersWithRoles, userSearch } = require("../services/listQueries");
+const { RoleError, listRoles, assignableRole, assertCanManage, reassignRole } = require("../services/roles");
+const { checkPassword, passwordRules } = require("../services/passwordPolicy");
 
 const router = express.Router();
 
 // Route for viewing all users with Search and Sort
-router.get("/users", requireRole(["M"]), (req, res) => {
+router.get("/users", requirePermission("users", "view"), (req, res) => {
     // 1. Get Parameters
     const searchTerm = req.query.search || "";
     const sortBy = req.query.sortBy || "username"; // Default: Username
     const sortOrder = req.query.sortOrder || "asc"; // Default: A-Z
 
-    // 2. Start Base Query
-    let query = db("users").select("username", "password", "level", "id");
+    // 2. Start Base Query with the search filter (also matches the role name)
+    let query = usersWithRoles()
+        .select("users.id", "username", "rolename", "usertotpenabledat")
+        .where(userSearch(searchTerm));
 
-    // 3. Apply Search Filter
-    if (searchTerm) {
-        query = query.where((builder) => {
-            builder.where("username", "ilike", `%${searchTerm}%`)
-                   // Also search by 'level' (e.g. search "Manager" finds 'M')
-                   .orWhere("level", "ilike", `%${searchTerm === 'Manager' ? 'M' : (searchTerm === 'User' ? 'U' : searchTerm)}%`);
-        });
-    }
-
-    // 4. Apply Sorting
-    const sortMap = {
-        "username": "username",
-        "level": "level"
-    };
-    const dbColumn = sortMap[sortBy] || "username";
+    // 3. Apply Sorting
+    const dbColumn = userSortMap[sortBy] || "username";
     
     query = query.orderBy(dbColumn, sortOrder);
 
-    // 5. Execute
+    // 4. Execute
     query.then((users) => {
             console.log(`Successfully retrieved ${users.length} users`);
             res.render("users/displayUsers", {
                 users: users,
-                userLevel: req.session.user.level,
                 user: req.session.user,
                 // Pass params back to view
                 searchTerm: searchTerm,
@@ -51,7 +44,6 @@ router.get("/users", requireRole(["M"]), (req, res) => {
             console.error("Database query error:", err.message);
             res.render("users/displayUsers", {
                 users: [],
-                userLevel: req.session.user ? req.session.user.level : null,
                 user: req.session.user,
                 error_message: `Database error: ${err.message}`,
                 searchTerm: searchTerm,
@@ -62,12 +54,18 @@ router.get("/users", requireRole(["M"]), (req, res) => {
 });
 
 // Routes for adding a user
-router.get("/addUser", requireRole(["M"]), (req, res) => {
-    res.render("users/addUser");
+router.get("/addUser", requirePermission("users", "create"), async (req, res) => {
+    try {
+        res.render("users/addUser", { roles: await listRoles(), passwordHint: passwordRules() });
+    } catch (err) {
+        console.error("Error loading roles:", err);
+        res.status(500).send("Error loading roles");
+    }
 });
 
-router.post("/addUser", requireRole(["M"]), async (req, res) => {
-    const { username, password, confirmPassword, level } = req.body;
+router.post("/addUser", requirePermission("users", "create"), async (req, res) => {
+    const { username, password, confirmPassword, roleid } = req.body;
+    const email = (req.body.email || "").trim();
 
     if (!username || !password) {
         req.flash("error", "Username and password are required.");
@@ -77,37 +75,67 @@ router.post("/addUser", requireRole(["M"]), async (req, res) => {
         req.flash("error", "Passwords do not match.");
         return res.redirect("/addUser");
     }
+    const problems = checkPassword(password, { username });
+    if (problems.length > 0) {
+        req.flash("error", problems.join(" "));
+        return res.redirect("/addUser");
+    }
 
     try {
         const saltRounds = 10;
         const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-        const newUser = {
-            username,
-            password: hashedPassword,
-            level,
-        };
-
-        await db("users").insert(newUser);
+        await db.transaction(async (trx) => {
+            const role = await assignableRole(trx, req.session.user, roleid);
+            const newUser = {
+                username,
+                useremail: email || null,
+                password: hashedPassword,
+                roleid: role.roleid,
+            };
+            await auditInsert(trx, auditActor(req), "users", newUser);
+        });
         req.flash("success", "User created.");
         res.redirect("/users");
     } catch (dbErr) {
+        if (dbErr instanceof RoleError) {
+            req.flash("error", dbErr.message);
+            return res.redirect("/addUser");
+        }
         console.error("Error inserting user:", dbErr.message);
+        if (dbErr.code === "23505") {
+            // Deleted users keep their username and email until purged
+            req.flash("error", "Username or email is already in use (check the recycle bin).");
+            return res.redirect("/addUser");
+        }
         req.flash("error", "Unable to save user. Please try again.");
         res.redirect("/addUser");
     }
 });
 
-// Handle form submission for deleting a user
-router.post("/deleteUser/:id", requireRole(["M"]), (req, res) => {
-    db("users")
-        .where("id", req.params.id)
-        .del()
+// Handle form submission for deleting a user (moves it to the recycle bin)
+router.post("/deleteUser/:id", requirePermission("users", "delete"), (req, res) => {
+    if (String(req.params.id) === String(req.session.user.id)) {
+        req.flash("error", "You can't delete your own account.");
+        return res.redirect("/users");
+    }
+
+    db.transaction(async (trx) => {
+        const target = await trx("users").where({ id: req.params.id }).first();
+        if (target) {
+            await assertCanManage(trx, req.session.user, target);
+        }
+        await softDelete(trx, auditActor(req), "users", req.params.id);
+    })
         .then(() => {
-            req.flash("error", "User deleted.");
+            req.flash("error", "User moved to the recycle bin.");
             res.redirect("/users");
         })
         .catch((err) => {
+            if (err instanceof RecycleError || err instanceof RoleError) {
+                req.flash("error", err.message);
+                return res.redirect("/users");
+            }
             console.log(err);
             req.flash("error", "Unable to delete user.");
             res.status(500).json({ err });
@@ -115,37 +143,33 @@ router.post("/deleteUser/:id", requireRole(["M"]), (req, res) => {
 });
 
 // Routes for editing a user
-router.get("/editUser/:id", requireRole(["M"]), (req, res) => {
+router.get("/editUser/:id", requirePermission("users", "edit"), (req, res) => {
     const id = req.params.id;
 
-    db("users")
-        .where({ id: id })
-        .first()
-        .then((user) => {
+    Promise.all([db("users").where({ id: id }).whereNull("userdeletedat").first(), listRoles()])
+        .then(([user, roles]) => {
             if (!user) {
                 return res.status(404).render("users/displayUsers", {
                     users: [],
-                    userLevel: req.session.user.level,
                     error_message: "User not found.",
                 });
             }
 
-            res.render("users/editUser", { user, error_message: "" });
+            res.render("users/editUser", { user, roles, error_message: "", passwordHint: passwordRules() });
         })
         .catch((err) => {
             console.error("Database query error:", err.message);
             res.status(500).render("users/displayUsers", {
                 users: [],
-                userLevel: req.session.user.level,
                 error_message: `Database error: ${err.message}.`,
             });
         });
 });
 
 // Handle form submission for editing a user
-router.post("/editUser/:id", requireRole(["M"]), async (req, res) => {
+router.post("/editUser/:id", requirePermission("users", "edit"), async (req, res) => {
     const id = req.params.id;
-    const { username, password, confirmPassword, level } = req.body;
+    const { username, password, confirmPassword, roleid } = req.body;
 
     if (!username) {
         try {
@@ -153,19 +177,19 @@ router.post("/editUser/:id", requireRole(["M"]), async (req, res) => {
             if (!user) {
                 return res.status(404).render("users/displayUsers", {
                     users: [],
-                    userLevel: req.session.user.level,
                     error_message: "User not found.",
                 });
             }
             return res.status(400).render("users/editUser", {
                 user,
+                roles: await listRoles(),
                 error_message: "Username is required.",
+                passwordHint: passwordRules(),
             });
         } catch (err) {
             console.error("Error fetching user:", err.message);
             return res.status(500).render("users/displayUsers", {
                 users: [],
-                userLevel: req.session.user.level,
                 error_message: "Unable to load user for editing.",
             });
         }
@@ -173,7 +197,7 @@ router.post("/editUser/:id", requireRole(["M"]), async (req, res) => {
 
     const updatedUser = {
         username,
-        level,
+        useremail: (req.body.email || "").trim() || null,
     };
 
     if (password && password.trim() !== "") {
@@ -181,21 +205,39 @@ router.post("/editUser/:id", requireRole(["M"]), async (req, res) => {
             req.flash("error", "Passwords do not match.");
             return res.redirect(`/editUser/${id}`);
         }
+        const problems = checkPassword(password, { username });
+        if (problems.length > 0) {
+            req.flash("error", problems.join(" "));
+            return res.redirect(`/editUser/${id}`);
+        }
         const saltRounds = 10;
         const hashedPassword = await bcrypt.hash(password, saltRounds);
         updatedUser.password = hashedPassword;
+        updatedUser.userpasswordchangedat = db.fn.now();
     }
 
     try {
-        const rowsUpdated = await db("users").where({ id: id }).update(updatedUser);
+        const updatedRows = await db.transaction(async (trx) => {
+            const target = await trx("users").where({ id: id }).whereNull("userdeletedat").first();
+            if (!target) {
+                return [];
+            }
+            await assertCanManage(trx, req.session.user, target);
+            updatedUser.roleid = await reassignRole(trx, req.session.user, target, roleid);
+            return auditUpdate(trx, auditActor(req), "users", { id: id }, updatedUser);
+        });
 
-        if (rowsUpdated === 0) {
+        if (updatedRows.length === 0) {
             req.flash("error", "User not found.");
             return res.redirect("/users");
         }
         req.flash("success", "User updated.");
         res.redirect("/users");
     } catch (err) {
+        if (err instanceof RoleError) {
+            req.flash("error", err.message);
+            return res.redirect(`/editUser/${id}`);
+        }
         console.error("Error updating user:", err.message);
         try {
             const user = await db("users").where({ id: id }).first();
@@ -203,7 +245,9 @@ router.post("/editUser/:id", requireRole(["M"]), async (req, res) => {
                 req.flash("error", "User not found.");
                 return res.redirect("/users");
             }
-            req.flash("error", "Unable to update user. Please try again.");
+            req.flash("error", err.code === "23505"
+                ? "Username or email is already in use (check the recycle bin)."
+                : "Unable to update user. Please try again.");
             res.redirect(`/editUser/${id}`);
         } catch (fetchErr) {
             console.error("Error fetching user after failure:", fetchErr.message);
@@ -8,20 +8,44 @@ const flash = require("connect-flash");
 const path = require("path");
 
 const { sessionMiddleware } = require("./config/session");
-const { requireAuth } = require("./middleware/auth");
+const { refreshSessionUser } = require("./middleware/auth");
+const { csrfProtection } = require("./middleware/csrf");
+const { can, isStaff } = require("./services/permissions");
 
 const authRoutes = require("./routes/auth");
 const userRoutes = require("./routes/users");
 const participantRoutes = require("./routes/participants");
+const taskRoutes = require("./routes/tasks");
 const milestoneRoutes = require("./routes/milestones");
 const eventRoutes = require("./routes/events");
 const donationRoutes = require("./routes/donations");
+const donorRoutes = require("./routes/donors");
+const campaignRoutes = require("./routes/campaigns");
 const surveyRoutes = require("./routes/surveys");
 const dashboardRoutes = require("./routes/dashboard")
+const importRoutes = require("./routes/imports");
+const paymentImportRoutes = require("./routes/paymentImports");
+const auditRoutes = require("./routes/audit");
+const recycleBinRoutes = require("./routes/recycleBin");
+const apiTokenRoutes = require("./routes/apiTokens");
+const securityRoutes = require("./routes/security");
+const roleRoutes = require("./routes/roles");
+const portalRoutes = require("./routes/portal");
+const surveyLinkRoutes = require("./routes/surveyLinks");
+const surveyTemplateRoutes = require("./routes/surveyTemplates");
+const surveyReportRoutes = require("./routes/surveyReports");
+const apiRoutes = require("./routes/api");
 
 // Initialize express object as the app
 const app = express();
 
+// Behind a load balancer, set TRUST_PROXY (e.g. 1) so req.ip is the client's
+// address; login lockout by IP depends on it
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // View engine + static
 app.set("view engine", "ejs");
 app.use(expressLayouts);
@@ -36,27 +60,50 @@ app.use(bodyParser.urlencoded({ extended: true }));
 // Sessions
 app.use(sessionMiddleware);
 app.use(flash());
+app.use(refreshSessionUser);
+app.use(csrfProtection);
 
 // Template locals
 app.use((req, res, next) => {
     res.locals.user = req.session?.user || null;
+    res.locals.can = (resource, action) => can(req.session?.user, resource, action);
+    res.locals.isStaff = isStaff(req.session?.user);
     res.locals.title = "Ella Rises";
     res.locals.messages = req.flash();
     next();
 });
 
 // Routes
+app.use("/api/v1", apiRoutes);
 app.use(authRoutes);
 app.use(userRoutes);
 app.use(participantRoutes);
+app.use(taskRoutes);
 app.use(milestoneRoutes);
 app.use(eventRoutes);
 app.use(donationRoutes);
+app.use(donorRoutes);
+app.use(campaignRoutes);
 app.use(surveyRoutes);
 app.use(dashboardRoutes);
+app.use(importRoutes);
+app.use(paymentImportRoutes);
+app.use(auditRoutes);
+app.use(recycleBinRoutes);
+app.use(apiTokenRoutes);
+app.use(securityRoutes);
+app.use(roleRoutes);
+app.use(portalRoutes);
+app.use(surveyLinkRoutes);
+app.use(surveyTemplateRoutes);
+app.use(surveyReportRoutes);
 
-// Start server
-const port = process.env.PORT || 3000;
-app.listen(port, () => {
-    console.log(`Server running at http://localhost:${port}`);
-});
+// Start server (unless loaded by the tests)
+if (require.main === module) {
+    const port = process.env.PORT || 3000;
+    app.listen(port, () => {
+        console.log(`Server running at http://localhost:${port}`);
+    });
+}
+
+module.exports = app;
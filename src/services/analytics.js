@@ -0,0 +1,277 @@
+const db = require("../config/db");
+
+// A real calendar date as YYYY-MM-DD (2024-02-30 is not one)
+const isDate = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Pull the dashboard filters out of the query string (blank values, and dates
+// that aren't YYYY-MM-DD, are ignored)
+const parseDashboardFilters = (query) => {
+    const clean = (value) => (typeof value === "string" ? value.trim() : "");
+    const date = (value) => (isDate(clean(value)) ? clean(value) : "");
+    return {
+        type: clean(query.type),
+        start: date(query.start),
+        end: date(query.end),
+        city: clean(query.city),
+        state: clean(query.state),
+        field: clean(query.field),
+    };
+};
+
+// Demographic filters on a participants alias; deleted participants are never counted
+const applyParticipantFilters = (builder, filters, alias) => {
+    builder.whereNull(`${alias}.participantdeletedat`);
+    if (filters.city) {
+        builder.where(`${alias}.participantcity`, filters.city);
+    }
+    if (filters.state) {
+        builder.where(`${alias}.participantstate`, filters.state);
+    }
+    if (filters.field) {
+        builder.where(`${alias}.participantfieldofinterest`, filters.field);
+    }
+};
+
+// Inclusive date range on a date/timestamp column
+const applyDateRange = (builder, filters, column) => {
+    if (filters.start) {
+        builder.whereRaw(`DATE(${column}) >= ?`, [filters.start]);
+    }
+    if (filters.end) {
+        builder.whereRaw(`DATE(${column}) <= ?`, [filters.end]);
+    }
+};
+
+// Milestones and donations are not tied to an event, so the event type filter
+// narrows them to participants who took part in an event of that type.
+const applyEventTypeToParticipants = (builder, filters, alias) => {
+    if (filters.type) {
+        builder.where(function() {
+            this.whereIn(
+                `${alias}.participantid`,
+                db("surveys as ts")
+                    .join("eventoccurrences as teo", "ts.eventoccurrenceid", "teo.eventoccurrenceid")
+                    .join("events as te", "teo.eventid", "te.eventid")
+                    .where("te.eventtype", filters.type)
+                    .whereNull("ts.surveydeletedat")
+                    .whereNull("te.eventdeletedat")
+                    .select("ts.participantid")
+            ).orWhereIn(
+                `${alias}.participantid`,
+                db("eventregistrations as tr")
+                    .join("eventoccurrences as teo", "tr.eventoccurrenceid", "teo.eventoccurrenceid")
+                    .join("events as te", "teo.eventid", "te.eventid")
+                    .where("te.eventtype", filters.type)
+                    .whereNull("te.eventdeletedat")
+                    .where("tr.registrationattended", true)
+                    .select("tr.participantid")
+            );
+        });
+    }
+};
+
+// Surveys joined to their occurrence, event and participant with every filter applied
+const filteredSurveys = (filters) =>
+    db("surveys as s")
+        .join("eventoccurrences as eo", "s.eventoccurrenceid", "eo.eventoccurrenceid")
+        .join("events as e", "eo.eventid", "e.eventid")
+        .join("participants as p", "s.participantid", "p.participantid")
+        .whereNull("s.surveydeletedat")
+        .whereNull("e.eventdeletedat")
+        .modify((qb) => {
+            if (filters.type) {
+                qb.where("e.eventtype", filters.type);
+            }
+            applyDateRange(qb, filters, "eo.eventdatetimestart");
+            applyParticipantFilters(qb, filters, "p");
+        });
+
+const toNumber = (value) => {
+    const parsed = parseFloat(value);
+    return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+// Survey KPIs: average overall score and Net Promoter Score (% promoters - % detractors
+// among the responses to a questionnaire with a recommendation question)
+const getSurveyStats = async (filters) => {
+    const row = await filteredSurveys(filters)
+        .select(
+            db.raw("COUNT(*) as responses"),
+            db.raw("AVG(s.surveyoverallscore) as avgscore"),
+            db.raw("SUM(CASE WHEN s.surveynpsbucket = 'Promoter' THEN 1 ELSE 0 END) as promoters"),
+            db.raw("SUM(CASE WHEN s.surveynpsbucket = 'Passive' THEN 1 ELSE 0 END) as passives"),
+            db.raw("SUM(CASE WHEN s.surveynpsbucket = 'Detractor' THEN 1 ELSE 0 END) as detractors")
+        )
+        .first();
+
+    const responses = toNumber(row.responses);
+    const promoters = toNumber(row.promoters);
+    const passives = toNumber(row.passives);
+    const detractors = toNumber(row.detractors);
+    const rated = promoters + passives + detractors;
+
+    return {
+        responses,
+        averageScore: row.avgscore !== null ? toNumber(row.avgscore) : null,
+        nps: rated ? Math.round(((promoters - detractors) / rated) * 100) : null,
+        npsBreakdown: { promoters, passives, detractors },
+    };
+};
+
+// Milestones per participant across the filtered participant population
+const getMilestoneStats = async (filters) => {
+    const participantScope = (qb) => {
+        applyParticipantFilters(qb, filters, "p");
+        applyEventTypeToParticipants(qb, filters, "p");
+    };
+
+    const [{ participantcount }] = await db("participants as p")
+        .modify(participantScope)
+        .count("p.participantid as participantcount");
+
+    const milestoneBase = db("milestones as m")
+        .join("participants as p", "m.participantid", "p.participantid")
+        .modify(participantScope)
+        .modify((qb) => applyDateRange(qb, filters, "m.milestonedate"));
+
+    const [{ milestonecount }] = await milestoneBase.clone().count("m.milestoneid as milestonecount");
+
+    const topMilestones = await milestoneBase
+        .clone()
+        .select("m.milestonetitle")
+        .count("* as total")
+        .groupBy("m.milestonetitle")
+        .orderBy("total", "desc")
+        .limit(10);
+
+    const participants = toNumber(participantcount);
+    const milestones = toNumber(milestonecount);
+
+    return {
+        participants,
+        milestones,
+        perParticipant: participants ? milestones / participants : 0,
+        topMilestones: topMilestones.map((row) => ({
+            title: row.milestonetitle,
+            total: toNumber(row.total),
+        })),
+    };
+};
+
+// Donation totals and counts bucketed by calendar month. Participant filters
+// only match gifts from donors linked to a participant.
+const getDonationStats = async (filters) => {
+    const rows = await db("donations as d")
+        .join("donors as dn", "d.donorid", "dn.donorid")
+        .leftJoin("participants as p", "dn.participantid", "p.participantid")
+        .modify((qb) => {
+            applyDateRange(qb, filters, "d.donationdate");
+            applyParticipantFilters(qb, filters, "p");
+            applyEventTypeToParticipants(qb, filters, "p");
+        })
+        .whereNotNull("d.donationdate")
+        .whereNull("d.donationdeletedat")
+        .whereNull("dn.donordeletedat")
+        .select(
+            db.raw("TO_CHAR(DATE_TRUNC('month', d.donationdate), 'YYYY-MM') as month"),
+            db.raw("COUNT(*) as gifts"),
+            db.raw("SUM(d.donationamount) as amount")
+        )
+        .groupByRaw("DATE_TRUNC('month', d.donationdate)")
+        .orderByRaw("DATE_TRUNC('month', d.donationdate) asc");
+
+    const byMonth = rows.map((row) => ({
+        month: row.month,
+        gifts: toNumber(row.gifts),
+        amount: toNumber(row.amount),
+    }));
+
+    return {
+        byMonth,
+        totalAmount: byMonth.reduce((sum, row) => sum + row.amount, 0),
+        totalGifts: byMonth.reduce((sum, row) => sum + row.gifts, 0),
+    };
+};
+
+// Attendance by event type. A participant counts once per occurrence whether
+// they were checked in at the door or only left a survey response.
+const getAttendanceByType = async (filters) => {
+    const attendance = db("eventregistrations")
+        .where("registrationattended", true)
+        .select("participantid", "eventoccurrenceid")
+        .union(function() {
+            this.select("participantid", "eventoccurrenceid").from("surveys").whereNull("surveydeletedat");
+        });
+
+    const rows = await db
+        .from(attendance.as("a"))
+        .join("eventoccurrences as eo", "a.eventoccurrenceid", "eo.eventoccurrenceid")
+        .join("events as e", "eo.eventid", "e.eventid")
+        .join("participants as p", "a.participantid", "p.participantid")
+        .whereNull("e.eventdeletedat")
+        .modify((qb) => {
+            if (filters.type) {
+                qb.where("e.eventtype", filters.type);
+            }
+            applyDateRange(qb, filters, "eo.eventdatetimestart");
+            applyParticipantFilters(qb, filters, "p");
+        })
+        .select("e.eventtype")
+        .select(
+            db.raw("COUNT(*) as attendees"),
+            db.raw("COUNT(DISTINCT a.eventoccurrenceid) as occurrences")
+        )
+        .groupBy("e.eventtype")
+        .orderBy("e.eventtype", "asc");
+
+    return rows.map((row) => ({
+        eventType: row.eventtype,
+        attendees: toNumber(row.attendees),
+        occurrences: toNumber(row.occurrences),
+    }));
+};
+
+// Distinct values for the filter dropdowns
+const getFilterOptions = async () => {
+    const distinctValues = (table, column, deletedColumn) =>
+        db(table)
+            .distinct(column)
+            .whereNull(deletedColumn)
+            .whereNotNull(column)
+            .whereNot(column, "")
+            .orderBy(column)
+            .pluck(column);
+
+    const [eventTypes, cities, states, fields] = await Promise.all([
+        distinctValues("events", "eventtype", "eventdeletedat"),
+        distinctValues("participants", "participantcity", "participantdeletedat"),
+        distinctValues("participants", "participantstate", "participantdeletedat"),
+        distinctValues("participants", "participantfieldofinterest", "participantdeletedat"),
+    ]);
+
+    return { eventTypes, cities, states, fields };
+};
+
+// Every KPI shown on the public impact dashboard
+const getDashboardData = async (filters) => {
+    const [surveys, milestones, donations, attendance, options] = await Promise.all([
+        getSurveyStats(filters),
+        getMilestoneStats(filters),
+        getDonationStats(filters),
+        getAttendanceByType(filters),
+        getFilterOptions(),
+    ]);
+
+    return { surveys, milestones, donations, attendance, options };
+};
+
+module.exports = {
+    parseDashboardFilters,
+    getDashboardData,
+};
@@ -0,0 +1,189 @@
+const crypto = require("crypto");
+
+const db = require("../config/db");
+const { auditInsert, auditUpdate } = require("./audit");
+const { allPermissions, rolePermissions } = require("./permissions");
+
+// Raised for token form problems that should be shown to the user as-is
+class ApiTokenError extends Error {}
+
+// Resources a token can be scoped to, and the first path segment of the
+// API endpoints and list exports that belong to each
+const TOKEN_RESOURCES = {
+    participants: { label: "Participants", paths: ["participants"] },
+    events: { label: "Events & Occurrences", paths: ["events", "occurrences"] },
+    surveys: { label: "Surveys", paths: ["surveys"] },
+    milestones: { label: "Milestones", paths: ["milestones", "milestone-titles"] },
+    donations: { label: "Donations", paths: ["donations"] },
+    users: { label: "Users", paths: ["users"] },
+};
+
+// "write" includes reading
+const TOKEN_ACCESS = { read: "Read only", write: "Read & write" };
+
+const TOKEN_EXPIRY = { 30: "30 days", 90: "90 days", 365: "1 year", never: "Never" };
+
+const TOKEN_PREFIX = "er_";
+
+const hashToken = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+// The scoped resource a request is for: /api/v1/participants/3 and
+// /participants/export are both "participants"
+const resourceForPath = (path) => {
+    const segment = path.replace(/^\/api\/v1(?=\/)/, "").split("/")[1];
+    return Object.keys(TOKEN_RESOURCES).find((resource) => TOKEN_RESOURCES[resource].paths.includes(segment)) || null;
+};
+
+// Whether a token's scopes cover a request. GET and HEAD need read access,
+// anything else needs write.
+const tokenAllows = (token, method, path) => {
+    const resource = resourceForPath(path);
+    const access = resource ? token.apitokenscopes[resource] : null;
+    if (!access) {
+        return false;
+    }
+    return access === "write" || method === "GET" || method === "HEAD";
+};
+
+// Look up a presented token. Revoked and expired tokens, and personal tokens of
+// deleted users, are not found. The token comes back with the user it acts as
+// and the name it is logged under in the audit trail.
+const findActiveToken = async (secret) => {
+    if (!secret.startsWith(TOKEN_PREFIX)) {
+        return null;
+    }
+
+    const token = await db("apitokens as t")
+        .leftJoin("users as u", "t.apitokenuserid", "u.id")
+        .leftJoin("roles as r", "u.roleid", "r.roleid")
+        .where("t.apitokenhash", hashToken(secret))
+        .whereNull("t.apitokenrevokedat")
+        .where((qb) => qb.whereNull("t.apitokenexpiresat").orWhere("t.apitokenexpiresat", ">", new Date()))
+        // Service tokens have no user row, so this only rules out deleted users
+        .whereNull("u.userdeletedat")
+        .select("t.*", "u.username", "r.rolekey", "r.rolepermissions")
+        .first();
+    if (!token) {
+        return null;
+    }
+
+    // Bookkeeping only, so it isn't written to the audit log
+    await db("apitokens").where({ apitokenid: token.apitokenid }).update({ apitokenlastusedat: new Date() });
+
+    const personal = token.apitokenkind === "Personal";
+    return {
+        ...token,
+        user: personal
+            ? { id: token.apitokenuserid, username: token.username, permissions: rolePermissions(token) }
+            : { id: null, username: `Service token "${token.apitokenname}"`, permissions: allPermissions() },
+        actor: {
+            userid: personal ? token.apitokenuserid : null,
+            username: (personal
+                ? `${token.username} (token "${token.apitokenname}")`
+                : `Service token "${token.apitokenname}"`
+            ).slice(0, 100),
+        },
+    };
+};
+
+// Tokens with their owner and creator, newest first; ?user= narrows to one owner
+const listTokens = ({ userid } = {}) =>
+    db("apitokens as t")
+        .leftJoin("users as owner", "t.apitokenuserid", "owner.id")
+        .leftJoin("users as creator", "t.apitokencreatedby", "creator.id")
+        .modify((qb) => {
+            if (userid) {
+                qb.where("t.apitokenuserid", userid);
+            }
+        })
+        .select(
+            "t.apitokenid",
+            "t.apitokenname",
+            "t.apitokenkind",
+            "t.apitokenuserid",
+            "t.apitokenprefix",
+            "t.apitokenscopes",
+            "t.apitokenexpiresat",
+            "t.apitokenlastusedat",
+            "t.apitokencreatedat",
+            "t.apitokenrevokedat",
+            "owner.username as ownerusername",
+            "creator.username as creatorusername"
+        )
+        .orderBy("t.apitokencreatedat", "desc");
+
+// Create a token. Returns the saved row and the token itself, which is only
+// available now; afterwards just its hash and first characters are kept.
+const createToken = async (trx, actor, { name, kind, userid, scopes, expiresIn }) => {
+    const apitokenname = String(name || "").trim();
+    if (!apitokenname) {
+        throw new ApiTokenError("Give the token a name, e.g. what script uses it.");
+    }
+    if (!["Personal", "Service"].includes(kind)) {
+        throw new ApiTokenError("Choose a personal or a service token.");
+    }
+
+    let apitokenuserid = null;
+    if (kind === "Personal") {
+        const owner = await trx("users").where({ id: userid }).whereNull("userdeletedat").first();
+        if (!owner) {
+            throw new ApiTokenError("Choose the user a personal token belongs to.");
+        }
+        apitokenuserid = owner.id;
+    }
+
+    const apitokenscopes = {};
+    for (const resource of Object.keys(TOKEN_RESOURCES)) {
+        if (TOKEN_ACCESS[scopes[resource]]) {
+            apitokenscopes[resource] = scopes[resource];
+        }
+    }
+    if (Object.keys(apitokenscopes).length === 0) {
+        throw new ApiTokenError("Give the token access to at least one resource.");
+    }
+
+    if (!TOKEN_EXPIRY[expiresIn]) {
+        throw new ApiTokenError("Choose when the token expires.");
+    }
+    const apitokenexpiresat =
+        expiresIn === "never" ? null : new Date(Date.now() + Number(expiresIn) * 24 * 60 * 60 * 1000);
+
+    const secret = TOKEN_PREFIX + crypto.randomBytes(24).toString("base64url");
+    const [token] = await auditInsert(trx, actor, "apitokens", {
+        apitokenname,
+        apitokenkind: kind,
+        apitokenuserid,
+        apitokenprefix: secret.slice(0, 10),
+        apitokenhash: hashToken(secret),
+        apitokenscopes: JSON.stringify(apitokenscopes),
+        apitokenexpiresat,
+        apitokencreatedby: actor.userid,
+    });
+    return { token, secret };
+};
+
+const revokeToken = async (trx, actor, apitokenid) => {
+    const [revoked] = await auditUpdate(
+        trx,
+        actor,
+        "apitokens",
+        (qb) => qb.where({ apitokenid }).whereNull("apitokenrevokedat"),
+        { apitokenrevokedat: new Date() }
+    );
+    if (!revoked) {
+        throw new ApiTokenError("That token is already revoked.");
+    }
+    return revoked;
+};
+
+module.exports = {
+    ApiTokenError,
+    TOKEN_RESOURCES,
+    TOKEN_ACCESS,
+    TOKEN_EXPIRY,
+    tokenAllows,
+    findActiveToken,
+    listTokens,
+    createToken,
+    revokeToken,
+};
@@ -0,0 +1,199 @@
+const db = require("../config/db");
+
+// Audited tables, their primary key, and how to label them in the activity log
+const AUDITED_TABLES = {
+    participants: { key: "participantid", label: "Participants" },
+    participantnotes: { key: "participantnoteid", label: "Participant Notes" },
+    participanttasks: { key: "participanttaskid", label: "Participant Tasks" },
+    users: { key: "id", label: "Users" },
+    donations: { key: "donationid", label: "Donations" },
+    donors: { key: "donorid", label: "Donors" },
+    pledges: { key: "pledgeid", label: "Pledges" },
+    campaigns: { key: "campaignid", label: "Campaigns" },
+    events: { key: "eventid", label: "Events" },
+    eventoccurrences: { key: "eventoccurrenceid", label: "Event Occurrences" },
+    eventregistrations: { key: "eventregistrationid", label: "Registrations" },
+    surveys: { key: "surveyid", label: "Surveys" },
+    surveyanswers: { key: "surveyanswerid", label: "Survey Answers" },
+    surveytemplates: { key: "surveytemplateid", label: "Survey Templates" },
+    surveyquestions: { key: "surveyquestionid", label: "Survey Questions" },
+    milestones: { key: "milestoneid", label: "Milestones" },
+    milestonetitles: { key: "milestonetitleid", label: "Milestone Titles" },
+    apitokens: { key: "apitokenid", label: "API Tokens" },
+    appsettings: { key: "appsettingkey", label: "Settings" },
+    roles: { key: "roleid", label: "Roles" },
+};
+
+// Child tables whose changes also appear in a parent record's history
+const RELATED_TABLES = {
+    participants: [
+        { table: "donors", column: "participantid" },
+        { table: "milestones", column: "participantid" },
+        { table: "surveys", column: "participantid" },
+        { table: "eventregistrations", column: "participantid" },
+        { table: "participantnotes", column: "participantid" },
+        { table: "participanttasks", column: "participantid" },
+    ],
+    donors: [
+        { table: "donations", column: "donorid" },
+        { table: "pledges", column: "donorid" },
+    ],
+    events: [{ table: "eventoccurrences", column: "eventid" }],
+    eventoccurrences: [{ table: "eventregistrations", column: "eventoccurrenceid" }],
+    surveys: [{ table: "surveyanswers", column: "surveyid" }],
+    surveytemplates: [{ table: "surveyquestions", column: "surveytemplateid" }],
+};
+
+// Never copy secrets into the log; only the fact that one changed is kept
+const REDACTED_COLUMNS = ["password", "apitokenhash", "usertotpsecret"];
+
+// Who is making a change. Public forms (sign-up, surveys) have no session user;
+// API token requests are logged under the token.
+const auditActor = (req) => {
+    if (req && req.apiToken) {
+        return req.apiToken.actor;
+    }
+    const user = req && req.session && req.session.user;
+    return user ? { userid: user.id, username: user.username } : { userid: null, username: null };
+};
+
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+const redact = (row, other) => {
+    if (!row) {
+        return null;
+    }
+    const copy = { ...row };
+    REDACTED_COLUMNS.forEach((column) => {
+        if (column in copy) {
+            copy[column] = other && !sameValue(row[column], other[column]) ? "[changed]" : "[redacted]";
+        }
+    });
+    // The activity log is readable by roles that can't see sensitive case notes
+    if (copy.participantnotesensitive && "participantnotetext" in copy) {
+        copy.participantnotetext = "[sensitive]";
+    }
+    return copy;
+};
+
+// Columns whose value differs between two snapshots
+const changedColumns = (before, after) =>
+    Array.from(new Set([...Object.keys(before || {}), ...Object.keys(after || {})])).filter(
+        (column) => !sameValue(before && before[column], after && after[column])
+    );
+
+// Write audit rows inside the caller's transaction so the log commits with the change
+const logChanges = async (trx, actor, table, entries) => {
+    const { key } = AUDITED_TABLES[table];
+    const rows = entries.map(({ action, before, after }) => ({
+        audittable: table,
+        auditrecordid: String((after || before)[key]),
+        auditaction: action,
+        audituserid: actor ? actor.userid : null,
+        auditusername: actor ? actor.username : null,
+        auditbefore: before ? JSON.stringify(redact(before)) : null,
+        auditafter: after ? JSON.stringify(redact(after, before)) : null,
+    }));
+    if (rows.length > 0) {
+        await trx("auditlog").insert(rows);
+    }
+};
+
+// Insert one or more rows and log a "create" for each; returns the inserted rows
+const auditInsert = async (trx, actor, table, values) => {
+    const inserted = await trx(table).insert(values).returning("*");
+    await logChanges(trx, actor, table, inserted.map((after) => ({ action: "create", after })));
+    return inserted;
+};
+
+// Update every row matching `where` and log before/after for the rows that changed;
+// returns the updated rows
+const auditUpdate = async (trx, actor, table, where, values) => {
+    const { key } = AUDITED_TABLES[table];
+    const before = await trx(table).where(where).forUpdate();
+    if (before.length === 0) {
+        return [];
+    }
+
+    const after = await trx(table)
+        .whereIn(key, before.map((row) => row[key]))
+        .update(values)
+        .returning("*");
+
+    const beforeById = new Map(before.map((row) => [String(row[key]), row]));
+    await logChanges(
+        trx,
+        actor,
+        table,
+        after
+            .map((row) => ({ action: "update", before: beforeById.get(String(row[key])), after: row }))
+            .filter((entry) => changedColumns(entry.before, entry.after).length > 0)
+    );
+    return after;
+};
+
+// Delete every row matching `where` and log its last values; returns the deleted rows
+const auditDelete = async (trx, actor, table, where) => {
+    const { key } = AUDITED_TABLES[table];
+    const before = await trx(table).where(where).forUpdate();
+    if (before.length === 0) {
+        return [];
+    }
+
+    await trx(table)
+        .whereIn(key, before.map((row) => row[key]))
+        .del();
+    await logChanges(trx, actor, table, before.map((row) => ({ action: "delete", before: row })));
+    return before;
+};
+
+// Filters for the activity log and record history: user, table, action and date range
+const applyAuditFilters = (qb, { userid, table, action, start, end }) => {
+    if (userid) {
+        qb.where("auditlog.audituserid", userid);
+    }
+    if (table) {
+        qb.where("auditlog.audittable", table);
+    }
+    if (action) {
+        qb.where("auditlog.auditaction", action);
+    }
+    if (start) {
+        qb.whereRaw("DATE(auditlog.auditat) >= ?", [start]);
+    }
+    if (end) {
+        qb.whereRaw("DATE(auditlog.auditat) <= ?", [end]);
+    }
+};
+
+// Entries for one record, plus changes to its child rows (a participant's
+// donations, an event's occurrences), newest first
+const recordHistory = (table, recordid) =>
+    db("auditlog")
+        .where((qb) => {
+            qb.where({ audittable: table, auditrecordid: String(recordid) });
+            (RELATED_TABLES[table] || []).forEach(({ table: child, column }) => {
+                qb.orWhere((sub) => {
+                    sub.where("audittable", child).andWhere((either) => {
+                        either
+                            .whereRaw("auditbefore->>? = ?", [column, String(recordid)])
+                            .orWhereRaw("auditafter->>? = ?", [column, String(recordid)]);
+                    });
+                });
+            });
+        })
+        .orderBy([
+            { column: "auditat", order: "desc" },
+            { column: "auditid", order: "desc" },
+        ]);
+
+module.exports = {
+    AUDITED_TABLES,
+    auditActor,
+    changedColumns,
+    auditInsert,
+    auditUpdate,
+    auditDelete,
+    applyAuditFilters,
+    recordHistory,
+};
@@ -0,0 +1,248 @@
+const db = require("../config/db");
+const { auditInsert, auditUpdate, auditDelete } = require("./audit");
+
+// Form problems that should be shown to the user as-is
+class CampaignError extends Error {}
+
+// The daily chart fills in days without gifts, up to this many days
+const MAX_CHART_DAYS = 731;
+
+const text = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "") && !Number.isNaN(new Date(value).getTime());
+
+const readCampaign = (body) => {
+    const goal = Number(String(body.campaigngoal || "").replace(/[$,]/g, ""));
+    const values = {
+        campaignname: text(body.campaignname),
+        campaigndescription: text(body.campaigndescription),
+        campaigngoal: Math.round(goal * 100) / 100,
+        campaignstartdate: body.campaignstartdate,
+        campaignenddate: body.campaignenddate || null,
+        campaignfeatured: body.campaignfeatured === "on",
+    };
+    if (!values.campaignname) {
+        throw new CampaignError("Enter a name for the campaign.");
+    }
+    if (!Number.isFinite(goal) || goal <= 0) {
+        throw new CampaignError("Enter a goal greater than zero.");
+    }
+    if (!isDate(values.campaignstartdate)) {
+        throw new CampaignError("Enter the date the campaign starts.");
+    }
+    if (values.campaignenddate && !isDate(values.campaignenddate)) {
+        throw new CampaignError("Enter a valid end date, or leave it blank for an open-ended campaign.");
+    }
+    if (values.campaignenddate && values.campaignenddate < values.campaignstartdate) {
+        throw new CampaignError("A campaign can't end before it starts.");
+    }
+    return values;
+};
+
+// Gifts that count toward a campaign: not deleted, from donors who aren't deleted
+const countedGifts = () =>
+    db("donations as d")
+        .join("donors as dn", "d.donorid", "dn.donorid")
+        .whereNull("d.donationdeletedat")
+        .whereNull("dn.donordeletedat");
+
+// Started and not yet ended, so it takes gifts from the public form
+const whereRunning = (qb) =>
+    qb.where("c.campaignstartdate", "<=", db.raw("CURRENT_DATE")).where((builder) => {
+        builder.whereNull("c.campaignenddate").orWhere("c.campaignenddate", ">=", db.raw("CURRENT_DATE"));
+    });
+
+// Campaigns with what they have raised so far
+const campaignTotals = (scope) =>
+    db("campaigns as c")
+        .leftJoin(countedGifts().select("d.campaignid", "d.donorid", "d.donationamount").as("g"), "g.campaignid", "c.campaignid")
+        .modify((qb) => scope && scope(qb))
+        .groupBy("c.campaignid")
+        .select(
+            "c.*",
+            db.raw("COALESCE(SUM(g.donationamount), 0) AS raised"),
+            db.raw("COUNT(g.donationamount)::int AS gifts"),
+            db.raw("COUNT(DISTINCT g.donorid)::int AS donors"),
+            db.raw("c.campaignstartdate > CURRENT_DATE AS upcoming"),
+            db.raw("COALESCE(c.campaignenddate < CURRENT_DATE, FALSE) AS ended"),
+            db.raw("c.campaignenddate - CURRENT_DATE AS daysleft")
+        )
+        .then((rows) => rows.map(withProgress));
+
+const withProgress = (row) => {
+    const raised = Number(row.raised);
+    const goal = Number(row.campaigngoal);
+    return {
+        ...row,
+        raised,
+        percent: goal ? Math.round((raised / goal) * 100) : 0,
+        remaining: Math.max(goal - raised, 0),
+        average: row.gifts ? raised / row.gifts : 0,
+        status: row.upcoming ? "Upcoming" : row.ended ? "Ended" : "Running",
+    };
+};
+
+// Every campaign, running ones first, then by start date
+const listCampaigns = () =>
+    campaignTotals((qb) => qb.orderByRaw("(c.campaignenddate < CURRENT_DATE) ASC NULLS FIRST").orderBy("c.campaignstartdate", "desc"));
+
+// Running campaigns flagged for the home page. Only totals, never donor names.
+const featuredCampaigns = () =>
+    campaignTotals((qb) =>
+        whereRunning(qb)
+            .where("c.campaignfeatured", true)
+            .orderByRaw("c.campaignenddate ASC NULLS LAST")
+            .orderBy("c.campaignname")
+    );
+
+// Choices for the donation forms: staff can attribute a gift to any campaign,
+// the public form only to running ones
+const campaignChoices = (runningOnly) =>
+    db("campaigns as c")
+        .modify((qb) => runningOnly && whereRunning(qb))
+        .select("c.campaignid", "c.campaignname", "c.campaignstartdate", "c.campaignenddate")
+        .orderBy("c.campaignstartdate", "desc");
+
+// Check a campaign picked on a donation form, inside the transaction
+const checkCampaign = async (trx, campaignid, { runningOnly = false } = {}) => {
+    if (!campaignid) {
+        return null;
+    }
+    const campaign = await trx("campaigns as c")
+        .where("c.campaignid", campaignid)
+        .modify((qb) => runningOnly && whereRunning(qb))
+        .first();
+    if (!campaign) {
+        throw new CampaignError(runningOnly ? "That campaign isn't accepting gifts right now." : "That campaign no longer exists.");
+    }
+    return campaign;
+};
+
+const dayAfter = (day) => {
+    const next = new Date(`${day}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next.toISOString().split("T")[0];
+};
+
+// One entry per day from the start (or first gift) to today, the end date, or
+// the last gift, with a running total for the progress line
+const dailyTotals = (campaign, rows, today) => {
+    const byDay = new Map(rows.map((row) => [row.day, { total: Number(row.total), gifts: row.gifts }]));
+    const days = rows.map((row) => row.day);
+    const start = [campaign.startday, ...days].sort()[0];
+    const windowEnd = campaign.endday && campaign.endday < today ? campaign.endday : today;
+    const end = [windowEnd, ...days].sort().pop();
+
+    let series = days;
+    if (start <= end && (new Date(end) - new Date(start)) / 86400000 < MAX_CHART_DAYS) {
+        series = [];
+        for (let day = start; day <= end; day = dayAfter(day)) {
+            series.push(day);
+        }
+    }
+
+    let cumulative = 0;
+    return series.map((day) => {
+        const { total, gifts } = byDay.get(day) || { total: 0, gifts: 0 };
+        cumulative += total;
+        return { day, total, gifts, cumulative };
+    });
+};
+
+// Everything the campaign page shows: progress toward the goal, donor count,
+// average gift, daily totals and the gifts themselves
+const campaignReport = async (campaignid) => {
+    const [campaign] = await campaignTotals((qb) =>
+        qb
+            .where("c.campaignid", campaignid)
+            .select(
+                db.raw("TO_CHAR(c.campaignstartdate, 'YYYY-MM-DD') AS startday"),
+                db.raw("TO_CHAR(c.campaignenddate, 'YYYY-MM-DD') AS endday"),
+                db.raw("TO_CHAR(CURRENT_DATE, 'YYYY-MM-DD') AS today")
+            )
+    );
+    if (!campaign) {
+        return null;
+    }
+
+    const [daily, gifts] = await Promise.all([
+        countedGifts()
+            .where("d.campaignid", campaignid)
+            .groupBy("d.donationdate")
+            .select(
+                db.raw("TO_CHAR(d.donationdate, 'YYYY-MM-DD') AS day"),
+                db.raw("SUM(d.donationamount) AS total"),
+                db.raw("COUNT(*)::int AS gifts")
+            )
+            .orderBy("d.donationdate"),
+        countedGifts()
+            .where("d.campaignid", campaignid)
+            .select(
+                "d.donationid",
+                "d.donationdate",
+                "d.donationamount",
+                "d.donationmethod",
+                "d.donationdesignation",
+                "dn.donorid",
+                "dn.donorname"
+            )
+            .orderBy([{ column: "d.donationdate", order: "desc" }, { column: "d.donationid", order: "desc" }]),
+    ]);
+
+    return { campaign, daily: dailyTotals(campaign, daily, campaign.today), gifts };
+};
+
+const findCampaign = (campaignid, trx = db) => trx("campaigns").where({ campaignid }).first();
+
+const checkName = async (trx, name, campaignid = null) => {
+    const taken = await trx("campaigns")
+        .whereRaw("LOWER(campaignname) = ?", [name.toLowerCase()])
+        .modify((qb) => campaignid && qb.whereNot({ campaignid }))
+        .first();
+    if (taken) {
+        throw new CampaignError(`There is already a campaign called "${taken.campaignname}".`);
+    }
+};
+
+const createCampaign = async (trx, actor, values) => {
+    await checkName(trx, values.campaignname);
+    const [campaign] = await auditInsert(trx, actor, "campaigns", values);
+    return campaign;
+};
+
+const updateCampaign = async (trx, actor, campaignid, values) => {
+    if (!(await findCampaign(campaignid, trx))) {
+        throw new CampaignError("That campaign no longer exists.");
+    }
+    await checkName(trx, values.campaignname, campaignid);
+    const [campaign] = await auditUpdate(trx, actor, "campaigns", { campaignid }, values);
+    return campaign;
+};
+
+// Only a campaign nothing was given to can go; one with gifts just ends
+const deleteCampaign = async (trx, actor, campaignid) => {
+    const campaign = await findCampaign(campaignid, trx);
+    if (!campaign) {
+        throw new CampaignError("That campaign no longer exists.");
+    }
+    const gift = await trx("donations").where({ campaignid }).first();
+    if (gift) {
+        throw new CampaignError("Gifts are attributed to this campaign. Set an end date instead so its totals stay reportable.");
+    }
+    await auditDelete(trx, actor, "campaigns", { campaignid });
+    return campaign;
+};
+
+module.exports = {
+    CampaignError,
+    readCampaign,
+    listCampaigns,
+    featuredCampaigns,
+    campaignChoices,
+    checkCampaign,
+    campaignReport,
+    findCampaign,
+    createCampaign,
+    updateCampaign,
+    deleteCampaign,
+};
@@ -0,0 +1,115 @@
+// Keyword counts and sentiment tags for free-text survey answers. Everything
+// runs here from small word lists; no comment leaves the server.
+
+// Common words that say nothing about a theme
+const STOP_WORDS = new Set(`
+a about above after again all also am an and any are as at be because been before being below between both but by
+can could did do does doing done down during each even every few for from further get got had has have having he her
+here hers him his how i if in into is it its itself just like lot lots me more most much my no nor not now of off
+on once only or other our ours out over own really same she should so some such than that the their theirs them then
+there these they this those through to too under until up us very was way we were what when where which while who
+whom why will with would you your yours yourself event events thing things im ive dont didnt wasnt isnt
+`.trim().split(/\s+/));
+
+const POSITIVE_WORDS = new Set(`
+amazing awesome beautiful best better confident empowering empowered encouraging engaging enjoy enjoyed enjoyable
+excellent excited exciting fantastic fun glad good great happy helpful impressive informative insightful inspiring
+inspired interesting kind love loved lovely nice organized perfect positive recommend safe supportive thank thanks
+thankful useful valuable welcoming wonderful
+`.trim().split(/\s+/));
+
+const NEGATIVE_WORDS = new Set(`
+awful bad boring confusing crowded disappointed disappointing disorganized difficult frustrated frustrating
+hate hated late loud messy poor rushed sad slow terrible tired uncomfortable unclear unhelpful unorganized useless
+worse worst wrong
+`.trim().split(/\s+/));
+
+// A negation flips the next couple of words ("not helpful", "wasn't bad")
+const NEGATIONS = new Set(["not", "no", "never", "nothing", "hardly", "didnt", "wasnt", "isnt", "dont", "cant", "couldnt"]);
+const NEGATION_REACH = 2;
+
+const SENTIMENTS = ["Positive", "Mixed", "Negative", "Neutral"];
+
+// Lower-case words with apostrophes dropped, so "didn't" matches "didnt"
+const tokenize = (text) =>
+    String(text || "")
+        .toLowerCase()
+        .replace(/['’]/g, "")
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+
+// Positive, Negative, Mixed (both, evenly) or Neutral (neither)
+const sentimentOf = (text) => {
+    let positive = 0;
+    let negative = 0;
+    let negatedFor = 0;
+
+    for (const word of tokenize(text)) {
+        if (NEGATIONS.has(word)) {
+            negatedFor = NEGATION_REACH;
+            continue;
+        }
+        const polarity = POSITIVE_WORDS.has(word) ? 1 : NEGATIVE_WORDS.has(word) ? -1 : 0;
+        const value = negatedFor > 0 ? -polarity : polarity;
+        if (value > 0) {
+            positive += 1;
+        } else if (value < 0) {
+            negative += 1;
+        }
+        negatedFor = Math.max(negatedFor - 1, 0);
+    }
+
+    if (positive === 0 && negative === 0) {
+        return "Neutral";
+    }
+    if (positive === negative) {
+        return "Mixed";
+    }
+    return positive > negative ? "Positive" : "Negative";
+};
+
+// Words and two-word phrases worth counting in one comment, each once
+const termsOf = (text) => {
+    const words = tokenize(text).filter((word) => word.length > 2 && !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+    const terms = new Set(words);
+    for (let i = 0; i < words.length - 1; i += 1) {
+        terms.add(`${words[i]} ${words[i + 1]}`);
+    }
+    return terms;
+};
+
+// The terms mentioned in the most comments, with how those comments lean.
+// A phrase only shows when it comes up at least twice.
+const keywordFrequency = (comments, limit = 20) => {
+    const counts = new Map();
+    comments.forEach(({ text, sentiment }) => {
+        termsOf(text).forEach((term) => {
+            const entry = counts.get(term) || { term, comments: 0, Positive: 0, Mixed: 0, Negative: 0, Neutral: 0 };
+            entry.comments += 1;
+            entry[sentiment] += 1;
+            counts.set(term, entry);
+        });
+    });
+
+    return Array.from(counts.values())
+        .filter((entry) => !entry.term.includes(" ") || entry.comments > 1)
+        .sort((a, b) => b.comments - a.comments || a.term.localeCompare(b.term))
+        .slice(0, limit);
+};
+
+// Tag each comment and count the tags
+const analyzeComments = (comments) => {
+    const tagged = comments.map((comment) => ({ ...comment, sentiment: sentimentOf(comment.text) }));
+    const sentimentCounts = Object.fromEntries(SENTIMENTS.map((s) => [s, 0]));
+    tagged.forEach((comment) => {
+        sentimentCounts[comment.sentiment] += 1;
+    });
+    return { comments: tagged, sentimentCounts, keywords: keywordFrequency(tagged) };
+};
+
+module.exports = {
+    SENTIMENTS,
+    sentimentOf,
+    keywordFrequency,
+    analyzeComments,
+};
@@ -0,0 +1,334 @@
+const db = require("../config/db");
+const { auditInsert } = require("./audit");
+
+// Form problems that should be shown to the user as-is
+class DonorError extends Error {}
+
+const DONOR_TYPES = ["Individual", "Organization"];
+const PAYMENT_METHODS = ["Cash", "Check", "Credit Card", "Bank Transfer", "Online", "Stock", "Other"];
+
+// What a gift can be given for. Gifts saved with another designation keep it.
+const DESIGNATIONS = ["General Fund", "STEAM Programs", "Mentoring", "Scholarships", "Events"];
+
+// Months between pledge installments
+const PLEDGE_FREQUENCIES = { Monthly: 1, Quarterly: 3, Annually: 12 };
+
+const text = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "") && !Number.isNaN(new Date(value).getTime());
+
+// A date column as YYYY-MM-DD for date inputs
+const dateInput = (value) => (value ? new Date(value).toISOString().split("T")[0] : "");
+
+const donorName = (donor) =>
+    donor.donortype === "Organization"
+        ? donor.donororganization
+        : `${donor.donorfirstname || ""} ${donor.donorlastname || ""}`.trim();
+
+// Donor profile fields from the donor form. An organization needs its name;
+// a person needs a first and last name.
+const readDonor = (body) => {
+    const values = {
+        donortype: DONOR_TYPES.includes(body.donortype) ? body.donortype : "Individual",
+        donorfirstname: text(body.donorfirstname),
+        donorlastname: text(body.donorlastname),
+        donororganization: text(body.donororganization),
+        donoremail: text(body.donoremail),
+        donorphone: text(body.donorphone),
+        donoraddress: text(body.donoraddress),
+        donorcity: text(body.donorcity),
+        donorstate: text(body.donorstate),
+        donorzip: text(body.donorzip),
+        donornotes: text(body.donornotes),
+    };
+
+    if (values.donortype === "Organization") {
+        if (!values.donororganization) {
+            throw new DonorError("Enter the organization's name.");
+        }
+    } else {
+        values.donororganization = null;
+        if (!values.donorfirstname || !values.donorlastname) {
+            throw new DonorError("Enter the donor's first and last name.");
+        }
+    }
+    if (values.donoremail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.donoremail)) {
+        throw new DonorError("Enter a valid email address.");
+    }
+    return values;
+};
+
+// Gift fields from the donation forms (the donor and pledge are chosen separately)
+const readGift = (body) => {
+    const amount = Number(body.donationamount);
+    if (!isDate(body.donationdate)) {
+        throw new DonorError("Enter the date of the gift.");
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+        throw new DonorError("Enter an amount greater than zero.");
+    }
+    if (body.donationmethod && !PAYMENT_METHODS.includes(body.donationmethod)) {
+        throw new DonorError("Choose a payment method from the list.");
+    }
+    return {
+        donationdate: body.donationdate,
+        donationamount: Math.round(amount * 100) / 100,
+        donationmethod: text(body.donationmethod),
+        donationdesignation: text(body.donationdesignation),
+        donationreference: text(body.donationreference),
+        donationnotes: text(body.donationnotes),
+    };
+};
+
+const readPledge = (body) => {
+    const amount = Number(body.pledgeamount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+        throw new DonorError("Enter the amount pledged each period.");
+    }
+    if (!PLEDGE_FREQUENCIES[body.pledgefrequency]) {
+        throw new DonorError("Choose how often the pledge is paid.");
+    }
+    if (!isDate(body.pledgestartdate)) {
+        throw new DonorError("Enter the date of the first installment.");
+    }
+    if (body.pledgeenddate && !isDate(body.pledgeenddate)) {
+        throw new DonorError("Enter a valid end date, or leave it blank for an open-ended pledge.");
+    }
+    if (body.pledgeenddate && body.pledgeenddate < body.pledgestartdate) {
+        throw new DonorError("A pledge can't end before it starts.");
+    }
+    return {
+        pledgeamount: Math.round(amount * 100) / 100,
+        pledgefrequency: body.pledgefrequency,
+        pledgestartdate: body.pledgestartdate,
+        pledgeenddate: body.pledgeenddate || null,
+        pledgedesignation: text(body.pledgedesignation),
+        pledgenotes: text(body.pledgenotes),
+    };
+};
+
+// Installments that have come due by `asOf`: the first on the start date,
+// then one every period until the end date
+const installmentsDue = (pledge, asOf = new Date()) => {
+    const start = new Date(pledge.pledgestartdate);
+    const end = pledge.pledgeenddate ? new Date(pledge.pledgeenddate) : null;
+    const until = end && end < asOf ? end : asOf;
+    const months =
+        (until.getFullYear() - start.getFullYear()) * 12 +
+        (until.getMonth() - start.getMonth()) -
+        (until.getDate() < start.getDate() ? 1 : 0);
+    return months < 0 ? 0 : Math.floor(months / PLEDGE_FREQUENCIES[pledge.pledgefrequency]) + 1;
+};
+
+// Expected vs. received so far for a pledge with its `received` total
+const pledgeProgress = (pledge, asOf = new Date()) => {
+    const installments = installmentsDue(pledge, asOf);
+    const expected = installments * Number(pledge.pledgeamount);
+    const received = Number(pledge.received || 0);
+    const ended = Boolean(pledge.pledgeenddate) && new Date(pledge.pledgeenddate) < asOf;
+    return {
+        installments,
+        expected,
+        received,
+        balance: Math.max(expected - received, 0),
+        status: ended ? "Ended" : new Date(pledge.pledgestartdate) > asOf ? "Upcoming" : "Active",
+    };
+};
+
+const findDonor = (id, trx = db) => trx("donors").where({ donorid: id }).whereNull("donordeletedat").first();
+
+// A donor's pledges with what has been received on each
+const donorPledges = async (donorid, trx = db) => {
+    const pledges = await trx("pledges as pl")
+        .where("pl.donorid", donorid)
+        .select(
+            "pl.*",
+            trx.raw(
+                "(SELECT COALESCE(SUM(d.donationamount), 0) FROM donations d " +
+                "WHERE d.pledgeid = pl.pledgeid AND d.donationdeletedat IS NULL) AS received"
+            )
+        )
+        .orderBy("pl.pledgestartdate", "desc");
+    return pledges.map((pledge) => ({ ...pledge, ...pledgeProgress(pledge) }));
+};
+
+// Everything the donor profile shows: contact details, gift history, pledges,
+// and lifetime and per-year totals
+const donorProfile = async (id) => {
+    const donor = await findDonor(id);
+    if (!donor) {
+        return null;
+    }
+
+    const [gifts, pledges, participant] = await Promise.all([
+        db("donations as d")
+            .leftJoin("pledges as pl", "d.pledgeid", "pl.pledgeid")
+            .leftJoin("campaigns as c", "d.campaignid", "c.campaignid")
+            .where("d.donorid", donor.donorid)
+            .whereNull("d.donationdeletedat")
+            .select("d.*", "pl.pledgefrequency", "c.campaignname")
+            .orderBy([{ column: "d.donationdate", order: "desc" }, { column: "d.donationid", order: "desc" }]),
+        donorPledges(donor.donorid),
+        donor.participantid
+            ? db("participants").where({ participantid: donor.participantid }).whereNull("participantdeletedat").first()
+            : null,
+    ]);
+
+    const byYear = new Map();
+    gifts.forEach((gift) => {
+        const year = new Date(gift.donationdate).getFullYear();
+        const entry = byYear.get(year) || { year, total: 0, gifts: 0 };
+        entry.total += Number(gift.donationamount);
+        entry.gifts += 1;
+        byYear.set(year, entry);
+    });
+
+    return {
+        donor,
+        participant: participant || null,
+        gifts,
+        pledges,
+        totals: {
+            lifetime: gifts.reduce((sum, gift) => sum + Number(gift.donationamount), 0),
+            gifts: gifts.length,
+            firstGift: gifts.length ? gifts[gifts.length - 1].donationdate : null,
+            lastGift: gifts.length ? gifts[0].donationdate : null,
+            byYear: Array.from(byYear.values()).sort((a, b) => b.year - a.year),
+        },
+    };
+};
+
+// The donor a gift is for, checked inside the transaction, and the pledge it
+// pays toward (which must be that donor's)
+const checkGiftOwner = async (trx, donorid, pledgeid) => {
+    const donor = await findDonor(donorid, trx);
+    if (!donor) {
+        throw new DonorError("That donor no longer exists.");
+    }
+    if (pledgeid) {
+        const pledge = await trx("pledges").where({ pledgeid, donorid: donor.donorid }).first();
+        if (!pledge) {
+            throw new DonorError("That pledge belongs to a different donor.");
+        }
+    }
+    return donor;
+};
+
+// A new donor from just a name (and maybe an email), e.g. a gift made on the
+// public form
+const createDonor = async (trx, actor, { firstname, lastname, organization, email }) => {
+    const values = readDonor({
+        donortype: text(organization) ? "Organization" : "Individual",
+        donorfirstname: firstname,
+        donorlastname: lastname,
+        donororganization: organization,
+        donoremail: email,
+    });
+    const [donor] = await auditInsert(trx, actor, "donors", values);
+    return donor;
+};
+
+// The live donor with this email, or a new one made from the name
+const matchOrCreateDonor = async (trx, actor, values) => {
+    if (text(values.email)) {
+        const existing = await trx("donors")
+            .whereRaw("LOWER(donoremail) = ?", [values.email.trim().toLowerCase()])
+            .whereNull("donordeletedat")
+            .orderBy("donorid")
+            .first();
+        if (existing) {
+            return existing;
+        }
+    }
+    return createDonor(trx, actor, values);
+};
+
+// Donor form defaults copied from a participant record
+const participantDonorValues = (participant) => ({
+    donortype: "Individual",
+    donorfirstname: participant.participantfirstname,
+    donorlastname: participant.participantlastname,
+    donoremail: participant.participantemail,
+    donorphone: participant.participantphone,
+    donorcity: participant.participantcity,
+    donorstate: participant.participantstate,
+    donorzip: participant.participantzip,
+});
+
+// The donor profile for a participant, made from their contact details the
+// first time they give
+const donorForParticipant = async (trx, actor, participantid) => {
+    const participant = await trx("participants").where({ participantid }).whereNull("participantdeletedat").first();
+    if (!participant) {
+        throw new DonorError("That participant no longer exists.");
+    }
+    const existing = await trx("donors").where({ participantid }).whereNull("donordeletedat").orderBy("donorid").first();
+    if (existing) {
+        return existing;
+    }
+    const [donor] = await auditInsert(trx, actor, "donors", {
+        ...participantDonorValues(participant),
+        participantid,
+    });
+    return donor;
+};
+
+// Gifts in one calendar year from one donor or a list of them, for tax receipts
+const receiptGifts = (donorids, year) =>
+    db("donations")
+        .whereIn("donorid", [].concat(donorids))
+        .whereNull("donationdeletedat")
+        .whereRaw("EXTRACT(YEAR FROM donationdate) = ?", [year])
+        .orderBy([{ column: "donationdate" }, { column: "donationid" }]);
+
+// Everyone who gave in a year, with their totals, for year-end receipts
+const receiptDonors = (year) =>
+    db("donors as dn")
+        .join("donations as d", "d.donorid", "dn.donorid")
+        .whereNull("dn.donordeletedat")
+        .whereNull("d.donationdeletedat")
+        .whereRaw("EXTRACT(YEAR FROM d.donationdate) = ?", [year])
+        .groupBy("dn.donorid")
+        .select(
+            "dn.donorid",
+            "dn.donorname",
+            "dn.donortype",
+            "dn.donoremail",
+            "dn.donoraddress",
+            db.raw("COUNT(d.donationid)::int AS gifts"),
+            db.raw("SUM(d.donationamount) AS total")
+        )
+        .orderBy("dn.donorname");
+
+// Years with gifts on file, newest first
+const receiptYears = () =>
+    db("donations")
+        .whereNull("donationdeletedat")
+        .distinct(db.raw("EXTRACT(YEAR FROM donationdate)::int AS year"))
+        .orderBy("year", "desc")
+        .then((rows) => rows.map((row) => row.year));
+
+module.exports = {
+    DonorError,
+    DONOR_TYPES,
+    PAYMENT_METHODS,
+    DESIGNATIONS,
+    PLEDGE_FREQUENCIES,
+    dateInput,
+    donorName,
+    readDonor,
+    readGift,
+    readPledge,
+    pledgeProgress,
+    findDonor,
+    donorPledges,
+    donorProfile,
+    checkGiftOwner,
+    createDonor,
+    matchOrCreateDonor,
+    donorForParticipant,
+    participantDonorValues,
+    receiptGifts,
+    receiptDonors,
+    receiptYears,
+};
@@ -0,0 +1,399 @@
+const db = require("../config/db");
+const { promoteWaitlist } = require("./registrations");
+const { auditUpdate, auditDelete } = require("./audit");
+
+// Participant columns a manager chooses between when merging, in form order
+const MERGE_FIELDS = [
+    { name: "participantfirstname", label: "First Name" },
+    { name: "participantlastname", label: "Last Name" },
+    { name: "participantemail", label: "Email" },
+    { name: "participantphone", label: "Phone" },
+    { name: "participantdob", label: "Date of Birth" },
+    { name: "participantrole", label: "Role" },
+    { name: "participantcity", label: "City" },
+    { name: "participantstate", label: "State" },
+    { name: "participantzip", label: "Zip" },
+    { name: "participantschooloremployer", label: "School / Employer" },
+    { name: "participantfieldofinterest", label: "Field of Interest" },
+];
+
+const MATCH_REASONS = {
+    email: "Same email",
+    phone: "Same phone",
+    name: "Same name",
+    namedob: "Same name and date of birth",
+};
+
+// Buckets bigger than this are placeholder data ("n/a", 000-000-0000), not people
+const MAX_BUCKET_SIZE = 25;
+
+class MergeError extends Error {}
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === "";
+
+// "José  O'Neil" -> "joseoneil"
+const normalizeText = (value) =>
+    String(value || "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, "");
+
+const normalizeEmail = (value) => String(value || "").trim().toLowerCase();
+
+// Digits only, dropping a leading US country code; too-short numbers are ignored
+const normalizePhone = (value) => {
+    let digits = String(value || "").replace(/\D/g, "");
+    if (digits.length === 11 && digits.startsWith("1")) {
+        digits = digits.slice(1);
+    }
+    return digits.length >= 7 ? digits : "";
+};
+
+// DATE columns come back as local midnight, so compare local calendar days
+const normalizeDob = (value) => {
+    if (!value) {
+        return "";
+    }
+    const d = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(d.getTime())) {
+        return "";
+    }
+    return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+};
+
+const pairKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+
+// Find groups of participants that are probably the same person. Two records
+// match on the same email, the same phone, or the same name (unless both have
+// a date of birth and they differ). Matching pairs are chained into groups.
+const findDuplicateGroups = async () => {
+    const [participants, dismissed] = await Promise.all([
+        db("participants").whereNull("participantdeletedat").select(
+            "participantid",
+            "participantfirstname",
+            "participantlastname",
+            "participantemail",
+            "participantphone",
+            "participantdob",
+            "participantcity",
+            "participantstate"
+        ),
+        db("participantnotduplicates").select("participantid1", "participantid2"),
+    ]);
+    const dismissedPairs = new Set(dismissed.map((row) => pairKey(row.participantid1, row.participantid2)));
+
+    const buckets = { email: new Map(), phone: new Map(), name: new Map() };
+    const addToBucket = (kind, key, participant) => {
+        if (!key) {
+            return;
+        }
+        if (!buckets[kind].has(key)) {
+            buckets[kind].set(key, []);
+        }
+        buckets[kind].get(key).push(participant);
+    };
+    participants.forEach((p) => {
+        addToBucket("email", normalizeEmail(p.participantemail), p);
+        addToBucket("phone", normalizePhone(p.participantphone), p);
+        const first = normalizeText(p.participantfirstname);
+        const last = normalizeText(p.participantlastname);
+        addToBucket("name", first && last ? `${first}|${last}` : "", p);
+    });
+
+    // pairKey -> Set of reasons
+    const pairs = new Map();
+    Object.keys(buckets).forEach((kind) => {
+        buckets[kind].forEach((members) => {
+            if (members.length < 2 || members.length > MAX_BUCKET_SIZE) {
+                return;
+            }
+            for (let i = 0; i < members.length; i++) {
+                for (let j = i + 1; j < members.length; j++) {
+                    const a = members[i];
+                    const b = members[j];
+                    const key = pairKey(a.participantid, b.participantid);
+                    if (dismissedPairs.has(key)) {
+                        continue;
+                    }
+                    let reason = kind;
+                    if (kind === "name") {
+                        const dobA = normalizeDob(a.participantdob);
+                        const dobB = normalizeDob(b.participantdob);
+                        if (dobA && dobB && dobA !== dobB) {
+                            continue;
+                        }
+                        reason = dobA && dobA === dobB ? "namedob" : "name";
+                    }
+                    if (!pairs.has(key)) {
+                        pairs.set(key, new Set());
+                    }
+                    pairs.get(key).add(reason);
+                }
+            }
+        });
+    });
+
+    // Union-find over matching pairs
+    const parent = new Map();
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+    pairs.forEach((reasons, key) => {
+        const [a, b] = key.split("-").map(Number);
+        [a, b].forEach((id) => {
+            if (!parent.has(id)) {
+                parent.set(id, id);
+            }
+        });
+        parent.set(find(a), find(b));
+    });
+
+    const byId = new Map(participants.map((p) => [Number(p.participantid), p]));
+    const groups = new Map();
+    parent.forEach((_, id) => {
+        const root = find(id);
+        if (!groups.has(root)) {
+            groups.set(root, { participants: [], reasons: new Set() });
+        }
+        groups.get(root).participants.push(byId.get(id));
+    });
+    pairs.forEach((reasons, key) => {
+        const root = find(Number(key.split("-")[0]));
+        reasons.forEach((reason) => groups.get(root).reasons.add(reason));
+    });
+
+    return Array.from(groups.values())
+        .map((group) => ({
+            participants: group.participants.sort((a, b) => a.participantid - b.participantid),
+            reasons: Object.keys(MATCH_REASONS).filter((reason) => group.reasons.has(reason)),
+        }))
+        .sort(
+            (a, b) =>
+                b.reasons.length - a.reasons.length ||
+                String(a.participants[0].participantlastname || "").localeCompare(
+                    String(b.participants[0].participantlastname || "")
+                )
+        );
+};
+
+// Full records plus how much history each one carries, for the side-by-side view
+const loadComparison = async (ids) => {
+    const participants = await db("participants")
+        .whereIn("participantid", ids)
+        .whereNull("participantdeletedat")
+        .orderBy("participantid");
+
+    const countBy = (table, extra) =>
+        db(table)
+            .whereIn("participantid", ids)
+            .modify((qb) => extra && extra(qb))
+            .groupBy("participantid")
+            .select("participantid")
+            .count("* as count");
+
+    // Gifts belong to the donor profile linked to the participant
+    const [donations, milestones, surveys, registrations] = await Promise.all([
+        countBy("donors", (qb) =>
+            qb
+                .join("donations", "donations.donorid", "donors.donorid")
+                .whereNull("donors.donordeletedat")
+                .whereNull("donations.donationdeletedat")
+        ),
+        countBy("milestones"),
+        countBy("surveys", (qb) => qb.whereNull("surveydeletedat")),
+        countBy("eventregistrations", (qb) => qb.whereNot("registrationstatus", "Cancelled")),
+    ]);
+
+    const lookup = (rows) => new Map(rows.map((row) => [Number(row.participantid), parseInt(row.count, 10)]));
+    const counts = {
+        donations: lookup(donations),
+        milestones: lookup(milestones),
+        surveys: lookup(surveys),
+        registrations: lookup(registrations),
+    };
+
+    return participants.map((p) => ({
+        ...p,
+        donationcount: counts.donations.get(p.participantid) || 0,
+        milestonecount: counts.milestones.get(p.participantid) || 0,
+        surveycount: counts.surveys.get(p.participantid) || 0,
+        registrationcount: counts.registrations.get(p.participantid) || 0,
+    }));
+};
+
+const STATUS_RANK = { Registered: 3, Waitlisted: 2, Cancelled: 1 };
+
+// Registrations are unique per occurrence, so when several merged records signed
+// up for the same occurrence keep one row: the survivor's if it has one, with the
+// best status and any attendance carried over.
+const mergeRegistrations = async (trx, survivorId, ids, actor) => {
+    const registrations = await trx("eventregistrations").whereIn("participantid", ids);
+
+    const byOccurrence = new Map();
+    registrations.forEach((r) => {
+        if (!byOccurrence.has(r.eventoccurrenceid)) {
+            byOccurrence.set(r.eventoccurrenceid, []);
+        }
+        byOccurrence.get(r.eventoccurrenceid).push(r);
+    });
+
+    for (const [eventoccurrenceid, rows] of byOccurrence) {
+        const keeper = rows.find((r) => r.participantid === survivorId) || rows[0];
+        const others = rows.filter((r) => r !== keeper);
+
+        if (others.length === 0) {
+            if (keeper.participantid !== survivorId) {
+                await auditUpdate(trx, actor, "eventregistrations", { eventregistrationid: keeper.eventregistrationid }, {
+                    participantid: survivorId,
+                });
+            }
+            continue;
+        }
+
+        const best = rows.reduce((a, b) => (STATUS_RANK[b.registrationstatus] > STATUS_RANK[a.registrationstatus] ? b : a));
+        const attended = rows.some((r) => r.registrationattended);
+        const checkedIn = rows.map((r) => r.registrationcheckedinat).filter(Boolean).sort((a, b) => a - b)[0] || null;
+        const earliest = rows.map((r) => r.registrationdate).sort((a, b) => a - b)[0];
+
+        await auditDelete(trx, actor, "eventregistrations", (qb) =>
+            qb.whereIn("eventregistrationid", others.map((r) => r.eventregistrationid))
+        );
+        await auditUpdate(trx, actor, "eventregistrations", { eventregistrationid: keeper.eventregistrationid }, {
+            participantid: survivorId,
+            registrationstatus: best.registrationstatus,
+            registrationattended: attended,
+            registrationcheckedinat: checkedIn,
+            registrationdate: earliest,
+        });
+
+        // Two seats collapsed into one; offer the freed seat to the waitlist
+        if (rows.filter((r) => r.registrationstatus === "Registered").length > 1) {
+            await promoteWaitlist(trx, eventoccurrenceid, actor);
+        }
+    }
+};
+
+// A participant has one live survey per occurrence. Where the merged records
+// both answered the same one, keep the survivor's (or else the oldest) and move
+// the rest to the recycle bin.
+const resolveSurveyConflicts = async (trx, survivorId, ids, actor) => {
+    const surveys = await trx("surveys")
+        .whereIn("participantid", ids)
+        .whereNull("surveydeletedat")
+        .select("surveyid", "participantid", "eventoccurrenceid")
+        .orderBy("surveyid")
+        .forUpdate();
+
+    const byOccurrence = new Map();
+    surveys.forEach((survey) => {
+        const list = byOccurrence.get(survey.eventoccurrenceid) || [];
+        list.push(survey);
+        byOccurrence.set(survey.eventoccurrenceid, list);
+    });
+
+    const extra = [];
+    for (const list of byOccurrence.values()) {
+        const keeper = list.find((s) => s.participantid === survivorId) || list[0];
+        extra.push(...list.filter((s) => s !== keeper).map((s) => s.surveyid));
+    }
+    if (extra.length > 0) {
+        await auditUpdate(trx, actor, "surveys", (qb) => qb.whereIn("surveyid", extra), { surveydeletedat: new Date() });
+    }
+};
+
+// Portal accounts, invitations and per-attendee survey links follow the
+// merged record. Only one live account can be linked to a participant.
+const mergePortal = async (trx, survivorId, ids, others, actor) => {
+    const accounts = await trx("users").whereIn("participantid", ids).whereNull("userdeletedat").select("username");
+    if (accounts.length > 1) {
+        throw new MergeError(
+            `These participants have separate portal accounts (${accounts.map((a) => a.username).join(", ")}). ` +
+                "Unlink all but one before merging."
+        );
+    }
+    await auditUpdate(trx, actor, "users", (qb) => qb.whereIn("participantid", others), { participantid: survivorId });
+    await trx("portalinvites").whereIn("participantid", others).update({ participantid: survivorId });
+    await trx("surveylinks").whereIn("participantid", others).update({ participantid: survivorId });
+};
+
+// Merge participants into the survivor in one transaction: re-point linked
+// donor profiles, milestones, surveys, notes, registrations and portal links,
+// apply the chosen field values, then delete the merged records. `choices` maps a field name to the participantid
+// whose value to keep; unchosen fields keep the survivor's value, or the first
+// non-blank value from the others.
+const mergeParticipants = ({ survivorId, mergedIds, choices = {}, actor }) =>
+    db.transaction(async (trx) => {
+        const others = mergedIds.filter((id) => id !== survivorId);
+        if (others.length === 0) {
+            throw new MergeError("Choose at least two participants to merge.");
+        }
+        const ids = [survivorId, ...others];
+
+        const rows = await trx("participants")
+            .whereIn("participantid", ids)
+            .whereNull("participantdeletedat")
+            .forUpdate();
+        if (rows.length !== ids.length) {
+            throw new MergeError("One of these participants no longer exists. Reload and try again.");
+        }
+        const byId = new Map(rows.map((row) => [row.participantid, row]));
+        const survivor = byId.get(survivorId);
+
+        const updates = {};
+        MERGE_FIELDS.forEach(({ name }) => {
+            const chosen = byId.get(Number(choices[name]));
+            if (chosen) {
+                updates[name] = chosen[name];
+            } else if (isBlank(survivor[name])) {
+                const filled = others.map((id) => byId.get(id)).find((row) => !isBlank(row[name]));
+                updates[name] = filled ? filled[name] : survivor[name];
+            } else {
+                updates[name] = survivor[name];
+            }
+        });
+
+        await resolveSurveyConflicts(trx, survivorId, ids, actor);
+        for (const table of ["donors", "milestones", "surveys", "participantnotes", "participanttasks"]) {
+            await auditUpdate(trx, actor, table, (qb) => qb.whereIn("participantid", others), {
+                participantid: survivorId,
+            });
+        }
+        await mergeRegistrations(trx, survivorId, ids, actor);
+        await mergePortal(trx, survivorId, ids, others, actor);
+
+        await auditDelete(trx, actor, "participants", (qb) => qb.whereIn("participantid", others));
+        await auditUpdate(trx, actor, "participants", { participantid: survivorId }, updates);
+
+        return others.length;
+    });
+
+// Remember that these records are different people so they stop being suggested
+const dismissDuplicates = async (ids) => {
+    const rows = [];
+    for (let i = 0; i < ids.length; i++) {
+        for (let j = i + 1; j < ids.length; j++) {
+            rows.push({
+                participantid1: Math.min(ids[i], ids[j]),
+                participantid2: Math.max(ids[i], ids[j]),
+            });
+        }
+    }
+    if (rows.length > 0) {
+        await db("participantnotduplicates").insert(rows).onConflict(["participantid1", "participantid2"]).ignore();
+    }
+};
+
+module.exports = {
+    MERGE_FIELDS,
+    MATCH_REASONS,
+    MergeError,
+    findDuplicateGroups,
+    loadComparison,
+    mergeParticipants,
+    dismissDuplicates,
+};
@@ -0,0 +1,142 @@
+const db = require("../config/db");
+const { listNotes } = require("./participantNotes");
+const { participantTasks } = require("./participantTasks");
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// The participant's event registrations (not cancelled), newest first
+const participantRegistrations = (participantid) =>
+    db("eventregistrations as r")
+        .join("eventoccurrences as eo", "r.eventoccurrenceid", "eo.eventoccurrenceid")
+        .join("events as e", "eo.eventid", "e.eventid")
+        .select(
+            "r.registrationstatus",
+            "r.registrationattended",
+            "eo.eventoccurrenceid",
+            "eo.eventdatetimestart",
+            "eo.eventattendancetakenat",
+            "e.eventid",
+            "e.eventname",
+            "e.eventtype"
+        )
+        .where("r.participantid", participantid)
+        .whereNot("r.registrationstatus", "Cancelled")
+        .whereNull("e.eventdeletedat")
+        .orderBy("eo.eventdatetimestart", "desc");
+
+// Survey responses with their free-text answers as comments
+const participantSurveys = async (participantid) => {
+    const surveys = await db("surveys as s")
+        .join("eventoccurrences as eo", "s.eventoccurrenceid", "eo.eventoccurrenceid")
+        .join("events as e", "eo.eventid", "e.eventid")
+        .where("s.participantid", participantid)
+        .whereNull("s.surveydeletedat")
+        .select(
+            "s.surveyid",
+            "s.surveyoverallscore",
+            "s.surveynpsbucket",
+            "eo.eventoccurrenceid",
+            "eo.eventdatetimestart",
+            "e.eventid",
+            "e.eventname"
+        )
+        .orderBy("eo.eventdatetimestart", "desc");
+    if (surveys.length === 0) {
+        return [];
+    }
+
+    const answers = await db("surveyanswers as a")
+        .join("surveyquestions as q", "a.surveyquestionid", "q.surveyquestionid")
+        .whereIn("a.surveyid", surveys.map((s) => s.surveyid))
+        .where("q.surveyquestiontype", "text")
+        .whereRaw("TRIM(a.surveyanswervalue) <> ''")
+        .select("a.surveyid", "a.surveyanswervalue as text", "q.surveyquestiontext as question")
+        .orderBy("q.surveyquestionorder");
+    return surveys.map((survey) => ({
+        ...survey,
+        comments: answers.filter((answer) => answer.surveyid === survey.surveyid),
+    }));
+};
+
+// Gifts from the participant's donor profile
+const participantGifts = (participantid) =>
+    db("donations as d")
+        .join("donors as dn", "d.donorid", "dn.donorid")
+        .leftJoin("campaigns as c", "d.campaignid", "c.campaignid")
+        .where("dn.participantid", participantid)
+        .whereNull("dn.donordeletedat")
+        .whereNull("d.donationdeletedat")
+        .select("d.donationid", "d.donationdate", "d.donationamount", "d.donationdesignation", "dn.donorid", "c.campaignname")
+        .orderBy("d.donationdate", "desc");
+
+// Newest first; undated entries (milestones recorded without a date) last
+const byDateDesc = (a, b) => {
+    if (!a.date || !b.date) {
+        return a.date ? -1 : b.date ? 1 : 0;
+    }
+    return new Date(b.date) - new Date(a.date);
+};
+
+// Everything the participant has done with the program in one timeline, and
+// the summary numbers for the top of their profile. Surveys and gifts are
+// only loaded for roles that may see them, and sensitive notes likewise.
+const participantEngagement = async (
+    participantid,
+    { surveys: showSurveys = false, donations: showGifts = false, sensitiveNotes = false } = {}
+) => {
+    const [milestones, registrations, surveys, gifts, notes, tasks] = await Promise.all([
+        db("milestones")
+            .select("milestonetitle", "milestonedate", "milestoneid")
+            .where({ participantid })
+            .orderBy("milestonedate", "desc"),
+        participantRegistrations(participantid),
+        showSurveys ? participantSurveys(participantid) : [],
+        showGifts ? participantGifts(participantid) : [],
+        listNotes(participantid, { sensitive: sensitiveNotes }),
+        participantTasks(participantid),
+    ]);
+
+    const attended = registrations.filter((r) => r.registrationattended);
+    const timeline = [
+        ...milestones.map((m) => ({ kind: "milestone", date: m.milestonedate, milestone: m })),
+        ...attended.map((r) => ({ kind: "event", date: r.eventdatetimestart, registration: r })),
+        ...surveys.map((s) => ({ kind: "survey", date: s.eventdatetimestart, survey: s })),
+        ...gifts.map((g) => ({ kind: "donation", date: g.donationdate, gift: g })),
+        ...notes.map((n) => ({ kind: "note", date: n.participantnotecreatedat, note: n })),
+        ...tasks
+            .filter((t) => t.participanttaskcompletedat)
+            .map((t) => ({ kind: "task", date: t.participanttaskcompletedat, task: t })),
+    ].sort(byDateDesc);
+
+    // Engagement starts with the first thing they took part in; notes and tasks are staff's
+    const activity = timeline.filter((entry) => !["note", "task"].includes(entry.kind) && entry.date).map((entry) => new Date(entry.date));
+    const firstActivity = activity.length ? new Date(Math.min(...activity)) : null;
+    const scores = surveys.filter((s) => s.surveyoverallscore !== null).map((s) => Number(s.surveyoverallscore));
+    const now = new Date();
+    const noShow = (r) => !r.registrationattended && r.eventattendancetakenat && r.registrationstatus === "Registered";
+    const upcoming = (r) => new Date(r.eventdatetimestart) > now && r.registrationstatus === "Registered";
+
+    return {
+        milestones,
+        registrations,
+        surveys,
+        gifts,
+        notes,
+        openTasks: tasks.filter((t) => !t.participanttaskcompletedat),
+        timeline,
+        summary: {
+            eventsAttended: attended.length,
+            noShows: registrations.filter(noShow).length,
+            upcoming: registrations.filter(upcoming).length,
+            milestones: milestones.length,
+            surveys: surveys.length,
+            averageScore: scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+            gifts: gifts.length,
+            given: gifts.reduce((sum, gift) => sum + Number(gift.donationamount), 0),
+            firstActivity,
+            yearsEngaged: firstActivity ? Math.max((now - firstActivity) / YEAR_MS, 0) : 0,
+        },
+    };
+};
+
+module.exports = { participantEngagement };
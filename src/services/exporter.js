@@ -0,0 +1,134 @@
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const { stringify } = require("csv-stringify");
+const ExcelJS = require("exceljs");
+
+const EXPORT_FORMATS = {
+    csv: "text/csv; charset=utf-8",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const formatDate = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+const formatDateTime = (d) => `${formatDate(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Convert one column value for CSV output. Dates use the server's local time,
+// matching how the list views display them.
+const csvValue = (column, value) => {
+    if (value === null || value === undefined) {
+        return "";
+    }
+    if (column.type === "date" || column.type === "datetime") {
+        const d = value instanceof Date ? value : new Date(value);
+        return column.type === "date" ? formatDate(d) : formatDateTime(d);
+    }
+    if (column.type === "number") {
+        return String(value);
+    }
+    if (column.type === "boolean") {
+        return value ? "Yes" : "No";
+    }
+    const text = String(value);
+    return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+// Convert one column value for XLSX output. Excel has no time zones, so dates
+// are shifted to show the same wall-clock time the CSV would.
+const xlsxValue = (column, value) => {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (column.type === "date" || column.type === "datetime") {
+        const d = value instanceof Date ? value : new Date(value);
+        return new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes()));
+    }
+    if (column.type === "number") {
+        return Number(value);
+    }
+    if (column.type === "boolean") {
+        return value ? "Yes" : "No";
+    }
+    return String(value);
+};
+
+const XLSX_NUM_FMT = {
+    date: "yyyy-mm-dd",
+    datetime: "yyyy-mm-dd hh:mm",
+};
+
+const writeCsv = (res, columns, rows) =>
+    pipeline(
+        rows,
+        new Transform({
+            objectMode: true,
+            transform(row, encoding, callback) {
+                callback(null, columns.map((column) => csvValue(column, row[column.key])));
+            },
+        }),
+        stringify({ header: true, columns: columns.map((column) => column.header), bom: true }),
+        res
+    );
+
+const writeXlsx = async (res, columns, rows, sheetName) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map((column) => ({
+        header: column.header,
+        key: column.key,
+        width: column.width || 18,
+        style: XLSX_NUM_FMT[column.type] ? { numFmt: XLSX_NUM_FMT[column.type] } : {},
+    }));
+
+    for await (const row of rows) {
+        const values = {};
+        columns.forEach((column) => {
+            values[column.key] = xlsxValue(column, row[column.key]);
+        });
+        sheet.addRow(values).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+};
+
+// Stream a knex query to the response as a CSV or XLSX download.
+// Rows are read from a database cursor, so the full result is never held in memory.
+// columns: [{ key, header, type: "text" | "number" | "date" | "datetime" | "boolean", width }]
+const sendExport = async (req, res, { filename, sheetName, columns, query }) => {
+    const format = req.query.format;
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).send("Export format must be csv or xlsx.");
+    }
+
+    res.set({
+        "Content-Type": EXPORT_FORMATS[format],
+        "Content-Disposition": `attachment; filename="${filename}-${formatDate(new Date())}.${format}"`,
+    });
+
+    const rows = query.stream();
+    try {
+        if (format === "csv") {
+            await writeCsv(res, columns, rows);
+        } else {
+            await writeXlsx(res, columns, rows, sheetName || filename);
+        }
+    } catch (err) {
+        console.error(`Error exporting ${filename}:`, err);
+        rows.destroy();
+        if (res.headersSent) {
+            // Part of the file is already on the wire; cut it off so it isn't mistaken for complete
+            res.destroy(err);
+        } else {
+            res.removeHeader("Content-Disposition");
+            res.status(500).type("text").send("Error exporting data");
+        }
+    }
+};
+
+module.exports = {
+    sendExport,
+};
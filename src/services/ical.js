@@ -0,0 +1,98 @@
+// Minimal iCalendar (RFC 5545) writer for event occurrences.
+// Each occurrence keeps one UID forever; SEQUENCE goes up whenever it changes,
+// so subscribed calendars replace their copy instead of adding a duplicate.
+
+const PRODUCT_ID = "-//Ella Rises//Events//EN";
+const UID_DOMAIN = "ellarises.org";
+
+// Escape TEXT values: backslash, semicolon, comma and newlines
+const escapeText = (value) =>
+    String(value || "")
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+
+// UTC timestamp in basic format, e.g. 20260113T010000Z
+const formatDateTime = (value) =>
+    new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Lines longer than 75 octets are folded with CRLF + space (never splitting a UTF-8 character)
+const foldLine = (line) => {
+    const chunks = [];
+    let current = "";
+    let currentBytes = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            chunks.push(current);
+            current = "";
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    chunks.push(current);
+    return chunks.join("\r\n ");
+};
+
+const occurrenceUid = (eventoccurrenceid) => `occurrence-${eventoccurrenceid}@${UID_DOMAIN}`;
+
+// VEVENT lines for one occurrence row (joined with its event)
+const buildEvent = (occurrence, { baseUrl, now }) => {
+    const lines = [
+        "BEGIN:VEVENT",
+        `UID:${occurrenceUid(occurrence.eventoccurrenceid)}`,
+        `SEQUENCE:${occurrence.eventoccurrencesequence || 0}`,
+        `DTSTAMP:${formatDateTime(now)}`,
+        `DTSTART:${formatDateTime(occurrence.eventdatetimestart)}`,
+        `DTEND:${formatDateTime(occurrence.eventdatetimeend || occurrence.eventdatetimestart)}`,
+        `SUMMARY:${escapeText(occurrence.eventname)}`,
+    ];
+
+    if (occurrence.eventoccurrenceupdatedat) {
+        lines.push(`LAST-MODIFIED:${formatDateTime(occurrence.eventoccurrenceupdatedat)}`);
+    }
+    if (occurrence.eventlocation) {
+        lines.push(`LOCATION:${escapeText(occurrence.eventlocation)}`);
+    }
+    if (occurrence.eventdescription) {
+        lines.push(`DESCRIPTION:${escapeText(occurrence.eventdescription)}`);
+    }
+    if (occurrence.eventtype) {
+        lines.push(`CATEGORIES:${escapeText(occurrence.eventtype)}`);
+    }
+    if (baseUrl) {
+        lines.push(`URL:${baseUrl}/events/occurrences/${occurrence.eventoccurrenceid}/register`);
+    }
+    lines.push(`STATUS:${occurrence.eventoccurrencecancelled ? "CANCELLED" : "CONFIRMED"}`);
+    lines.push("END:VEVENT");
+    return lines;
+};
+
+// Full VCALENDAR document for a list of occurrences
+const buildCalendar = (occurrences, { name, baseUrl, method } = {}) => {
+    const now = new Date();
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODUCT_ID}`,
+        "CALSCALE:GREGORIAN",
+        `METHOD:${method || "PUBLISH"}`,
+    ];
+    if (name) {
+        lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    }
+    occurrences.forEach((occurrence) => {
+        lines.push(...buildEvent(occurrence, { baseUrl, now }));
+    });
+    lines.push("END:VCALENDAR");
+
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = {
+    buildCalendar,
+    occurrenceUid,
+};
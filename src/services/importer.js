@@ -0,0 +1,351 @@
+const { parse } = require("csv-parse/sync");
+
+const db = require("../config/db");
+const { FREQUENCIES } = require("./recurrence");
+const { createOccurrences } = require("./occurrences");
+const { saveStandardResponse } = require("./surveyTemplates");
+const { auditInsert } = require("./audit");
+const { PAYMENT_METHODS, matchOrCreateDonor } = require("./donors");
+
+// Importable record types. Field names match the forms that create the same
+// records (/addParticipant, /addDonation, /addEvent, /addSurvey).
+const IMPORT_TYPES = {
+    participants: {
+        label: "Participants",
+        fields: [
+            { name: "participantfirstname", label: "First Name", type: "text", required: true },
+            { name: "participantlastname", label: "Last Name", type: "text", required: true },
+            { name: "participantemail", label: "Email", type: "email", required: true },
+            { name: "participantphone", label: "Phone", type: "text" },
+            { name: "participantdob", label: "Date of Birth", type: "date" },
+            { name: "participantrole", label: "Role", type: "text" },
+            { name: "participantcity", label: "City", type: "text" },
+            { name: "participantstate", label: "State", type: "text" },
+            { name: "participantzip", label: "Zip", type: "text" },
+            { name: "participantschooloremployer", label: "School / Employer", type: "text" },
+            { name: "participantfieldofinterest", label: "Field of Interest", type: "text" },
+        ],
+    },
+    donations: {
+        label: "Donations",
+        fields: [
+            { name: "firstname", label: "Donor First Name", type: "text", required: true },
+            { name: "lastname", label: "Donor Last Name", type: "text", required: true },
+            { name: "organization", label: "Donor Organization", type: "text" },
+            { name: "email", label: "Donor Email (matches existing donors)", type: "email" },
+            { name: "donationdate", label: "Donation Date", type: "date", required: true },
+            { name: "donationamount", label: "Amount", type: "amount", required: true },
+            { name: "donationmethod", label: "Payment Method", type: "method" },
+            { name: "donationdesignation", label: "Designation", type: "text" },
+            { name: "donationreference", label: "Check or Reference Number", type: "text" },
+        ],
+    },
+    events: {
+        label: "Events",
+        fields: [
+            { name: "name", label: "Event Name", type: "text", required: true },
+            { name: "type", label: "Event Type", type: "text", required: true },
+            { name: "description", label: "Description", type: "text" },
+            { name: "recurrence", label: "Recurrence Pattern", type: "recurrence" },
+            { name: "until", label: "Repeat Until", type: "date" },
+            { name: "count", label: "Number of Occurrences", type: "integer" },
+            { name: "startTime", label: "Start Date & Time", type: "datetime", required: true },
+            { name: "endTime", label: "End Date & Time", type: "datetime", required: true },
+            { name: "location", label: "Location", type: "text", required: true },
+            { name: "capacity", label: "Max Capacity", type: "integer" },
+            { name: "deadline", label: "Registration Deadline", type: "datetime" },
+        ],
+    },
+    surveys: {
+        label: "Surveys",
+        fields: [
+            { name: "participantid", label: "Participant ID", type: "integer" },
+            { name: "participantemail", label: "Participant Email (if no ID)", type: "email" },
+            { name: "eventoccurrenceid", label: "Event Occurrence ID", type: "integer", required: true },
+            { name: "surveysatisfactionscore", label: "Satisfaction (1-5)", type: "score", required: true },
+            { name: "surveyusefulnessscore", label: "Usefulness (1-5)", type: "score", required: true },
+            { name: "surveyinstructorscore", label: "Instructor (1-5)", type: "score", required: true },
+            { name: "surveyrecommendationscore", label: "Recommendation (1-5)", type: "score", required: true },
+            { name: "surveycomments", label: "Comments", type: "text" },
+        ],
+    },
+};
+
+// Keep uploads small enough to hold in the session between wizard steps
+const MAX_ROWS = 5000;
+
+class ImportError extends Error {}
+
+// Parse an uploaded CSV buffer into headers + row objects keyed by header
+const parseCsv = (buffer) => {
+    let records;
+    try {
+        records = parse(buffer, {
+            bom: true,
+            columns: true,
+            skip_empty_lines: true,
+            trim: true,
+            relax_column_count: true,
+        });
+    } catch (err) {
+        throw new ImportError(`Could not read the CSV file: ${err.message}`);
+    }
+
+    if (records.length === 0) {
+        throw new ImportError("The CSV file has no data rows.");
+    }
+    if (records.length > MAX_ROWS) {
+        throw new ImportError(`Imports are limited to ${MAX_ROWS} rows; split the file and try again.`);
+    }
+    return { headers: Object.keys(records[0]), rows: records };
+};
+
+const normalizeHeader = (value) => String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Guess a column for each field by comparing normalized names and labels
+const suggestMapping = (type, headers) => {
+    const mapping = {};
+    IMPORT_TYPES[type].fields.forEach((field) => {
+        const candidates = [normalizeHeader(field.name), normalizeHeader(field.label)];
+        const match = headers.find((header) => {
+            const normalized = normalizeHeader(header);
+            return candidates.some(
+                (candidate) => normalized === candidate || normalized === candidate.replace(/^participant/, "")
+            );
+        });
+        mapping[field.name] = match || "";
+    });
+    return mapping;
+};
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+// Convert one raw cell to its field type; returns { value } or { error }
+const convertValue = (field, raw) => {
+    const text = raw === undefined || raw === null ? "" : String(raw).trim();
+    if (!text) {
+        return field.required ? { error: `${field.label} is required.` } : { value: null };
+    }
+
+    switch (field.type) {
+        case "email":
+            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)
+                ? { value: text }
+                : { error: `${field.label} "${text}" is not a valid email.` };
+        case "date":
+        case "datetime":
+            return isValidDate(text) ? { value: text } : { error: `${field.label} "${text}" is not a valid date.` };
+        case "integer": {
+            const parsed = Number(text);
+            return Number.isInteger(parsed) && parsed >= 0
+                ? { value: parsed }
+                : { error: `${field.label} "${text}" must be a whole number.` };
+        }
+        case "amount": {
+            const parsed = Number(text.replace(/[$,]/g, ""));
+            return Number.isFinite(parsed) && parsed > 0
+                ? { value: parsed }
+                : { error: `${field.label} "${text}" must be a positive amount.` };
+        }
+        case "score": {
+            const parsed = Number(text);
+            return Number.isInteger(parsed) && parsed >= 1 && parsed <= 5
+                ? { value: parsed }
+                : { error: `${field.label} "${text}" must be a whole number from 1 to 5.` };
+        }
+        case "recurrence": {
+            const match = Object.keys(FREQUENCIES).find((key) => key.toLowerCase() === text.toLowerCase());
+            return match
+                ? { value: match }
+                : { error: `${field.label} "${text}" must be one of ${Object.keys(FREQUENCIES).join(", ")}.` };
+        }
+        case "method": {
+            const match = PAYMENT_METHODS.find((method) => method.toLowerCase() === text.toLowerCase());
+            return match
+                ? { value: match }
+                : { error: `${field.label} "${text}" must be one of ${PAYMENT_METHODS.join(", ")}.` };
+        }
+        default:
+            return { value: text };
+    }
+};
+
+// Lookups that cross-row checks need (existing emails, occurrences, participants)
+const loadLookups = async (type) => {
+    if (type === "participants") {
+        const emails = await db("participants")
+            .whereNotNull("participantemail")
+            .whereNull("participantdeletedat")
+            .pluck("participantemail");
+        return { existingEmails: new Set(emails.map((email) => email.toLowerCase())) };
+    }
+    if (type === "surveys") {
+        const [occurrenceIds, participants, surveys] = await Promise.all([
+            db("eventoccurrences")
+                .join("events", "eventoccurrences.eventid", "events.eventid")
+                .whereNull("events.eventdeletedat")
+                .pluck("eventoccurrences.eventoccurrenceid"),
+            db("participants").whereNull("participantdeletedat").select("participantid", "participantemail"),
+            db("surveys").whereNull("surveydeletedat").select("participantid", "eventoccurrenceid"),
+        ]);
+        const participantsByEmail = new Map();
+        participants.forEach((p) => {
+            if (p.participantemail) {
+                participantsByEmail.set(p.participantemail.toLowerCase(), p.participantid);
+            }
+        });
+        return {
+            occurrenceIds: new Set(occurrenceIds.map(Number)),
+            participantIds: new Set(participants.map((p) => Number(p.participantid))),
+            participantsByEmail,
+            existingSurveys: new Set(surveys.map((s) => `${s.participantid}:${s.eventoccurrenceid}`)),
+        };
+    }
+    return {};
+};
+
+// Record-level checks beyond single-field conversion
+const checkRecord = (type, values, lookups, seen) => {
+    const errors = [];
+
+    if (type === "participants" && values.participantemail) {
+        const email = values.participantemail.toLowerCase();
+        if (lookups.existingEmails.has(email)) {
+            errors.push(`A participant with email ${values.participantemail} already exists.`);
+        } else if (seen.has(email)) {
+            errors.push(`Email ${values.participantemail} appears more than once in this file.`);
+        }
+        seen.add(email);
+    }
+
+    if (type === "events" && values.startTime && values.endTime) {
+        if (new Date(values.endTime) < new Date(values.startTime)) {
+            errors.push("End Date & Time is before Start Date & Time.");
+        }
+        if (values.recurrence && values.recurrence !== "None" && !values.until && !values.count) {
+            errors.push("Recurring events need Repeat Until or Number of Occurrences.");
+        }
+    }
+
+    if (type === "surveys") {
+        if (values.participantid === null && values.participantemail) {
+            values.participantid = lookups.participantsByEmail.get(values.participantemail.toLowerCase()) || null;
+            if (values.participantid === null) {
+                errors.push(`No participant found with email ${values.participantemail}.`);
+            }
+        } else if (values.participantid === null) {
+            errors.push("Participant ID or Participant Email is required.");
+        } else if (!lookups.participantIds.has(values.participantid)) {
+            errors.push(`Participant ID ${values.participantid} does not exist.`);
+        }
+        if (values.eventoccurrenceid !== null && !lookups.occurrenceIds.has(values.eventoccurrenceid)) {
+            errors.push(`Event Occurrence ID ${values.eventoccurrenceid} does not exist.`);
+        }
+        // One survey per participant per occurrence
+        if (values.participantid !== null && values.eventoccurrenceid !== null) {
+            const pair = `${values.participantid}:${values.eventoccurrenceid}`;
+            if (lookups.existingSurveys.has(pair)) {
+                errors.push("This participant already has a survey for that event occurrence.");
+            } else if (seen.has(pair)) {
+                errors.push("This participant's survey for that event occurrence appears more than once in this file.");
+            }
+            seen.add(pair);
+        }
+    }
+
+    return errors;
+};
+
+// Apply the column mapping and validate every row. Row numbers match the
+// spreadsheet (row 1 is the header).
+const validateRows = async (type, rows, mapping) => {
+    const { fields } = IMPORT_TYPES[type];
+    const lookups = await loadLookups(type);
+    const seen = new Set();
+
+    return rows.map((raw, index) => {
+        const values = {};
+        const errors = [];
+        fields.forEach((field) => {
+            const column = mapping[field.name];
+            const result = convertValue(field, column ? raw[column] : "");
+            if (result.error) {
+                errors.push(result.error);
+            } else {
+                values[field.name] = result.value;
+            }
+        });
+        if (errors.length === 0) {
+            errors.push(...checkRecord(type, values, lookups, seen));
+        }
+        return { rowNumber: index + 2, values, errors };
+    });
+};
+
+// Insert one validated record inside the import transaction
+const insertRecord = {
+    participants: (trx, values, actor) => auditInsert(trx, actor, "participants", values),
+
+    donations: async (trx, values, actor) => {
+        const donor = await matchOrCreateDonor(trx, actor, values);
+        await auditInsert(trx, actor, "donations", {
+            donorid: donor.donorid,
+            donationdate: values.donationdate,
+            donationamount: values.donationamount,
+            donationmethod: values.donationmethod,
+            donationdesignation: values.donationdesignation,
+            donationreference: values.donationreference,
+        });
+    },
+
+    events: async (trx, values, actor) => {
+        const frequency = values.recurrence || "None";
+        const [newEvent] = await auditInsert(trx, actor, "events", {
+            eventname: values.name,
+            eventtype: values.type,
+            eventdescription: values.description,
+            eventrecurrencepattern: frequency,
+            eventrecurrenceuntil: values.until,
+            eventrecurrencecount: values.count,
+            eventdefaultcapacity: values.capacity,
+        });
+        await createOccurrences(
+            trx,
+            newEvent.eventid,
+            { frequency, start: values.startTime, end: values.endTime, until: values.until, count: values.count },
+            { location: values.location, capacity: values.capacity, deadline: values.deadline },
+            actor
+        );
+    },
+
+    // Imported rows are Standard questionnaire responses
+    surveys: (trx, values, actor) => {
+        const { participantemail, ...survey } = values;
+        return saveStandardResponse(trx, actor, survey);
+    },
+};
+
+// Validate again and insert everything in one transaction; any bad row aborts the import
+const commitImport = async (type, rows, mapping, actor) => {
+    const results = await validateRows(type, rows, mapping);
+    const invalid = results.filter((result) => result.errors.length > 0);
+    if (invalid.length > 0) {
+        throw new ImportError(`${invalid.length} row(s) still have errors. Nothing was imported.`);
+    }
+
+    await db.transaction(async (trx) => {
+        for (const result of results) {
+            await insertRecord[type](trx, result.values, actor);
+        }
+    });
+    return results.length;
+};
+
+module.exports = {
+    IMPORT_TYPES,
+    ImportError,
+    parseCsv,
+    suggestMapping,
+    validateRows,
+    commitImport,
+};
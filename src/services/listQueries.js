@@ -0,0 +1,189 @@
+const db = require("../config/db");
+
+// Search, filter and sort rules shared by the HTML lists, their exports and the
+// JSON API, so every client sees the same rows for the same query string.
+
+const participantSortMap = {
+    "lastname": "participantlastname",
+    "firstname": "participantfirstname",
+    "email": "participantemail"
+};
+
+// Participant search box (deleted participants never match)
+const participantSearch = (searchTerm) => (queryBuilder) => {
+    queryBuilder.whereNull("participantdeletedat");
+    if (searchTerm) {
+        queryBuilder.where((builder) => {
+            builder.where("participantfirstname", "ilike", `%${searchTerm}%`)
+                   .orWhere("participantlastname", "ilike", `%${searchTerm}%`)
+                   .orWhere("participantemail", "ilike", `%${searchTerm}%`)
+                   .orWhere("participantphone", "ilike", `%${searchTerm}%`);
+        });
+    }
+};
+
+const donationSortMap = {
+    "donor": "dn.donorname",
+    "date": "d.donationdate",
+    "amount": "d.donationamount",
+    "designation": "d.donationdesignation",
+    "campaign": "c.campaignname"
+};
+
+// Donations joined to donors and their campaign, filtered by the search box.
+// Deleted donations, and gifts from deleted donors, are left out.
+const donationQuery = (searchTerm) => {
+    const base = db("donations as d")
+        .join("donors as dn", "d.donorid", "dn.donorid")
+        .leftJoin("campaigns as c", "d.campaignid", "c.campaignid")
+        .whereNull("d.donationdeletedat")
+        .whereNull("dn.donordeletedat");
+
+    if (searchTerm) {
+        const term = `%${searchTerm.toLowerCase()}%`;
+        base.where(function() {
+            this.whereRaw("LOWER(dn.donorname) LIKE ?", [term])
+                .orWhereRaw("LOWER(CONCAT(dn.donorfirstname, ' ', dn.donorlastname)) LIKE ?", [term])
+                .orWhereRaw("LOWER(dn.donoremail) LIKE ?", [term])
+                .orWhereRaw("LOWER(d.donationdesignation) LIKE ?", [term])
+                .orWhereRaw("LOWER(c.campaignname) LIKE ?", [term])
+                .orWhereRaw("LOWER(d.donationreference) LIKE ?", [term])
+                .orWhereRaw("CAST(d.donationamount AS TEXT) LIKE ?", [`%${searchTerm}%`]);
+        });
+    }
+    return base;
+};
+
+const donorSortMap = {
+    "name": "dn.donorname",
+    "total": "lifetimetotal",
+    "lastgift": "lastgift"
+};
+
+// Live donors with their lifetime giving, filtered by the search box and type
+const donorQuery = (searchTerm, donorType) => {
+    const base = db("donors as dn")
+        .leftJoin("donations as d", function() {
+            this.on("d.donorid", "dn.donorid").andOnNull("d.donationdeletedat");
+        })
+        .whereNull("dn.donordeletedat")
+        .groupBy("dn.donorid");
+
+    if (donorType) {
+        base.where("dn.donortype", donorType);
+    }
+    if (searchTerm) {
+        const term = `%${searchTerm.toLowerCase()}%`;
+        base.where(function() {
+            this.whereRaw("LOWER(dn.donorname) LIKE ?", [term])
+                .orWhereRaw("LOWER(CONCAT(dn.donorfirstname, ' ', dn.donorlastname)) LIKE ?", [term])
+                .orWhereRaw("LOWER(dn.donoremail) LIKE ?", [term])
+                .orWhereRaw("dn.donorphone LIKE ?", [`%${searchTerm}%`])
+                .orWhereRaw("LOWER(dn.donorcity) LIKE ?", [term]);
+        });
+    }
+    return base;
+};
+
+// Surveys joined to their participant and event occurrence, skipping deleted
+// surveys and those whose participant or event is deleted
+const surveyBaseQuery = () =>
+    db("surveys")
+        .join("participants", "surveys.participantid", "participants.participantid")
+        .join("eventoccurrences", "surveys.eventoccurrenceid", "eventoccurrences.eventoccurrenceid")
+        .join("events", "eventoccurrences.eventid", "events.eventid")
+        .whereNull("surveys.surveydeletedat")
+        .whereNull("participants.participantdeletedat")
+        .whereNull("events.eventdeletedat");
+
+// Survey list filters: event date, event, minimum score, NPS bucket and search
+const surveyFilters = ({ date, event, score, nps, searchTerm }) => (builder) => {
+    if (date) {
+        builder.whereRaw("DATE(eventoccurrences.eventdatetimestart) = ?", [date]);
+    }
+    if (event) {
+        builder.where("events.eventid", event);
+    }
+    if (score) {
+        builder.where("surveys.surveyoverallscore", ">=", score);
+    }
+    if (nps) {
+        builder.where("surveys.surveynpsbucket", nps);
+    }
+    if (searchTerm) {
+        const term = `%${searchTerm.toLowerCase()}%`;
+        builder.where(function() {
+            this.whereRaw("LOWER(events.eventname) LIKE ?", [term])
+                .orWhereRaw("LOWER(participants.participantfirstname) LIKE ?", [term])
+                .orWhereRaw("LOWER(participants.participantlastname) LIKE ?", [term])
+                .orWhereRaw("LOWER(surveys.surveycomments) LIKE ?", [term])
+                .orWhereRaw("LOWER(surveys.surveynpsbucket) LIKE ?", [term]);
+        });
+    }
+};
+
+// A query string date, or null when it is missing or not a date
+const filterDate = (value) => {
+    const date = typeof value === "string" && value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// Search, type and date filters for event occurrences. Deleted events never
+// match; a start or end that isn't a date is ignored.
+const eventFilters = ({ type, searchTerm, start, end }) => (builder) => {
+    builder.whereNull("events.eventdeletedat");
+    if (type) {
+        builder.where("events.eventtype", type);
+    }
+    if (searchTerm) {
+        const term = `%${searchTerm.toLowerCase()}%`;
+        builder.where(function() {
+            this.whereRaw("LOWER(events.eventname) LIKE ?", [term])
+                .orWhereRaw("LOWER(events.eventdescription) LIKE ?", [term])
+                .orWhereRaw("LOWER(events.eventtype) LIKE ?", [term])
+                .orWhereRaw("LOWER(eventoccurrences.eventlocation) LIKE ?", [term]);
+        });
+    }
+    const startDate = filterDate(start);
+    const endDate = filterDate(end);
+    if (startDate) {
+        builder.where("eventoccurrences.eventdatetimestart", ">=", startDate);
+    }
+    if (endDate) {
+        builder.where("eventoccurrences.eventdatetimestart", "<=", endDate);
+    }
+};
+
+const userSortMap = {
+    "username": "username",
+    "role": "rolename"
+};
+
+// Users joined to their role, for the user list and its search
+const usersWithRoles = () => db("users").join("roles", "users.roleid", "roles.roleid");
+
+// User search box: username or role name. Deleted users never match.
+const userSearch = (searchTerm) => (builder) => {
+    builder.whereNull("userdeletedat");
+    if (searchTerm) {
+        builder.where((inner) => {
+            inner.where("username", "ilike", `%${searchTerm}%`)
+                 .orWhere("rolename", "ilike", `%${searchTerm}%`);
+        });
+    }
+};
+
+module.exports = {
+    participantSortMap,
+    participantSearch,
+    donationSortMap,
+    donationQuery,
+    donorSortMap,
+    donorQuery,
+    surveyBaseQuery,
+    surveyFilters,
+    eventFilters,
+    userSortMap,
+    usersWithRoles,
+    userSearch,
+};
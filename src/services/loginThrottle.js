@@ -0,0 +1,66 @@
+const db = require("../config/db");
+const { loginLockout } = require("../config/auth");
+
+// Attempts for one username (case-insensitive) or one IP address
+const byUsername = (username) => (qb) => qb.whereRaw("LOWER(loginattemptusername) = LOWER(?)", [username]);
+const byIp = (ip) => (qb) => qb.where("loginattemptip", ip);
+
+// Seconds left on a lock for failures matching `match`, or 0. Failures count
+// within the window and, when `resetOnSuccess`, only since the last success
+// matching it too; once there are `threshold` of them each further failure
+// doubles the wait.
+const lockSecondsLeft = async (match, threshold, { resetOnSuccess = false } = {}) => {
+    if (!threshold) {
+        return 0;
+    }
+
+    const query = db("loginattempts")
+        .where(match)
+        .where("loginattemptsucceeded", false)
+        .where("loginattemptat", ">", db.raw("NOW() - make_interval(hours => ?)", [loginLockout.windowHours]));
+    if (resetOnSuccess) {
+        const lastSuccess = db("loginattempts").max("loginattemptat").where(match).where("loginattemptsucceeded", true);
+        query.where("loginattemptat", ">", db.raw("COALESCE((?), '-infinity'::timestamp)", [lastSuccess]));
+    }
+    const row = await query.first(
+            db.raw("COUNT(*)::int AS failures"),
+            db.raw("EXTRACT(EPOCH FROM NOW() - MAX(loginattemptat))::int AS since")
+        );
+
+    if (!row || row.failures < threshold) {
+        return 0;
+    }
+    const lockFor = Math.min(loginLockout.baseSeconds * 2 ** (row.failures - threshold), loginLockout.maxSeconds);
+    return Math.max(lockFor - row.since, 0);
+};
+
+// Whether sign-in is currently locked for this username or IP address, and
+// for how many more seconds. Signing in to one account doesn't clear the IP
+// address's failures, or an attacker could reset them with an account of
+// their own.
+const checkLockout = async (username, ip) => {
+    const [userWait, ipWait] = await Promise.all([
+        username ? lockSecondsLeft(byUsername(username), loginLockout.threshold, { resetOnSuccess: true }) : 0,
+        ip ? lockSecondsLeft(byIp(ip), loginLockout.ipThreshold) : 0,
+    ]);
+    const retryAfter = Math.max(userWait, ipWait);
+    return { locked: retryAfter > 0, retryAfter };
+};
+
+// A successful attempt (or completed password reset) clears the username's lock
+const recordAttempt = (username, ip, succeeded) =>
+    db("loginattempts").insert({
+        loginattemptusername: username ? String(username).slice(0, 255) : null,
+        loginattemptip: ip ? String(ip).slice(0, 64) : null,
+        loginattemptsucceeded: succeeded,
+    });
+
+// "3 minutes", "45 seconds"
+const describeWait = (seconds) => {
+    if (seconds >= 90) {
+        return `${Math.ceil(seconds / 60)} minutes`;
+    }
+    return seconds === 1 ? "1 second" : `${seconds} seconds`;
+};
+
+module.exports = { checkLockout, recordAttempt, describeWait };
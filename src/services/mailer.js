@@ -0,0 +1,60 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+const { mail } = require("../config/auth");
+
+// Transports take { from, to, subject, text } and deliver it. MAIL_TRANSPORT
+// picks one by name; registerTransport adds more (e.g. an API-based provider).
+const transports = {
+    // Development: one .eml file per message, readable in any mail client
+    outbox: async (message) => {
+        const dir = path.resolve(mail.outboxDir);
+        await fs.mkdir(dir, { recursive: true });
+        const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+        const file = path.join(dir, `${stamp}-${crypto.randomBytes(3).toString("hex")}.eml`);
+        const body = [
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            `Date: ${new Date().toUTCString()}`,
+            "Content-Type: text/plain; charset=utf-8",
+            "",
+            message.text,
+        ].join("\r\n");
+        await fs.writeFile(file, body);
+        console.log(`Mail to ${message.to} written to ${file}`);
+    },
+
+    console: async (message) => {
+        console.log(`--- Mail to ${message.to}: ${message.subject}\n${message.text}\n---`);
+    },
+
+    // Production default; the connection is opened on the first message
+    smtp: async (message) => {
+        if (!transports.smtp.client) {
+            transports.smtp.client = nodemailer.createTransport({
+                host: mail.smtp.host,
+                port: mail.smtp.port,
+                secure: mail.smtp.secure,
+                auth: mail.smtp.user ? { user: mail.smtp.user, pass: mail.smtp.password } : undefined,
+            });
+        }
+        await transports.smtp.client.sendMail(message);
+    },
+};
+
+const registerTransport = (name, send) => {
+    transports[name] = send;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+    const send = transports[mail.transport];
+    if (!send) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${mail.transport}".`);
+    }
+    await send({ from: mail.from, to, subject, text });
+};
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,210 @@
+const db = require("../config/db");
+const { auditInsert, auditUpdate, auditDelete } = require("./audit");
+
+// Raised for milestone problems that should be shown to the user as-is
+class MilestoneError extends Error {}
+
+const cleanTitle = (title) => String(title || "").trim().replace(/\s+/g, " ");
+
+// Catalog titles with how many (non-deleted) participants hold each one
+const listCatalog = () =>
+    db("milestonetitles as t")
+        .select(
+            "t.*",
+            db.raw(
+                `(SELECT COUNT(*) FROM milestones m
+                  LEFT JOIN participants p ON p.participantid = m.participantid
+                  WHERE m.milestonetitle = t.milestonetitle AND p.participantdeletedat IS NULL) as awardcount`
+            )
+        )
+        .orderBy("t.milestonetitle", "asc");
+
+// Titles in use on awards that aren't in the catalog (old free-text variants)
+const listUnlistedTitles = () =>
+    db("milestones as m")
+        .whereNotExists(db("milestonetitles as t").whereRaw("t.milestonetitle = m.milestonetitle"))
+        .whereNotNull("m.milestonetitle")
+        .select("m.milestonetitle")
+        .count("* as awardcount")
+        .groupBy("m.milestonetitle")
+        .orderBy("m.milestonetitle", "asc");
+
+// Active titles for the award forms
+const activeTitles = () =>
+    db("milestonetitles")
+        .where("milestonetitleactive", true)
+        .orderBy("milestonetitle", "asc")
+        .pluck("milestonetitle");
+
+// The catalog spelling of a title; awards may only use catalog titles
+const canonicalTitle = async (trx, title) => {
+    const entry = await trx("milestonetitles")
+        .whereRaw("LOWER(milestonetitle) = ?", [cleanTitle(title).toLowerCase()])
+        .first();
+    if (!entry) {
+        throw new MilestoneError("Choose a milestone title from the catalog.");
+    }
+    return entry;
+};
+
+// Award one title to many participants. People who already hold the title are
+// skipped rather than given a second copy.
+const awardMilestone = async (trx, actor, { participantIds, title, date }) => {
+    const ids = Array.from(new Set(participantIds.map((id) => parseInt(id, 10)).filter((id) => id > 0)));
+    if (ids.length === 0) {
+        throw new MilestoneError("Choose at least one participant.");
+    }
+    if (!date) {
+        throw new MilestoneError("Enter the date the milestone was reached.");
+    }
+
+    const entry = await canonicalTitle(trx, title);
+    if (!entry.milestonetitleactive) {
+        throw new MilestoneError(`"${entry.milestonetitle}" has been retired and can't be awarded.`);
+    }
+
+    const participants = await trx("participants")
+        .whereIn("participantid", ids)
+        .whereNull("participantdeletedat")
+        .pluck("participantid");
+    const holders = await trx("milestones")
+        .whereIn("participantid", participants)
+        .where("milestonetitle", entry.milestonetitle)
+        .pluck("participantid");
+    const holderSet = new Set(holders.map(Number));
+    const recipients = participants.filter((id) => !holderSet.has(Number(id)));
+
+    if (recipients.length > 0) {
+        await auditInsert(
+            trx,
+            actor,
+            "milestones",
+            recipients.map((participantid) => ({
+                participantid,
+                milestonetitle: entry.milestonetitle,
+                milestonedate: date,
+            }))
+        );
+    }
+    return { title: entry.milestonetitle, awarded: recipients.length, skipped: ids.length - recipients.length };
+};
+
+// Fix the title or date of one award
+const updateMilestone = async (trx, actor, milestoneid, { title, date }) => {
+    if (!date) {
+        throw new MilestoneError("Enter the date the milestone was reached.");
+    }
+    const entry = await canonicalTitle(trx, title);
+    const [updated] = await auditUpdate(trx, actor, "milestones", { milestoneid }, {
+        milestonetitle: entry.milestonetitle,
+        milestonedate: date,
+    });
+    if (!updated) {
+        throw new MilestoneError("That milestone no longer exists.");
+    }
+    return updated;
+};
+
+const deleteMilestone = async (trx, actor, milestoneid) => {
+    const [deleted] = await auditDelete(trx, actor, "milestones", { milestoneid });
+    if (!deleted) {
+        throw new MilestoneError("That milestone no longer exists.");
+    }
+    return deleted;
+};
+
+// Add a title to the catalog
+const addTitle = async (trx, actor, { title, description }) => {
+    const milestonetitle = cleanTitle(title);
+    if (!milestonetitle) {
+        throw new MilestoneError("Enter a milestone title.");
+    }
+    const existing = await trx("milestonetitles").whereRaw("LOWER(milestonetitle) = ?", [milestonetitle.toLowerCase()]).first();
+    if (existing) {
+        throw new MilestoneError(`"${existing.milestonetitle}" is already in the catalog.`);
+    }
+    const [created] = await auditInsert(trx, actor, "milestonetitles", {
+        milestonetitle,
+        milestonetitledescription: (description || "").trim() || null,
+    });
+    return created;
+};
+
+// Rename, describe or retire a catalog title. A rename carries over to every
+// award that used the old spelling.
+const updateTitle = async (trx, actor, milestonetitleid, { title, description, active }) => {
+    const entry = await trx("milestonetitles").where({ milestonetitleid }).forUpdate().first();
+    if (!entry) {
+        throw new MilestoneError("That milestone title no longer exists.");
+    }
+    const milestonetitle = cleanTitle(title);
+    if (!milestonetitle) {
+        throw new MilestoneError("Enter a milestone title.");
+    }
+    const clash = await trx("milestonetitles")
+        .whereRaw("LOWER(milestonetitle) = ?", [milestonetitle.toLowerCase()])
+        .whereNot({ milestonetitleid })
+        .first();
+    if (clash) {
+        throw new MilestoneError(`"${clash.milestonetitle}" is already in the catalog; merge into it instead.`);
+    }
+
+    await auditUpdate(trx, actor, "milestonetitles", { milestonetitleid }, {
+        milestonetitle,
+        milestonetitledescription: (description || "").trim() || null,
+        milestonetitleactive: Boolean(active),
+    });
+    if (milestonetitle !== entry.milestonetitle) {
+        await auditUpdate(trx, actor, "milestones", { milestonetitle: entry.milestonetitle }, { milestonetitle });
+    }
+};
+
+// Fold a variant title (a catalog entry or an unlisted spelling) into a catalog
+// title. Awards move over; a participant who already holds the target keeps
+// that award and the variant copy is removed. Returns how many awards moved.
+const mergeTitle = async (trx, actor, { from, intoId }) => {
+    const target = await trx("milestonetitles").where({ milestonetitleid: intoId }).first();
+    if (!target) {
+        throw new MilestoneError("Choose the title to merge into.");
+    }
+    if (!from || from === target.milestonetitle) {
+        throw new MilestoneError("Choose a different title to merge.");
+    }
+
+    const holders = trx("milestones").where("milestonetitle", target.milestonetitle).select("participantid");
+    await auditDelete(trx, actor, "milestones", (qb) =>
+        qb.where("milestonetitle", from).whereIn("participantid", holders)
+    );
+    const moved = await auditUpdate(trx, actor, "milestones", { milestonetitle: from }, {
+        milestonetitle: target.milestonetitle,
+    });
+    await auditDelete(trx, actor, "milestonetitles", { milestonetitle: from });
+    return moved.length;
+};
+
+// Only titles nobody holds can be removed; others are retired or merged
+const deleteTitle = async (trx, actor, milestonetitleid) => {
+    const entry = await trx("milestonetitles").where({ milestonetitleid }).forUpdate().first();
+    if (!entry) {
+        throw new MilestoneError("That milestone title no longer exists.");
+    }
+    const award = await trx("milestones").where("milestonetitle", entry.milestonetitle).first();
+    if (award) {
+        throw new MilestoneError(`"${entry.milestonetitle}" has been awarded; retire it or merge it instead.`);
+    }
+    await auditDelete(trx, actor, "milestonetitles", { milestonetitleid });
+};
+
+module.exports = {
+    MilestoneError,
+    listCatalog,
+    listUnlistedTitles,
+    activeTitles,
+    awardMilestone,
+    updateMilestone,
+    deleteMilestone,
+    addTitle,
+    updateTitle,
+    mergeTitle,
+    deleteTitle,
+};
@@ -0,0 +1,159 @@
+const { expandRecurrence } = require("./recurrence");
+const { auditInsert, auditUpdate, auditDelete } = require("./audit");
+
+// Registration deadlines follow each occurrence at the same distance as the template
+const deadlineFor = (start, offset) => (offset === null ? null : new Date(start.getTime() - offset));
+
+// Occurrence rows for a rule; `template` holds location, capacity and the first deadline
+const buildOccurrenceRows = (eventid, rule, template) => {
+    const series = expandRecurrence(rule);
+    const offset =
+        template.deadline && series.length > 0 ? series[0].start - new Date(template.deadline) : null;
+
+    return series.map(({ start, end }) => ({
+        eventid,
+        eventdatetimestart: start,
+        eventdatetimeend: end,
+        eventlocation: template.location,
+        eventcapacity: template.capacity,
+        eventregistrationdeadline: deadlineFor(start, offset),
+    }));
+};
+
+// Occurrences with registrations or surveys are cancelled instead of deleted
+const hasDependents = async (trx, eventoccurrenceid) => {
+    const [registration, survey] = await Promise.all([
+        trx("eventregistrations").where({ eventoccurrenceid }).first(),
+        trx("surveys").where({ eventoccurrenceid }).first(),
+    ]);
+    return Boolean(registration || survey);
+};
+
+// Bump the calendar SEQUENCE so subscribed calendars pick up the change.
+// Bookkeeping only, so it isn't written to the audit log.
+const touchOccurrences = (trx, where) =>
+    trx("eventoccurrences")
+        .where(where)
+        .update({
+            eventoccurrencesequence: trx.raw("eventoccurrencesequence + 1"),
+            eventoccurrenceupdatedat: new Date(),
+        });
+
+const cancelOccurrence = async (trx, eventoccurrenceid, actor) => {
+    await auditUpdate(trx, actor, "eventoccurrences", { eventoccurrenceid }, {
+        eventoccurrencecancelled: true,
+        eventoccurrencecancelledat: new Date(),
+    });
+    await touchOccurrences(trx, { eventoccurrenceid });
+};
+
+const restoreOccurrence = async (trx, eventoccurrenceid, actor) => {
+    await auditUpdate(trx, actor, "eventoccurrences", { eventoccurrenceid }, {
+        eventoccurrencecancelled: false,
+        eventoccurrencecancelledat: null,
+    });
+    await touchOccurrences(trx, { eventoccurrenceid });
+};
+
+// Insert every occurrence of a brand-new event
+const createOccurrences = async (trx, eventid, rule, template, actor) => {
+    const rows = buildOccurrenceRows(eventid, rule, template);
+    if (rows.length > 0) {
+        await auditInsert(trx, actor, "eventoccurrences", rows);
+    }
+    return rows.length;
+};
+
+// Replace `existing` occurrences with the expansion of `rule`, lined up by
+// their place in the series: the nth existing occurrence takes the nth new
+// date and keeps its row (and id, registrations, surveys and cancelled flag),
+// even when the series moves to another weekday. New dates past the end are
+// inserted; old occurrences past the end are deleted, or cancelled if
+// anything points at them.
+const reconcileOccurrences = async (trx, eventid, existing, rule, template, actor) => {
+    const rows = buildOccurrenceRows(eventid, rule, template);
+
+    for (const [index, row] of rows.entries()) {
+        const match = existing[index];
+        if (match) {
+            await auditUpdate(trx, actor, "eventoccurrences", { eventoccurrenceid: match.eventoccurrenceid }, row);
+        } else {
+            await auditInsert(trx, actor, "eventoccurrences", row);
+        }
+    }
+
+    for (const leftover of existing.slice(rows.length)) {
+        if (await hasDependents(trx, leftover.eventoccurrenceid)) {
+            await cancelOccurrence(trx, leftover.eventoccurrenceid, actor);
+        } else {
+            await auditDelete(trx, actor, "eventoccurrences", { eventoccurrenceid: leftover.eventoccurrenceid });
+        }
+    }
+};
+
+// Apply an edit made on one occurrence to "this", "following" or "all" occurrences.
+// `values` carries the new start/end/location/capacity/deadline from the form.
+const applyOccurrenceEdit = async (trx, { eventid, occurrence, scope, rule, values, actor }) => {
+    if (scope === "this") {
+        await auditUpdate(trx, actor, "eventoccurrences", { eventoccurrenceid: occurrence.eventoccurrenceid }, {
+            eventdatetimestart: values.start,
+            eventdatetimeend: values.end,
+            eventlocation: values.location,
+            eventcapacity: values.capacity,
+            eventregistrationdeadline: values.deadline || null,
+        });
+        return;
+    }
+
+    const all = await trx("eventoccurrences")
+        .where({ eventid })
+        .orderBy("eventdatetimestart", "asc");
+    const targetStart = new Date(occurrence.eventdatetimestart);
+    const newStart = new Date(values.start);
+    const newEnd = new Date(values.end);
+    const newDeadline = values.deadline ? new Date(values.deadline) : null;
+
+    let existing = all;
+    let anchorStart = newStart;
+    let count = rule.count;
+
+    if (scope === "all") {
+        // Shift the series start by however far this occurrence moved
+        const delta = newStart - targetStart;
+        anchorStart = new Date(new Date(all[0].eventdatetimestart).getTime() + delta);
+    } else {
+        existing = all.filter((o) => new Date(o.eventdatetimestart) >= targetStart);
+        const earlier = all.length - existing.length;
+        if (count) {
+            count = Math.max(parseInt(count, 10) - earlier, 1);
+        }
+    }
+
+    const duration = newEnd - newStart;
+    await reconcileOccurrences(
+        trx,
+        eventid,
+        existing,
+        {
+            frequency: rule.frequency,
+            start: anchorStart,
+            end: new Date(anchorStart.getTime() + duration),
+            until: rule.until,
+            count,
+        },
+        {
+            location: values.location,
+            capacity: values.capacity,
+            deadline: newDeadline ? new Date(anchorStart.getTime() - (newStart - newDeadline)) : null,
+        },
+        actor
+    );
+};
+
+module.exports = {
+    createOccurrences,
+    applyOccurrenceEdit,
+    cancelOccurrence,
+    restoreOccurrence,
+    touchOccurrences,
+};
@@ -0,0 +1,63 @@
+const db = require("../config/db");
+const { auditInsert, auditDelete } = require("./audit");
+
+// Note problems that should be shown to the user as-is
+class NoteError extends Error {}
+
+const MAX_NOTE_LENGTH = 5000;
+
+// Only roles that may write sensitive notes can mark one sensitive
+const readNote = (body, { sensitive = false } = {}) => {
+    const text = typeof body.notetext === "string" ? body.notetext.trim() : "";
+    if (!text) {
+        throw new NoteError("Write something in the note first.");
+    }
+    if (text.length > MAX_NOTE_LENGTH) {
+        throw new NoteError(`Notes are limited to ${MAX_NOTE_LENGTH} characters.`);
+    }
+    return { participantnotetext: text, participantnotesensitive: sensitive && body.notesensitive === "on" };
+};
+
+// Sensitive notes stay hidden unless the role may read them
+const visibleNotes = (qb, sensitive) => {
+    if (!sensitive) {
+        qb.where("participantnotesensitive", false);
+    }
+};
+
+// A participant's notes with who wrote them, newest first
+const listNotes = (participantid, { sensitive = false } = {}) =>
+    db("participantnotes as n")
+        .leftJoin("users as u", "n.participantnoteuserid", "u.id")
+        .where("n.participantid", participantid)
+        .modify(visibleNotes, sensitive)
+        .select("n.*", "u.username")
+        .orderBy([
+            { column: "n.participantnotecreatedat", order: "desc" },
+            { column: "n.participantnoteid", order: "desc" },
+        ]);
+
+const addNote = async (trx, actor, participantid, values) => {
+    const participant = await trx("participants").where({ participantid }).whereNull("participantdeletedat").first();
+    if (!participant) {
+        throw new NoteError("That participant no longer exists.");
+    }
+    const [note] = await auditInsert(trx, actor, "participantnotes", {
+        ...values,
+        participantid,
+        participantnoteuserid: actor.userid,
+    });
+    return note;
+};
+
+const deleteNote = async (trx, actor, participantid, participantnoteid, { sensitive = false } = {}) => {
+    const [note] = await auditDelete(trx, actor, "participantnotes", (qb) =>
+        qb.where({ participantid, participantnoteid }).modify(visibleNotes, sensitive)
+    );
+    if (!note) {
+        throw new NoteError("That note was already deleted.");
+    }
+    return note;
+};
+
+module.exports = { NoteError, readNote, listNotes, addNote, deleteNote };
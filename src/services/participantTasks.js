@@ -0,0 +1,195 @@
+const db = require("../config/db");
+const { auditInsert, auditUpdate, auditDelete } = require("./audit");
+const { rolePermissions, can } = require("./permissions");
+
+// Task problems that should be shown to the user as-is
+class TaskError extends Error {}
+
+const MAX_DETAILS_LENGTH = 5000;
+const DUE_SOON_DAYS = 7;
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || "") && !Number.isNaN(new Date(value).getTime());
+
+// YYYY-MM-DD in the app's local time zone, so "today" turns over at local
+// midnight rather than UTC's. Due dates come back from Postgres as local
+// midnight, so they read back as the day that was saved.
+const dateInput = (value) => {
+    if (!value) {
+        return "";
+    }
+    const date = new Date(value);
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const readTask = (body) => {
+    const title = typeof body.tasktitle === "string" ? body.tasktitle.trim() : "";
+    const details = typeof body.taskdetails === "string" ? body.taskdetails.trim() : "";
+    if (!title) {
+        throw new TaskError("Give the task a title.");
+    }
+    if (title.length > 255) {
+        throw new TaskError("Task titles are limited to 255 characters.");
+    }
+    if (details.length > MAX_DETAILS_LENGTH) {
+        throw new TaskError(`Task details are limited to ${MAX_DETAILS_LENGTH} characters.`);
+    }
+    if (body.taskduedate && !isDate(body.taskduedate)) {
+        throw new TaskError("Enter the due date as YYYY-MM-DD.");
+    }
+    if (body.taskassigneeid && !/^\d+$/.test(body.taskassigneeid)) {
+        throw new TaskError("Choose who the task is assigned to.");
+    }
+    return {
+        participanttasktitle: title,
+        participanttaskdetails: details || null,
+        participanttaskduedate: body.taskduedate || null,
+        participanttaskassigneeid: body.taskassigneeid ? Number(body.taskassigneeid) : null,
+    };
+};
+
+// Live staff accounts that can open a participant's profile, by username
+const assignableUsers = async () => {
+    const users = await db("users as u")
+        .join("roles as r", "u.roleid", "r.roleid")
+        .select("u.id", "u.username", "r.rolekey", "r.rolepermissions")
+        .whereNull("u.userdeletedat")
+        .orderBy("u.username");
+    return users
+        .filter((u) => can({ permissions: rolePermissions(u) }, "participants", "view"))
+        .map((u) => ({ id: u.id, username: u.username }));
+};
+
+const checkAssignee = async (assigneeid) => {
+    if (assigneeid === null) {
+        return;
+    }
+    const users = await assignableUsers();
+    if (!users.some((u) => u.id === assigneeid)) {
+        throw new TaskError("Tasks can only be assigned to staff who can see participants.");
+    }
+};
+
+// Tasks with the names of who they're assigned to, who created and who completed them
+const taskQuery = () =>
+    db("participanttasks as t")
+        .leftJoin("users as assignee", "t.participanttaskassigneeid", "assignee.id")
+        .leftJoin("users as creator", "t.participanttaskcreatedby", "creator.id")
+        .leftJoin("users as completer", "t.participanttaskcompletedby", "completer.id")
+        .select(
+            "t.*",
+            "assignee.username as assigneename",
+            "creator.username as creatorname",
+            "completer.username as completername"
+        );
+
+// Open tasks soonest due first (undated last), then completed ones newest first
+const participantTasks = (participantid) =>
+    taskQuery()
+        .where("t.participantid", participantid)
+        .orderByRaw("t.participanttaskcompletedat IS NOT NULL, t.participanttaskcompletedat DESC")
+        .orderByRaw("t.participanttaskduedate ASC NULLS LAST")
+        .orderBy("t.participanttaskid");
+
+// Overdue, due within a week, later (or undated), for the task list
+const groupByDue = (tasks, asOf = new Date()) => {
+    const today = dateInput(asOf);
+    const soon = dateInput(new Date(asOf.getTime() + DUE_SOON_DAYS * 24 * 60 * 60 * 1000));
+    const groups = { overdue: [], soon: [], later: [] };
+    tasks.forEach((task) => {
+        const due = dateInput(task.participanttaskduedate);
+        if (due && due < today) {
+            groups.overdue.push(task);
+        } else if (due && due <= soon) {
+            groups.soon.push(task);
+        } else {
+            groups.later.push(task);
+        }
+    });
+    return groups;
+};
+
+// Open tasks on live participants, for one assignee or everyone, and the
+// assignee's recently completed ones
+const taskList = async ({ assigneeid = null, completedLimit = 10 } = {}) => {
+    const forParticipants = (qb) =>
+        qb
+            .join("participants as p", "t.participantid", "p.participantid")
+            .whereNull("p.participantdeletedat")
+            .select("p.participantfirstname", "p.participantlastname");
+    const forAssignee = (qb) => {
+        if (assigneeid !== null) {
+            qb.where("t.participanttaskassigneeid", assigneeid);
+        }
+    };
+    const [open, completed] = await Promise.all([
+        taskQuery()
+            .modify(forParticipants)
+            .modify(forAssignee)
+            .whereNull("t.participanttaskcompletedat")
+            .orderByRaw("t.participanttaskduedate ASC NULLS LAST")
+            .orderBy("t.participanttaskid"),
+        taskQuery()
+            .modify(forParticipants)
+            .modify(forAssignee)
+            .whereNotNull("t.participanttaskcompletedat")
+            .orderBy("t.participanttaskcompletedat", "desc")
+            .limit(completedLimit),
+    ]);
+    return { ...groupByDue(open), completed };
+};
+
+const findTask = (participantid, participanttaskid) =>
+    db("participanttasks").where({ participantid, participanttaskid }).first();
+
+const createTask = async (trx, actor, participantid, values) => {
+    const participant = await trx("participants").where({ participantid }).whereNull("participantdeletedat").first();
+    if (!participant) {
+        throw new TaskError("That participant no longer exists.");
+    }
+    await checkAssignee(values.participanttaskassigneeid);
+    const [task] = await auditInsert(trx, actor, "participanttasks", {
+        ...values,
+        participantid,
+        participanttaskcreatedby: actor.userid,
+    });
+    return task;
+};
+
+// Mark a task done (or not done again)
+const setTaskCompleted = async (trx, actor, participantid, participanttaskid, completed) => {
+    const [task] = await auditUpdate(
+        trx,
+        actor,
+        "participanttasks",
+        { participantid, participanttaskid },
+        completed
+            ? { participanttaskcompletedat: new Date(), participanttaskcompletedby: actor.userid }
+            : { participanttaskcompletedat: null, participanttaskcompletedby: null }
+    );
+    if (!task) {
+        throw new TaskError("That task was deleted.");
+    }
+    return task;
+};
+
+const deleteTask = async (trx, actor, participantid, participanttaskid) => {
+    const [task] = await auditDelete(trx, actor, "participanttasks", { participantid, participanttaskid });
+    if (!task) {
+        throw new TaskError("That task was already deleted.");
+    }
+    return task;
+};
+
+module.exports = {
+    TaskError,
+    dateInput,
+    readTask,
+    assignableUsers,
+    participantTasks,
+    taskList,
+    findTask,
+    createTask,
+    setTaskCompleted,
+    deleteTask,
+};
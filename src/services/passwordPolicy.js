@@ -0,0 +1,52 @@
+const { passwordPolicy } = require("../config/auth");
+
+// A few of the most-used passwords; anything on this list is refused outright
+const COMMON_PASSWORDS = new Set([
+    "password", "password1", "password123", "passw0rd", "123456", "12345678", "123456789",
+    "1234567890", "qwerty", "qwerty123", "abc123", "111111", "letmein", "welcome",
+    "welcome1", "iloveyou", "admin", "admin123", "monkey", "dragon", "sunshine",
+    "football", "baseball", "princess", "changeme", "ellarises", "ellarises1",
+]);
+
+// Human-readable rules, for the hint under password fields
+const passwordRules = () => {
+    const rules = [`at least ${passwordPolicy.minLength} characters`];
+    if (passwordPolicy.requireMixedCase) {
+        rules.push("upper and lower case letters");
+    }
+    if (passwordPolicy.requireNumber) {
+        rules.push("a number");
+    }
+    if (passwordPolicy.requireSymbol) {
+        rules.push("a symbol");
+    }
+    return `Use ${rules.join(", ")}. Avoid common passwords and your username.`;
+};
+
+// Problems with a proposed password, as sentences; empty when it passes
+const checkPassword = (password, { username } = {}) => {
+    const value = String(password || "");
+    const problems = [];
+
+    if (value.length < passwordPolicy.minLength) {
+        problems.push(`Password must be at least ${passwordPolicy.minLength} characters.`);
+    }
+    if (passwordPolicy.requireMixedCase && !(/[a-z]/.test(value) && /[A-Z]/.test(value))) {
+        problems.push("Password must mix upper and lower case letters.");
+    }
+    if (passwordPolicy.requireNumber && !/[0-9]/.test(value)) {
+        problems.push("Password must include a number.");
+    }
+    if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+        problems.push("Password must include a symbol.");
+    }
+    if (username && username.length >= 3 && value.toLowerCase().includes(String(username).toLowerCase())) {
+        problems.push("Password can't contain the username.");
+    }
+    if (COMMON_PASSWORDS.has(value.toLowerCase())) {
+        problems.push("That password is too common.");
+    }
+    return problems;
+};
+
+module.exports = { checkPassword, passwordRules };
@@ -0,0 +1,106 @@
+const crypto = require("crypto");
+
+const db = require("../config/db");
+const { passwordReset } = require("../config/auth");
+const { auditUpdate } = require("./audit");
+const { sendMail } = require("./mailer");
+
+// Raised for reset links that are unknown, used or expired
+class PasswordResetError extends Error {}
+
+// At most this many reset emails per account per hour
+const MAX_REQUESTS_PER_HOUR = 3;
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const findAccount = (identifier) =>
+    db("users")
+        .where((qb) => qb.where("username", identifier).orWhereRaw("LOWER(useremail) = LOWER(?)", [identifier]))
+        .whereNull("userdeletedat")
+        .first();
+
+// Email a reset link to the account with this username or email address.
+// Resolves the same way whether or not an account matched, so the form
+// can't be used to find out who has an account.
+const requestReset = async (identifier, { ip, baseUrl }) => {
+    const value = String(identifier || "").trim();
+    if (!value) {
+        return;
+    }
+
+    const account = await findAccount(value);
+    if (!account || !account.useremail) {
+        return;
+    }
+
+    const { recent } = await db("passwordresets")
+        .where("userid", account.id)
+        .where("passwordresetcreatedat", ">", db.raw("NOW() - INTERVAL '1 hour'"))
+        .first(db.raw("COUNT(*)::int AS recent"));
+    if (recent >= MAX_REQUESTS_PER_HOUR) {
+        return;
+    }
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    await db.transaction(async (trx) => {
+        // Only the newest link works
+        await trx("passwordresets")
+            .where("userid", account.id)
+            .whereNull("passwordresetusedat")
+            .update({ passwordresetusedat: db.fn.now() });
+        await trx("passwordresets").insert({
+            userid: account.id,
+            passwordresethash: hashToken(token),
+            passwordresetexpiresat: db.raw("NOW() + make_interval(mins => ?)", [passwordReset.ttlMinutes]),
+            passwordresetrequestip: ip ? String(ip).slice(0, 64) : null,
+        });
+    });
+
+    await sendMail({
+        to: account.useremail,
+        subject: "Reset your Ella Rises password",
+        text: [
+            `Hi ${account.username},`,
+            "",
+            "Someone asked to reset the password for your Ella Rises account.",
+            `Use this link within ${passwordReset.ttlMinutes} minutes to choose a new one:`,
+            "",
+            `${baseUrl}/reset-password/${token}`,
+            "",
+            "If you didn't ask for this, you can ignore this email; your password won't change.",
+        ].join("\n"),
+    });
+};
+
+// The unused, unexpired reset for a token, with its account, or null
+const findValidReset = (trx, token) =>
+    trx("passwordresets as pr")
+        .join("users as u", "pr.userid", "u.id")
+        .select("pr.passwordresetid", "u.id", "u.username")
+        .where("pr.passwordresethash", hashToken(token))
+        .whereNull("pr.passwordresetusedat")
+        .where("pr.passwordresetexpiresat", ">", db.fn.now())
+        .whereNull("u.userdeletedat")
+        .first();
+
+// Set the new (already hashed) password and use up every outstanding link
+// for the account. Returns the account.
+const completeReset = async (trx, token, hashedPassword) => {
+    const reset = await findValidReset(trx, token).forUpdate();
+    if (!reset) {
+        throw new PasswordResetError("This reset link is invalid or has expired. Please request a new one.");
+    }
+
+    await auditUpdate(trx, { userid: reset.id, username: reset.username }, "users", { id: reset.id }, {
+        password: hashedPassword,
+        userpasswordchangedat: db.fn.now(),
+    });
+    await trx("passwordresets")
+        .where("userid", reset.id)
+        .whereNull("passwordresetusedat")
+        .update({ passwordresetusedat: db.fn.now() });
+
+    return { id: reset.id, username: reset.username };
+};
+
+module.exports = { PasswordResetError, requestReset, findValidReset, completeReset };
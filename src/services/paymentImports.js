@@ -0,0 +1,502 @@
+const db = require("../config/db");
+const { auditInsert } = require("./audit");
+const { createDonor } = require("./donors");
+const { ImportError } = require("./importer");
+
+// Column names in each processor's export, checked in order. Stripe's balance
+// history and itemized payout reports name the same columns differently.
+const PROCESSORS = {
+    paypal: {
+        label: "PayPal",
+        method: "Online",
+        columns: {
+            transactionid: ["Transaction ID"],
+            original: ["Reference Txn ID"],
+            date: ["Date"],
+            type: ["Type"],
+            status: ["Status"],
+            currency: ["Currency"],
+            amount: ["Gross"],
+            fee: ["Fee"],
+            net: ["Net"],
+            email: ["From Email Address"],
+            name: ["Name"],
+            description: ["Subject", "Item Title", "Note"],
+            payout: ["Payout ID"],
+        },
+    },
+    stripe: {
+        label: "Stripe",
+        method: "Credit Card",
+        columns: {
+            transactionid: ["id", "balance_transaction_id"],
+            original: ["charge_id", "Charge ID", "source_id", "Source"],
+            date: ["Created (UTC)", "created_utc", "created"],
+            type: ["Type", "reporting_category"],
+            status: ["Status"],
+            currency: ["Currency"],
+            amount: ["Amount", "gross"],
+            fee: ["Fee"],
+            net: ["Net"],
+            email: ["Customer Email", "customer_email"],
+            name: ["Customer Name", "customer_name", "Card Name", "Customer Description", "customer_description"],
+            description: ["Description"],
+            payout: ["Transfer", "automatic_payout_id", "Payout ID", "payout_id"],
+        },
+    },
+};
+
+// Without these a file can't be imported
+const REQUIRED_COLUMNS = ["transactionid", "date", "amount"];
+
+// Gifts are recorded in dollars; rows in another currency are rejected
+const CURRENCY = "USD";
+
+// Rows that never became money in the account
+const SKIPPED_STATUSES = /^(pending|failed|denied|declined|canceled|cancelled|voided|expired|unclaimed)$/i;
+// Payouts, processor fees, holds and the like: money moving, but not a gift
+const NOT_GIFTS = /withdraw|payout|transfer|fee|conversion|hold|authori[sz]ation|adjustment|tax/i;
+const REFUNDS = /refund|reversal|chargeback|dispute/i;
+// Checked before REFUNDS: a "Chargeback Fee" or "dispute_fee" is the processor's
+// charge, not money back to the donor
+const FEES = /fee/i;
+
+const normalizeHeader = (value) => String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const cents = (value) => Math.round(value * 100) / 100;
+
+// The header in the file for each field, or "" when it has none
+const matchColumns = (processor, headers) => {
+    const columns = {};
+    for (const [field, names] of Object.entries(processor.columns)) {
+        const wanted = names.map(normalizeHeader);
+        columns[field] = headers.find((header) => wanted.includes(normalizeHeader(header))) || "";
+    }
+    return columns;
+};
+
+// Which processor exported the file, judged by its headers
+const detectProcessor = (headers) => {
+    for (const [key, processor] of Object.entries(PROCESSORS)) {
+        const columns = matchColumns(processor, headers);
+        if (REQUIRED_COLUMNS.every((field) => columns[field])) {
+            return key;
+        }
+    }
+    throw new ImportError(
+        "This doesn't look like a Stripe or PayPal export. Stripe files need id, Created (UTC) and Amount " +
+            "columns; PayPal files need Transaction ID, Date and Gross."
+    );
+};
+
+// "$1,234.50", "-25.00" or "(25.00)" as a number; null when blank
+const readAmount = (raw) => {
+    const value = raw.replace(/[$,\s]/g, "");
+    if (!value) {
+        return null;
+    }
+    const amount = Number(value.replace(/^\((.*)\)$/, "$1"));
+    return /^\(.*\)$/.test(value) ? -amount : amount;
+};
+
+// Stripe writes 2024-03-01 14:22:10, PayPal 3/1/2024
+const readDate = (raw) => {
+    let match = raw.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) {
+        return `${match[1]}-${match[2]}-${match[3]}`;
+    }
+    match = raw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    if (match) {
+        return `${match[3]}-${match[1].padStart(2, "0")}-${match[2].padStart(2, "0")}`;
+    }
+    return null;
+};
+
+const isDate = (value) => Boolean(value) && !Number.isNaN(new Date(value).getTime());
+
+// A full name split for a new donor: everything but the last word is the first name
+const nameParts = (name) => {
+    const words = String(name || "").trim().split(/\s+/).filter(Boolean);
+    return words.length < 2 ? null : { firstname: words.slice(0, -1).join(" "), lastname: words[words.length - 1] };
+};
+
+// One row of the file: what it is (gift, refund or skip) and its amounts
+const readTransaction = (columns, row, index, seen) => {
+    const cell = (field) => (columns[field] ? String(row[columns[field]] ?? "").trim() : "");
+    const amount = readAmount(cell("amount"));
+    const transaction = {
+        rowNumber: index + 2,
+        transactionid: cell("transactionid"),
+        original: cell("original") || null,
+        date: readDate(cell("date")),
+        type: cell("type"),
+        email: cell("email").toLowerCase() || null,
+        name: cell("name") || null,
+        description: cell("description") || null,
+        payout: cell("payout") || null,
+        amount,
+        kind: "gift",
+        reason: null,
+        errors: [],
+    };
+    const status = cell("status");
+    const currency = cell("currency");
+
+    if (status && SKIPPED_STATUSES.test(status)) {
+        return { ...transaction, kind: "skip", reason: `Status is ${status}.` };
+    }
+    const { type } = transaction;
+    if (type && (FEES.test(type) || (NOT_GIFTS.test(type) && !REFUNDS.test(type)))) {
+        return { ...transaction, kind: "skip", reason: `${type} isn't a gift.` };
+    }
+    if (!transaction.transactionid) {
+        transaction.errors.push("The transaction ID is missing.");
+    } else if (seen.has(transaction.transactionid)) {
+        return { ...transaction, kind: "skip", reason: "Listed earlier in this file." };
+    }
+    seen.add(transaction.transactionid);
+
+    if (!isDate(transaction.date)) {
+        transaction.errors.push("The date isn't one we can read.");
+    }
+    if (amount === null || !Number.isFinite(amount) || amount === 0) {
+        transaction.errors.push("The amount is missing or isn't a number.");
+        return transaction;
+    }
+    if (currency && currency.toUpperCase() !== CURRENCY) {
+        transaction.errors.push(`The amount is in ${currency}; only ${CURRENCY} gifts can be imported.`);
+    }
+
+    if (amount < 0 || REFUNDS.test(transaction.type)) {
+        transaction.kind = "refund";
+        transaction.amount = -Math.abs(amount);
+    }
+
+    // Stripe lists fees as positive, PayPal as negative; net settles it when present
+    const net = readAmount(cell("net"));
+    const fee = readAmount(cell("fee"));
+    if (Number.isFinite(net)) {
+        transaction.fee = cents(transaction.amount - net);
+    } else {
+        transaction.fee = Number.isFinite(fee) ? cents(Math.sign(transaction.amount) * Math.abs(fee)) : 0;
+    }
+    transaction.net = cents(transaction.amount - transaction.fee);
+    return transaction;
+};
+
+// Live donors with any of these emails or names, keyed for matching
+const loadDonors = async (trx, transactions) => {
+    const emails = [...new Set(transactions.map((t) => t.email).filter(Boolean))];
+    const names = [...new Set(transactions.map((t) => t.name && t.name.toLowerCase()).filter(Boolean))];
+    const [byEmail, byName] = await Promise.all([
+        emails.length
+            ? trx("donors").whereNull("donordeletedat").whereIn(trx.raw("LOWER(donoremail)"), emails).orderBy("donorid")
+            : [],
+        names.length
+            ? trx("donors").whereNull("donordeletedat").whereIn(trx.raw("LOWER(donorname)"), names).orderBy("donorid")
+            : [],
+    ]);
+
+    const emailMap = new Map();
+    byEmail.forEach((donor) => {
+        const key = donor.donoremail.toLowerCase();
+        if (!emailMap.has(key)) {
+            emailMap.set(key, donor);
+        }
+    });
+    // Only a name that belongs to a single donor counts as a match
+    const nameMap = new Map();
+    byName.forEach((donor) => {
+        const key = donor.donorname.toLowerCase();
+        nameMap.set(key, nameMap.has(key) ? null : donor);
+    });
+    return { emailMap, nameMap };
+};
+
+// The donor on file for a transaction, by email first, then by name
+const matchDonor = (transaction, { emailMap, nameMap }) => {
+    if (transaction.email && emailMap.get(transaction.email)) {
+        return { donor: emailMap.get(transaction.email), matchedBy: "email" };
+    }
+    if (transaction.name && nameMap.get(transaction.name.toLowerCase())) {
+        return { donor: nameMap.get(transaction.name.toLowerCase()), matchedBy: "name" };
+    }
+    return null;
+};
+
+// Totals per payout batch, as the processor reports them. Already-imported
+// rows still count: they are part of the payout. Skipped rows are only
+// counted in a batch that has gifts or refunds.
+const batchTotals = (transactions) => {
+    const batches = new Map();
+    const ordered = [...transactions.filter((t) => t.kind !== "skip"), ...transactions.filter((t) => t.kind === "skip")];
+    ordered.forEach((transaction) => {
+        const key = transaction.payout || "";
+        if (transaction.kind === "skip") {
+            if (batches.has(key)) {
+                batches.get(key).skipped += 1;
+            }
+            return;
+        }
+        const batch = batches.get(key) || {
+            payout: transaction.payout,
+            gifts: 0,
+            gross: 0,
+            refunds: 0,
+            refunded: 0,
+            fees: 0,
+            net: 0,
+            imported: 0,
+            alreadyImported: 0,
+            skipped: 0,
+            transactionids: [],
+        };
+        if (transaction.kind === "gift") {
+            batch.gifts += 1;
+            batch.gross = cents(batch.gross + transaction.amount);
+        } else {
+            batch.refunds += 1;
+            batch.refunded = cents(batch.refunded + transaction.amount);
+        }
+        batch.fees = cents(batch.fees + transaction.fee);
+        batch.net = cents(batch.net + transaction.net);
+        batch[transaction.duplicate ? "alreadyImported" : "imported"] += 1;
+        batch.transactionids.push(transaction.transactionid);
+        batches.set(key, batch);
+    });
+    return Array.from(batches.values());
+};
+
+// Decide what happens to every row of the file: a new gift or refund (and
+// whose), skipped, or an error that blocks the import
+const planImport = async (trx, pending) => {
+    const processor = PROCESSORS[pending.processor];
+    const columns = matchColumns(processor, pending.headers);
+    const seen = new Set();
+    const transactions = pending.rows.map((row, index) => readTransaction(columns, row, index, seen));
+    const valid = transactions.filter((t) => t.kind !== "skip" && t.errors.length === 0);
+
+    // Transactions imported before, from this file or another, are skipped
+    const ids = valid.map((t) => t.transactionid);
+    const existing = new Set(
+        ids.length
+            ? await trx("donations")
+                  .where("donationprocessor", processor.label)
+                  .whereIn("donationtransactionid", ids)
+                  .pluck("donationtransactionid")
+            : []
+    );
+    valid.forEach((t) => {
+        t.duplicate = existing.has(t.transactionid);
+    });
+
+    // Gifts a refund can reverse: on file already, or earlier in this file.
+    // A refund names the original by its transaction ID or (Stripe) its charge.
+    const originals = [...new Set(valid.filter((t) => t.kind === "refund" && t.original).map((t) => t.original))];
+    const giftsOnFile = originals.length
+        ? await trx("donations")
+              .where("donationprocessor", processor.label)
+              .where("donationamount", ">", 0)
+              .where((qb) => qb.whereIn("donationtransactionid", originals).orWhereIn("donationreference", originals))
+              .select("donationid", "donorid", "donationtransactionid", "donationreference", "donationdesignation", "campaignid")
+        : [];
+    const giftsInFile = new Map();
+    valid
+        .filter((t) => t.kind === "gift" && !t.duplicate)
+        .forEach((t) => {
+            giftsInFile.set(t.transactionid, t);
+            if (t.original) {
+                giftsInFile.set(t.original, t);
+            }
+        });
+
+    const donors = await loadDonors(trx, valid);
+    const newDonors = new Map();
+
+    valid.forEach((t) => {
+        if (t.kind === "refund") {
+            t.refundOf =
+                giftsOnFile.find((gift) => gift.donationtransactionid === t.original || gift.donationreference === t.original) ||
+                null;
+            t.refundOfTransaction = !t.refundOf && t.original ? giftsInFile.get(t.original) || null : null;
+        }
+        if (t.duplicate) {
+            return;
+        }
+
+        if (t.refundOf) {
+            t.donorid = t.refundOf.donorid;
+            t.matchedBy = "original gift";
+            return;
+        }
+        if (t.refundOfTransaction) {
+            t.matchedBy = "original gift";
+            return;
+        }
+
+        const match = matchDonor(t, donors);
+        if (match) {
+            t.donorid = match.donor.donorid;
+            t.donorname = match.donor.donorname;
+            t.matchedBy = match.matchedBy;
+        } else if (t.kind === "refund") {
+            // Nothing on file to adjust
+            t.kind = "skip";
+            t.reason = "Refund of a gift that isn't on file.";
+        } else {
+            const parts = nameParts(t.name);
+            const key = t.email || (t.name && t.name.toLowerCase());
+            if (!parts && !newDonors.has(key)) {
+                t.errors.push("No donor on file has this email or name, and there's no full name to add one with.");
+            } else {
+                newDonors.set(key, newDonors.get(key) || { ...parts, email: t.email });
+                t.newDonorKey = key;
+                t.matchedBy = "new donor";
+            }
+        }
+    });
+
+    const errorRows = transactions.filter((t) => t.errors.length > 0);
+    return {
+        processor,
+        transactions,
+        errorRows,
+        newDonors,
+        toImport: transactions.filter((t) => t.kind !== "skip" && !t.duplicate && t.errors.length === 0),
+        batches: batchTotals(transactions.filter((t) => t.errors.length === 0)),
+    };
+};
+
+// Check the file again and record its new gifts and refunds, all or nothing
+const commitPaymentImport = (pending, actor) =>
+    db.transaction(async (trx) => {
+        const plan = await planImport(trx, pending);
+        if (plan.errorRows.length > 0) {
+            throw new ImportError(`${plan.errorRows.length} row(s) still have errors. Nothing was imported.`);
+        }
+
+        const [record] = await trx("paymentimports")
+            .insert({
+                paymentimportprocessor: plan.processor.label,
+                paymentimportfilename: pending.filename,
+                paymentimportbatches: JSON.stringify(plan.batches),
+                paymentimportuserid: actor.userid,
+            })
+            .returning("*");
+
+        // Gifts go first so refunds in the same file can point at them
+        const created = new Map();
+        const inserted = new Map();
+        const ordered = [...plan.toImport].sort((a, b) => (a.kind === b.kind ? 0 : a.kind === "gift" ? -1 : 1));
+        for (const t of ordered) {
+            let donorid = t.donorid;
+            let refundof = t.refundOf ? t.refundOf.donationid : null;
+            let original = t.refundOf;
+            if (t.refundOfTransaction) {
+                original = inserted.get(t.refundOfTransaction.transactionid);
+                donorid = original.donorid;
+                refundof = original.donationid;
+            }
+            if (t.newDonorKey) {
+                if (!created.has(t.newDonorKey)) {
+                    created.set(t.newDonorKey, await createDonor(trx, actor, plan.newDonors.get(t.newDonorKey)));
+                }
+                donorid = created.get(t.newDonorKey).donorid;
+            }
+
+            const [donation] = await auditInsert(trx, actor, "donations", {
+                donorid,
+                donationdate: t.date,
+                donationamount: t.amount,
+                donationmethod: plan.processor.method,
+                donationdesignation: original ? original.donationdesignation : null,
+                campaignid: original ? original.campaignid : null,
+                donationreference: t.kind === "gift" ? t.original : null,
+                donationnotes: t.kind === "refund" ? `Refund${t.description ? `: ${t.description}` : ""}` : t.description,
+                donationprocessor: plan.processor.label,
+                donationtransactionid: t.transactionid,
+                donationpayoutid: t.payout,
+                donationfee: t.fee,
+                donationrefundof: refundof,
+                paymentimportid: record.paymentimportid,
+            });
+            inserted.set(t.transactionid, donation);
+        }
+
+        return { record, imported: plan.toImport.length, newDonors: created.size };
+    });
+
+const recentPaymentImports = () =>
+    db("paymentimports as pi")
+        .leftJoin("users as u", "pi.paymentimportuserid", "u.id")
+        .select("pi.*", "u.username")
+        .orderBy("pi.paymentimportcreatedat", "desc")
+        .limit(20);
+
+// Each payout batch in an imported file beside what is on file for the same
+// transactions now. A difference means a gift was deleted or edited since.
+const reconciliationReport = async (paymentimportid) => {
+    const record = await db("paymentimports as pi")
+        .leftJoin("users as u", "pi.paymentimportuserid", "u.id")
+        .where("pi.paymentimportid", paymentimportid)
+        .select("pi.*", "u.username")
+        .first();
+    if (!record) {
+        return null;
+    }
+
+    const ids = record.paymentimportbatches.flatMap((batch) => batch.transactionids);
+    const gifts = ids.length
+        ? await db("donations")
+              .where("donationprocessor", record.paymentimportprocessor)
+              .whereIn("donationtransactionid", ids)
+              .whereNull("donationdeletedat")
+              .select("donationtransactionid", "donationamount", "donationfee")
+        : [];
+    const byTransaction = new Map(gifts.map((gift) => [gift.donationtransactionid, gift]));
+
+    const batches = record.paymentimportbatches.map(({ transactionids, ...batch }) => {
+        const recorded = { gifts: 0, gross: 0, refunds: 0, refunded: 0, fees: 0, net: 0, missing: 0 };
+        transactionids.forEach((id) => {
+            const gift = byTransaction.get(id);
+            if (!gift) {
+                recorded.missing += 1;
+                return;
+            }
+            const amount = Number(gift.donationamount);
+            const fee = Number(gift.donationfee || 0);
+            if (amount > 0) {
+                recorded.gifts += 1;
+                recorded.gross = cents(recorded.gross + amount);
+            } else {
+                recorded.refunds += 1;
+                recorded.refunded = cents(recorded.refunded + amount);
+            }
+            recorded.fees = cents(recorded.fees + fee);
+            recorded.net = cents(recorded.net + amount - fee);
+        });
+        return { ...batch, recorded, difference: cents(batch.net - recorded.net) };
+    });
+
+    const sum = (key) => cents(batches.reduce((total, batch) => total + batch[key], 0));
+    return {
+        record,
+        batches,
+        totals: {
+            gross: sum("gross"),
+            refunded: sum("refunded"),
+            fees: sum("fees"),
+            net: sum("net"),
+            recordedNet: cents(batches.reduce((total, batch) => total + batch.recorded.net, 0)),
+        },
+    };
+};
+
+module.exports = {
+    PROCESSORS,
+    detectProcessor,
+    planImport,
+    commitPaymentImport,
+    recentPaymentImports,
+    reconciliationReport,
+};
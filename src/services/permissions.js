@@ -0,0 +1,95 @@
+const db = require("../config/db");
+
+// What a role can be granted, per resource. Public pages (the event list,
+// registering, donating, leaving a survey) need no permission at all.
+const PERMISSION_RESOURCES = {
+    participants: { label: "Participants", actions: ["view", "create", "edit", "delete", "export"] },
+    events: { label: "Events", actions: ["create", "edit", "delete"] },
+    attendance: { label: "Check-in & Rosters", actions: ["view", "edit"] },
+    donations: { label: "Donations", actions: ["view", "create", "edit", "delete", "export"] },
+    surveys: { label: "Surveys", actions: ["view", "create", "edit", "delete", "export"] },
+    milestones: { label: "Milestones", actions: ["view", "create", "edit", "delete", "export"] },
+    // Reading and writing case notes marked sensitive (managers)
+    sensitiveNotes: { label: "Sensitive Case Notes", actions: ["view", "create"] },
+    imports: { label: "CSV Import", actions: ["create"] },
+    users: { label: "Users, Roles & Security", actions: ["view", "create", "edit", "delete"] },
+    audit: { label: "Activity Log", actions: ["view"] },
+    recycleBin: { label: "Recycle Bin", actions: ["view", "edit", "delete"] },
+};
+
+const PERMISSION_ACTIONS = { view: "View", create: "Create", edit: "Edit", delete: "Delete", export: "Export" };
+
+// Built-in roles, by rolekey
+const ADMIN_ROLE = "admin";
+const MEMBER_ROLE = "member";
+
+const allPermissions = () => {
+    const permissions = {};
+    for (const [resource, { actions }] of Object.entries(PERMISSION_RESOURCES)) {
+        permissions[resource] = [...actions];
+    }
+    return permissions;
+};
+
+// Keep only known resources and actions, in catalog order
+const cleanPermissions = (permissions) => {
+    const cleaned = {};
+    for (const [resource, { actions }] of Object.entries(PERMISSION_RESOURCES)) {
+        const granted = (permissions && permissions[resource]) || [];
+        const allowed = actions.filter((action) => granted.includes(action));
+        if (allowed.length > 0) {
+            cleaned[resource] = allowed;
+        }
+    }
+    return cleaned;
+};
+
+// A role's effective permissions; the admin role always has all of them
+const rolePermissions = (role) => (role.rolekey === ADMIN_ROLE ? allPermissions() : cleanPermissions(role.rolepermissions));
+
+const can = (user, resource, action) =>
+    Boolean(user && user.permissions && user.permissions[resource] && user.permissions[resource].includes(action));
+
+// Whether every permission in `granted` is also in `held`; nobody can hand
+// out (or build into a role) more access than they have themselves
+const permissionsWithin = (granted, held) =>
+    Object.entries(granted).every(([resource, actions]) =>
+        actions.every((action) => Boolean(held && held[resource] && held[resource].includes(action)))
+    );
+
+// Staff are accounts whose role grants anything; members have no permissions
+const isStaff = (user) => Boolean(user && user.permissions && Object.keys(user.permissions).length > 0);
+
+// The signed-in user as kept in the session, with their role's permissions
+const sessionUser = (row) => ({
+    id: row.id,
+    username: row.username,
+    roleid: row.roleid,
+    role: row.rolename,
+    permissions: rolePermissions(row),
+    participantid: row.participantid || null,
+});
+
+// A live account with its role, or undefined for missing and deleted users
+const loadAccount = (userid) =>
+    db("users as u")
+        .join("roles as r", "u.roleid", "r.roleid")
+        .select("u.*", "r.rolekey", "r.rolename", "r.rolepermissions")
+        .where("u.id", userid)
+        .whereNull("u.userdeletedat")
+        .first();
+
+module.exports = {
+    PERMISSION_RESOURCES,
+    PERMISSION_ACTIONS,
+    ADMIN_ROLE,
+    MEMBER_ROLE,
+    allPermissions,
+    cleanPermissions,
+    rolePermissions,
+    can,
+    permissionsWithin,
+    isStaff,
+    sessionUser,
+    loadAccount,
+};
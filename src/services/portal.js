@@ -0,0 +1,306 @@
+const crypto = require("crypto");
+
+const db = require("../config/db");
+const { portalInvite } = require("../config/auth");
+const { auditUpdate } = require("./audit");
+const { sendMail } = require("./mailer");
+
+// Raised for portal problems that should be shown to the user as-is
+class PortalError extends Error {}
+
+// At most this many verification emails per account per hour
+const MAX_REQUESTS_PER_HOUR = 3;
+
+// What a participant can change about themselves; names, date of birth and
+// their program role stay with staff
+const CONTACT_FIELDS = {
+    participantemail: { label: "Email", type: "email", required: true },
+    participantphone: { label: "Phone", type: "tel" },
+    participantcity: { label: "City", type: "text" },
+    participantstate: { label: "State", type: "text" },
+    participantzip: { label: "ZIP Code", type: "text" },
+    participantschooloremployer: { label: "School or Employer", type: "text" },
+    participantfieldofinterest: { label: "Field of Interest", type: "text" },
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const findParticipant = (trx, participantid) =>
+    trx("participants").where({ participantid }).whereNull("participantdeletedat").first();
+
+// The live account linked to a participant, if any
+const linkedAccount = (participantid, trx = db) =>
+    trx("users").select("id", "username").where({ participantid }).whereNull("userdeletedat").first();
+
+// Store a new link for the participant (voiding their older ones) and email it
+const sendLink = async ({ participant, email, userid, createdby, expires, subject, intro, baseUrl }) => {
+    const token = crypto.randomBytes(32).toString("base64url");
+    await db.transaction(async (trx) => {
+        await trx("portalinvites")
+            .where("participantid", participant.participantid)
+            .whereNull("portalinviteusedat")
+            .update({ portalinviteusedat: db.fn.now() });
+        await trx("portalinvites").insert({
+            participantid: participant.participantid,
+            userid: userid || null,
+            portalinvitehash: hashToken(token),
+            portalinviteemail: email,
+            portalinvitecreatedby: createdby || null,
+            portalinviteexpiresat: expires,
+        });
+    });
+
+    await sendMail({
+        to: email,
+        subject,
+        text: [
+            `Hi ${participant.participantfirstname},`,
+            "",
+            ...intro,
+            "",
+            `${baseUrl}/portal/link/${token}`,
+            "",
+            "If you weren't expecting this, you can ignore this email.",
+        ].join("\n"),
+    });
+};
+
+// Staff invitation: emails the participant a link that connects whichever
+// account opens it (a new one, or one they already have)
+const inviteParticipant = async (actor, participantid, { baseUrl }) => {
+    const participant = await findParticipant(db, participantid);
+    if (!participant) {
+        throw new PortalError("Participant not found.");
+    }
+    if (!participant.participantemail) {
+        throw new PortalError("Add an email address for this participant before inviting them.");
+    }
+    const account = await linkedAccount(participantid);
+    if (account) {
+        throw new PortalError(`This participant is already linked to the account "${account.username}".`);
+    }
+
+    await sendLink({
+        participant,
+        email: participant.participantemail,
+        createdby: actor.userid,
+        expires: db.raw("NOW() + make_interval(hours => ?)", [portalInvite.inviteTtlHours]),
+        subject: "You're invited to the Ella Rises participant portal",
+        intro: [
+            "Ella Rises has invited you to the participant portal, where you can keep your contact",
+            "details up to date, see your milestones and events, and sign up for what's coming next.",
+            `Open this link within ${Math.round(portalInvite.inviteTtlHours / 24)} days to create an account or connect the one you have:`,
+        ],
+        baseUrl,
+    });
+    return participant;
+};
+
+// A signed-in user claiming a participant record by its email address. The
+// link goes to that address, so only its owner can finish. Resolves the same
+// way whether or not a record matched.
+const requestVerification = async (user, email, { baseUrl }) => {
+    const value = String(email || "").trim();
+    if (!value) {
+        throw new PortalError("Enter the email address you use with Ella Rises.");
+    }
+
+    const participant = await db("participants")
+        .whereRaw("LOWER(participantemail) = LOWER(?)", [value])
+        .whereNull("participantdeletedat")
+        .orderBy("participantid")
+        .first();
+    if (!participant || (await linkedAccount(participant.participantid))) {
+        return;
+    }
+
+    const { recent } = await db("portalinvites")
+        .where("userid", user.id)
+        .where("portalinvitecreatedat", ">", db.raw("NOW() - INTERVAL '1 hour'"))
+        .first(db.raw("COUNT(*)::int AS recent"));
+    if (recent >= MAX_REQUESTS_PER_HOUR) {
+        return;
+    }
+
+    await sendLink({
+        participant,
+        email: participant.participantemail,
+        userid: user.id,
+        createdby: user.id,
+        expires: db.raw("NOW() + make_interval(mins => ?)", [portalInvite.verifyTtlMinutes]),
+        subject: "Confirm your Ella Rises participant record",
+        intro: [
+            `The Ella Rises account "${user.username}" asked to be connected to your participant record.`,
+            `If that was you, open this link within ${portalInvite.verifyTtlMinutes} minutes while signed in:`,
+        ],
+        baseUrl,
+    });
+};
+
+// The unused, unexpired link for a token, with its participant, or null
+const findValidInvite = (trx, token) =>
+    trx("portalinvites as pi")
+        .join("participants as p", "pi.participantid", "p.participantid")
+        .select("pi.*", "p.participantfirstname", "p.participantlastname")
+        .where("pi.portalinvitehash", hashToken(token))
+        .whereNull("pi.portalinviteusedat")
+        .where("pi.portalinviteexpiresat", ">", db.fn.now())
+        .whereNull("p.participantdeletedat")
+        .first();
+
+// Connect the signed-in user to the link's participant and use the link up
+const linkAccount = async (trx, actor, token, user) => {
+    const invite = await findValidInvite(trx, token).forUpdate();
+    if (!invite) {
+        throw new PortalError("This link is invalid or has expired. Ask Ella Rises staff for a new invitation.");
+    }
+    if (invite.userid && invite.userid !== user.id) {
+        throw new PortalError("This link was sent for a different account. Sign in with that account to use it.");
+    }
+    const account = await trx("users").where({ id: user.id }).whereNull("userdeletedat").first();
+    if (account.participantid) {
+        throw new PortalError("Your account is already linked to a participant record.");
+    }
+    if (await linkedAccount(invite.participantid, trx)) {
+        throw new PortalError("This participant record is already linked to another account.");
+    }
+
+    await auditUpdate(trx, actor, "users", { id: user.id }, { participantid: invite.participantid });
+    await trx("portalinvites")
+        .where("participantid", invite.participantid)
+        .whereNull("portalinviteusedat")
+        .update({ portalinviteusedat: db.fn.now() });
+    return invite;
+};
+
+// Staff removing a link, e.g. one made to the wrong person
+const unlinkAccount = async (trx, actor, participantid) => {
+    const rows = await auditUpdate(
+        trx,
+        actor,
+        "users",
+        (qb) => qb.where({ participantid }).whereNull("userdeletedat"),
+        { participantid: null }
+    );
+    if (rows.length === 0) {
+        throw new PortalError("No account is linked to this participant.");
+    }
+    return rows[0];
+};
+
+// Everything the portal home page shows about one participant
+const portalSummary = async (participantid) => {
+    const now = new Date();
+    const registrations = () =>
+        db("eventregistrations as r")
+            .join("eventoccurrences as eo", "r.eventoccurrenceid", "eo.eventoccurrenceid")
+            .join("events as e", "eo.eventid", "e.eventid")
+            .where("r.participantid", participantid)
+            .whereNot("r.registrationstatus", "Cancelled")
+            .whereNull("e.eventdeletedat");
+
+    const [participant, milestones, upcoming, history, openEvents] = await Promise.all([
+        findParticipant(db, participantid),
+        db("milestones")
+            .select("milestonetitle", "milestonedate")
+            .where({ participantid })
+            .orderBy("milestonedate", "desc"),
+        registrations()
+            .select("r.registrationstatus", "eo.eventoccurrenceid", "eo.eventdatetimestart", "eo.eventlocation",
+                "eo.eventoccurrencecancelled", "e.eventname", "e.eventtype")
+            .where("eo.eventdatetimestart", ">=", now)
+            .orderBy("eo.eventdatetimestart", "asc"),
+        registrations()
+            .select(
+                "r.registrationstatus",
+                "r.registrationattended",
+                "eo.eventoccurrenceid",
+                "eo.eventdatetimestart",
+                "eo.eventattendancetakenat",
+                "e.eventname",
+                "e.eventtype",
+                db.raw(
+                    "EXISTS (SELECT 1 FROM surveys s WHERE s.participantid = r.participantid " +
+                    "AND s.eventoccurrenceid = r.eventoccurrenceid AND s.surveydeletedat IS NULL) AS surveydone"
+                )
+            )
+            .where("eo.eventdatetimestart", "<", now)
+            .orderBy("eo.eventdatetimestart", "desc"),
+        db("eventoccurrences as eo")
+            .join("events as e", "eo.eventid", "e.eventid")
+            .select("eo.eventoccurrenceid", "eo.eventdatetimestart", "eo.eventlocation", "e.eventname", "e.eventtype")
+            .where("eo.eventdatetimestart", ">=", now)
+            .where("eo.eventoccurrencecancelled", false)
+            .where((qb) => qb.whereNull("eo.eventregistrationdeadline").orWhere("eo.eventregistrationdeadline", ">=", now))
+            .whereNull("e.eventdeletedat")
+            .whereNotExists(
+                db("eventregistrations as r")
+                    .whereRaw("r.eventoccurrenceid = eo.eventoccurrenceid")
+                    .where("r.participantid", participantid)
+                    .whereNot("r.registrationstatus", "Cancelled")
+            )
+            .orderBy("eo.eventdatetimestart", "asc")
+            .limit(20),
+    ]);
+
+    return {
+        participant,
+        milestones,
+        upcoming,
+        history,
+        openEvents,
+        surveysDue: history.filter((r) => r.registrationattended && !r.surveydone),
+    };
+};
+
+// An occurrence the participant attended and hasn't reviewed yet, or null
+const surveyableOccurrence = (participantid, eventoccurrenceid) =>
+    db("eventregistrations as r")
+        .join("eventoccurrences as eo", "r.eventoccurrenceid", "eo.eventoccurrenceid")
+        .join("events as e", "eo.eventid", "e.eventid")
+        .select("eo.eventoccurrenceid", "eo.eventdatetimestart", "e.eventname")
+        .where({ "r.participantid": participantid, "r.eventoccurrenceid": eventoccurrenceid, "r.registrationattended": true })
+        .whereNull("e.eventdeletedat")
+        .whereNotExists(
+            db("surveys as s")
+                .whereRaw("s.participantid = r.participantid AND s.eventoccurrenceid = r.eventoccurrenceid")
+                .whereNull("s.surveydeletedat")
+        )
+        .first();
+
+// Save the contact form; only CONTACT_FIELDS are read
+const updateContactInfo = async (trx, actor, participantid, body) => {
+    const values = {};
+    for (const [column, field] of Object.entries(CONTACT_FIELDS)) {
+        const value = String(body[column] || "").trim();
+        if (field.required && !value) {
+            throw new PortalError(`${field.label} is required.`);
+        }
+        values[column] = value || null;
+    }
+    const [updated] = await auditUpdate(
+        trx,
+        actor,
+        "participants",
+        (qb) => qb.where({ participantid }).whereNull("participantdeletedat"),
+        values
+    );
+    if (!updated) {
+        throw new PortalError("Your participant record could not be found.");
+    }
+    return updated;
+};
+
+module.exports = {
+    PortalError,
+    CONTACT_FIELDS,
+    linkedAccount,
+    inviteParticipant,
+    requestVerification,
+    findValidInvite,
+    linkAccount,
+    unlinkAccount,
+    portalSummary,
+    surveyableOccurrence,
+    updateContactInfo,
+};
@@ -0,0 +1,133 @@
+// Year-end tax receipts as PDF: one page (or more, for a long year) per donor
+// listing each gift, the total, and the no-goods-or-services statement.
+const PDFDocument = require("pdfkit");
+
+const { taxReceipts } = require("../config/auth");
+const { donorName } = require("./donors");
+
+const MARGIN = 54;
+const COLUMNS = [
+    { key: "date", label: "Date", width: 80 },
+    { key: "method", label: "Method", width: 90 },
+    { key: "designation", label: "Designation", width: 150 },
+    { key: "reference", label: "Reference", width: 90 },
+    { key: "amount", label: "Amount", width: 94, align: "right" },
+];
+
+const money = (value) =>
+    `$${Number(value).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const longDate = (value) =>
+    new Date(value).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+
+const shortDate = (value) => new Date(value).toLocaleDateString("en-US");
+
+const addressLines = (donor) =>
+    [
+        donor.donortype === "Organization" && donor.donorfirstname
+            ? `Attn: ${donor.donorfirstname} ${donor.donorlastname || ""}`.trim()
+            : null,
+        donor.donoraddress,
+        [[donor.donorcity, donor.donorstate].filter(Boolean).join(", "), donor.donorzip].filter(Boolean).join(" "),
+    ].filter(Boolean);
+
+const drawRow = (doc, cells, { bold = false } = {}) => {
+    const y = doc.y;
+    let x = MARGIN;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+    const heights = COLUMNS.map((column) => {
+        doc.text(String(cells[column.key] || ""), x, y, { width: column.width - 8, align: column.align || "left" });
+        x += column.width;
+        return doc.y - y;
+    });
+    doc.x = MARGIN;
+    doc.y = y + Math.max(...heights) + 6;
+};
+
+const drawHeaderRow = (doc) => {
+    drawRow(doc, Object.fromEntries(COLUMNS.map((column) => [column.key, column.label])), { bold: true });
+    doc.moveTo(MARGIN, doc.y - 3).lineTo(MARGIN + 504, doc.y - 3).strokeColor("#CE325B").stroke();
+};
+
+// One donor's receipt, starting on the current page
+const drawReceipt = (doc, { donor, year, gifts }) => {
+    const total = gifts.reduce((sum, gift) => sum + Number(gift.donationamount), 0);
+    const name = donorName(donor);
+
+    doc.font("Helvetica-Bold").fontSize(18).fillColor("#CE325B").text(taxReceipts.organization);
+    doc.font("Helvetica").fontSize(10).fillColor("#333333");
+    if (taxReceipts.address) {
+        doc.text(taxReceipts.address);
+    }
+    if (taxReceipts.ein) {
+        doc.text(`EIN ${taxReceipts.ein}`);
+    }
+    doc.moveDown(1.5);
+
+    doc.fontSize(14).font("Helvetica-Bold").text(`${year} Charitable Contribution Receipt`);
+    doc.font("Helvetica").fontSize(10).text(`Issued ${longDate(new Date())}`);
+    doc.moveDown();
+
+    doc.font("Helvetica-Bold").text(name);
+    doc.font("Helvetica");
+    addressLines(donor).forEach((line) => doc.text(line));
+    doc.moveDown();
+
+    doc.fontSize(11).text(
+        `Thank you for supporting ${taxReceipts.organization}. This receipt confirms the ` +
+            `${gifts.length === 1 ? "gift" : `${gifts.length} gifts`} listed below, received between ` +
+            `January 1 and December 31, ${year}, for a total of ${money(total)}.`,
+        { width: 504 }
+    );
+    doc.moveDown();
+
+    drawHeaderRow(doc);
+    gifts.forEach((gift) => {
+        if (doc.y > doc.page.height - MARGIN - 120) {
+            doc.addPage();
+            drawHeaderRow(doc);
+        }
+        drawRow(doc, {
+            date: shortDate(gift.donationdate),
+            method: gift.donationmethod,
+            designation: gift.donationdesignation,
+            reference: gift.donationreference,
+            amount: money(gift.donationamount),
+        });
+    });
+    doc.moveTo(MARGIN, doc.y - 3).lineTo(MARGIN + 504, doc.y - 3).strokeColor("#CE325B").stroke();
+    drawRow(doc, { designation: `Total for ${year}`, amount: money(total) }, { bold: true });
+    doc.moveDown();
+
+    doc.font("Helvetica").fontSize(10).text(
+        "No goods or services were provided in exchange for these contributions. " +
+            `${taxReceipts.organization} is a tax-exempt organization under Section 501(c)(3) of the Internal Revenue Code` +
+            `${taxReceipts.ein ? ` (EIN ${taxReceipts.ein})` : ""}, and contributions are deductible to the extent allowed by law. ` +
+            "Please keep this receipt for your tax records.",
+        MARGIN,
+        doc.y,
+        { width: 504 }
+    );
+    if (taxReceipts.signer) {
+        doc.moveDown(2).text("With gratitude,").moveDown(0.5).font("Helvetica-Bold").text(taxReceipts.signer);
+    }
+};
+
+// Write receipts to `stream` (e.g. the response), each donor on a new page
+const writeReceipts = (stream, receipts) => {
+    const doc = new PDFDocument({
+        size: "LETTER",
+        margin: MARGIN,
+        info: { Title: "Charitable Contribution Receipts", Author: taxReceipts.organization },
+    });
+    doc.pipe(stream);
+    receipts.forEach((receipt, index) => {
+        if (index > 0) {
+            doc.addPage();
+        }
+        drawReceipt(doc, receipt);
+    });
+    doc.end();
+};
+
+module.exports = { writeReceipts };
@@ -0,0 +1,134 @@
+// Recurrence rules for events. An event stores its frequency in
+// events.eventrecurrencepattern plus an optional end date or occurrence count,
+// and every occurrence it produces is a real eventoccurrences row.
+
+const FREQUENCIES = {
+    None: "None (One-time)",
+    Weekly: "Weekly",
+    Biweekly: "Every 2 weeks",
+    Monthly: "Monthly (same weekday)",
+    Annually: "Annually",
+};
+
+// Hard stop so a typo in the end date can't create thousands of rows
+const MAX_OCCURRENCES = 200;
+
+const ORDINALS = ["1st", "2nd", "3rd", "4th", "last"];
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const isValidDate = (date) => date instanceof Date && !Number.isNaN(date.getTime());
+
+// "YYYY-MM-DD" from a date input is midnight local time, not UTC
+const parseLocalDate = (value) => {
+    const match = typeof value === "string" && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return match ? new Date(match[1], match[2] - 1, match[3]) : new Date(value);
+};
+
+// Which weekday of the month a date falls on; the 5th always means "last"
+const weekdayOfMonth = (date) => ({
+    weekday: date.getDay(),
+    nth: Math.min(Math.ceil(date.getDate() / 7), 5),
+});
+
+// The nth weekday of a month (nth 5 = last), keeping the time of day from `time`
+const nthWeekdayOfMonth = (year, month, weekday, nth, time) => {
+    let result;
+    if (nth === 5) {
+        result = new Date(year, month + 1, 0);
+        result.setDate(result.getDate() - ((result.getDay() - weekday + 7) % 7));
+    } else {
+        result = new Date(year, month, 1);
+        result.setDate(1 + ((weekday - result.getDay() + 7) % 7) + (nth - 1) * 7);
+    }
+    result.setHours(time.getHours(), time.getMinutes(), time.getSeconds(), 0);
+    return result;
+};
+
+// Start of the index-th occurrence (0 = the first one)
+const nthStart = (frequency, first, index) => {
+    const next = new Date(first);
+    switch (frequency) {
+        case "Weekly":
+            next.setDate(first.getDate() + 7 * index);
+            return next;
+        case "Biweekly":
+            next.setDate(first.getDate() + 14 * index);
+            return next;
+        case "Monthly": {
+            const { weekday, nth } = weekdayOfMonth(first);
+            return nthWeekdayOfMonth(first.getFullYear(), first.getMonth() + index, weekday, nth, first);
+        }
+        case "Annually":
+            next.setFullYear(first.getFullYear() + index);
+            return next;
+        default:
+            return index === 0 ? next : null;
+    }
+};
+
+// Expand a rule into occurrence start/end pairs. `until` (inclusive, by date)
+// and `count` both bound the series; whichever comes first wins.
+const expandRecurrence = ({ frequency, start, end, until, count }) => {
+    const first = new Date(start);
+    const firstEnd = new Date(end);
+    if (!isValidDate(first) || !isValidDate(firstEnd)) {
+        return [];
+    }
+    const duration = Math.max(firstEnd - first, 0);
+
+    let untilDate = until ? parseLocalDate(until) : null;
+    if (untilDate && isValidDate(untilDate)) {
+        untilDate.setHours(23, 59, 59, 999);
+    } else {
+        untilDate = null;
+    }
+
+    let limit = parseInt(count, 10);
+    if (!FREQUENCIES[frequency] || frequency === "None") {
+        limit = 1;
+    } else if (Number.isNaN(limit) || limit < 1) {
+        // Without an end date or a count, a recurring event still needs a stopping point
+        limit = untilDate ? MAX_OCCURRENCES : 1;
+    }
+    limit = Math.min(limit, MAX_OCCURRENCES);
+
+    const occurrences = [];
+    for (let index = 0; occurrences.length < limit; index += 1) {
+        const occurrenceStart = nthStart(frequency, first, index);
+        if (!occurrenceStart || (untilDate && occurrenceStart > untilDate)) {
+            break;
+        }
+        occurrences.push({
+            start: occurrenceStart,
+            end: new Date(occurrenceStart.getTime() + duration),
+        });
+    }
+    return occurrences;
+};
+
+// Human-readable rule, e.g. "Monthly on the 2nd Tuesday until 6/1/2026"
+const describeRecurrence = ({ frequency, start, until, count }) => {
+    if (!frequency || frequency === "None") {
+        return "One-time";
+    }
+
+    let text = FREQUENCIES[frequency] || frequency;
+    const first = start ? new Date(start) : null;
+    if (frequency === "Monthly" && first && isValidDate(first)) {
+        const { weekday, nth } = weekdayOfMonth(first);
+        text = `Monthly on the ${ORDINALS[nth - 1]} ${WEEKDAYS[weekday]}`;
+    }
+    if (until) {
+        text += ` until ${parseLocalDate(until).toLocaleDateString()}`;
+    } else if (count) {
+        text += `, ${count} times`;
+    }
+    return text;
+};
+
+module.exports = {
+    FREQUENCIES,
+    MAX_OCCURRENCES,
+    expandRecurrence,
+    describeRecurrence,
+};
@@ -0,0 +1,256 @@
+const db = require("../config/db");
+const { promoteWaitlist, hasSurvey } = require("./registrations");
+const { touchOccurrences } = require("./occurrences");
+const { AUDITED_TABLES, auditUpdate, auditDelete } = require("./audit");
+
+// Raised for recycle bin problems that should be shown to the user as-is
+class RecycleError extends Error {}
+
+// Tables that soft delete, the column holding the deletion time, and the
+// singular name used in messages
+const RECYCLABLE = {
+    participants: { column: "participantdeletedat", label: "Participants", noun: "participant" },
+    events: { column: "eventdeletedat", label: "Events", noun: "event" },
+    donors: { column: "donordeletedat", label: "Donors", noun: "donor" },
+    donations: { column: "donationdeletedat", label: "Donations", noun: "donation" },
+    surveys: { column: "surveydeletedat", label: "Surveys", noun: "survey" },
+    users: { column: "userdeletedat", label: "Users", noun: "user" },
+};
+
+// Dependent rows (a donor's gifts, an event's occurrences) are not
+// flagged themselves: every list joins to the parent and skips deleted parents,
+// so they disappear and come back with it. The exceptions are below.
+const afterDelete = {
+    // Give up their seats at upcoming dates so the waitlist moves up.
+    // Restoring the participant doesn't re-register them.
+    participants: async (trx, actor, row) => {
+        const cancelled = await auditUpdate(
+            trx,
+            actor,
+            "eventregistrations",
+            (qb) =>
+                qb
+                    .where("participantid", row.participantid)
+                    .whereNot("registrationstatus", "Cancelled")
+                    .whereIn(
+                        "eventoccurrenceid",
+                        trx("eventoccurrences").where("eventdatetimestart", ">", new Date()).select("eventoccurrenceid")
+                    ),
+            { registrationstatus: "Cancelled" }
+        );
+        for (const eventoccurrenceid of new Set(cancelled.map((r) => r.eventoccurrenceid))) {
+            await promoteWaitlist(trx, eventoccurrenceid, actor);
+        }
+        return cancelled.length;
+    },
+
+    // The calendar feed reports a deleted event's dates as cancelled
+    events: async (trx, actor, row) => {
+        await touchOccurrences(trx, { eventid: row.eventid });
+        return 0;
+    },
+};
+
+const deletedParent = (trx, table, key, id, column, noun) =>
+    trx(table)
+        .where(key, id)
+        .whereNotNull(column)
+        .first()
+        .then((parent) => (parent ? noun : null));
+
+// A donation or survey can't come back while the record it belongs to is deleted
+// (nor a survey while the same participant has another one for that event)
+const restoreBlockers = {
+    donations: (trx, row) => deletedParent(trx, "donors", "donorid", row.donorid, "donordeletedat", "donor"),
+    surveys: async (trx, row) => {
+        const parent = await trx("eventoccurrences as eo")
+            .join("events as e", "eo.eventid", "e.eventid")
+            .where("eo.eventoccurrenceid", row.eventoccurrenceid)
+            .select("e.eventdeletedat")
+            .first();
+        if (parent && parent.eventdeletedat) {
+            return "event";
+        }
+        if (await hasSurvey(trx, row.participantid, row.eventoccurrenceid)) {
+            throw new RecycleError("This participant already has a survey for that event. Delete it first to restore this one.");
+        }
+        return deletedParent(trx, "participants", "participantid", row.participantid, "participantdeletedat", "participant");
+    },
+};
+
+const afterRestore = {
+    events: (trx, actor, row) => touchOccurrences(trx, { eventid: row.eventid }),
+};
+
+// Purging removes the record for good, along with everything that hangs off it
+const purgeDependents = {
+    // Gifts belong to the donor profile, which stays as an unlinked donor, and
+    // a linked portal account stays as a plain account
+    participants: async (trx, actor, row) => {
+        const where = { participantid: row.participantid };
+        for (const table of ["eventregistrations", "surveys", "milestones", "participantnotes", "participanttasks"]) {
+            await auditDelete(trx, actor, table, where);
+        }
+        await auditUpdate(trx, actor, "donors", where, { participantid: null });
+        await auditUpdate(trx, actor, "users", where, { participantid: null });
+    },
+    donors: async (trx, actor, row) => {
+        const where = { donorid: row.donorid };
+        await auditDelete(trx, actor, "donations", where);
+        await auditDelete(trx, actor, "pledges", where);
+    },
+    events: async (trx, actor, row) => {
+        const occurrences = trx("eventoccurrences").where("eventid", row.eventid).select("eventoccurrenceid");
+        await auditDelete(trx, actor, "surveys", (qb) => qb.whereIn("eventoccurrenceid", occurrences));
+        await auditDelete(trx, actor, "eventregistrations", (qb) => qb.whereIn("eventoccurrenceid", occurrences));
+        await auditDelete(trx, actor, "eventoccurrences", { eventid: row.eventid });
+    },
+};
+
+// Move a record to the recycle bin. Returns how many upcoming registrations
+// were cancelled as a result (participants only).
+const softDelete = async (trx, actor, table, id) => {
+    const { column, noun } = RECYCLABLE[table];
+    const { key } = AUDITED_TABLES[table];
+
+    const [row] = await auditUpdate(trx, actor, table, (qb) => qb.where(key, id).whereNull(column), {
+        [column]: new Date(),
+    });
+    if (!row) {
+        throw new RecycleError(`That ${noun} no longer exists.`);
+    }
+    return afterDelete[table] ? afterDelete[table](trx, actor, row) : 0;
+};
+
+// A record that is currently in the recycle bin, locked for restore or purge
+const binnedRecord = async (trx, table, id) => {
+    const { column, noun } = RECYCLABLE[table];
+    const { key } = AUDITED_TABLES[table];
+
+    const row = await trx(table).where(key, id).whereNotNull(column).forUpdate().first();
+    if (!row) {
+        throw new RecycleError(`That ${noun} is no longer in the recycle bin.`);
+    }
+    return row;
+};
+
+const restoreRecord = async (trx, actor, table, id) => {
+    const { column, noun } = RECYCLABLE[table];
+    const { key } = AUDITED_TABLES[table];
+    const row = await binnedRecord(trx, table, id);
+
+    const blocker = restoreBlockers[table] && (await restoreBlockers[table](trx, row));
+    if (blocker) {
+        throw new RecycleError(`Restore this ${noun}'s ${blocker} first.`);
+    }
+
+    await auditUpdate(trx, actor, table, { [key]: id }, { [column]: null });
+    if (afterRestore[table]) {
+        await afterRestore[table](trx, actor, row);
+    }
+};
+
+const purgeRecord = async (trx, actor, table, id) => {
+    const { key } = AUDITED_TABLES[table];
+    const row = await binnedRecord(trx, table, id);
+
+    if (purgeDependents[table]) {
+        await purgeDependents[table](trx, actor, row);
+    }
+    await auditDelete(trx, actor, table, { [key]: id });
+};
+
+// Everything in the recycle bin, newest deletion first, with the dependent
+// rows each parent will take with it if purged
+const listDeleted = async () => {
+    const [participants, events, donors, donations, surveys, users] = await Promise.all([
+        db("participants as p")
+            .whereNotNull("p.participantdeletedat")
+            .select(
+                "p.participantid",
+                "p.participantfirstname",
+                "p.participantlastname",
+                "p.participantemail",
+                "p.participantdeletedat as deletedat",
+                db.raw("(SELECT COUNT(*) FROM surveys s WHERE s.participantid = p.participantid) as surveycount"),
+                db.raw("(SELECT COUNT(*) FROM milestones m WHERE m.participantid = p.participantid) as milestonecount"),
+                db.raw("(SELECT COUNT(*) FROM participantnotes n WHERE n.participantid = p.participantid) as notecount"),
+                db.raw("(SELECT COUNT(*) FROM participanttasks t WHERE t.participantid = p.participantid) as taskcount")
+            )
+            .orderBy("p.participantdeletedat", "desc"),
+        db("events as e")
+            .whereNotNull("e.eventdeletedat")
+            .select(
+                "e.eventid",
+                "e.eventname",
+                "e.eventtype",
+                "e.eventdeletedat as deletedat",
+                db.raw("(SELECT COUNT(*) FROM eventoccurrences eo WHERE eo.eventid = e.eventid) as occurrencecount"),
+                db.raw("(SELECT MIN(eo.eventdatetimestart) FROM eventoccurrences eo WHERE eo.eventid = e.eventid) as firststart"),
+                db.raw(
+                    "(SELECT COUNT(*) FROM eventregistrations r JOIN eventoccurrences eo ON eo.eventoccurrenceid = r.eventoccurrenceid WHERE eo.eventid = e.eventid AND r.registrationstatus <> 'Cancelled') as registrationcount"
+                ),
+                db.raw(
+                    "(SELECT COUNT(*) FROM surveys s JOIN eventoccurrences eo ON eo.eventoccurrenceid = s.eventoccurrenceid WHERE eo.eventid = e.eventid) as surveycount"
+                )
+            )
+            .orderBy("e.eventdeletedat", "desc"),
+        db("donors as dn")
+            .whereNotNull("dn.donordeletedat")
+            .select(
+                "dn.donorid",
+                "dn.donorname",
+                "dn.donortype",
+                "dn.donoremail",
+                "dn.donordeletedat as deletedat",
+                db.raw("(SELECT COUNT(*) FROM donations d WHERE d.donorid = dn.donorid) as giftcount"),
+                db.raw("(SELECT COUNT(*) FROM pledges pl WHERE pl.donorid = dn.donorid) as pledgecount")
+            )
+            .orderBy("dn.donordeletedat", "desc"),
+        db("donations as d")
+            .leftJoin("donors as dn", "d.donorid", "dn.donorid")
+            .whereNotNull("d.donationdeletedat")
+            .select(
+                "d.donationid",
+                "d.donationdate",
+                "d.donationamount",
+                "dn.donorname",
+                "dn.donordeletedat",
+                "d.donationdeletedat as deletedat"
+            )
+            .orderBy("d.donationdeletedat", "desc"),
+        db("surveys as s")
+            .leftJoin("participants as p", "s.participantid", "p.participantid")
+            .leftJoin("eventoccurrences as eo", "s.eventoccurrenceid", "eo.eventoccurrenceid")
+            .leftJoin("events as e", "eo.eventid", "e.eventid")
+            .whereNotNull("s.surveydeletedat")
+            .select(
+                "s.surveyid",
+                "s.surveyoverallscore",
+                "p.participantfirstname",
+                "p.participantlastname",
+                "p.participantdeletedat",
+                "e.eventname",
+                "e.eventdeletedat",
+                "eo.eventdatetimestart",
+                "s.surveydeletedat as deletedat"
+            )
+            .orderBy("s.surveydeletedat", "desc"),
+        db("users as u")
+            .join("roles as r", "u.roleid", "r.roleid")
+            .whereNotNull("u.userdeletedat")
+            .select("u.id", "u.username", "r.rolename", "u.userdeletedat as deletedat")
+            .orderBy("u.userdeletedat", "desc"),
+    ]);
+
+    return { participants, events, donors, donations, surveys, users };
+};
+
+module.exports = {
+    RECYCLABLE,
+    RecycleError,
+    softDelete,
+    restoreRecord,
+    purgeRecord,
+    listDeleted,
+};
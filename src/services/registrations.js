@@ -0,0 +1,340 @@
+const crypto = require("crypto");
+
+const db = require("../config/db");
+const { SESSION_SECRET } = require("../config/session");
+const { auditInsert, auditUpdate } = require("./audit");
+const { sendMail } = require("./mailer");
+
+// Raised for sign-up problems that should be shown to the user as-is
+class RegistrationError extends Error {}
+
+// Occurrence with its effective capacity (occurrence capacity, else the event default).
+// Occurrences of deleted events are not found.
+const getOccurrence = (trx, eventoccurrenceid) =>
+    trx("eventoccurrences as eo")
+        .join("events as e", "eo.eventid", "e.eventid")
+        .where("eo.eventoccurrenceid", eventoccurrenceid)
+        .whereNull("e.eventdeletedat")
+        .select(
+            "eo.eventoccurrenceid",
+            "eo.eventid",
+            "eo.eventdatetimestart",
+            "eo.eventdatetimeend",
+            "eo.eventlocation",
+            "eo.eventregistrationdeadline",
+            "eo.eventattendancetakenat",
+            "eo.eventoccurrencecancelled",
+            "e.eventname",
+            "e.eventtype",
+            db.raw("COALESCE(eo.eventcapacity, e.eventdefaultcapacity) as capacity")
+        )
+        .first();
+
+const countRegistered = async (trx, eventoccurrenceid) => {
+    const [{ count }] = await trx("eventregistrations")
+        .where({ eventoccurrenceid, registrationstatus: "Registered" })
+        .count("* as count");
+    return parseInt(count, 10) || 0;
+};
+
+// Move waitlisted people into open seats, oldest sign-up first
+const promoteWaitlist = async (trx, eventoccurrenceid, actor) => {
+    const occurrence = await getOccurrence(trx, eventoccurrenceid);
+    if (!occurrence) {
+        return 0;
+    }
+
+    let openSeats = Infinity;
+    if (occurrence.capacity !== null) {
+        openSeats = occurrence.capacity - (await countRegistered(trx, eventoccurrenceid));
+    }
+    if (openSeats <= 0) {
+        return 0;
+    }
+
+    const waitlisted = await trx("eventregistrations")
+        .where({ eventoccurrenceid, registrationstatus: "Waitlisted" })
+        .orderBy([
+            { column: "registrationdate", order: "asc" },
+            { column: "eventregistrationid", order: "asc" },
+        ])
+        .modify((qb) => {
+            if (openSeats !== Infinity) {
+                qb.limit(openSeats);
+            }
+        })
+        .pluck("eventregistrationid");
+
+    if (waitlisted.length > 0) {
+        await auditUpdate(trx, actor, "eventregistrations", (qb) => qb.whereIn("eventregistrationid", waitlisted), {
+            registrationstatus: "Registered",
+        });
+    }
+    return waitlisted.length;
+};
+
+// Find a participant by email, or create one from the sign-up form. Deleted
+// participants aren't matched; a restored one shows up in the duplicate finder.
+// Call inside a transaction: the lock on the address stops two quick submits
+// from both creating the same person.
+const findOrCreateParticipant = async (trx, { firstname, lastname, email }, actor) => {
+    await trx.raw("SELECT pg_advisory_xact_lock(hashtext(?))", [`participant-email:${email.toLowerCase()}`]);
+    const existing = await trx("participants")
+        .whereRaw("LOWER(participantemail) = ?", [email.toLowerCase()])
+        .whereNull("participantdeletedat")
+        .first();
+    if (existing) {
+        return existing.participantid;
+    }
+
+    const [created] = await auditInsert(trx, actor, "participants", {
+        participantfirstname: firstname,
+        participantlastname: lastname,
+        participantemail: email,
+    });
+    return created.participantid;
+};
+
+// A participantid, or the name and email from a sign-up form
+const resolveParticipant = (trx, participant, actor) =>
+    typeof participant === "object" ? findOrCreateParticipant(trx, participant, actor) : participant;
+
+// Register a participant for an occurrence; returns the registration, whose
+// status is "Registered" or "Waitlisted".
+// A sign-up form's participant is only looked up or created once the
+// occurrence is known to be open, in the same transaction.
+const registerParticipant = (eventoccurrenceid, participant, actor) =>
+    db.transaction(async (trx) => {
+        // Lock the occurrence so two sign-ups can't both take the last seat
+        await trx("eventoccurrences").where({ eventoccurrenceid }).forUpdate().first();
+
+        const occurrence = await getOccurrence(trx, eventoccurrenceid);
+        if (!occurrence) {
+            throw new RegistrationError("Event not found.");
+        }
+
+        if (occurrence.eventoccurrencecancelled) {
+            throw new RegistrationError("This event has been cancelled.");
+        }
+
+        const now = new Date();
+        if (new Date(occurrence.eventdatetimestart) < now) {
+            throw new RegistrationError("This event has already started.");
+        }
+        if (occurrence.eventregistrationdeadline && new Date(occurrence.eventregistrationdeadline) < now) {
+            throw new RegistrationError("Registration for this event has closed.");
+        }
+
+        const participantid = await resolveParticipant(trx, participant, actor);
+        const existing = await trx("eventregistrations")
+            .where({ eventoccurrenceid, participantid })
+            .first();
+        if (existing && existing.registrationstatus !== "Cancelled") {
+            throw new RegistrationError(
+                existing.registrationstatus === "Waitlisted"
+                    ? "You are already on the waitlist for this event."
+                    : "You are already registered for this event."
+            );
+        }
+
+        const isFull =
+            occurrence.capacity !== null &&
+            (await countRegistered(trx, eventoccurrenceid)) >= occurrence.capacity;
+        const registrationstatus = isFull ? "Waitlisted" : "Registered";
+
+        const [registration] = existing
+            ? await auditUpdate(trx, actor, "eventregistrations", { eventregistrationid: existing.eventregistrationid }, {
+                  registrationstatus,
+                  registrationdate: now,
+              })
+            : await auditInsert(trx, actor, "eventregistrations", {
+                  eventoccurrenceid,
+                  participantid,
+                  registrationstatus,
+                  registrationdate: now,
+              });
+        return registration;
+    });
+
+// Public sign-ups cancel through a signed link in their confirmation email.
+// Signing the sign-up time too means a link stops working once the
+// registration is cancelled and made again.
+const cancelToken = (registration) =>
+    crypto
+        .createHmac("sha256", SESSION_SECRET)
+        .update(`registration-cancel:${registration.eventregistrationid}:${new Date(registration.registrationdate).getTime()}`)
+        .digest("base64url");
+
+// An active registration for an upcoming date whose cancel link this is, or undefined
+const findCancellable = async (eventregistrationid, token) => {
+    if (!/^\d+$/.test(String(eventregistrationid))) {
+        return undefined;
+    }
+    const registration = await db("eventregistrations as r")
+        .join("eventoccurrences as eo", "r.eventoccurrenceid", "eo.eventoccurrenceid")
+        .join("events as e", "eo.eventid", "e.eventid")
+        .join("participants as p", "r.participantid", "p.participantid")
+        .where("r.eventregistrationid", eventregistrationid)
+        .whereNot("r.registrationstatus", "Cancelled")
+        .where("eo.eventdatetimestart", ">", new Date())
+        .whereNull("e.eventdeletedat")
+        .select(
+            "r.*",
+            "eo.eventdatetimestart",
+            "eo.eventlocation",
+            "e.eventname",
+            "p.participantfirstname",
+            "p.participantlastname"
+        )
+        .first();
+    if (!registration) {
+        return undefined;
+    }
+    const expected = Buffer.from(cancelToken(registration));
+    const given = Buffer.from(String(token || ""));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? registration : undefined;
+};
+
+// Confirm a public sign-up by email, with the link to cancel it
+const emailConfirmation = async (registration, { firstname, email }, { baseUrl }) => {
+    const occurrence = await getOccurrence(db, registration.eventoccurrenceid);
+    const when = new Date(occurrence.eventdatetimestart).toLocaleString();
+    await sendMail({
+        to: email,
+        subject: `${registration.registrationstatus === "Waitlisted" ? "Waitlisted" : "Registered"}: ${occurrence.eventname}`,
+        text: [
+            `Hi ${firstname},`,
+            "",
+            registration.registrationstatus === "Waitlisted"
+                ? `${occurrence.eventname} on ${when} is full, so you're on the waitlist. We'll give you a seat if one opens up.`
+                : `You're registered for ${occurrence.eventname} on ${when}.`,
+            ...(occurrence.eventlocation ? [`Location: ${occurrence.eventlocation}`] : []),
+            "",
+            "Can't make it? Cancel here so someone on the waitlist can have your spot:",
+            "",
+            `${baseUrl}/my-registration/${registration.eventregistrationid}/${cancelToken(registration)}`,
+        ].join("\n"),
+    });
+};
+
+// Cancel a registration and hand its seat to the waitlist
+const cancelRegistration = (where, actor) =>
+    db.transaction(async (trx) => {
+        const registration = await trx("eventregistrations")
+            .where(where)
+            .whereNot("registrationstatus", "Cancelled")
+            .forUpdate()
+            .first();
+        if (!registration) {
+            throw new RegistrationError("No active registration found.");
+        }
+
+        await auditUpdate(trx, actor, "eventregistrations", { eventregistrationid: registration.eventregistrationid }, {
+            registrationstatus: "Cancelled",
+            registrationattended: false,
+        });
+
+        await promoteWaitlist(trx, registration.eventoccurrenceid, actor);
+        return registration;
+    });
+
+// Save the check-in screen: attendedIds are the participants who showed up
+const recordAttendance = (eventoccurrenceid, attendedIds, actor) =>
+    db.transaction(async (trx) => {
+        const now = new Date();
+        const attended = attendedIds.map((id) => parseInt(id, 10)).filter((id) => !Number.isNaN(id));
+
+        await auditUpdate(
+            trx,
+            actor,
+            "eventregistrations",
+            (qb) => qb.where({ eventoccurrenceid, registrationattended: true }).whereNotIn("participantid", attended),
+            { registrationattended: false, registrationcheckedinat: null }
+        );
+
+        if (attended.length > 0) {
+            await auditUpdate(
+                trx,
+                actor,
+                "eventregistrations",
+                (qb) => qb.where({ eventoccurrenceid, registrationattended: false }).whereIn("participantid", attended),
+                { registrationattended: true, registrationcheckedinat: now }
+            );
+        }
+
+        await auditUpdate(trx, actor, "eventoccurrences", { eventoccurrenceid }, { eventattendancetakenat: now });
+    });
+
+// Check in someone who showed up without registering (a participantid, or
+// the name and email staff typed in)
+const recordWalkIn = (eventoccurrenceid, participant, actor) =>
+    db.transaction(async (trx) => {
+        const now = new Date();
+        const participantid = await resolveParticipant(trx, participant, actor);
+        const existing = await trx("eventregistrations")
+            .where({ eventoccurrenceid, participantid })
+            .first();
+
+        if (existing) {
+            await auditUpdate(trx, actor, "eventregistrations", { eventregistrationid: existing.eventregistrationid }, {
+                registrationstatus: "Registered",
+                registrationattended: true,
+                registrationcheckedinat: now,
+            });
+        } else {
+            await auditInsert(trx, actor, "eventregistrations", {
+                eventoccurrenceid,
+                participantid,
+                registrationstatus: "Registered",
+                registrationdate: now,
+                registrationattended: true,
+                registrationcheckedinat: now,
+            });
+        }
+
+        await auditUpdate(trx, actor, "eventoccurrences", { eventoccurrenceid }, { eventattendancetakenat: now });
+    });
+
+// Surveys are limited to attendees once staff have taken attendance for the occurrence
+const canSubmitSurvey = async (participantid, eventoccurrenceid) => {
+    const occurrence = await db("eventoccurrences")
+        .where({ eventoccurrenceid })
+        .select("eventattendancetakenat")
+        .first();
+    if (!occurrence || !occurrence.eventattendancetakenat) {
+        return true;
+    }
+
+    const attendance = await db("eventregistrations")
+        .where({ eventoccurrenceid, participantid, registrationattended: true })
+        .first();
+    return Boolean(attendance);
+};
+
+// Each participant answers an occurrence's survey once; exceptSurveyId skips
+// the survey being edited
+const hasSurvey = (trx, participantid, eventoccurrenceid, exceptSurveyId = null) =>
+    trx("surveys")
+        .where({ participantid, eventoccurrenceid })
+        .whereNull("surveydeletedat")
+        .modify((qb) => {
+            if (exceptSurveyId) {
+                qb.whereNot("surveyid", exceptSurveyId);
+            }
+        })
+        .first()
+        .then(Boolean);
+
+module.exports = {
+    RegistrationError,
+    getOccurrence,
+    promoteWaitlist,
+    registerParticipant,
+    findCancellable,
+    emailConfirmation,
+    cancelRegistration,
+    recordAttendance,
+    recordWalkIn,
+    canSubmitSurvey,
+    hasSurvey,
+};
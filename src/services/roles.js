@@ -0,0 +1,143 @@
+const db = require("../config/db");
+const { auditInsert, auditUpdate, auditDelete } = require("./audit");
+const {
+    PERMISSION_RESOURCES,
+    MEMBER_ROLE,
+    cleanPermissions,
+    rolePermissions,
+    permissionsWithin,
+} = require("./permissions");
+
+// Raised for role form problems that should be shown to the user as-is
+class RoleError extends Error {}
+
+// Roles with how many (live) users have each, built-in roles first
+const listRoles = () =>
+    db("roles as r")
+        .leftJoin("users as u", (join) => join.on("u.roleid", "r.roleid").andOnNull("u.userdeletedat"))
+        .groupBy("r.roleid")
+        .select("r.*", db.raw("COUNT(u.id)::int AS usercount"))
+        .orderByRaw("r.rolekey IS NULL, r.rolename");
+
+// The role `user` wants to give someone, if they are allowed to
+const assignableRole = async (trx, user, roleid) => {
+    const role = roleid ? await trx("roles").where({ roleid }).first() : null;
+    if (!role) {
+        throw new RoleError("Choose a role.");
+    }
+    if (!permissionsWithin(rolePermissions(role), user.permissions)) {
+        throw new RoleError(`You can't assign the ${role.rolename} role; it has access your own role doesn't.`);
+    }
+    return role;
+};
+
+// Accounts whose role has access `user` doesn't have can't be edited or
+// deleted by them, so nobody can take over a more powerful account
+const assertCanManage = async (trx, user, target) => {
+    const role = await trx("roles").where({ roleid: target.roleid }).first();
+    if (String(target.id) !== String(user.id) && !permissionsWithin(rolePermissions(role), user.permissions)) {
+        throw new RoleError(`${target.username} has the ${role.rolename} role, which has access your own role doesn't.`);
+    }
+};
+
+// The role id to save when `user` edits `target`'s role; nobody can change their own
+const reassignRole = async (trx, user, target, roleid) => {
+    if (!roleid || String(roleid) === String(target.roleid)) {
+        return target.roleid;
+    }
+    if (String(target.id) === String(user.id)) {
+        throw new RoleError("You can't change your own role.");
+    }
+    return (await assignableRole(trx, user, roleid)).roleid;
+};
+
+const memberRoleId = async (trx = db) => {
+    const role = await trx("roles").where({ rolekey: MEMBER_ROLE }).first("roleid");
+    return role.roleid;
+};
+
+// Read the role form: name, description and one checkbox per resource/action
+// ("perm_participants_view" etc.)
+const readRoleForm = (body) => {
+    const rolename = String(body.rolename || "").trim();
+    if (!rolename) {
+        throw new RoleError("Give the role a name.");
+    }
+    const granted = {};
+    for (const [resource, { actions }] of Object.entries(PERMISSION_RESOURCES)) {
+        granted[resource] = actions.filter((action) => body[`perm_${resource}_${action}`]);
+    }
+    return {
+        rolename: rolename.slice(0, 100),
+        roledescription: String(body.roledescription || "").trim().slice(0, 255) || null,
+        rolepermissions: JSON.stringify(cleanPermissions(granted)),
+    };
+};
+
+// Duplicate names are a unique-index error
+const nameTaken = (err) => (err.code === "23505" ? new RoleError("A role with that name already exists.") : err);
+
+const assertWithin = (values, user) => {
+    if (!permissionsWithin(JSON.parse(values.rolepermissions), user.permissions)) {
+        throw new RoleError("A role can't have access your own role doesn't.");
+    }
+};
+
+const createRole = async (trx, actor, user, body) => {
+    const values = readRoleForm(body);
+    assertWithin(values, user);
+    const [role] = await auditInsert(trx, actor, "roles", values).catch((err) => {
+        throw nameTaken(err);
+    });
+    return role;
+};
+
+// Built-in roles keep their permissions: admin always has all, member none
+const updateRole = async (trx, actor, user, roleid, body) => {
+    const role = await trx("roles").where({ roleid }).first();
+    if (!role) {
+        throw new RoleError("Role not found.");
+    }
+    const values = readRoleForm(body);
+    if (role.rolekey) {
+        delete values.rolepermissions;
+    } else {
+        assertWithin(values, user);
+        if (!permissionsWithin(rolePermissions(role), user.permissions)) {
+            throw new RoleError(`You can't change the ${role.rolename} role; it has access your own role doesn't.`);
+        }
+    }
+    const [updated] = await auditUpdate(trx, actor, "roles", { roleid }, values).catch((err) => {
+        throw nameTaken(err);
+    });
+    return updated;
+};
+
+// Only unused, custom roles can be deleted (deleted users count as using it)
+const deleteRole = async (trx, actor, roleid) => {
+    const role = await trx("roles").where({ roleid }).first();
+    if (!role) {
+        throw new RoleError("Role not found.");
+    }
+    if (role.rolekey) {
+        throw new RoleError(`${role.rolename} is a built-in role and can't be deleted.`);
+    }
+    const { users } = await trx("users").where({ roleid }).first(trx.raw("COUNT(*)::int AS users"));
+    if (users > 0) {
+        throw new RoleError(`${role.rolename} is assigned to ${users} user${users === 1 ? "" : "s"}; move them to another role first.`);
+    }
+    await auditDelete(trx, actor, "roles", { roleid });
+    return role;
+};
+
+module.exports = {
+    RoleError,
+    listRoles,
+    assignableRole,
+    assertCanManage,
+    reassignRole,
+    memberRoleId,
+    createRole,
+    updateRole,
+    deleteRole,
+};
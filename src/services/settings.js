@@ -0,0 +1,23 @@
+const db = require("../config/db");
+const { auditInsert, auditUpdate } = require("./audit");
+
+// Settings admins can change from the app, with their defaults
+const SETTINGS = {
+    require_staff_2fa: false,
+};
+
+const getSetting = async (key) => {
+    const row = await db("appsettings").where({ appsettingkey: key }).first();
+    return row ? row.appsettingvalue : SETTINGS[key];
+};
+
+// Save a setting, logging the change like any other record
+const setSetting = async (trx, actor, key, value) => {
+    const values = { appsettingvalue: JSON.stringify(value), appsettingupdatedat: trx.fn.now() };
+    const updated = await auditUpdate(trx, actor, "appsettings", { appsettingkey: key }, values);
+    if (updated.length === 0) {
+        await auditInsert(trx, actor, "appsettings", { appsettingkey: key, ...values });
+    }
+};
+
+module.exports = { SETTINGS, getSetting, setSetting };
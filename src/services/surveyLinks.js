@@ -0,0 +1,230 @@
+const crypto = require("crypto");
+
+const db = require("../config/db");
+const { surveyLinks } = require("../config/auth");
+const { sendMail } = require("./mailer");
+const { canSubmitSurvey, hasSurvey } = require("./registrations");
+const { templateForOccurrence, readAnswers, saveResponse } = require("./surveyTemplates");
+
+// Raised for survey link problems that should be shown to the respondent as-is
+class SurveyLinkError extends Error {}
+
+// Short enough to keep the QR code easy to scan
+const newToken = () => crypto.randomBytes(16).toString("base64url");
+
+// Links last surveyLinks.ttlDays past the start of their event
+const expiresFor = (eventoccurrenceid) =>
+    db.raw(
+        "(SELECT GREATEST(NOW(), eventdatetimestart) + make_interval(days => ?) FROM eventoccurrences WHERE eventoccurrenceid = ?)",
+        [surveyLinks.ttlDays, eventoccurrenceid]
+    );
+
+const activeLinks = (trx) =>
+    trx("surveylinks as sl")
+        .whereNull("sl.surveylinkrevokedat")
+        .where("sl.surveylinkexpiresat", ">", db.fn.now());
+
+// The shared link for an occurrence (if any) and its per-attendee links
+const listLinks = async (eventoccurrenceid) => {
+    const links = await activeLinks(db)
+        .leftJoin("participants as p", "sl.participantid", "p.participantid")
+        .select(
+            "sl.*",
+            "p.participantfirstname",
+            "p.participantlastname",
+            "p.participantemail",
+            db.raw(
+                "EXISTS (SELECT 1 FROM surveys s WHERE s.participantid = sl.participantid " +
+                "AND s.eventoccurrenceid = sl.eventoccurrenceid AND s.surveydeletedat IS NULL) AS surveydone"
+            )
+        )
+        .where("sl.eventoccurrenceid", eventoccurrenceid)
+        .orderBy([{ column: "p.participantlastname" }, { column: "p.participantfirstname" }]);
+
+    return {
+        eventLink: links.find((l) => !l.participantid) || null,
+        attendeeLinks: links.filter((l) => l.participantid),
+    };
+};
+
+// A new shared link for everyone at the occurrence; replaces the current one
+const createEventLink = async (trx, actor, eventoccurrenceid) => {
+    await trx("surveylinks")
+        .where({ eventoccurrenceid })
+        .whereNull("participantid")
+        .whereNull("surveylinkrevokedat")
+        .update({ surveylinkrevokedat: db.fn.now() });
+
+    const [link] = await trx("surveylinks")
+        .insert({
+            eventoccurrenceid,
+            surveylinktoken: newToken(),
+            surveylinkcreatedby: actor.userid,
+            surveylinkexpiresat: expiresFor(eventoccurrenceid),
+        })
+        .returning("*");
+    return link;
+};
+
+// A personal link for each attendee who hasn't answered yet and doesn't
+// already have one. Returns the new links with the attendee's name and email.
+const createAttendeeLinks = async (trx, actor, occurrence) => {
+    if (!occurrence.eventattendancetakenat) {
+        throw new SurveyLinkError("Take attendance first; attendee links go to the people who were checked in.");
+    }
+
+    const attendees = await trx("eventregistrations as r")
+        .join("participants as p", "r.participantid", "p.participantid")
+        .select("p.participantid", "p.participantfirstname", "p.participantlastname", "p.participantemail")
+        .where({ "r.eventoccurrenceid": occurrence.eventoccurrenceid, "r.registrationattended": true })
+        .whereNull("p.participantdeletedat")
+        .whereNotExists(
+            db("surveys as s")
+                .whereRaw("s.participantid = r.participantid AND s.eventoccurrenceid = r.eventoccurrenceid")
+                .whereNull("s.surveydeletedat")
+        )
+        .whereNotExists(
+            activeLinks(db).whereRaw("sl.participantid = r.participantid AND sl.eventoccurrenceid = r.eventoccurrenceid")
+        );
+    if (attendees.length === 0) {
+        throw new SurveyLinkError("Every attendee already has a link or has answered the survey.");
+    }
+
+    const links = await trx("surveylinks")
+        .insert(
+            attendees.map((a) => ({
+                eventoccurrenceid: occurrence.eventoccurrenceid,
+                participantid: a.participantid,
+                surveylinktoken: newToken(),
+                surveylinkcreatedby: actor.userid,
+                surveylinkexpiresat: expiresFor(occurrence.eventoccurrenceid),
+            }))
+        )
+        .returning("*");
+    return links.map((link) => ({ ...link, ...attendees.find((a) => a.participantid === link.participantid) }));
+};
+
+// Email each new attendee link that has an address; returns how many were sent
+const emailAttendeeLinks = async (occurrence, links, { baseUrl }) => {
+    let sent = 0;
+    for (const link of links.filter((l) => l.participantemail)) {
+        await sendMail({
+            to: link.participantemail,
+            subject: `How was ${occurrence.eventname}?`,
+            text: [
+                `Hi ${link.participantfirstname},`,
+                "",
+                `Thanks for coming to ${occurrence.eventname} on ${new Date(occurrence.eventdatetimestart).toLocaleDateString()}.`,
+                "We'd love to hear how it went. The survey takes about a minute:",
+                "",
+                `${baseUrl}/survey/${link.surveylinktoken}`,
+                "",
+                `The link works until ${new Date(link.surveylinkexpiresat).toLocaleDateString()}.`,
+            ].join("\n"),
+        });
+        sent += 1;
+    }
+    return sent;
+};
+
+const revokeLink = async (trx, surveylinkid) => {
+    const [link] = await trx("surveylinks")
+        .where({ surveylinkid })
+        .whereNull("surveylinkrevokedat")
+        .update({ surveylinkrevokedat: db.fn.now() })
+        .returning("*");
+    if (!link) {
+        throw new SurveyLinkError("That link has already been turned off.");
+    }
+    return link;
+};
+
+// A working link for a token, with its event (and attendee, for a personal
+// link), or null
+const findLink = (token) =>
+    activeLinks(db)
+        .join("eventoccurrences as eo", "sl.eventoccurrenceid", "eo.eventoccurrenceid")
+        .join("events as e", "eo.eventid", "e.eventid")
+        .leftJoin("participants as p", "sl.participantid", "p.participantid")
+        .select(
+            "sl.surveylinkid",
+            "sl.eventoccurrenceid",
+            "sl.participantid",
+            "sl.surveylinkexpiresat",
+            "eo.eventdatetimestart",
+            "eo.eventlocation",
+            "e.eventname",
+            "e.eventtype",
+            "p.participantfirstname",
+            "p.participantdeletedat"
+        )
+        .where("sl.surveylinktoken", String(token))
+        .whereNull("e.eventdeletedat")
+        .first();
+
+// Who is answering: the attendee a personal link was made for, or, on a
+// shared link, the registrant whose email and last name were entered
+const findRespondent = async (link, { email, lastname }) => {
+    if (link.participantid) {
+        if (link.participantdeletedat) {
+            throw new SurveyLinkError("This link no longer works. Ask Ella Rises staff for a new one.");
+        }
+        return link.participantid;
+    }
+
+    const emailValue = String(email || "").trim();
+    const lastnameValue = String(lastname || "").trim();
+    if (!emailValue || !lastnameValue) {
+        throw new SurveyLinkError("Enter the email and last name you registered with.");
+    }
+
+    const registration = await db("eventregistrations as r")
+        .join("participants as p", "r.participantid", "p.participantid")
+        .where("r.eventoccurrenceid", link.eventoccurrenceid)
+        .whereNot("r.registrationstatus", "Cancelled")
+        .whereRaw("LOWER(p.participantemail) = LOWER(?)", [emailValue])
+        .whereRaw("LOWER(TRIM(p.participantlastname)) = LOWER(?)", [lastnameValue])
+        .whereNull("p.participantdeletedat")
+        .select("p.participantid")
+        .first();
+    if (!registration) {
+        throw new SurveyLinkError("We couldn't find a registration for this event with that email and last name.");
+    }
+    return registration.participantid;
+};
+
+// Save a response from a survey link or the portal: one per participant per
+// occurrence, and only from attendees once attendance has been taken. The
+// answers are checked against the occurrence's questionnaire.
+const submitSurvey = async (trx, actor, link, participantid, body) => {
+    const template = await templateForOccurrence(trx, link.eventoccurrenceid);
+    const answers = readAnswers(template.questions, body);
+
+    // Lock the occurrence so a double submit can't slip two responses in
+    await trx("eventoccurrences").where({ eventoccurrenceid: link.eventoccurrenceid }).forUpdate().first();
+    if (await hasSurvey(trx, participantid, link.eventoccurrenceid)) {
+        throw new SurveyLinkError("You've already answered the survey for this event. Thank you!");
+    }
+    if (!(await canSubmitSurvey(participantid, link.eventoccurrenceid))) {
+        throw new SurveyLinkError("Surveys for this event are limited to people who attended it.");
+    }
+
+    return saveResponse(trx, actor, {
+        participantid,
+        eventoccurrenceid: link.eventoccurrenceid,
+        template,
+        answers,
+    });
+};
+
+module.exports = {
+    SurveyLinkError,
+    listLinks,
+    createEventLink,
+    createAttendeeLinks,
+    emailAttendeeLinks,
+    revokeLink,
+    findLink,
+    findRespondent,
+    submitSurvey,
+};
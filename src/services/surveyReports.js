@@ -0,0 +1,278 @@
+const db = require("../config/db");
+const { SENTIMENTS, analyzeComments } = require("./commentInsights");
+
+// Comments listed on a report page; keywords and sentiment use all of them
+const COMMENTS_SHOWN = 200;
+
+// Pull the report filters out of the query string (blank values are ignored)
+const parseReportFilters = (query) => {
+    const clean = (value) => (typeof value === "string" ? value.trim() : "");
+    const sentiment = clean(query.sentiment);
+    return {
+        type: clean(query.type),
+        start: clean(query.start),
+        end: clean(query.end),
+        occurrence: parseInt(query.occurrence, 10) || null,
+        search: clean(query.search),
+        sentiment: SENTIMENTS.includes(sentiment) ? sentiment : "",
+    };
+};
+
+// Past, not cancelled occurrences of live events within the filters
+const occurrenceScope = (qb, filters, eventid) => {
+    qb.whereNull("e.eventdeletedat")
+        .where("eo.eventoccurrencecancelled", false)
+        .where("eo.eventdatetimestart", "<=", db.fn.now());
+    if (eventid) {
+        qb.where("e.eventid", eventid);
+    }
+    if (filters.occurrence) {
+        qb.where("eo.eventoccurrenceid", filters.occurrence);
+    }
+    if (filters.type) {
+        qb.where("e.eventtype", filters.type);
+    }
+    if (filters.start) {
+        qb.whereRaw("DATE(eo.eventdatetimestart) >= ?", [filters.start]);
+    }
+    if (filters.end) {
+        qb.whereRaw("DATE(eo.eventdatetimestart) <= ?", [filters.end]);
+    }
+};
+
+// Responses that count: not deleted, from participants who aren't deleted
+const liveSurveys = () =>
+    db("surveys as s")
+        .join("participants as p", "s.participantid", "p.participantid")
+        .whereNull("s.surveydeletedat")
+        .whereNull("p.participantdeletedat");
+
+const toNumber = (value) => {
+    const parsed = parseFloat(value);
+    return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+// One row per occurrence with its attendance and survey totals. Totals
+// rather than averages, so any grouping can be added up exactly.
+const occurrenceRows = async (filters, eventid = null) => {
+    const rows = await db("eventoccurrences as eo")
+        .join("events as e", "eo.eventid", "e.eventid")
+        .leftJoin(liveSurveys().select("s.*").as("s"), "s.eventoccurrenceid", "eo.eventoccurrenceid")
+        .modify((qb) => occurrenceScope(qb, filters, eventid))
+        .select(
+            "eo.eventoccurrenceid",
+            "eo.eventdatetimestart",
+            "eo.eventlocation",
+            "e.eventid",
+            "e.eventname",
+            "e.eventtype",
+            db.raw("eo.eventattendancetakenat IS NOT NULL AS attendancetaken"),
+            db.raw(
+                "(SELECT COUNT(*)::int FROM eventregistrations r " +
+                "WHERE r.eventoccurrenceid = eo.eventoccurrenceid AND r.registrationattended) AS attended"
+            ),
+            db.raw("COUNT(s.surveyid)::int AS responses"),
+            db.raw("COUNT(s.surveyoverallscore)::int AS scored"),
+            db.raw("COALESCE(SUM(s.surveyoverallscore), 0) AS scoresum"),
+            db.raw("COUNT(*) FILTER (WHERE s.surveynpsbucket = 'Promoter')::int AS promoters"),
+            db.raw("COUNT(*) FILTER (WHERE s.surveynpsbucket = 'Passive')::int AS passives"),
+            db.raw("COUNT(*) FILTER (WHERE s.surveynpsbucket = 'Detractor')::int AS detractors")
+        )
+        .groupBy("eo.eventoccurrenceid", "e.eventid")
+        .orderBy("eo.eventdatetimestart", "asc");
+
+    return rows.map((row) => ({ ...row, scoresum: toNumber(row.scoresum) }));
+};
+
+// Add up occurrence rows. NPS is promoters minus detractors as a share of the
+// responses that have an NPS bucket; the response rate only counts
+// occurrences where attendance was taken.
+const summarize = (rows) => {
+    const total = (field, list = rows) => list.reduce((sum, row) => sum + row[field], 0);
+    const checkedIn = rows.filter((row) => row.attendancetaken);
+    const promoters = total("promoters");
+    const passives = total("passives");
+    const detractors = total("detractors");
+    const rated = promoters + passives + detractors;
+    const scored = total("scored");
+    const attended = total("attended", checkedIn);
+
+    return {
+        occurrences: rows.length,
+        responses: total("responses"),
+        attended,
+        responseRate: attended ? total("responses", checkedIn) / attended : null,
+        averageScore: scored ? total("scoresum") / scored : null,
+        nps: rated ? Math.round(((promoters - detractors) / rated) * 100) : null,
+        npsBreakdown: { promoters, passives, detractors },
+    };
+};
+
+// Summaries keyed by whatever groupKey picks out of a row, in first-seen order
+const summarizeBy = (rows, groupKey) => {
+    const groups = new Map();
+    rows.forEach((row) => {
+        const key = groupKey(row);
+        groups.set(key, [...(groups.get(key) || []), row]);
+    });
+    return Array.from(groups.entries()).map(([key, list]) => ({ key, first: list[0], ...summarize(list) }));
+};
+
+// Per question: how many answered, the mean of a rating and how the answers
+// spread. Grouped by questionnaire, since an event may have used more than one.
+const questionStats = async (filters, eventid) => {
+    const rows = await liveSurveys()
+        .join("surveyanswers as a", "s.surveyid", "a.surveyid")
+        .join("surveyquestions as q", "a.surveyquestionid", "q.surveyquestionid")
+        .join("surveytemplates as t", "q.surveytemplateid", "t.surveytemplateid")
+        .join("eventoccurrences as eo", "s.eventoccurrenceid", "eo.eventoccurrenceid")
+        .join("events as e", "eo.eventid", "e.eventid")
+        .modify((qb) => occurrenceScope(qb, filters, eventid))
+        .whereNot("q.surveyquestiontype", "text")
+        .select(
+            "t.surveytemplateid",
+            "t.surveytemplatename",
+            "q.surveyquestionid",
+            "q.surveyquestionorder",
+            "q.surveyquestiontext",
+            "q.surveyquestiontype",
+            "q.surveyquestionoptions",
+            "q.surveyquestionscalemax",
+            "q.surveyquestionnps",
+            "a.surveyanswervalue"
+        )
+        .count("* as answers")
+        .groupBy("t.surveytemplateid", "q.surveyquestionid", "a.surveyanswervalue")
+        .orderBy([{ column: "t.surveytemplateid" }, { column: "q.surveyquestionorder" }]);
+
+    const templates = new Map();
+    rows.forEach((row) => {
+        if (!templates.has(row.surveytemplateid)) {
+            templates.set(row.surveytemplateid, { name: row.surveytemplatename, questions: new Map() });
+        }
+        const questions = templates.get(row.surveytemplateid).questions;
+        if (!questions.has(row.surveyquestionid)) {
+            // Every possible answer is listed, even ones nobody picked
+            const choices =
+                row.surveyquestiontype === "scale"
+                    ? Array.from({ length: row.surveyquestionscalemax }, (_, i) => String(i + 1))
+                    : row.surveyquestiontype === "yesno"
+                        ? ["Yes", "No"]
+                        : [...(row.surveyquestionoptions || [])];
+            questions.set(row.surveyquestionid, {
+                text: row.surveyquestiontext,
+                type: row.surveyquestiontype,
+                scaleMax: row.surveyquestionscalemax,
+                nps: row.surveyquestionnps,
+                counts: new Map(choices.map((choice) => [choice, 0])),
+            });
+        }
+        const question = questions.get(row.surveyquestionid);
+        question.counts.set(row.surveyanswervalue, (question.counts.get(row.surveyanswervalue) || 0) + toNumber(row.answers));
+    });
+
+    return Array.from(templates.values()).map(({ name, questions }) => ({
+        name,
+        questions: Array.from(questions.values()).map(({ counts, ...question }) => {
+            const distribution = Array.from(counts.entries()).map(([value, count]) => ({ value, count }));
+            const answers = distribution.reduce((sum, d) => sum + d.count, 0);
+            return {
+                ...question,
+                answers,
+                mean:
+                    question.type === "scale" && answers
+                        ? distribution.reduce((sum, d) => sum + Number(d.value) * d.count, 0) / answers
+                        : null,
+                distribution,
+            };
+        }),
+    }));
+};
+
+// Free-text answers in scope (optionally containing the search text), tagged
+// with sentiment, plus the most common keywords
+const commentInsights = async (filters, eventid = null) => {
+    const rows = await liveSurveys()
+        .join("surveyanswers as a", "s.surveyid", "a.surveyid")
+        .join("surveyquestions as q", "a.surveyquestionid", "q.surveyquestionid")
+        .join("eventoccurrences as eo", "s.eventoccurrenceid", "eo.eventoccurrenceid")
+        .join("events as e", "eo.eventid", "e.eventid")
+        .modify((qb) => occurrenceScope(qb, filters, eventid))
+        .where("q.surveyquestiontype", "text")
+        .modify((qb) => {
+            if (filters.search) {
+                qb.whereRaw("a.surveyanswervalue ILIKE ?", [`%${filters.search.replace(/[\\%_]/g, "\\$&")}%`]);
+            }
+        })
+        .select(
+            "s.surveyid",
+            "a.surveyanswervalue as text",
+            "q.surveyquestiontext",
+            "p.participantfirstname",
+            "p.participantlastname",
+            "e.eventid",
+            "e.eventname",
+            "eo.eventdatetimestart"
+        )
+        .orderBy([
+            { column: "eo.eventdatetimestart", order: "desc" },
+            { column: "s.surveyid", order: "desc" },
+        ]);
+
+    const { comments, sentimentCounts, keywords } = analyzeComments(rows);
+    const matching = filters.sentiment ? comments.filter((c) => c.sentiment === filters.sentiment) : comments;
+    return {
+        total: comments.length,
+        matching: matching.length,
+        comments: matching.slice(0, COMMENTS_SHOWN),
+        sentimentCounts,
+        keywords,
+    };
+};
+
+// Event types side by side, and each event, for the report overview
+const overviewReport = async (filters) => {
+    const [rows, comments, eventTypes] = await Promise.all([
+        occurrenceRows({ ...filters, occurrence: null }),
+        commentInsights({ ...filters, occurrence: null }),
+        db("events").distinct("eventtype").whereNull("eventdeletedat").whereNotNull("eventtype").orderBy("eventtype").pluck("eventtype"),
+    ]);
+
+    return {
+        summary: summarize(rows),
+        byType: summarizeBy(rows, (row) => row.eventtype || "Other").sort((a, b) => a.key.localeCompare(b.key)),
+        byEvent: summarizeBy(rows, (row) => row.eventid).sort((a, b) => a.first.eventname.localeCompare(b.first.eventname)),
+        comments,
+        eventTypes,
+    };
+};
+
+// One event: each occurrence over time, and with ?occurrence= the question
+// breakdown and comments narrow to that date
+const eventReport = async (eventid, filters) => {
+    const event = await db("events").where({ eventid }).whereNull("eventdeletedat").first();
+    if (!event) {
+        return null;
+    }
+
+    const [trend, questions, comments] = await Promise.all([
+        occurrenceRows({ ...filters, occurrence: null }, eventid),
+        questionStats(filters, eventid),
+        commentInsights(filters, eventid),
+    ]);
+    const selected = filters.occurrence ? trend.filter((row) => row.eventoccurrenceid === filters.occurrence) : trend;
+
+    return {
+        event,
+        summary: summarize(selected),
+        trend: trend.map((row) => ({ ...row, ...summarize([row]) })),
+        questions,
+        comments,
+    };
+};
+
+module.exports = {
+    parseReportFilters,
+    overviewReport,
+    eventReport,
+};
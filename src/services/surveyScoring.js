@@ -0,0 +1,34 @@
+// Overall score and NPS bucket for a survey response. Shared by the survey
+// forms, survey links, the API and the CSV importer so every row is scored
+// the same way.
+
+// On a 1-5 scale only a 5 is a promoter and a 4 passive (as the original
+// survey scored it); on a 1-10 scale, 9-10 and 7-8
+const npsBucket = (rating, scaleMax) => {
+    if (scaleMax === 10) {
+        return rating >= 9 ? "Promoter" : rating >= 7 ? "Passive" : "Detractor";
+    }
+    return rating === 5 ? "Promoter" : rating === 4 ? "Passive" : "Detractor";
+};
+
+// questions are the template's, answers the response's surveyanswers rows.
+// The overall score is the mean of the scored ratings, each put on a 5-point
+// scale; either value is null when the template has nothing to base it on.
+const scoreSurvey = (questions, answers) => {
+    const ratings = new Map(
+        answers.filter((a) => a.surveyanswernumber !== null).map((a) => [a.surveyquestionid, Number(a.surveyanswernumber)])
+    );
+    const answered = (q) => q.surveyquestiontype === "scale" && ratings.has(q.surveyquestionid);
+
+    const scored = questions.filter((q) => q.surveyquestionscored && answered(q));
+    const nps = questions.find((q) => q.surveyquestionnps && answered(q));
+
+    return {
+        surveyoverallscore: scored.length
+            ? scored.reduce((sum, q) => sum + (ratings.get(q.surveyquestionid) * 5) / q.surveyquestionscalemax, 0) / scored.length
+            : null,
+        surveynpsbucket: nps ? npsBucket(ratings.get(nps.surveyquestionid), nps.surveyquestionscalemax) : null,
+    };
+};
+
+module.exports = { npsBucket, scoreSurvey };
@@ -0,0 +1,429 @@
+const db = require("../config/db");
+const { auditInsert, auditUpdate, auditDelete } = require("./audit");
+const { scoreSurvey } = require("./surveyScoring");
+
+// Raised for questionnaire and answer problems that should be shown as-is
+class SurveyTemplateError extends Error {}
+
+const QUESTION_TYPES = {
+    scale: "Rating scale",
+    choice: "Multiple choice",
+    yesno: "Yes / No",
+    text: "Free text",
+};
+
+// Standard template answers are also copied to these surveys columns, which
+// the API, the CSV import and older reports read
+const LEGACY_COLUMNS = [
+    "surveysatisfactionscore",
+    "surveyusefulnessscore",
+    "surveyinstructorscore",
+    "surveyrecommendationscore",
+    "surveycomments",
+];
+
+const MAX_TEXT_ANSWER = 5000;
+
+const questionsFor = (trx, surveytemplateid) =>
+    trx("surveyquestions").where({ surveytemplateid }).orderBy("surveyquestionorder");
+
+// Every template with how much uses it, Standard first
+const listTemplates = () =>
+    db("surveytemplates as t")
+        .select(
+            "t.*",
+            db.raw("(SELECT COUNT(*)::int FROM surveyquestions q WHERE q.surveytemplateid = t.surveytemplateid) AS questioncount"),
+            db.raw("(SELECT COUNT(*)::int FROM surveys s WHERE s.surveytemplateid = t.surveytemplateid) AS responsecount"),
+            db.raw(
+                "(SELECT COUNT(*)::int FROM events e WHERE e.surveytemplateid = t.surveytemplateid " +
+                "AND e.eventdeletedat IS NULL) AS eventcount"
+            )
+        )
+        .orderBy([
+            { column: "t.surveytemplateisdefault", order: "desc" },
+            { column: "t.surveytemplatename" },
+        ]);
+
+// Active templates for the event form's dropdown
+const activeTemplates = () =>
+    db("surveytemplates")
+        .select("surveytemplateid", "surveytemplatename", "surveytemplateeventtype", "surveytemplateisdefault")
+        .where("surveytemplateactive", true)
+        .orderBy("surveytemplatename");
+
+const withQuestions = async (trx, template) =>
+    template ? { ...template, questions: await questionsFor(trx, template.surveytemplateid) } : null;
+
+// A template with its questions and response count, or null
+const getTemplate = async (surveytemplateid, trx = db) => {
+    const template = await trx("surveytemplates")
+        .select(
+            "surveytemplates.*",
+            trx.raw("(SELECT COUNT(*)::int FROM surveys s WHERE s.surveytemplateid = surveytemplates.surveytemplateid) AS responsecount")
+        )
+        .where({ surveytemplateid })
+        .first();
+    return withQuestions(trx, template);
+};
+
+const standardTemplate = async (trx = db) =>
+    withQuestions(trx, await trx("surveytemplates").where("surveytemplateisdefault", true).first());
+
+// The questionnaire an occurrence's respondents answer: the one attached to
+// its event, else the active one for its event type, else Standard
+const templateForOccurrence = async (trx, eventoccurrenceid) => {
+    const event = await trx("eventoccurrences as eo")
+        .join("events as e", "eo.eventid", "e.eventid")
+        .select("e.surveytemplateid", "e.eventtype")
+        .where("eo.eventoccurrenceid", eventoccurrenceid)
+        .first();
+    if (!event) {
+        return standardTemplate(trx);
+    }
+
+    const template = await trx("surveytemplates")
+        .where((qb) => {
+            qb.where("surveytemplateisdefault", true);
+            if (event.surveytemplateid) {
+                qb.orWhere("surveytemplateid", event.surveytemplateid);
+            }
+            if (event.eventtype) {
+                qb.orWhere((sub) =>
+                    sub.where("surveytemplateactive", true).whereRaw("LOWER(surveytemplateeventtype) = LOWER(?)", [event.eventtype])
+                );
+            }
+        })
+        .orderByRaw("CASE WHEN surveytemplateid = ? THEN 0 WHEN surveytemplateisdefault THEN 2 ELSE 1 END", [
+            event.surveytemplateid || 0,
+        ])
+        .first();
+    return withQuestions(trx, template);
+};
+
+// Check a response form (one q_<questionid> field per question) against the
+// template. Returns the answers to store, without a surveyid.
+const readAnswers = (questions, body) => {
+    const answers = [];
+    for (const question of questions) {
+        const id = question.surveyquestionid;
+        const text = question.surveyquestiontext;
+        const raw = body[`q_${id}`];
+        const value = String(raw === undefined || raw === null ? "" : raw).trim();
+
+        if (!value) {
+            if (question.surveyquestionrequired) {
+                throw new SurveyTemplateError(`Answer "${text}".`);
+            }
+            continue;
+        }
+
+        if (question.surveyquestiontype === "scale") {
+            const rating = Number(value);
+            if (!Number.isInteger(rating) || rating < 1 || rating > question.surveyquestionscalemax) {
+                throw new SurveyTemplateError(`Rate "${text}" from 1 to ${question.surveyquestionscalemax}.`);
+            }
+            answers.push({ surveyquestionid: id, surveyanswervalue: String(rating), surveyanswernumber: rating });
+        } else if (question.surveyquestiontype === "choice") {
+            if (!(question.surveyquestionoptions || []).includes(value)) {
+                throw new SurveyTemplateError(`Pick one of the answers for "${text}".`);
+            }
+            answers.push({ surveyquestionid: id, surveyanswervalue: value, surveyanswernumber: null });
+        } else if (question.surveyquestiontype === "yesno") {
+            if (value !== "Yes" && value !== "No") {
+                throw new SurveyTemplateError(`Answer "${text}" with yes or no.`);
+            }
+            answers.push({ surveyquestionid: id, surveyanswervalue: value, surveyanswernumber: value === "Yes" ? 1 : 0 });
+        } else {
+            if (value.length > MAX_TEXT_ANSWER) {
+                throw new SurveyTemplateError(`Keep "${text}" under ${MAX_TEXT_ANSWER} characters.`);
+            }
+            answers.push({ surveyquestionid: id, surveyanswervalue: value, surveyanswernumber: null });
+        }
+    }
+    return answers;
+};
+
+// Form values (q_<questionid>) for a saved response, to fill in the edit form
+const answerValues = async (surveyid, trx = db) => {
+    const answers = await trx("surveyanswers").where({ surveyid });
+    return Object.fromEntries(answers.map((a) => [`q_${a.surveyquestionid}`, a.surveyanswervalue]));
+};
+
+// Store a response and its answers, scored against its template. With a
+// surveyid the response is updated and only answers that changed are touched.
+const saveResponse = async (trx, actor, { surveyid = null, participantid, eventoccurrenceid, template, answers }) => {
+    const legacy = Object.fromEntries(LEGACY_COLUMNS.map((column) => [column, null]));
+    template.questions
+        .filter((q) => q.surveyquestionkey)
+        .forEach((q) => {
+            const answer = answers.find((a) => a.surveyquestionid === q.surveyquestionid);
+            if (answer) {
+                legacy[q.surveyquestionkey] = answer.surveyanswernumber ?? answer.surveyanswervalue;
+            }
+        });
+
+    const values = {
+        participantid,
+        eventoccurrenceid,
+        surveytemplateid: template.surveytemplateid,
+        ...legacy,
+        ...scoreSurvey(template.questions, answers),
+    };
+
+    let survey;
+    if (surveyid) {
+        [survey] = await auditUpdate(trx, actor, "surveys", (qb) => qb.where({ surveyid }).whereNull("surveydeletedat"), values);
+        if (!survey) {
+            throw new SurveyTemplateError("That survey no longer exists.");
+        }
+    } else {
+        [survey] = await auditInsert(trx, actor, "surveys", values);
+    }
+
+    const existing = await trx("surveyanswers").where({ surveyid: survey.surveyid });
+    const removed = existing.filter((old) => !answers.some((a) => a.surveyquestionid === old.surveyquestionid));
+    if (removed.length > 0) {
+        await auditDelete(trx, actor, "surveyanswers", (qb) =>
+            qb.whereIn("surveyanswerid", removed.map((old) => old.surveyanswerid))
+        );
+    }
+
+    const added = [];
+    for (const answer of answers) {
+        const old = existing.find((a) => a.surveyquestionid === answer.surveyquestionid);
+        if (!old) {
+            added.push({ surveyid: survey.surveyid, ...answer });
+        } else if (old.surveyanswervalue !== answer.surveyanswervalue) {
+            await auditUpdate(trx, actor, "surveyanswers", { surveyanswerid: old.surveyanswerid }, answer);
+        }
+    }
+    if (added.length > 0) {
+        await auditInsert(trx, actor, "surveyanswers", added);
+    }
+    return survey;
+};
+
+// Save a response given as the original survey columns (the API and CSV
+// import) as a Standard template response
+const saveStandardResponse = async (trx, actor, { surveyid = null, participantid, eventoccurrenceid, ...columns }) => {
+    const template = await standardTemplate(trx);
+    const body = {};
+    template.questions
+        .filter((q) => q.surveyquestionkey)
+        .forEach((q) => {
+            body[`q_${q.surveyquestionid}`] = columns[q.surveyquestionkey];
+        });
+    const answers = readAnswers(template.questions, body);
+    return saveResponse(trx, actor, { surveyid, participantid, eventoccurrenceid, template, answers });
+};
+
+// ==============================================
+// Building templates
+// ==============================================
+
+const checked = (value) => value === "on" || value === "true" || value === true;
+
+// The builder posts questions[i][field]; qs gives an array or, past 20
+// questions, an object keyed by index
+const readQuestions = (raw) => {
+    const rows = Array.isArray(raw) ? raw : Object.values(raw || {});
+    const questions = rows
+        .filter((row) => row && String(row.text || "").trim())
+        .map((row, index) => {
+            const type = QUESTION_TYPES[row.type] ? row.type : "scale";
+            const scalemax = Number(row.scalemax) === 10 ? 10 : 5;
+            return {
+                surveyquestionorder: index + 1,
+                surveyquestiontext: String(row.text).trim(),
+                surveyquestiontype: type,
+                surveyquestionoptions:
+                    type === "choice"
+                        ? Array.from(new Set(String(row.options || "").split(/\r?\n/).map((o) => o.trim()).filter(Boolean)))
+                        : null,
+                surveyquestionscalemax: type === "scale" ? scalemax : null,
+                surveyquestionrequired: checked(row.required),
+                surveyquestionscored: type === "scale" && checked(row.scored),
+                surveyquestionnps: type === "scale" && checked(row.nps),
+            };
+        });
+
+    if (questions.length === 0) {
+        throw new SurveyTemplateError("Add at least one question.");
+    }
+    questions.forEach((q) => {
+        if (q.surveyquestiontext.length > 500) {
+            throw new SurveyTemplateError(`Question ${q.surveyquestionorder} is too long (500 characters at most).`);
+        }
+        if (q.surveyquestiontype === "choice" && q.surveyquestionoptions.length < 2) {
+            throw new SurveyTemplateError(`"${q.surveyquestiontext}" needs at least two choices, one per line.`);
+        }
+    });
+    if (questions.filter((q) => q.surveyquestionnps).length > 1) {
+        throw new SurveyTemplateError("Only one question can be the NPS (would you recommend) question.");
+    }
+    return questions;
+};
+
+// Name, description, event type and active flag from the builder form
+const readDetails = (body) => {
+    const name = String(body.name || "").trim();
+    if (!name) {
+        throw new SurveyTemplateError("Give the questionnaire a name.");
+    }
+    if (name.length > 100) {
+        throw new SurveyTemplateError("Keep the name under 100 characters.");
+    }
+    return {
+        surveytemplatename: name,
+        surveytemplatedescription: String(body.description || "").trim() || null,
+        surveytemplateeventtype: String(body.eventtype || "").trim() || null,
+        surveytemplateactive: checked(body.active),
+    };
+};
+
+// Names are unique, and one active template per event type
+const checkConflicts = async (trx, details, surveytemplateid = null) => {
+    const others = () => trx("surveytemplates").modify((qb) => {
+        if (surveytemplateid) {
+            qb.whereNot({ surveytemplateid });
+        }
+    });
+
+    if (await others().whereRaw("LOWER(surveytemplatename) = LOWER(?)", [details.surveytemplatename]).first()) {
+        throw new SurveyTemplateError(`There is already a questionnaire named "${details.surveytemplatename}".`);
+    }
+    if (details.surveytemplateactive && details.surveytemplateeventtype) {
+        const clash = await others()
+            .where("surveytemplateactive", true)
+            .whereRaw("LOWER(surveytemplateeventtype) = LOWER(?)", [details.surveytemplateeventtype])
+            .first();
+        if (clash) {
+            throw new SurveyTemplateError(
+                `"${clash.surveytemplatename}" is already the questionnaire for ${details.surveytemplateeventtype} events. Retire it or clear its event type first.`
+            );
+        }
+    }
+};
+
+const insertQuestions = (trx, actor, surveytemplateid, questions) =>
+    auditInsert(
+        trx,
+        actor,
+        "surveyquestions",
+        questions.map((q) => ({
+            ...q,
+            surveytemplateid,
+            surveyquestionoptions: q.surveyquestionoptions ? JSON.stringify(q.surveyquestionoptions) : null,
+        }))
+    );
+
+const createTemplate = async (trx, actor, body) => {
+    const details = readDetails(body);
+    const questions = readQuestions(body.questions);
+    await checkConflicts(trx, details);
+
+    const [template] = await auditInsert(trx, actor, "surveytemplates", details);
+    await insertQuestions(trx, actor, template.surveytemplateid, questions);
+    return template;
+};
+
+// Whether a template's questions can still change: Standard's never do (the
+// API and import rely on them), and answered ones would orphan their answers
+const questionsLocked = (template) => template.surveytemplateisdefault || template.responsecount > 0;
+
+const updateTemplate = async (trx, actor, surveytemplateid, body) => {
+    const template = await getTemplate(surveytemplateid, trx);
+    if (!template) {
+        throw new SurveyTemplateError("Questionnaire not found.");
+    }
+
+    const details = readDetails(body);
+    if (template.surveytemplateisdefault) {
+        details.surveytemplateactive = true;
+        details.surveytemplateeventtype = null;
+    }
+    const questions = questionsLocked(template) ? null : readQuestions(body.questions);
+    await checkConflicts(trx, details, template.surveytemplateid);
+
+    await auditUpdate(trx, actor, "surveytemplates", { surveytemplateid: template.surveytemplateid }, details);
+    if (questions) {
+        await auditDelete(trx, actor, "surveyquestions", { surveytemplateid: template.surveytemplateid });
+        await insertQuestions(trx, actor, template.surveytemplateid, questions);
+    }
+    return template;
+};
+
+// A new, editable version of a template, e.g. to change one with responses
+const copyTemplate = async (trx, actor, surveytemplateid) => {
+    const template = await getTemplate(surveytemplateid, trx);
+    if (!template) {
+        throw new SurveyTemplateError("Questionnaire not found.");
+    }
+
+    let name = `${template.surveytemplatename} (copy)`;
+    for (let n = 2; await trx("surveytemplates").whereRaw("LOWER(surveytemplatename) = LOWER(?)", [name]).first(); n += 1) {
+        name = `${template.surveytemplatename} (copy ${n})`;
+    }
+
+    const [copy] = await auditInsert(trx, actor, "surveytemplates", {
+        surveytemplatename: name,
+        surveytemplatedescription: template.surveytemplatedescription,
+        surveytemplateactive: true,
+    });
+    await insertQuestions(
+        trx,
+        actor,
+        copy.surveytemplateid,
+        template.questions.map((q) => ({
+            surveyquestionorder: q.surveyquestionorder,
+            surveyquestiontext: q.surveyquestiontext,
+            surveyquestiontype: q.surveyquestiontype,
+            surveyquestionoptions: q.surveyquestionoptions,
+            surveyquestionscalemax: q.surveyquestionscalemax,
+            surveyquestionrequired: q.surveyquestionrequired,
+            surveyquestionscored: q.surveyquestionscored,
+            surveyquestionnps: q.surveyquestionnps,
+        }))
+    );
+    return copy;
+};
+
+// Only unused templates can go; events using one fall back to their type's
+// template or Standard
+const deleteTemplate = async (trx, actor, surveytemplateid) => {
+    const template = await getTemplate(surveytemplateid, trx);
+    if (!template) {
+        throw new SurveyTemplateError("Questionnaire not found.");
+    }
+    if (template.surveytemplateisdefault) {
+        throw new SurveyTemplateError("The Standard questionnaire can't be deleted.");
+    }
+    if (template.responsecount > 0) {
+        throw new SurveyTemplateError("This questionnaire has responses. Retire it instead so they stay reportable.");
+    }
+
+    await auditUpdate(trx, actor, "events", { surveytemplateid: template.surveytemplateid }, { surveytemplateid: null });
+    await auditDelete(trx, actor, "surveyquestions", { surveytemplateid: template.surveytemplateid });
+    await auditDelete(trx, actor, "surveytemplates", { surveytemplateid: template.surveytemplateid });
+    return template;
+};
+
+module.exports = {
+    SurveyTemplateError,
+    QUESTION_TYPES,
+    LEGACY_COLUMNS,
+    listTemplates,
+    activeTemplates,
+    getTemplate,
+    standardTemplate,
+    templateForOccurrence,
+    readAnswers,
+    answerValues,
+    saveResponse,
+    saveStandardResponse,
+    questionsLocked,
+    createTemplate,
+    updateTemplate,
+    copyTemplate,
+    deleteTemplate,
+};
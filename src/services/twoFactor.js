@@ -0,0 +1,177 @@
+const crypto = require("crypto");
+
+const db = require("../config/db");
+const { auditUpdate } = require("./audit");
+const { getSetting } = require("./settings");
+const { rolePermissions, isStaff } = require("./permissions");
+
+// Raised for enrollment and verification problems shown to the user as-is
+class TwoFactorError extends Error {}
+
+const ISSUER = "Ella Rises";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side are accepted, for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+    let bits = "";
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, "0");
+    }
+    let out = "";
+    for (let i = 0; i < bits.length; i += 5) {
+        out += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+    }
+    return out;
+};
+
+const base32Decode = (text) => {
+    let bits = "";
+    for (const char of text.replace(/[\s=]/g, "").toUpperCase()) {
+        const index = BASE32.indexOf(char);
+        if (index === -1) {
+            throw new TwoFactorError("Invalid authenticator secret.");
+        }
+        bits += index.toString(2).padStart(5, "0");
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// RFC 6238 code for one time step (HMAC-SHA1, 6 digits, the authenticator app default)
+const totpAt = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(value % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// The step a code matches near now, or null. Steps at or before `lastStep`
+// were already used and are refused.
+const matchTotp = (secret, code, lastStep = null) => {
+    const value = String(code || "").replace(/\s/g, "");
+    if (!/^\d{6}$/.test(value)) {
+        return null;
+    }
+    const now = currentStep();
+    for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+        if (lastStep !== null && step <= Number(lastStep)) {
+            continue;
+        }
+        const expected = totpAt(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(value))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// otpauth:// URI for the QR code authenticator apps scan
+const otpauthUrl = (username, secret) =>
+    `otpauth://totp/${encodeURIComponent(`${ISSUER}:${username}`)}?secret=${secret}` +
+    `&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+const hashRecoveryCode = (code) =>
+    crypto.createHash("sha256").update(String(code).replace(/[\s-]/g, "").toLowerCase()).digest("hex");
+
+// Replace a user's recovery codes; returns the new codes, shown once
+const issueRecoveryCodes = async (trx, userid) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString("hex");
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    await trx("userrecoverycodes").where({ userid }).del();
+    await trx("userrecoverycodes").insert(codes.map((code) => ({ userid, recoverycodehash: hashRecoveryCode(code) })));
+    return codes;
+};
+
+const isEnrolled = (user) => Boolean(user && user.usertotpenabledat && user.usertotpsecret);
+
+// Whether this account must use two-factor to sign in
+const isRequiredFor = async (user) => {
+    if ((await getSetting("require_staff_2fa")) !== true) {
+        return false;
+    }
+    const role = await db("roles").where({ roleid: user.roleid }).first();
+    return Boolean(role) && isStaff({ permissions: rolePermissions(role) });
+};
+
+// Turn on two-factor with a secret the user has just proven they set up.
+// Returns fresh recovery codes.
+const enable = async (trx, actor, userid, secret, code) => {
+    const step = matchTotp(secret, code);
+    if (step === null) {
+        throw new TwoFactorError("That code didn't match. Check the time on your phone and try again.");
+    }
+    const [user] = await auditUpdate(trx, actor, "users", (qb) => qb.where({ id: userid }).whereNull("userdeletedat"), {
+        usertotpsecret: secret,
+        usertotpenabledat: trx.fn.now(),
+    });
+    if (!user) {
+        throw new TwoFactorError("User not found.");
+    }
+    await trx("users").where({ id: userid }).update({ usertotplaststep: step });
+    return issueRecoveryCodes(trx, userid);
+};
+
+const disable = async (trx, actor, userid) => {
+    await auditUpdate(trx, actor, "users", { id: userid }, { usertotpsecret: null, usertotpenabledat: null });
+    await trx("users").where({ id: userid }).update({ usertotplaststep: null });
+    await trx("userrecoverycodes").where({ userid }).del();
+};
+
+// Check a sign-in code: an authenticator code, or else an unused recovery
+// code (which is then used up). Returns "totp", "recovery" or null.
+const verify = async (trx, userid, code) => {
+    const user = await trx("users").where({ id: userid }).forUpdate().first();
+    if (!isEnrolled(user)) {
+        return null;
+    }
+
+    const step = matchTotp(user.usertotpsecret, code, user.usertotplaststep);
+    if (step !== null) {
+        await trx("users").where({ id: userid }).update({ usertotplaststep: step });
+        return "totp";
+    }
+
+    const used = await trx("userrecoverycodes")
+        .where({ userid, recoverycodehash: hashRecoveryCode(code) })
+        .whereNull("recoverycodeusedat")
+        .update({ recoverycodeusedat: trx.fn.now() });
+    return used > 0 ? "recovery" : null;
+};
+
+const remainingRecoveryCodes = async (userid) => {
+    const { remaining } = await db("userrecoverycodes")
+        .where({ userid })
+        .whereNull("recoverycodeusedat")
+        .first(db.raw("COUNT(*)::int AS remaining"));
+    return remaining;
+};
+
+module.exports = {
+    TwoFactorError,
+    generateSecret,
+    otpauthUrl,
+    matchTotp,
+    isEnrolled,
+    isRequiredFor,
+    enable,
+    disable,
+    verify,
+    issueRecoveryCodes,
+    remainingRecoveryCodes,
+};
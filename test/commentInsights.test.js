@@ -0,0 +1,63 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { SENTIMENTS, sentimentOf, keywordFrequency, analyzeComments } = require("../src/services/commentInsights");
+
+test("comments lean positive, negative, mixed or neutral", () => {
+    assert.strictEqual(sentimentOf("The mentors were amazing and so helpful!"), "Positive");
+    assert.strictEqual(sentimentOf("Too crowded and a bit boring."), "Negative");
+    assert.strictEqual(sentimentOf("Great speakers, but the room was loud."), "Mixed");
+    assert.strictEqual(sentimentOf("We met in the gym on Tuesday."), "Neutral");
+    assert.strictEqual(sentimentOf(null), "Neutral");
+});
+
+test("a negation flips the next two words, with or without an apostrophe", () => {
+    assert.strictEqual(sentimentOf("It was not helpful."), "Negative");
+    assert.strictEqual(sentimentOf("It wasn't bad at all."), "Positive");
+    assert.strictEqual(sentimentOf("It wasn’t very good."), "Negative");
+    // Three words later the negation no longer applies
+    assert.strictEqual(sentimentOf("Not what I expected, great day"), "Positive");
+});
+
+test("keywords skip stop words, short words and numbers, and count each comment once", () => {
+    const keywords = keywordFrequency([
+        { text: "Robotics robotics robotics on 3 tables", sentiment: "Neutral" },
+        { text: "Loved the robotics", sentiment: "Positive" },
+    ]);
+    const robotics = keywords.find((entry) => entry.term === "robotics");
+    assert.deepStrictEqual(robotics, { term: "robotics", comments: 2, Positive: 1, Mixed: 0, Negative: 0, Neutral: 1 });
+    assert.strictEqual(keywords[0].term, "robotics");
+    ["on", "the", "3"].forEach((term) => assert.ok(!keywords.some((entry) => entry.term === term), term));
+});
+
+test("two-word phrases only count once they come up in two comments", () => {
+    const keywords = keywordFrequency([
+        { text: "Guest speaker was inspiring", sentiment: "Positive" },
+        { text: "The guest speaker ran late", sentiment: "Negative" },
+        { text: "Snack table was empty", sentiment: "Neutral" },
+    ]);
+    const terms = keywords.map((entry) => entry.term);
+    assert.ok(terms.includes("guest speaker"));
+    assert.ok(terms.includes("snack"));
+    assert.ok(!terms.includes("snack table"));
+    assert.strictEqual(keywordFrequency([{ text: "alpha beta gamma delta", sentiment: "Neutral" }], 2).length, 2);
+});
+
+test("analyzeComments tags every comment and counts each sentiment", () => {
+    const { comments, sentimentCounts, keywords } = analyzeComments([
+        { surveyid: 1, text: "Loved it" },
+        { surveyid: 2, text: "Boring" },
+        { surveyid: 3, text: "Fine" },
+    ]);
+    assert.deepStrictEqual(
+        comments.map((c) => [c.surveyid, c.sentiment]),
+        [
+            [1, "Positive"],
+            [2, "Negative"],
+            [3, "Neutral"],
+        ]
+    );
+    assert.deepStrictEqual(Object.keys(sentimentCounts), SENTIMENTS);
+    assert.deepStrictEqual(sentimentCounts, { Positive: 1, Mixed: 0, Negative: 1, Neutral: 1 });
+    assert.ok(keywords.some((entry) => entry.term === "boring" && entry.Negative === 1));
+});
@@ -0,0 +1,95 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+
+const { stubConfigDb } = require("./helpers/knexStub");
+
+// findDuplicateGroups reads every participant and every dismissed pair
+const tables = {};
+const db = stubConfigDb();
+db.respond = ({ sql }) => {
+    const table = sql.match(/ from "(\w+)"/)[1];
+    return tables[table] || [];
+};
+
+const { MATCH_REASONS, findDuplicateGroups } = require("../src/services/duplicates");
+
+let nextId = 1;
+const participant = (first, last, fields = {}) => ({
+    participantid: nextId++,
+    participantfirstname: first,
+    participantlastname: last,
+    participantemail: null,
+    participantphone: null,
+    participantdob: null,
+    ...fields,
+});
+
+const groupIds = (groups) => groups.map((group) => group.participants.map((p) => p.participantid));
+
+beforeEach(() => {
+    nextId = 1;
+    tables.participants = [];
+    tables.participantnotduplicates = [];
+});
+
+test("names match ignoring case, accents, spaces and punctuation", async () => {
+    tables.participants = [participant("José", "O'Neil"), participant("jose", "ONEIL"), participant("Josie", "Oneil")];
+    const groups = await findDuplicateGroups();
+    assert.deepStrictEqual(groupIds(groups), [[1, 2]]);
+    assert.deepStrictEqual(groups[0].reasons, ["name"]);
+});
+
+test("emails match case-insensitively and phones by their digits", async () => {
+    tables.participants = [
+        participant("Ana", "Lopez", { participantemail: "Ana@Example.org" }),
+        participant("Ana María", "Lopez", { participantemail: " ana@example.org" }),
+        participant("Maria", "Reyes", { participantphone: "(801) 555-0100" }),
+        participant("Mari", "Reyes", { participantphone: "1-801-555-0100" }),
+        participant("Eva", "Cruz", { participantphone: "555" }),
+        participant("Eve", "Cruz", { participantphone: "555" }),
+    ];
+    const groups = await findDuplicateGroups();
+    assert.deepStrictEqual(groupIds(groups), [
+        [1, 2],
+        [3, 4],
+    ]);
+    assert.deepStrictEqual(groups[0].reasons, ["email"]);
+    assert.deepStrictEqual(groups[1].reasons, ["phone"]);
+});
+
+test("different dates of birth keep same-named people apart; the same date strengthens the match", async () => {
+    tables.participants = [
+        participant("Sofia", "Garcia", { participantdob: new Date(2010, 4, 2) }),
+        participant("Sofia", "Garcia", { participantdob: new Date(2012, 8, 9) }),
+        participant("Lucia", "Diaz", { participantdob: new Date(2011, 0, 5) }),
+        participant("Lucia", "Diaz", { participantdob: "2011-01-05T00:00:00" }),
+        participant("Lucia", "Diaz"),
+    ];
+    const groups = await findDuplicateGroups();
+    assert.deepStrictEqual(groupIds(groups), [[3, 4, 5]]);
+    assert.deepStrictEqual(groups[0].reasons, ["name", "namedob"]);
+});
+
+test("reasons are listed in MATCH_REASONS order and groups with more reasons come first", async () => {
+    tables.participants = [
+        participant("Ana", "Lopez", { participantemail: "ana@example.org", participantphone: "801-555-0100" }),
+        participant("Ana", "Lopez", { participantemail: "ana@example.org", participantphone: "801 555 0100" }),
+        participant("Ben", "Abbott"),
+        participant("Ben", "Abbott"),
+    ];
+    const groups = await findDuplicateGroups();
+    assert.deepStrictEqual(groupIds(groups), [
+        [1, 2],
+        [3, 4],
+    ]);
+    assert.deepStrictEqual(
+        groups[0].reasons,
+        Object.keys(MATCH_REASONS).filter((reason) => ["email", "phone", "name"].includes(reason))
+    );
+});
+
+test("pairs marked as not duplicates are left out", async () => {
+    tables.participants = [participant("Ana", "Lopez"), participant("Ana", "Lopez")];
+    tables.participantnotduplicates = [{ participantid1: 2, participantid2: 1 }];
+    assert.deepStrictEqual(await findDuplicateGroups(), []);
+});
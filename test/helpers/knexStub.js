@@ -0,0 +1,41 @@
+const knex = require("knex");
+
+// A knex instance that compiles real Postgres SQL but never connects. Every
+// statement (transaction BEGIN/COMMIT included) is recorded in `db.queries`
+// as { sql, bindings } and answered by `db.respond(query)`, which returns the
+// rows Postgres would, or a row count for an update or delete.
+const knexStub = () => {
+    const db = knex({ client: "pg" });
+    db.queries = [];
+    db.respond = () => [];
+
+    const connection = {
+        query({ text, values }, callback) {
+            const query = { sql: text, bindings: values };
+            db.queries.push(query);
+            Promise.resolve()
+                .then(() => db.respond(query))
+                .then((result) => {
+                    const rows = Array.isArray(result) ? result : [];
+                    callback(null, {
+                        command: text.split(/\s/)[0].toUpperCase(),
+                        rows,
+                        rowCount: typeof result === "number" ? result : rows.length,
+                    });
+                }, callback);
+        },
+    };
+    db.client.acquireConnection = async () => connection;
+    db.client.releaseConnection = async () => {};
+    return db;
+};
+
+// Put a stub in place of src/config/db for the modules required after this
+const stubConfigDb = () => {
+    const db = knexStub();
+    const dbPath = require.resolve("../../src/config/db");
+    require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: db };
+    return db;
+};
+
+module.exports = { knexStub, stubConfigDb };
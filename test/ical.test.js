@@ -0,0 +1,68 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { buildCalendar, occurrenceUid } = require("../src/services/ical");
+
+const occurrence = (overrides = {}) => ({
+    eventoccurrenceid: 42,
+    eventname: "Folklorico Workshop",
+    eventdatetimestart: new Date("2026-01-13T01:00:00Z"),
+    eventdatetimeend: new Date("2026-01-13T03:00:00Z"),
+    ...overrides,
+});
+
+// Unfold continuation lines so assertions can look at whole properties
+const lines = (calendar) => calendar.replace(/\r\n /g, "").split("\r\n");
+
+test("a calendar wraps each occurrence in a VEVENT and ends with CRLF", () => {
+    const calendar = buildCalendar([occurrence()], { name: "Ella Rises", baseUrl: "https://example.org" });
+    assert.ok(calendar.endsWith("END:VCALENDAR\r\n"));
+    assert.ok(!/[^\r]\n/.test(calendar), "every line break is CRLF");
+
+    const props = lines(calendar);
+    assert.strictEqual(props[0], "BEGIN:VCALENDAR");
+    assert.ok(props.includes("METHOD:PUBLISH"));
+    assert.ok(props.includes("X-WR-CALNAME:Ella Rises"));
+    assert.ok(props.includes(`UID:${occurrenceUid(42)}`));
+    assert.ok(props.includes("DTSTART:20260113T010000Z"));
+    assert.ok(props.includes("DTEND:20260113T030000Z"));
+    assert.ok(props.includes("URL:https://example.org/events/occurrences/42/register"));
+});
+
+test("the UID stays the same and SEQUENCE tracks changes", () => {
+    assert.strictEqual(occurrenceUid(42), "occurrence-42@ellarises.org");
+    assert.ok(lines(buildCalendar([occurrence()])).includes("SEQUENCE:0"));
+    assert.ok(lines(buildCalendar([occurrence({ eventoccurrencesequence: 3 })])).includes("SEQUENCE:3"));
+});
+
+test("cancelled dates stay in the feed with STATUS:CANCELLED", () => {
+    const props = lines(buildCalendar([occurrence(), occurrence({ eventoccurrenceid: 43, eventoccurrencecancelled: true })]));
+    assert.deepStrictEqual(
+        props.filter((line) => line.startsWith("STATUS:")),
+        ["STATUS:CONFIRMED", "STATUS:CANCELLED"]
+    );
+});
+
+test("text values escape backslashes, semicolons, commas and newlines", () => {
+    const props = lines(
+        buildCalendar([
+            occurrence({
+                eventname: "Art; Music, and More",
+                eventlocation: "Room 2\\B",
+                eventdescription: "Bring a snack.\nParents welcome.",
+            }),
+        ])
+    );
+    assert.ok(props.includes("SUMMARY:Art\\; Music\\, and More"));
+    assert.ok(props.includes("LOCATION:Room 2\\\\B"));
+    assert.ok(props.includes("DESCRIPTION:Bring a snack.\\nParents welcome."));
+});
+
+test("long lines fold at 75 octets without splitting a character", () => {
+    const description = "Celebración ".repeat(20).trim();
+    const calendar = buildCalendar([occurrence({ eventdescription: description })]);
+    calendar
+        .split("\r\n")
+        .forEach((line) => assert.ok(Buffer.byteLength(line) <= 75, `${Buffer.byteLength(line)} octets: ${line}`));
+    assert.ok(lines(calendar).includes(`DESCRIPTION:${description}`));
+});
@@ -0,0 +1,127 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { stubConfigDb } = require("./helpers/knexStub");
+
+const db = stubConfigDb();
+const { ImportError, parseCsv, suggestMapping, validateRows } = require("../src/services/importer");
+
+// Map every field to a column of the same name
+const identity = (fields) => Object.fromEntries(fields.map((name) => [name, name]));
+
+const donationMapping = identity(["firstname", "lastname", "donationdate", "donationamount", "donationmethod"]);
+const donation = (overrides = {}) => ({
+    firstname: "Ana",
+    lastname: "Lopez",
+    donationdate: "2025-03-01",
+    donationamount: "50",
+    donationmethod: "",
+    ...overrides,
+});
+
+const eventMapping = identity(["name", "type", "recurrence", "until", "count", "startTime", "endTime", "location"]);
+const eventRow = (overrides = {}) => ({
+    name: "Robotics Club",
+    type: "STEAM",
+    recurrence: "",
+    until: "",
+    count: "",
+    startTime: "2025-03-04 18:00",
+    endTime: "2025-03-04 20:00",
+    location: "Library",
+    ...overrides,
+});
+
+test("parseCsv reads headers and trimmed rows, and rejects a file without data", () => {
+    const { headers, rows } = parseCsv(Buffer.from("\uFEFFFirst Name,Email\n Ana ,ana@example.org\n\n"));
+    assert.deepStrictEqual(headers, ["First Name", "Email"]);
+    assert.deepStrictEqual(rows, [{ "First Name": "Ana", Email: "ana@example.org" }]);
+
+    assert.throws(() => parseCsv(Buffer.from("First Name,Email\n")), ImportError);
+});
+
+test("suggestMapping matches headers by field name or label, ignoring case and punctuation", () => {
+    const mapping = suggestMapping("participants", ["First Name", "LAST_NAME", "E-mail", "Zip"]);
+    assert.strictEqual(mapping.participantfirstname, "First Name");
+    assert.strictEqual(mapping.participantlastname, "LAST_NAME");
+    assert.strictEqual(mapping.participantemail, "E-mail");
+    assert.strictEqual(mapping.participantzip, "Zip");
+    assert.strictEqual(mapping.participantphone, "");
+});
+
+test("rows are numbered as in the spreadsheet and converted to field types", async () => {
+    const [result] = await validateRows(
+        "donations",
+        [donation({ donationamount: "$1,250.50", donationmethod: "credit card" })],
+        donationMapping
+    );
+    assert.strictEqual(result.rowNumber, 2);
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.values.donationamount, 1250.5);
+    assert.strictEqual(result.values.donationmethod, "Credit Card");
+});
+
+test("bad cells are reported per field", async () => {
+    const results = await validateRows(
+        "donations",
+        [
+            donation({ firstname: "" }),
+            donation({ donationdate: "someday" }),
+            donation({ donationamount: "-5" }),
+            donation({ donationmethod: "Barter" }),
+        ],
+        donationMapping
+    );
+    assert.deepStrictEqual(
+        results.map((result) => [result.rowNumber, result.errors]),
+        [
+            [2, ["Donor First Name is required."]],
+            [3, ['Donation Date "someday" is not a valid date.']],
+            [4, ['Amount "-5" must be a positive amount.']],
+            [5, ['Payment Method "Barter" must be one of Cash, Check, Credit Card, Bank Transfer, Online, Stock, Other.']],
+        ]
+    );
+});
+
+test("event rows check whole numbers, recurrence names and the date range", async () => {
+    const results = await validateRows(
+        "events",
+        [
+            eventRow({ recurrence: "weekly", count: "4" }),
+            eventRow({ count: "2.5" }),
+            eventRow({ recurrence: "Daily" }),
+            eventRow({ endTime: "2025-03-04 17:00" }),
+            eventRow({ recurrence: "Monthly" }),
+        ],
+        eventMapping
+    );
+    assert.deepStrictEqual(results[0].errors, []);
+    assert.strictEqual(results[0].values.recurrence, "Weekly");
+    assert.strictEqual(results[0].values.count, 4);
+    assert.deepStrictEqual(results[1].errors, ['Number of Occurrences "2.5" must be a whole number.']);
+    assert.match(results[2].errors[0], /^Recurrence Pattern "Daily" must be one of None, Weekly/);
+    assert.deepStrictEqual(results[3].errors, ["End Date & Time is before Start Date & Time."]);
+    assert.deepStrictEqual(results[4].errors, ["Recurring events need Repeat Until or Number of Occurrences."]);
+});
+
+test("an unmapped required field is an error on every row", async () => {
+    const mapping = { ...eventMapping, location: "" };
+    const results = await validateRows("events", [eventRow(), eventRow()], mapping);
+    results.forEach((result) => assert.deepStrictEqual(result.errors, ["Location is required."]));
+});
+
+test("participant emails already on file, or repeated in the file, are refused", async () => {
+    db.respond = ({ sql }) =>
+        sql.startsWith('select "participantemail" from "participants"') ? [{ participantemail: "Ana@Example.org" }] : [];
+    const mapping = identity(["participantfirstname", "participantlastname", "participantemail"]);
+    const row = (participantemail) => ({ participantfirstname: "Ana", participantlastname: "Lopez", participantemail });
+    const results = await validateRows("participants", [row("ana@example.org"), row("eva@example.org"), row("EVA@example.org")], mapping);
+    assert.deepStrictEqual(
+        results.map((result) => result.errors),
+        [
+            ["A participant with email ana@example.org already exists."],
+            [],
+            ["Email EVA@example.org appears more than once in this file."],
+        ]
+    );
+});
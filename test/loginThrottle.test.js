@@ -0,0 +1,105 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+
+const { stubConfigDb } = require("./helpers/knexStub");
+
+const db = stubConfigDb();
+const { checkLockout, recordAttempt, describeWait } = require("../src/services/loginThrottle");
+
+// Failure counts the database reports for the username and the IP address.
+// The defaults lock after 5 failures per username or 20 per IP, for 60
+// seconds doubling up to an hour.
+let counts;
+db.respond = ({ sql }) => {
+    if (!sql.includes("AS failures")) {
+        return [];
+    }
+    return [sql.includes("LOWER(loginattemptusername) = LOWER($1)") ? counts.username : counts.ip];
+};
+
+const lockQueries = () => db.queries.filter((q) => q.sql.includes("AS failures"));
+
+beforeEach(() => {
+    db.queries.length = 0;
+    counts = { username: { failures: 0, since: 0 }, ip: { failures: 0, since: 0 } };
+});
+
+test("sign-in stays open below the threshold", async () => {
+    counts.username = { failures: 4, since: 1 };
+    counts.ip = { failures: 19, since: 1 };
+    assert.deepStrictEqual(await checkLockout("ana", "10.0.0.1"), { locked: false, retryAfter: 0 });
+});
+
+test("the lock starts at the threshold and counts down from the last failure", async () => {
+    counts.username = { failures: 5, since: 10 };
+    assert.deepStrictEqual(await checkLockout("ana", "10.0.0.1"), { locked: true, retryAfter: 50 });
+
+    counts.username = { failures: 5, since: 75 };
+    assert.deepStrictEqual(await checkLockout("ana", "10.0.0.1"), { locked: false, retryAfter: 0 });
+});
+
+test("each further failure doubles the wait, up to the maximum", async () => {
+    counts.username = { failures: 7, since: 0 };
+    assert.strictEqual((await checkLockout("ana", null)).retryAfter, 240);
+
+    counts.username = { failures: 30, since: 0 };
+    assert.strictEqual((await checkLockout("ana", null)).retryAfter, 3600);
+});
+
+test("the username and IP address lock separately; the longer wait wins", async () => {
+    counts.username = { failures: 5, since: 0 };
+    counts.ip = { failures: 21, since: 0 };
+    assert.deepStrictEqual(await checkLockout("ana", "10.0.0.1"), { locked: true, retryAfter: 120 });
+    assert.strictEqual(lockQueries().length, 2);
+});
+
+test("failures count within the window and since the username's last successful sign-in", async () => {
+    await checkLockout("Ana", null);
+    const [query] = lockQueries();
+    assert.strictEqual(
+        query.sql,
+        "select COUNT(*)::int AS failures, EXTRACT(EPOCH FROM NOW() - MAX(loginattemptat))::int AS since " +
+            'from "loginattempts" where (LOWER(loginattemptusername) = LOWER($1)) and "loginattemptsucceeded" = $2 ' +
+            'and "loginattemptat" > NOW() - make_interval(hours => $3) ' +
+            'and "loginattemptat" > COALESCE(((select max("loginattemptat") from "loginattempts" ' +
+            'where (LOWER(loginattemptusername) = LOWER($4)) and "loginattemptsucceeded" = $5)), ' +
+            "'-infinity'::timestamp) limit $6"
+    );
+    assert.deepStrictEqual(query.bindings.slice(0, 5), ["Ana", false, 24, "Ana", true]);
+});
+
+test("an IP address's failures count across the window, whichever account signed in since", async () => {
+    await checkLockout(null, "10.0.0.1");
+    assert.deepStrictEqual(lockQueries(), [
+        {
+            sql:
+                "select COUNT(*)::int AS failures, EXTRACT(EPOCH FROM NOW() - MAX(loginattemptat))::int AS since " +
+                'from "loginattempts" where ("loginattemptip" = $1) and "loginattemptsucceeded" = $2 ' +
+                'and "loginattemptat" > NOW() - make_interval(hours => $3) limit $4',
+            bindings: ["10.0.0.1", false, 24, 1],
+        },
+    ]);
+});
+
+test("no username or IP address means nothing to check", async () => {
+    assert.deepStrictEqual(await checkLockout("", null), { locked: false, retryAfter: 0 });
+    assert.deepStrictEqual(db.queries, []);
+});
+
+test("attempts are recorded with long values cut to fit their columns", async () => {
+    await recordAttempt("x".repeat(300), "1".repeat(80), false);
+    const [insert] = db.queries;
+    assert.strictEqual(
+        insert.sql,
+        'insert into "loginattempts" ("loginattemptip", "loginattemptsucceeded", "loginattemptusername") values ($1, $2, $3)'
+    );
+    assert.deepStrictEqual(insert.bindings, ["1".repeat(64), false, "x".repeat(255)]);
+});
+
+test("waits are described in seconds, or minutes once they are long", () => {
+    assert.strictEqual(describeWait(1), "1 second");
+    assert.strictEqual(describeWait(45), "45 seconds");
+    assert.strictEqual(describeWait(89), "89 seconds");
+    assert.strictEqual(describeWait(90), "2 minutes");
+    assert.strictEqual(describeWait(3600), "60 minutes");
+});
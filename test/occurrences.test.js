@@ -0,0 +1,135 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { knexStub } = require("./helpers/knexStub");
+const { applyOccurrenceEdit } = require("../src/services/occurrences");
+
+const at = (year, month, day, hour = 18) => new Date(year, month - 1, day, hour, 0, 0);
+const hours = (n) => n * 60 * 60 * 1000;
+const rule = { frequency: "Weekly", count: 4 };
+const actor = { userid: 1, username: "admin" };
+
+// A weekly series of four Tuesday evenings; someone registered for each of
+// `registered` (the first, unless a test says otherwise)
+const series = (registered = [1]) => {
+    const occurrences = [at(2025, 1, 14), at(2025, 1, 21), at(2025, 1, 28), at(2025, 2, 4)].map((start, index) => ({
+        eventoccurrenceid: index + 1,
+        eventid: 9,
+        eventdatetimestart: start,
+        eventdatetimeend: new Date(start.getTime() + hours(2)),
+    }));
+    const trx = knexStub();
+    trx.respond = ({ sql, bindings }) => {
+        if (sql.startsWith('select * from "eventoccurrences" where "eventid" = $1 order by "eventdatetimestart" asc')) {
+            return occurrences;
+        }
+        // The audit helpers lock and read each row before changing it
+        if (sql.startsWith('select * from "eventoccurrences" where "eventoccurrenceid" = $1 for update')) {
+            return occurrences.filter((o) => o.eventoccurrenceid === bindings[0]);
+        }
+        if (sql.startsWith('select * from "eventregistrations" where "eventoccurrenceid" = $1')) {
+            return registered.includes(bindings[0]) ? [{ eventregistrationid: 1, eventoccurrenceid: bindings[0] }] : [];
+        }
+        return [];
+    };
+    return { trx, occurrences };
+};
+
+const edit = ({ trx, occurrences }, eventoccurrenceid, scope, start, count = rule.count) =>
+    applyOccurrenceEdit(trx, {
+        eventid: 9,
+        occurrence: occurrences[eventoccurrenceid - 1],
+        scope,
+        rule: { ...rule, count },
+        actor,
+        values: { start, end: new Date(start.getTime() + hours(2)), location: "Library", capacity: 20, deadline: null },
+    });
+
+// The statements that changed eventoccurrences, as [sql, bindings]
+const writes = (trx) =>
+    trx.queries.filter((q) => /^(insert into|update|delete from) "eventoccurrences"/.test(q.sql)).map((q) => [q.sql, q.bindings]);
+
+// Column names of an insert, in binding order
+const insertColumns = (sql) =>
+    sql
+        .match(/^insert into "\w+" \(([^)]*)\)/)[1]
+        .split(", ")
+        .map((column) => column.replace(/"/g, ""));
+
+const UPDATE_ROW =
+    'update "eventoccurrences" set "eventid" = $1, "eventdatetimestart" = $2, "eventdatetimeend" = $3, ' +
+    '"eventlocation" = $4, "eventcapacity" = $5, "eventregistrationdeadline" = $6 where "eventoccurrenceid" in ($7) returning *';
+const updateRow = (eventoccurrenceid, start) => [
+    UPDATE_ROW,
+    [9, start, new Date(start.getTime() + hours(2)), "Library", 20, null, eventoccurrenceid],
+];
+
+test('"this" changes only the edited occurrence', async () => {
+    const stub = series();
+    await edit(stub, 2, "this", at(2025, 1, 22, 17));
+    assert.deepStrictEqual(writes(stub.trx), [
+        [
+            'update "eventoccurrences" set "eventdatetimestart" = $1, "eventdatetimeend" = $2, "eventlocation" = $3, ' +
+                '"eventcapacity" = $4, "eventregistrationdeadline" = $5 where "eventoccurrenceid" in ($6) returning *',
+            [at(2025, 1, 22, 17), at(2025, 1, 22, 19), "Library", 20, null, 2],
+        ],
+    ]);
+});
+
+test('"following" moves the edited occurrence and the ones after it, keeping their ids', async () => {
+    const stub = series();
+    await edit(stub, 3, "following", at(2025, 1, 28, 19));
+    assert.deepStrictEqual(writes(stub.trx), [updateRow(3, at(2025, 1, 28, 19)), updateRow(4, at(2025, 2, 4, 19))]);
+});
+
+test('"all" shifts the whole series by the same amount', async () => {
+    const stub = series();
+    await edit(stub, 2, "all", at(2025, 1, 21, 19));
+    assert.deepStrictEqual(writes(stub.trx), [
+        updateRow(1, at(2025, 1, 14, 19)),
+        updateRow(2, at(2025, 1, 21, 19)),
+        updateRow(3, at(2025, 1, 28, 19)),
+        updateRow(4, at(2025, 2, 4, 19)),
+    ]);
+});
+
+test("moving the series to another weekday keeps every occurrence and its registrations", async () => {
+    // Tuesdays become Wednesdays: none of the old days are in the new series
+    const stub = series();
+    await edit(stub, 2, "all", at(2025, 1, 22));
+    assert.deepStrictEqual(writes(stub.trx), [
+        updateRow(1, at(2025, 1, 15)),
+        updateRow(2, at(2025, 1, 22)),
+        updateRow(3, at(2025, 1, 29)),
+        updateRow(4, at(2025, 2, 5)),
+    ]);
+});
+
+test("a longer series adds occurrences after the last one", async () => {
+    const stub = series();
+    await edit(stub, 1, "all", at(2025, 1, 14), 5);
+    const statements = writes(stub.trx);
+    assert.deepStrictEqual(
+        statements.slice(0, 4),
+        stub.occurrences.map((o) => updateRow(o.eventoccurrenceid, o.eventdatetimestart))
+    );
+    const [[sql, bindings]] = statements.slice(4);
+    assert.ok(sql.startsWith('insert into "eventoccurrences"'));
+    assert.deepStrictEqual(bindings[insertColumns(sql).indexOf("eventdatetimestart")], at(2025, 2, 11));
+});
+
+test("occurrences past the end of a shorter series are deleted, or cancelled when someone registered", async () => {
+    const stub = series([4]);
+    await edit(stub, 1, "all", at(2025, 1, 14), 2);
+    const statements = writes(stub.trx);
+
+    assert.deepStrictEqual(statements.slice(0, 3), [
+        updateRow(1, at(2025, 1, 14)),
+        updateRow(2, at(2025, 1, 21)),
+        ['delete from "eventoccurrences" where "eventoccurrenceid" in ($1)', [3]],
+    ]);
+    const [cancel] = statements.slice(3);
+    assert.match(cancel[0], /^update "eventoccurrences" set "eventoccurrencecancelled" = \$1, .* where "eventoccurrenceid" in \(\$\d+\) returning \*$/);
+    assert.strictEqual(cancel[1][0], true);
+    assert.strictEqual(cancel[1][cancel[1].length - 1], 4);
+});
@@ -0,0 +1,16 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+// An evening in a time zone behind UTC, where the UTC date is already tomorrow
+process.env.TZ = "America/Denver";
+
+const { stubConfigDb } = require("./helpers/knexStub");
+
+stubConfigDb();
+const { dateInput } = require("../src/services/participantTasks");
+
+test("dates are the local calendar day, not UTC's", () => {
+    assert.strictEqual(dateInput(new Date(2025, 2, 14, 22, 30)), "2025-03-14");
+    assert.strictEqual(dateInput(new Date(2025, 2, 15, 0, 0)), "2025-03-15");
+    assert.strictEqual(dateInput(null), "");
+});
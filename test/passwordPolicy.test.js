@@ -0,0 +1,43 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { checkPassword, passwordRules } = require("../src/services/passwordPolicy");
+
+// These use the default policy: 10 characters, mixed case and a number
+
+test("a long mixed-case password with a number passes", () => {
+    assert.deepStrictEqual(checkPassword("Sunflower2025"), []);
+});
+
+test("each unmet rule is its own sentence", () => {
+    assert.deepStrictEqual(checkPassword("abc"), [
+        "Password must be at least 10 characters.",
+        "Password must mix upper and lower case letters.",
+        "Password must include a number.",
+    ]);
+    assert.deepStrictEqual(checkPassword(null), [
+        "Password must be at least 10 characters.",
+        "Password must mix upper and lower case letters.",
+        "Password must include a number.",
+    ]);
+});
+
+test("the username can't appear in the password, in any case", () => {
+    assert.deepStrictEqual(checkPassword("xxMariaLopez25", { username: "marialopez" }), [
+        "Password can't contain the username.",
+    ]);
+    // Very short usernames would match too much to be useful
+    assert.deepStrictEqual(checkPassword("Sunflower2025", { username: "su" }), []);
+});
+
+test("common passwords are refused even when they meet every rule", () => {
+    assert.deepStrictEqual(checkPassword("Password123"), ["That password is too common."]);
+    assert.deepStrictEqual(checkPassword("EllaRises1"), ["That password is too common."]);
+});
+
+test("the hint lists the rules in force", () => {
+    assert.strictEqual(
+        passwordRules(),
+        "Use at least 10 characters, upper and lower case letters, a number. Avoid common passwords and your username."
+    );
+});
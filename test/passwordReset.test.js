@@ -0,0 +1,120 @@
+const { test, mock, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+
+const { stubConfigDb } = require("./helpers/knexStub");
+
+const db = stubConfigDb();
+const mailer = require("../src/services/mailer");
+const sent = [];
+mock.method(mailer, "sendMail", async (message) => {
+    sent.push(message);
+});
+const { PasswordResetError, requestReset, completeReset } = require("../src/services/passwordReset");
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const account = { id: 7, username: "ana", useremail: "ana@example.org" };
+
+// A database with one account and its reset links, keyed by token hash. The
+// lookup's own conditions (unused, unexpired) are checked against the SQL.
+let resets;
+let recentRequests;
+db.respond = ({ sql, bindings }) => {
+    if (sql.startsWith('select * from "users" where ("username" = $1')) {
+        return bindings[0] === account.username || bindings[1].toLowerCase() === account.useremail ? [account] : [];
+    }
+    if (sql.startsWith('select * from "users" where "id" = $1 for update')) {
+        return [account];
+    }
+    if (sql.startsWith("select COUNT(*)::int AS recent")) {
+        return [{ recent: recentRequests }];
+    }
+    if (sql.startsWith('select "pr"."passwordresetid"')) {
+        const reset = resets.get(bindings[0]);
+        return reset && !reset.used && !reset.expired ? [{ passwordresetid: 1, id: account.id, username: account.username }] : [];
+    }
+    if (sql.startsWith('update "passwordresets" set "passwordresetusedat" = CURRENT_TIMESTAMP')) {
+        resets.forEach((reset) => {
+            reset.used = true;
+        });
+        return resets.size;
+    }
+    return [];
+};
+
+const statements = (pattern) => db.queries.filter((q) => pattern.test(q.sql));
+
+beforeEach(() => {
+    db.queries.length = 0;
+    sent.length = 0;
+    resets = new Map();
+    recentRequests = 0;
+});
+
+test("a reset emails a link whose token is stored only as a hash", async () => {
+    await requestReset("ANA@example.org", { ip: "10.0.0.1", baseUrl: "https://example.org" });
+
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].to, "ana@example.org");
+    const token = sent[0].text.match(/https:\/\/example\.org\/reset-password\/([\w-]+)/)[1];
+
+    const [insert] = statements(/^insert into "passwordresets"/);
+    assert.strictEqual(
+        insert.sql,
+        'insert into "passwordresets" ("passwordresetexpiresat", "passwordresethash", "passwordresetrequestip", "userid") ' +
+            "values (NOW() + make_interval(mins => $1), $2, $3, $4)"
+    );
+    assert.deepStrictEqual(insert.bindings, [60, sha256(token), "10.0.0.1", 7]);
+    assert.ok(!insert.bindings.includes(token));
+});
+
+test("a new link replaces the account's earlier ones", async () => {
+    await requestReset("ana", { baseUrl: "" });
+    const [expire, insert] = statements(/^(update|insert into) "passwordresets"/);
+    assert.strictEqual(
+        expire.sql,
+        'update "passwordresets" set "passwordresetusedat" = CURRENT_TIMESTAMP where "userid" = $1 and "passwordresetusedat" is null'
+    );
+    assert.ok(insert.sql.startsWith("insert"));
+});
+
+test("unknown accounts, blank input and a fourth request within the hour send nothing", async () => {
+    await requestReset("nobody", { baseUrl: "" });
+    await requestReset("   ", { baseUrl: "" });
+    recentRequests = 3;
+    await requestReset("ana", { baseUrl: "" });
+    assert.deepStrictEqual(sent, []);
+    assert.deepStrictEqual(statements(/^insert/), []);
+});
+
+test("only an unused, unexpired link for a live account is accepted", async () => {
+    resets.set(sha256("good"), {});
+    await completeReset(db, "good", "new-hash");
+    const [lookup] = statements(/^select "pr"\."passwordresetid"/);
+    assert.strictEqual(
+        lookup.sql,
+        'select "pr"."passwordresetid", "u"."id", "u"."username" from "passwordresets" as "pr" ' +
+            'inner join "users" as "u" on "pr"."userid" = "u"."id" where "pr"."passwordresethash" = $1 ' +
+            'and "pr"."passwordresetusedat" is null and "pr"."passwordresetexpiresat" > CURRENT_TIMESTAMP ' +
+            'and "u"."userdeletedat" is null limit $2 for update'
+    );
+    assert.deepStrictEqual(lookup.bindings, [sha256("good"), 1]);
+});
+
+test("completing a reset sets the password and uses the link up", async () => {
+    resets.set(sha256("good"), {});
+    assert.deepStrictEqual(await completeReset(db, "good", "new-hash"), { id: 7, username: "ana" });
+
+    const [update] = statements(/^update "users"/);
+    assert.match(update.sql, /^update "users" set "password" = \$1, "userpasswordchangedat" = CURRENT_TIMESTAMP where "id" in \(\$2\)/);
+    assert.strictEqual(update.bindings[0], "new-hash");
+
+    await assert.rejects(completeReset(db, "good", "other-hash"), PasswordResetError);
+});
+
+test("expired and unknown links are refused", async () => {
+    resets.set(sha256("old"), { expired: true });
+    await assert.rejects(completeReset(db, "old", "new-hash"), PasswordResetError);
+    await assert.rejects(completeReset(db, "made-up", "new-hash"), PasswordResetError);
+    assert.deepStrictEqual(statements(/^update/), []);
+});
@@ -0,0 +1,241 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { knexStub } = require("./helpers/knexStub");
+const { ImportError } = require("../src/services/importer");
+const { detectProcessor, planImport } = require("../src/services/paymentImports");
+
+const PAYPAL_HEADERS = ["Date", "Name", "Type", "Status", "Currency", "Gross", "Fee", "Net", "From Email Address", "Transaction ID", "Reference Txn ID"];
+const STRIPE_HEADERS = ["id", "Type", "Created (UTC)", "Amount", "Fee", "Currency", "Customer Email", "Customer Name", "Source"];
+
+const paypal = (overrides = {}) => ({
+    Date: "3/1/2024",
+    Name: "Ana Lopez",
+    Type: "Donation Payment",
+    Status: "Completed",
+    Currency: "USD",
+    Gross: "100.00",
+    Fee: "-3.20",
+    Net: "96.80",
+    "From Email Address": "ana@example.org",
+    "Transaction ID": "PP-1",
+    "Reference Txn ID": "",
+    ...overrides,
+});
+
+const stripe = (overrides = {}) => ({
+    id: "txn_1",
+    Type: "charge",
+    "Created (UTC)": "2024-03-02 14:22:10",
+    Amount: "50.00",
+    Fee: "1.75",
+    Currency: "usd",
+    "Customer Email": "",
+    "Customer Name": "",
+    Source: "ch_1",
+    ...overrides,
+});
+
+const donors = [
+    { donorid: 1, donorname: "Ana Lopez", donoremail: "Ana@Example.org", donordeletedat: null },
+    { donorid: 2, donorname: "Ben Ortiz", donoremail: null, donordeletedat: null },
+    { donorid: 3, donorname: "Sam Lee", donoremail: null, donordeletedat: null },
+    { donorid: 4, donorname: "Sam Lee", donoremail: null, donordeletedat: null },
+];
+
+// Answer planImport's lookups from these donors and the given donations on file
+const stubTrx = (donations = []) => {
+    const trx = knexStub();
+    trx.respond = ({ sql, bindings }) => {
+        if (sql.startsWith('select "donationtransactionid" from "donations"')) {
+            const [processor, ...ids] = bindings;
+            return donations.filter((d) => d.donationprocessor === processor && ids.includes(d.donationtransactionid));
+        }
+        if (sql.startsWith('select "donationid"')) {
+            const [processor, minimum, ...references] = bindings;
+            return donations.filter(
+                (d) =>
+                    d.donationprocessor === processor &&
+                    d.donationamount > minimum &&
+                    (references.includes(d.donationtransactionid) || references.includes(d.donationreference))
+            );
+        }
+        const lookup = sql.match(/^select \* from "donors" .* LOWER\((donoremail|donorname)\) in/);
+        if (lookup) {
+            return donors.filter((d) => bindings.includes(String(d[lookup[1]] || "").toLowerCase()));
+        }
+        return [];
+    };
+    return trx;
+};
+
+const plan = (processor, headers, rows, donations) => planImport(stubTrx(donations), { processor, headers, rows });
+
+const byId = (result) => new Map(result.transactions.map((t) => [t.transactionid, t]));
+
+test("the processor is recognized from the export's headers", () => {
+    assert.strictEqual(detectProcessor(PAYPAL_HEADERS), "paypal");
+    assert.strictEqual(detectProcessor(STRIPE_HEADERS), "stripe");
+    assert.strictEqual(detectProcessor(["balance_transaction_id", "created_utc", "gross", "reporting_category"]), "stripe");
+    assert.throws(() => detectProcessor(["Name", "Amount"]), ImportError);
+});
+
+test("PayPal rows read their date, amount, fee and net", async () => {
+    const result = await plan("paypal", PAYPAL_HEADERS, [paypal({ Gross: "$1,000.00", Fee: "-29.30", Net: "970.70" })]);
+    const [gift] = result.transactions;
+    assert.strictEqual(gift.rowNumber, 2);
+    assert.strictEqual(gift.kind, "gift");
+    assert.strictEqual(gift.date, "2024-03-01");
+    assert.strictEqual(gift.amount, 1000);
+    assert.strictEqual(gift.fee, 29.3);
+    assert.strictEqual(gift.net, 970.7);
+    assert.deepStrictEqual(result.errorRows, []);
+});
+
+test("pending rows, payouts and repeated transaction IDs are skipped", async () => {
+    const result = await plan("paypal", PAYPAL_HEADERS, [
+        paypal(),
+        paypal({ "Transaction ID": "PP-2", Status: "Pending" }),
+        paypal({ "Transaction ID": "PP-3", Type: "General Withdrawal", Gross: "-500.00", Net: "-500.00", Fee: "" }),
+        paypal(),
+    ]);
+    assert.deepStrictEqual(
+        result.transactions.map((t) => [t.rowNumber, t.kind, t.reason]),
+        [
+            [2, "gift", null],
+            [3, "skip", "Status is Pending."],
+            [4, "skip", "General Withdrawal isn't a gift."],
+            [5, "skip", "Listed earlier in this file."],
+        ]
+    );
+    assert.strictEqual(result.toImport.length, 1);
+});
+
+test("fee rows are skipped even when they name a refund or dispute", async () => {
+    const result = await plan("paypal", PAYPAL_HEADERS, [
+        paypal({ "Transaction ID": "PP-2", Type: "Chargeback Fee", Gross: "-20.00", Net: "-20.00", Fee: "" }),
+    ]);
+    assert.deepStrictEqual(
+        result.transactions.map((t) => [t.kind, t.reason]),
+        [["skip", "Chargeback Fee isn't a gift."]]
+    );
+
+    const stripeResult = await plan("stripe", STRIPE_HEADERS, [stripe({ Type: "dispute_fee", Amount: "-15.00", Fee: "" })]);
+    assert.strictEqual(stripeResult.transactions[0].kind, "skip");
+    assert.deepStrictEqual(stripeResult.toImport, []);
+});
+
+test("rows in another currency or with an unreadable date are errors", async () => {
+    const result = await plan("paypal", PAYPAL_HEADERS, [
+        paypal({ Currency: "EUR" }),
+        paypal({ "Transaction ID": "PP-2", Date: "yesterday" }),
+    ]);
+    assert.deepStrictEqual(
+        result.errorRows.map((t) => t.errors),
+        [["The amount is in EUR; only USD gifts can be imported."], ["The date isn't one we can read."]]
+    );
+});
+
+test("refunds are negative and carry the original gift's donor", async () => {
+    const result = await plan(
+        "stripe",
+        STRIPE_HEADERS,
+        [stripe({ id: "txn_9", Type: "refund", Amount: "(25.00)", Fee: "0.75" })],
+        [{ donationid: 7, donorid: 2, donationamount: 50, donationprocessor: "Stripe", donationtransactionid: "txn_1", donationreference: "ch_1" }]
+    );
+    const [refund] = result.transactions;
+    assert.strictEqual(refund.kind, "refund");
+    assert.strictEqual(refund.date, "2024-03-02");
+    assert.strictEqual(refund.amount, -25);
+    assert.strictEqual(refund.fee, -0.75);
+    assert.strictEqual(refund.refundOf.donationid, 7);
+    assert.strictEqual(refund.donorid, 2);
+    assert.strictEqual(refund.matchedBy, "original gift");
+});
+
+test("a refund of a gift that isn't on file is skipped", async () => {
+    const result = await plan("stripe", STRIPE_HEADERS, [stripe({ Type: "refund", Amount: "-25.00", Source: "ch_404" })]);
+    assert.strictEqual(result.transactions[0].kind, "skip");
+    assert.strictEqual(result.transactions[0].reason, "Refund of a gift that isn't on file.");
+});
+
+test("donors are matched by email, then by a name only one donor has", async () => {
+    const result = await plan("paypal", PAYPAL_HEADERS, [
+        paypal({ "From Email Address": "ANA@example.org", Name: "Someone Else" }),
+        paypal({ "Transaction ID": "PP-2", "From Email Address": "", Name: "ben ortiz" }),
+        paypal({ "Transaction ID": "PP-3", "From Email Address": "", Name: "Sam Lee" }),
+    ]);
+    const transactions = byId(result);
+    assert.deepStrictEqual([transactions.get("PP-1").donorid, transactions.get("PP-1").matchedBy], [1, "email"]);
+    assert.deepStrictEqual([transactions.get("PP-2").donorid, transactions.get("PP-2").matchedBy], [2, "name"]);
+    // Two donors are named Sam Lee, so the gift goes to a new donor instead of guessing
+    assert.strictEqual(transactions.get("PP-3").matchedBy, "new donor");
+    assert.deepStrictEqual(result.newDonors.get("sam lee"), { firstname: "Sam", lastname: "Lee", email: null });
+});
+
+test("unknown givers become one new donor per email, and need a full name", async () => {
+    const result = await plan("paypal", PAYPAL_HEADERS, [
+        paypal({ "From Email Address": "maria@example.org", Name: "Maria de la Cruz" }),
+        paypal({ "Transaction ID": "PP-2", "From Email Address": "maria@example.org", Name: "Maria" }),
+        paypal({ "Transaction ID": "PP-3", "From Email Address": "", Name: "Cher" }),
+    ]);
+    const transactions = byId(result);
+    assert.strictEqual(transactions.get("PP-1").newDonorKey, "maria@example.org");
+    assert.strictEqual(transactions.get("PP-2").newDonorKey, "maria@example.org");
+    assert.deepStrictEqual(result.newDonors.get("maria@example.org"), {
+        firstname: "Maria de la",
+        lastname: "Cruz",
+        email: "maria@example.org",
+    });
+    assert.deepStrictEqual(transactions.get("PP-3").errors, [
+        "No donor on file has this email or name, and there's no full name to add one with.",
+    ]);
+});
+
+test("transactions imported before are left out of the import but kept in the batch totals", async () => {
+    const result = await plan("paypal", PAYPAL_HEADERS, [paypal(), paypal({ "Transaction ID": "PP-2" })], [
+        { donationid: 1, donorid: 1, donationamount: 100, donationprocessor: "PayPal", donationtransactionid: "PP-1" },
+    ]);
+    assert.deepStrictEqual(
+        result.toImport.map((t) => t.transactionid),
+        ["PP-2"]
+    );
+    const [batch] = result.batches;
+    assert.strictEqual(batch.gifts, 2);
+    assert.strictEqual(batch.imported, 1);
+    assert.strictEqual(batch.alreadyImported, 1);
+    assert.strictEqual(batch.net, 193.6);
+});
+
+test("lookups run as single queries against the processor's donations and live donors", async () => {
+    const trx = stubTrx();
+    await planImport(trx, {
+        processor: "stripe",
+        headers: STRIPE_HEADERS,
+        rows: [
+            stripe({ "Customer Email": "Ana@Example.org", "Customer Name": "Ana Lopez" }),
+            stripe({ id: "txn_2", Type: "refund", Amount: "-50.00", Source: "ch_1" }),
+        ],
+    });
+    assert.deepStrictEqual(trx.queries, [
+        {
+            sql: 'select "donationtransactionid" from "donations" where "donationprocessor" = $1 and "donationtransactionid" in ($2, $3)',
+            bindings: ["Stripe", "txn_1", "txn_2"],
+        },
+        {
+            sql:
+                'select "donationid", "donorid", "donationtransactionid", "donationreference", "donationdesignation", "campaignid" ' +
+                'from "donations" where "donationprocessor" = $1 and "donationamount" > $2 ' +
+                'and ("donationtransactionid" in ($3) or "donationreference" in ($4))',
+            bindings: ["Stripe", 0, "ch_1", "ch_1"],
+        },
+        {
+            sql: 'select * from "donors" where "donordeletedat" is null and LOWER(donoremail) in ($1) order by "donorid" asc',
+            bindings: ["ana@example.org"],
+        },
+        {
+            sql: 'select * from "donors" where "donordeletedat" is null and LOWER(donorname) in ($1) order by "donorid" asc',
+            bindings: ["ana lopez"],
+        },
+    ]);
+});
@@ -0,0 +1,61 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { MAX_OCCURRENCES, expandRecurrence, describeRecurrence } = require("../src/services/recurrence");
+
+// Local times, so the expected dates hold in any time zone
+const at = (year, month, day, hour = 18) => new Date(year, month - 1, day, hour, 0, 0);
+const starts = (occurrences) => occurrences.map((o) => o.start.getTime());
+
+test("a one-time event has a single occurrence", () => {
+    const occurrences = expandRecurrence({ frequency: "None", start: at(2025, 1, 14), end: at(2025, 1, 14, 20), count: 5 });
+    assert.deepStrictEqual(occurrences, [{ start: at(2025, 1, 14), end: at(2025, 1, 14, 20) }]);
+});
+
+test("weekly and biweekly series step by 7 and 14 days and keep the duration", () => {
+    const weekly = expandRecurrence({ frequency: "Weekly", start: at(2025, 1, 14), end: at(2025, 1, 14, 20), count: 3 });
+    assert.deepStrictEqual(starts(weekly), [at(2025, 1, 14), at(2025, 1, 21), at(2025, 1, 28)].map(Number));
+    weekly.forEach((o) => assert.strictEqual(o.end - o.start, 2 * 60 * 60 * 1000));
+
+    const biweekly = expandRecurrence({ frequency: "Biweekly", start: at(2025, 1, 14), end: at(2025, 1, 14, 20), count: 3 });
+    assert.deepStrictEqual(starts(biweekly), [at(2025, 1, 14), at(2025, 1, 28), at(2025, 2, 11)].map(Number));
+});
+
+test("monthly series repeat on the same weekday of the month", () => {
+    // 2025-01-14 is the 2nd Tuesday
+    const occurrences = expandRecurrence({ frequency: "Monthly", start: at(2025, 1, 14), end: at(2025, 1, 14, 20), count: 3 });
+    assert.deepStrictEqual(starts(occurrences), [at(2025, 1, 14), at(2025, 2, 11), at(2025, 3, 11)].map(Number));
+});
+
+test("a 5th weekday means the last one in months that have only four", () => {
+    // 2025-01-31 is the 5th (and last) Friday; February 2025 has four
+    const occurrences = expandRecurrence({ frequency: "Monthly", start: at(2025, 1, 31), end: at(2025, 1, 31, 20), count: 2 });
+    assert.deepStrictEqual(starts(occurrences), [at(2025, 1, 31), at(2025, 2, 28)].map(Number));
+});
+
+test("the until date is inclusive and wins over a larger count", () => {
+    const occurrences = expandRecurrence({
+        frequency: "Weekly",
+        start: at(2025, 1, 14),
+        end: at(2025, 1, 14, 20),
+        until: "2025-01-28",
+        count: 10,
+    });
+    assert.deepStrictEqual(starts(occurrences), [at(2025, 1, 14), at(2025, 1, 21), at(2025, 1, 28)].map(Number));
+});
+
+test("a recurring event without an end stops after one occurrence, and long series are capped", () => {
+    assert.strictEqual(expandRecurrence({ frequency: "Weekly", start: at(2025, 1, 14), end: at(2025, 1, 14, 20) }).length, 1);
+    const capped = expandRecurrence({ frequency: "Weekly", start: at(2025, 1, 14), end: at(2025, 1, 14, 20), until: "2099-12-31" });
+    assert.strictEqual(capped.length, MAX_OCCURRENCES);
+});
+
+test("an invalid start or end produces no occurrences", () => {
+    assert.deepStrictEqual(expandRecurrence({ frequency: "Weekly", start: "not a date", end: at(2025, 1, 14), count: 3 }), []);
+});
+
+test("rules are described in words", () => {
+    assert.strictEqual(describeRecurrence({ frequency: "None" }), "One-time");
+    assert.strictEqual(describeRecurrence({ frequency: "Weekly", count: 4 }), "Weekly, 4 times");
+    assert.strictEqual(describeRecurrence({ frequency: "Monthly", start: at(2025, 1, 14) }), "Monthly on the 2nd Tuesday");
+});
@@ -0,0 +1,395 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const app = require("../src/server");
+const { csrfProtection } = require("../src/middleware/csrf");
+const { allPermissions, can } = require("../src/services/permissions");
+
+// Who may reach each route. Every route the app mounts must be listed here, so
+// a new route fails this suite until someone decides who should reach it.
+//   PUBLIC     anyone, signed in or not
+//   SIGNED_IN  any account, whatever its role
+//   PARTICIPANT  accounts linked to a participant record (the portal)
+//   "a.b"      accounts whose role grants action b on resource a
+const PUBLIC = "public";
+const SIGNED_IN = "signed-in";
+const PARTICIPANT = "participant";
+
+const EXPECTED_ACCESS = {
+    // JSON API (/api/v1)
+    "GET /api/v1/openapi.json": PUBLIC,
+    "GET /api/v1/participants": "participants.view",
+    "GET /api/v1/participants/:id": "participants.view",
+    "POST /api/v1/participants": "participants.create",
+    "PATCH /api/v1/participants/:id": "participants.edit",
+    "DELETE /api/v1/participants/:id": "participants.delete",
+    "GET /api/v1/events": PUBLIC,
+    "GET /api/v1/events/:id": PUBLIC,
+    "POST /api/v1/events": "events.create",
+    "PATCH /api/v1/events/:id": "events.edit",
+    "DELETE /api/v1/events/:id": "events.delete",
+    "GET /api/v1/occurrences": PUBLIC,
+    "GET /api/v1/occurrences/:id": PUBLIC,
+    "PATCH /api/v1/occurrences/:id": "events.edit",
+    "GET /api/v1/occurrences/:id/registrations": "attendance.view",
+    "GET /api/v1/surveys": "surveys.view",
+    "GET /api/v1/surveys/:id": "surveys.view",
+    "POST /api/v1/surveys": "surveys.create",
+    "PATCH /api/v1/surveys/:id": "surveys.edit",
+    "DELETE /api/v1/surveys/:id": "surveys.delete",
+    "GET /api/v1/milestones": "milestones.view",
+    "GET /api/v1/milestones/:id": "milestones.view",
+    "POST /api/v1/milestones": "milestones.create",
+    "PATCH /api/v1/milestones/:id": "milestones.edit",
+    "DELETE /api/v1/milestones/:id": "milestones.delete",
+    "GET /api/v1/milestone-titles": "milestones.view",
+    "POST /api/v1/milestone-titles": "milestones.edit",
+    "PATCH /api/v1/milestone-titles/:id": "milestones.edit",
+    "DELETE /api/v1/milestone-titles/:id": "milestones.edit",
+    "GET /api/v1/donations": "donations.view",
+    "GET /api/v1/donations/:id": "donations.view",
+    "POST /api/v1/donations": PUBLIC,
+    "PATCH /api/v1/donations/:id": "donations.edit",
+    "DELETE /api/v1/donations/:id": "donations.delete",
+    "GET /api/v1/users": "users.view",
+    "GET /api/v1/users/:id": "users.view",
+    "POST /api/v1/users": "users.create",
+    "PATCH /api/v1/users/:id": "users.edit",
+    "DELETE /api/v1/users/:id": "users.delete",
+
+    // Pages
+    "GET /": PUBLIC,
+    "GET /login": PUBLIC,
+    "GET /register": PUBLIC,
+    "GET /landing": PUBLIC,
+    "POST /login": PUBLIC,
+    "GET /login/verify": PUBLIC,
+    "POST /login/verify": PUBLIC,
+    "GET /login/setup-2fa": PUBLIC,
+    "POST /login/setup-2fa": PUBLIC,
+    "GET /logout": PUBLIC,
+    "GET /create-account": PUBLIC,
+    "POST /create-account": PUBLIC,
+    "GET /forgot-password": PUBLIC,
+    "POST /forgot-password": PUBLIC,
+    "GET /reset-password/:token": PUBLIC,
+    "POST /reset-password/:token": PUBLIC,
+    "GET /users": "users.view",
+    "GET /addUser": "users.create",
+    "POST /addUser": "users.create",
+    "POST /deleteUser/:id": "users.delete",
+    "GET /editUser/:id": "users.edit",
+    "POST /editUser/:id": "users.edit",
+    "GET /participants": "participants.view",
+    "GET /participants/export": "participants.export",
+    "GET /participants/duplicates": "participants.edit",
+    "GET /participants/duplicates/compare": "participants.edit",
+    "POST /participants/merge": "participants.delete",
+    "POST /participants/duplicates/dismiss": "participants.edit",
+    "GET /displayParticipant/:id": "participants.view",
+    "GET /displayParticipant/:id/summary": "participants.view",
+    "POST /participants/:id/notes": "participants.edit",
+    "POST /participants/:id/notes/:noteid/delete": "participants.edit",
+    "GET /addParticipant": "participants.create",
+    "POST /addParticipant": "participants.create",
+    "GET /editParticipant/:id": "participants.edit",
+    "POST /editParticipant/:id": "participants.edit",
+    "POST /deleteParticipant/:id": "participants.delete",
+    "GET /tasks": "participants.view",
+    "POST /participants/:id/tasks": "participants.edit",
+    "POST /participants/:id/tasks/:taskid/complete": "participants.view",
+    "POST /participants/:id/tasks/:taskid/reopen": "participants.view",
+    "POST /participants/:id/tasks/:taskid/delete": "participants.edit",
+    "GET /milestones": "milestones.view",
+    "GET /milestones/export": "milestones.export",
+    "GET /milestones/titles": "milestones.view",
+    "POST /milestones/titles": "milestones.edit",
+    "POST /milestones/titles/merge": "milestones.edit",
+    "POST /milestones/titles/:id": "milestones.edit",
+    "POST /milestones/titles/:id/delete": "milestones.edit",
+    "GET /milestones/award": "milestones.create",
+    "POST /milestones/award": "milestones.create",
+    "GET /editMilestone/:id": "milestones.edit",
+    "POST /editMilestone/:id": "milestones.edit",
+    "POST /deleteMilestone/:id": "milestones.delete",
+    "GET /milestones/:title": "milestones.view",
+    "GET /events": PUBLIC,
+    "GET /events/past": PUBLIC,
+    "GET /events/past/export": PUBLIC,
+    "GET /events/calendar.ics": PUBLIC,
+    "GET /events/occurrences/:occurrenceid/calendar.ics": PUBLIC,
+    "GET /addEvent": "events.create",
+    "GET /editEvent/:id": "events.edit",
+    "POST /addEvent": "events.create",
+    "POST /editEvent/:id": "events.edit",
+    "POST /cancelOccurrence/:occurrenceid": "events.edit",
+    "POST /restoreOccurrence/:occurrenceid": "events.edit",
+    "POST /deleteEvent/:id": "events.delete",
+    "GET /events/occurrences/:occurrenceid/register": PUBLIC,
+    "POST /events/occurrences/:occurrenceid/register": PUBLIC,
+    "GET /my-registration/:id/:token": PUBLIC,
+    "POST /my-registration/:id/:token/cancel": PUBLIC,
+    "GET /events/occurrences/:occurrenceid/checkin": "attendance.view",
+    "POST /events/occurrences/:occurrenceid/checkin": "attendance.edit",
+    "POST /events/occurrences/:occurrenceid/walkin": "attendance.edit",
+    "POST /registrations/:id/cancel": "attendance.edit",
+    "GET /donations": "donations.view",
+    "GET /donations/export": "donations.export",
+    "POST /deleteDonation/:donationid": "donations.delete",
+    "GET /editDonation/:donationid": "donations.edit",
+    "POST /editDonation/:donationid": "donations.edit",
+    "GET /addDonation": PUBLIC,
+    "POST /addDonation": PUBLIC,
+    "GET /donors": "donations.view",
+    "GET /donors/new": "donations.create",
+    "POST /donors/new": "donations.create",
+    "GET /donors/:id/edit": "donations.edit",
+    "POST /donors/:id/edit": "donations.edit",
+    "POST /donors/:id/delete": "donations.delete",
+    "GET /donors/:id": "donations.view",
+    "GET /donors/:id/receipts/:year": "donations.view",
+    "POST /donors/:id/pledges": "donations.create",
+    "GET /donors/:id/pledges/:pledgeid": "donations.edit",
+    "POST /donors/:id/pledges/:pledgeid": "donations.edit",
+    "POST /donors/:id/pledges/:pledgeid/delete": "donations.delete",
+    "GET /donations/receipts": "donations.view",
+    "GET /donations/receipts/:year": "donations.view",
+    "GET /campaigns": "donations.view",
+    "GET /campaigns/new": "donations.create",
+    "POST /campaigns/new": "donations.create",
+    "GET /campaigns/:id/edit": "donations.edit",
+    "POST /campaigns/:id/edit": "donations.edit",
+    "POST /campaigns/:id/delete": "donations.delete",
+    "GET /campaigns/:id": "donations.view",
+    "GET /surveys": "surveys.view",
+    "GET /surveys/export": "surveys.export",
+    "GET /addSurvey": "surveys.create",
+    "POST /addSurvey": "surveys.create",
+    "GET /editSurvey/:id": "surveys.edit",
+    "POST /editSurvey/:id": "surveys.edit",
+    "POST /deleteSurvey/:id": "surveys.delete",
+    "GET /dashboard": PUBLIC,
+    "GET /import": "imports.create",
+    "POST /import": "imports.create",
+    "GET /import/map": "imports.create",
+    "POST /import/map": "imports.create",
+    "GET /import/preview": "imports.create",
+    "POST /import/commit": "imports.create",
+    "POST /import/cancel": "imports.create",
+    "GET /import/payments": "imports.create",
+    "POST /import/payments": "imports.create",
+    "GET /import/payments/preview": "imports.create",
+    "POST /import/payments/commit": "imports.create",
+    "POST /import/payments/cancel": "imports.create",
+    "GET /import/payments/:id": "donations.view",
+    "GET /audit": "audit.view",
+    "GET /audit/:table/:id": "audit.view",
+    "GET /recycle-bin": "recycleBin.view",
+    "POST /recycle-bin/:table/:id/restore": "recycleBin.edit",
+    "POST /recycle-bin/:table/:id/purge": "recycleBin.delete",
+    "GET /apiTokens": "users.edit",
+    "POST /apiTokens": "users.edit",
+    "POST /apiTokens/:id/revoke": "users.edit",
+    "GET /account/security": SIGNED_IN,
+    "POST /account/security/2fa/setup": SIGNED_IN,
+    "GET /account/security/2fa/setup": SIGNED_IN,
+    "POST /account/security/2fa/enable": SIGNED_IN,
+    "POST /account/security/2fa/recovery-codes": SIGNED_IN,
+    "POST /account/security/2fa/disable": SIGNED_IN,
+    "GET /security": "users.edit",
+    "POST /security": "users.edit",
+    "POST /users/:id/2fa/reset": "users.edit",
+    "GET /roles": "users.view",
+    "GET /roles/new": "users.edit",
+    "POST /roles/new": "users.edit",
+    "GET /roles/:id": "users.edit",
+    "POST /roles/:id": "users.edit",
+    "POST /roles/:id/delete": "users.edit",
+    "GET /portal": SIGNED_IN,
+    "POST /portal/verify": SIGNED_IN,
+    "GET /portal/link/:token": PUBLIC,
+    "POST /portal/link/:token": SIGNED_IN,
+    "GET /portal/profile": PARTICIPANT,
+    "POST /portal/profile": PARTICIPANT,
+    "POST /portal/events/:occurrenceid/register": PARTICIPANT,
+    "POST /portal/events/:occurrenceid/cancel": PARTICIPANT,
+    "GET /portal/surveys/:occurrenceid": PARTICIPANT,
+    "POST /portal/surveys/:occurrenceid": PARTICIPANT,
+    "POST /participants/:id/portal/invite": "participants.edit",
+    "POST /participants/:id/portal/unlink": "participants.edit",
+    "GET /events/occurrences/:occurrenceid/survey-links": "surveys.create",
+    "POST /events/occurrences/:occurrenceid/survey-links": "surveys.create",
+    "POST /events/occurrences/:occurrenceid/survey-links/attendees": "surveys.create",
+    "POST /survey-links/:id/revoke": "surveys.create",
+    "GET /survey/:token": PUBLIC,
+    "POST /survey/:token": PUBLIC,
+    "GET /surveys/templates": "surveys.view",
+    "GET /surveys/templates/new": "surveys.edit",
+    "POST /surveys/templates/new": "surveys.edit",
+    "GET /surveys/templates/:id": "surveys.edit",
+    "POST /surveys/templates/:id": "surveys.edit",
+    "POST /surveys/templates/:id/copy": "surveys.edit",
+    "POST /surveys/templates/:id/delete": "surveys.delete",
+    "GET /surveys/reports": "surveys.view",
+    "GET /surveys/reports/events/:eventid": "surveys.view",
+};
+
+// Sessions the routes are checked against: nobody signed in, a self-registered
+// member (no permissions), one linked to a participant record, a volunteer who
+// only takes attendance, and an admin
+const SESSIONS = {
+    anonymous: null,
+    user: { id: 2, username: "member", role: "Member", permissions: {} },
+    participant: { id: 4, username: "participant", role: "Member", permissions: {}, participantid: 7 },
+    volunteer: { id: 3, username: "volunteer", role: "Volunteer", permissions: { attendance: ["view", "edit"] } },
+    manager: { id: 1, username: "admin", role: "Admin", permissions: allPermissions() },
+};
+
+// Express 4 keeps a router's mount path only as a regular expression
+const mountPath = (layer) =>
+    layer.regexp.fast_slash ? "" : layer.regexp.source.replace("^", "").replace("\\/?(?=\\/|$)", "").replace(/\\\//g, "/");
+
+// Every route in the app, with the middleware that runs before its handler
+const listRoutes = (stack = app._router.stack, prefix = "", routes = []) => {
+    for (const layer of stack) {
+        if (layer.route) {
+            for (const method of Object.keys(layer.route.methods)) {
+                routes.push({
+                    key: `${method.toUpperCase()} ${prefix}${layer.route.path}`,
+                    method: method.toUpperCase(),
+                    path: prefix + layer.route.path,
+                    middleware: layer.route.stack.slice(0, -1).map((l) => l.handle),
+                });
+            }
+        } else if (layer.handle && layer.handle.stack) {
+            listRoutes(layer.handle.stack, prefix + mountPath(layer), routes);
+        }
+    }
+    return routes;
+};
+
+const fakeRequest = (method, path, user, extra = {}) => ({
+    method,
+    originalUrl: path,
+    url: path,
+    params: {},
+    query: {},
+    body: {},
+    headers: {},
+    session: user ? { user } : {},
+    get: () => undefined,
+    is: () => false,
+    flash: () => {},
+    ...extra,
+});
+
+// Resolves with what the response would have been: "allowed" when every
+// middleware passes the request on, else the status (and redirect target)
+const runMiddleware = (middleware, req) =>
+    new Promise((resolve, reject) => {
+        const res = { statusCode: 200, locals: {} };
+        res.status = (code) => {
+            res.statusCode = code;
+            return res;
+        };
+        res.redirect = (url) => resolve(`302 ${url}`);
+        res.json = res.send = res.render = () => resolve(String(res.statusCode));
+
+        let index = 0;
+        const next = (err) => {
+            if (err) {
+                return reject(err);
+            }
+            if (index === middleware.length) {
+                return resolve("allowed");
+            }
+            middleware[index++](req, res, next);
+        };
+        next();
+    });
+
+// What each session should get: the JSON API answers 401 where pages send
+// people to the login page, and 403 for a role that doesn't allow it. Portal
+// pages send accounts without a participant record to /portal to connect one.
+const expectedOutcome = (access, route, user) => {
+    if (access === PARTICIPANT && user) {
+        return user.participantid ? "allowed" : "302 /portal";
+    }
+    if (access === PUBLIC || (user && (access === SIGNED_IN || can(user, ...access.split("."))))) {
+        return "allowed";
+    }
+    if (!user) {
+        return route.path.startsWith("/api/") ? "401" : "302 /login";
+    }
+    return "403";
+};
+
+const routes = listRoutes();
+
+test("every route has a reviewed access rule", () => {
+    const mounted = routes.map((route) => route.key);
+    assert.deepStrictEqual(mounted.filter((key) => !(key in EXPECTED_ACCESS)), [], "routes missing from EXPECTED_ACCESS");
+    assert.deepStrictEqual(Object.keys(EXPECTED_ACCESS).filter((key) => !mounted.includes(key)), [], "EXPECTED_ACCESS lists routes that don't exist");
+});
+
+for (const [name, user] of Object.entries(SESSIONS)) {
+    test(`route access for ${name} sessions`, async () => {
+        for (const route of routes) {
+            const access = EXPECTED_ACCESS[route.key];
+            if (!access) {
+                continue;
+            }
+            const outcome = await runMiddleware(route.middleware, fakeRequest(route.method, route.path, user));
+            assert.strictEqual(outcome, expectedOutcome(access, route, user), `${route.key} as ${name}`);
+        }
+    });
+}
+
+test("nothing is changed or deleted by a GET", () => {
+    const risky = routes.filter(
+        (route) => route.method === "GET" && /(delete|remove|purge|restore|cancel|merge|revoke|reset\/|dismiss)/i.test(route.path)
+    );
+    assert.deepStrictEqual(risky.map((route) => route.key), []);
+});
+
+test("only the intended routes change data without signing in", () => {
+    const open = routes.filter((route) => route.method !== "GET" && EXPECTED_ACCESS[route.key] === PUBLIC);
+    assert.deepStrictEqual(open.map((route) => route.key).sort(), [
+        "POST /addDonation",
+        "POST /api/v1/donations",
+        "POST /create-account",
+        "POST /events/occurrences/:occurrenceid/register",
+        "POST /forgot-password",
+        "POST /login",
+        "POST /login/setup-2fa",
+        "POST /login/verify",
+        "POST /my-registration/:id/:token/cancel",
+        "POST /reset-password/:token",
+        "POST /survey/:token",
+    ]);
+});
+
+test("form posts need the session's CSRF token", async () => {
+    const session = { csrfToken: "a".repeat(64) };
+    const post = (extra) => runMiddleware([csrfProtection], fakeRequest("POST", "/addParticipant", null, { session, ...extra }));
+
+    assert.strictEqual(await post({}), "403");
+    assert.strictEqual(await post({ body: { _csrf: "b".repeat(64) } }), "403");
+    assert.strictEqual(await post({ body: { _csrf: session.csrfToken } }), "allowed");
+    assert.strictEqual(await post({ query: { _csrf: session.csrfToken } }), "allowed");
+    assert.strictEqual(await runMiddleware([csrfProtection], fakeRequest("POST", "/addParticipant", null, { session: {}, body: { _csrf: "" } })), "403");
+});
+
+test("bearer-token and JSON API calls don't need a CSRF token", async () => {
+    const session = { csrfToken: "a".repeat(64) };
+    const bearer = fakeRequest("POST", "/api/v1/participants", null, {
+        session,
+        get: (name) => (name === "Authorization" ? "Bearer ert_example" : undefined),
+    });
+    const json = fakeRequest("POST", "/api/v1/participants", null, { session, is: (type) => type === "application/json" });
+    const form = fakeRequest("POST", "/api/v1/participants", null, { session });
+
+    assert.strictEqual(await runMiddleware([csrfProtection], bearer), "allowed");
+    assert.strictEqual(await runMiddleware([csrfProtection], json), "allowed");
+    assert.strictEqual(await runMiddleware([csrfProtection], form), "403");
+});
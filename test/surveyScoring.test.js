@@ -0,0 +1,59 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { npsBucket, scoreSurvey } = require("../src/services/surveyScoring");
+
+const scale = (surveyquestionid, surveyquestionscalemax, flags = {}) => ({
+    surveyquestionid,
+    surveyquestiontype: "scale",
+    surveyquestionscalemax,
+    surveyquestionscored: false,
+    surveyquestionnps: false,
+    ...flags,
+});
+const answer = (surveyquestionid, surveyanswernumber) => ({ surveyquestionid, surveyanswernumber });
+
+test("NPS buckets on a 10-point scale", () => {
+    assert.deepStrictEqual(
+        [10, 9, 8, 7, 6, 0].map((rating) => npsBucket(rating, 10)),
+        ["Promoter", "Promoter", "Passive", "Passive", "Detractor", "Detractor"]
+    );
+});
+
+test("NPS buckets on a 5-point scale", () => {
+    assert.deepStrictEqual(
+        [5, 4, 3, 1].map((rating) => npsBucket(rating, 5)),
+        ["Promoter", "Passive", "Detractor", "Detractor"]
+    );
+});
+
+test("the overall score averages scored ratings on a 5-point scale", () => {
+    const questions = [
+        scale(1, 5, { surveyquestionscored: true }),
+        scale(2, 10, { surveyquestionscored: true }),
+        scale(3, 5),
+        { surveyquestionid: 4, surveyquestiontype: "text", surveyquestionscored: true },
+    ];
+    // 4/5 and 6/10 -> 4 and 3 on a 5-point scale; unscored and text answers don't count
+    const { surveyoverallscore } = scoreSurvey(questions, [answer(1, 4), answer(2, "6"), answer(3, 1), answer(4, null)]);
+    assert.strictEqual(surveyoverallscore, 3.5);
+});
+
+test("unanswered questions are skipped and the first answered NPS question sets the bucket", () => {
+    const questions = [
+        scale(1, 5, { surveyquestionscored: true }),
+        scale(2, 5, { surveyquestionscored: true }),
+        scale(3, 10, { surveyquestionnps: true }),
+        scale(4, 10, { surveyquestionnps: true }),
+    ];
+    const result = scoreSurvey(questions, [answer(1, 5), answer(2, null), answer(4, 7)]);
+    assert.deepStrictEqual(result, { surveyoverallscore: 5, surveynpsbucket: "Passive" });
+});
+
+test("nothing to score gives nulls", () => {
+    assert.deepStrictEqual(scoreSurvey([scale(1, 5)], [answer(1, 3)]), { surveyoverallscore: null, surveynpsbucket: null });
+    assert.deepStrictEqual(scoreSurvey([scale(1, 5, { surveyquestionscored: true, surveyquestionnps: true })], []), {
+        surveyoverallscore: null,
+        surveynpsbucket: null,
+    });
+});
@@ -0,0 +1,136 @@
+const { test, mock, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+
+const { stubConfigDb } = require("./helpers/knexStub");
+
+const db = stubConfigDb();
+const { generateSecret, otpauthUrl, matchTotp, verify, issueRecoveryCodes } = require("../src/services/twoFactor");
+
+// RFC 6238 test secret ("12345678901234567890") and the last six digits of
+// its SHA-1 codes at 59 seconds (time step 1) and 1111111109 seconds
+const SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const STEP_1_CODE = "287082";
+const LATER_CODE = "081804";
+const LATER_STEP = 37037036;
+const atSeconds = (seconds) => mock.method(Date, "now", () => seconds * 1000);
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+beforeEach(() => {
+    mock.restoreAll();
+    db.queries.length = 0;
+    db.respond = () => [];
+});
+
+test("codes match the RFC 6238 reference, with or without spaces", () => {
+    atSeconds(59);
+    assert.strictEqual(matchTotp(SECRET, STEP_1_CODE), 1);
+    assert.strictEqual(matchTotp(SECRET, "287 082"), 1);
+    assert.strictEqual(matchTotp(SECRET, "287083"), null);
+    assert.strictEqual(matchTotp(SECRET, "28708"), null);
+    assert.strictEqual(matchTotp(SECRET, null), null);
+});
+
+test("a code is accepted one step either side of now, and no further", () => {
+    atSeconds(1111111109);
+    assert.strictEqual(matchTotp(SECRET, LATER_CODE), LATER_STEP);
+    atSeconds(1111111109 - 30);
+    assert.strictEqual(matchTotp(SECRET, LATER_CODE), LATER_STEP);
+    atSeconds(1111111109 + 30);
+    assert.strictEqual(matchTotp(SECRET, LATER_CODE), LATER_STEP);
+    atSeconds(1111111109 - 60);
+    assert.strictEqual(matchTotp(SECRET, LATER_CODE), null);
+    atSeconds(1111111109 + 60);
+    assert.strictEqual(matchTotp(SECRET, LATER_CODE), null);
+});
+
+test("a code from a step already used is refused", () => {
+    atSeconds(59);
+    assert.strictEqual(matchTotp(SECRET, STEP_1_CODE, 0), 1);
+    assert.strictEqual(matchTotp(SECRET, STEP_1_CODE, 1), null);
+    assert.strictEqual(matchTotp(SECRET, STEP_1_CODE, "2"), null);
+});
+
+test("secrets are 160-bit base32 and the setup link names the issuer", () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.notStrictEqual(generateSecret(), secret);
+    assert.strictEqual(
+        otpauthUrl("ana", SECRET),
+        `otpauth://totp/Ella%20Rises%3Aana?secret=${SECRET}&issuer=Ella%20Rises&algorithm=SHA1&digits=6&period=30`
+    );
+});
+
+test("sign-in records the step it used, so the same code can't be replayed", async () => {
+    atSeconds(59);
+    const user = { id: 7, usertotpsecret: SECRET, usertotpenabledat: new Date(), usertotplaststep: 0 };
+    db.respond = ({ sql, bindings }) => {
+        if (sql.startsWith('select * from "users" where "id" = $1')) {
+            return [{ ...user }];
+        }
+        if (sql.startsWith('update "users" set "usertotplaststep" = $1')) {
+            user.usertotplaststep = bindings[0];
+            return 1;
+        }
+        return 0;
+    };
+
+    assert.strictEqual(await verify(db, 7, STEP_1_CODE), "totp");
+    assert.strictEqual(user.usertotplaststep, 1);
+    assert.strictEqual(await verify(db, 7, STEP_1_CODE), null);
+    assert.strictEqual(
+        db.queries[0].sql,
+        'select * from "users" where "id" = $1 limit $2 for update',
+        "the user row is locked so two sign-ins can't both use a code"
+    );
+});
+
+test("a recovery code works once, ignoring case and dashes", async () => {
+    const used = new Set();
+    db.respond = ({ sql, bindings }) => {
+        if (sql.startsWith('select * from "users"')) {
+            return [{ id: 7, usertotpsecret: SECRET, usertotpenabledat: new Date(), usertotplaststep: null }];
+        }
+        if (sql.startsWith('update "userrecoverycodes"')) {
+            const hash = bindings[1];
+            if (used.has(hash)) {
+                return 0;
+            }
+            used.add(hash);
+            return 1;
+        }
+        return 0;
+    };
+
+    assert.strictEqual(await verify(db, 7, "AB12C-3D4E5"), "recovery");
+    assert.strictEqual(await verify(db, 7, "ab12c3d4e5"), null);
+
+    const [update] = db.queries.filter((q) => q.sql.startsWith('update "userrecoverycodes"'));
+    assert.strictEqual(
+        update.sql,
+        'update "userrecoverycodes" set "recoverycodeusedat" = CURRENT_TIMESTAMP ' +
+            'where "userid" = $1 and "recoverycodehash" = $2 and "recoverycodeusedat" is null'
+    );
+    assert.deepStrictEqual(update.bindings, [7, sha256("ab12c3d4e5")]);
+});
+
+test("accounts without two-factor never verify", async () => {
+    db.respond = () => [{ id: 7, usertotpsecret: null, usertotpenabledat: null }];
+    assert.strictEqual(await verify(db, 7, "123456"), null);
+    assert.strictEqual(db.queries.length, 1);
+});
+
+test("new recovery codes replace the old ones and are stored hashed", async () => {
+    const codes = await issueRecoveryCodes(db, 7);
+    assert.strictEqual(codes.length, 10);
+    codes.forEach((code) => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/));
+
+    const [remove, insert] = db.queries;
+    assert.deepStrictEqual(remove, { sql: 'delete from "userrecoverycodes" where "userid" = $1', bindings: [7] });
+    assert.ok(insert.sql.startsWith('insert into "userrecoverycodes" ("recoverycodehash", "userid") values ($1, $2), ($3, $4)'));
+    assert.deepStrictEqual(
+        insert.bindings.filter((value, index) => index % 2 === 0),
+        codes.map((code) => sha256(code.replace("-", "")))
+    );
+});